@@ -6,6 +6,7 @@ module.exports = {
   CONNECTOR_FEEDBOOKS: process.env.CONNECTOR_FEEDBOOKS === "true",
   CONNECTOR_HATHI: process.env.CONNECTOR_HATHI === "true", 
   CONNECTOR_FREEWEB: process.env.CONNECTOR_FREEWEB === "true",
+  CONNECTOR_WIKISOURCE: process.env.CONNECTOR_WIKISOURCE === "true",
   
   // Cinematic features
   CINEMATIC: process.env.CINEMATIC === "on",
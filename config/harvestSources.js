@@ -0,0 +1,36 @@
+// config/harvestSources.js
+// OAI-PMH repositories harvested into catalog_books (scripts/harvest.js).
+// The key is the catalog_books.source value; add a repository by adding an entry.
+//
+//   baseUrl         OAI-PMH endpoint (verb=... is appended)
+//   metadataPrefix  defaults to oai_dc
+//   set             optional setSpec to restrict the harvest
+//   delayMs         pause between requests (be polite, some endpoints rate-limit)
+//   openAccess      value written to catalog_books.open_access (default true)
+module.exports = {
+  doab: {
+    name: 'Directory of Open Access Books',
+    baseUrl: 'https://directory.doabooks.org/oai/request',
+    metadataPrefix: 'oai_dc',
+    delayMs: 300,
+  },
+  oapen: {
+    name: 'OAPEN Library',
+    baseUrl: 'https://library.oapen.org/oai/request',
+    metadataPrefix: 'oai_dc',
+    delayMs: 300,
+  },
+  hathitrust: {
+    name: 'HathiTrust (public domain, full view)',
+    baseUrl: 'https://babel.hathitrust.org/cgi/oai',
+    metadataPrefix: 'oai_dc',
+    set: 'hathitrust:pd',
+    delayMs: 1000,
+  },
+  // Institutional repositories work the same way, e.g.:
+  // 'ucl-discovery': {
+  //   name: 'UCL Discovery',
+  //   baseUrl: 'https://discovery.ucl.ac.uk/cgi/oai2',
+  //   set: 'types=book',
+  // },
+};
@@ -19,8 +19,9 @@ function attr(str, name) {
   return m ? m[1] : '';
 }
 
-async function fetchSearch(q) {
-  const r = await fetch(SEARCH_URL + encodeURIComponent(q || ''), { redirect: 'follow' });
+async function fetchSearch(q, page = 1) {
+  const pageParam = page > 1 ? `&page=${page}` : '';
+  const r = await fetch(SEARCH_URL + encodeURIComponent(q || '') + pageParam, { redirect: 'follow' });
   if (!r.ok) throw new Error('Feedbooks search error');
   return await r.text();
 }
@@ -42,6 +43,10 @@ function cardFromEntry(entry) {
 
   return {
     identifier: `feedbooks:${title}`,
+    entryId: getFirst(entry, 'id'),
+    epubUrl: epub,
+    language: getFirst(entry, 'dcterms:language') || getFirst(entry, 'dc:language'),
+    issued: getFirst(entry, 'dcterms:issued') || getFirst(entry, 'dc:issued'),
     title: title || '(Untitled)',
     creator: author || '',
     cover,
@@ -53,8 +58,8 @@ function cardFromEntry(entry) {
   };
 }
 
-async function searchFeedbooksPD(q, limit = 40) {
-  const xml = await fetchSearch(q);
+async function searchFeedbooksPD(q, limit = 40, page = 1) {
+  const xml = await fetchSearch(q, page);
   const entries = xml.split(/<\/entry>/i).map(x => x + '</entry>').filter(x => /<entry/i.test(x));
   const out = [];
   for (const e of entries) {
@@ -1,6 +1,7 @@
 // connectors/freeweb.js
 // Generic "Free Web" discoverer (whitelisted, direct files only)
 // Searches curated hosts known to allow direct, free downloads without login
+// A host that fails is skipped; searchFreeWeb throws only when every host failed.
 
 const UA = 'BookLanternBot/1.0 (+https://booklantern.org)';
 
@@ -35,19 +36,15 @@ const HOST_CONFIGS = {
 };
 
 // Helper function to check if a file is valid (EPUB or PDF)
-async function isValidFile(url) {
+async function isValidFile(url, signal) {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
-    
     const response = await fetch(url, {
       method: 'HEAD',
       headers: { 'User-Agent': UA },
-      signal: controller.signal
+      // 10s per file, and whatever is left of the caller's search
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(10000)]) : AbortSignal.timeout(10000)
     });
     
-    clearTimeout(timeoutId);
-    
     if (!response.ok) return false;
     
     const contentType = (response.headers.get('content-type') || '').toLowerCase();
@@ -58,12 +55,13 @@ async function isValidFile(url) {
             contentType.includes('application/pdf')) && 
            contentLength > 65536;
   } catch (e) {
+    if (signal?.aborted) throw e;
     return false;
   }
 }
 
 // Parse Gallica (French National Library) results
-async function parseGallicaResults(xml, query) {
+async function parseGallicaResults(xml, query, signal) {
   const results = [];
   
   // Simple XML parsing for DC records
@@ -85,7 +83,7 @@ async function parseGallicaResults(xml, query) {
       const pdfUrl = `https://gallica.bnf.fr/ark:/12148/${identifier}/f1.pdf`;
       
       // Validate the PDF exists and is accessible
-      if (await isValidFile(pdfUrl)) {
+      if (await isValidFile(pdfUrl, signal)) {
         results.push({
           title,
           creator,
@@ -95,6 +93,7 @@ async function parseGallicaResults(xml, query) {
         });
       }
     } catch (e) {
+      if (signal?.aborted) throw e;
       // Skip invalid records
     }
   }
@@ -103,7 +102,7 @@ async function parseGallicaResults(xml, query) {
 }
 
 // Parse Penn Digital Library results
-async function parsePennResults(json, query) {
+async function parsePennResults(json, query, signal) {
   const results = [];
   
   try {
@@ -116,7 +115,7 @@ async function parsePennResults(json, query) {
         const creator = item.creator || item.author || '';
         const pdfUrl = item.pdf_url || item.download_url || '';
         
-        if (title && pdfUrl && await isValidFile(pdfUrl)) {
+        if (title && pdfUrl && await isValidFile(pdfUrl, signal)) {
           results.push({
             title,
             creator,
@@ -126,10 +125,12 @@ async function parsePennResults(json, query) {
           });
         }
       } catch (e) {
+        if (signal?.aborted) throw e;
         // Skip invalid items
       }
     }
   } catch (e) {
+    if (signal?.aborted) throw e;
     console.error('[FREEWEB] Penn JSON parse error:', e.message);
   }
   
@@ -137,7 +138,7 @@ async function parsePennResults(json, query) {
 }
 
 // Parse Sacred Texts results
-async function parseSacredTextsResults(html, query) {
+async function parseSacredTextsResults(html, query, signal) {
   const results = [];
   
   // Look for PDF links in the search results
@@ -156,7 +157,7 @@ async function parseSacredTextsResults(html, query) {
       // Make URL absolute if needed
       const absoluteUrl = url.startsWith('http') ? url : `https://www.sacred-texts.com${url}`;
       
-      if (await isValidFile(absoluteUrl)) {
+      if (await isValidFile(absoluteUrl, signal)) {
         results.push({
           title,
           creator: '',
@@ -166,6 +167,7 @@ async function parseSacredTextsResults(html, query) {
         });
       }
     } catch (e) {
+      if (signal?.aborted) throw e;
       // Skip invalid links
     }
   }
@@ -182,6 +184,8 @@ function toCard(result) {
   
   return {
     identifier: `freeweb:${result.source}:${result.title}`,
+    url: result.url,
+    type: result.type,
     title: result.title || '(Untitled)',
     creator: result.creator || '',
     cover: '', // No cover for free web sources
@@ -193,49 +197,53 @@ function toCard(result) {
   };
 }
 
-// Main search function
-async function searchFreeWeb(q, limit = 20) {
-  try {
-    const allResults = [];
-    
-    // Search each configured host
-    for (const [host, config] of Object.entries(HOST_CONFIGS)) {
-      try {
-        const searchUrl = `${config.searchUrl}${encodeURIComponent(q)}${config.searchParams}`;
-        console.log(`[FREEWEB] Searching ${host}: ${searchUrl}`);
-        
-        const response = await fetch(searchUrl, {
-          headers: { 'User-Agent': UA },
-          timeout: 15000
-        });
-        
-        if (!response.ok) {
-          console.warn(`[FREEWEB] ${host} search failed: ${response.status}`);
-          continue;
-        }
-        
-        const content = await response.text();
-        const results = await config.parseResults(content, q);
-        
-        allResults.push(...results);
-        
-        console.log(`[FREEWEB] ${host} found ${results.length} results`);
-        
-      } catch (e) {
-        console.error(`[FREEWEB] ${host} search error:`, e.message);
-      }
+/**
+ * Main search function
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+async function searchFreeWeb(q, limit = 20, { signal } = {}) {
+  const allResults = [];
+  const hosts = Object.keys(HOST_CONFIGS);
+  let failures = 0;
+  let lastError = null;
+  
+  // Search each configured host
+  for (const [host, config] of Object.entries(HOST_CONFIGS)) {
+    try {
+      const searchUrl = `${config.searchUrl}${encodeURIComponent(q)}${config.searchParams}`;
+      console.log(`[FREEWEB] Searching ${host}: ${searchUrl}`);
+      
+      const response = await fetch(searchUrl, {
+        headers: { 'User-Agent': UA },
+        signal
+      });
+      
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      
+      const content = await response.text();
+      const results = await config.parseResults(content, q, signal);
+      
+      allResults.push(...results);
+      
+      console.log(`[FREEWEB] ${host} found ${results.length} results`);
+      
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      failures++;
+      lastError = e;
+      console.error(`[FREEWEB] ${host} search error:`, e.message);
     }
-    
-    // Convert to cards and limit results
-    const cards = allResults.slice(0, limit).map(toCard);
-    
-    console.log(`[FREEWEB] Total results: ${cards.length}`);
-    return cards;
-    
-  } catch (e) {
-    console.error('[FREEWEB] Search error:', e.message);
-    return [];
   }
+
+  if (failures === hosts.length) {
+    throw new Error(`all free-web hosts failed: ${lastError?.message || lastError}`);
+  }
+  
+  // Convert to cards and limit results
+  const cards = allResults.slice(0, limit).map(toCard);
+  
+  console.log(`[FREEWEB] Total results: ${cards.length}`);
+  return cards;
 }
 
 module.exports = { searchFreeWeb };
@@ -3,10 +3,14 @@
 // SRU docs: https://catalog.hathitrust.org/api/volumes/brief/sru
 // Volumes API: https://catalog.hathitrust.org/api/volumes/ (brief/json/<id>)
 // NOTE: Hathi viewer forbids embedding for most items; we link out in a new tab (frontend already does this for non-internal sources).
+// The Volumes API has no file links, so cards always point at the Hathi viewer (itemURL).
+// Errors propagate (callers' circuit breakers need to see outages); pass { signal } to cancel.
 
 const SRU_BASE =
   'https://catalog.hathitrust.org/api/volumes/brief/sru?operation=searchRetrieve&version=1.1';
 const MAX_PER_RECORD_LOOKUPS = 2; // keep it conservative to avoid hammering Volumes API
+// Records looked up side by side; one after another, 20 records don't fit the source timeout
+const LOOKUP_CONCURRENCY = 5;
 
 // --- tiny helpers ------------------------------------------------------------
 function pickIdentifier(ids) {
@@ -45,24 +49,27 @@ function parseDCRecord(recordXml) {
     .map((x) => safeText(x))
     .filter(Boolean);
 
+  // MARC language code ("eng", "fre"); the Volumes API has no language
+  const language = safeText(extractFirst(recordXml, 'dc:language'));
+
   // Catalog record number (for logging/debug)
   const recId = safeText(extractFirst(recordXml, 'srw:recordIdentifier')) ||
                 safeText(extractFirst(recordXml, 'recordIdentifier'));
 
-  return { title, creator, identifiers, recId };
+  return { title, creator, language, identifiers, recId };
 }
 
 // Query Volumes API for rights + links
-async function volumesBriefJson(id) {
+async function volumesBriefJson(id, signal) {
   // id looks like "oclc:12345" or "isbn:..." etc.
   const url = `https://catalog.hathitrust.org/api/volumes/brief/json/${encodeURIComponent(id)}`;
-  const r = await fetch(url, { redirect: 'follow' });
+  const r = await fetch(url, { redirect: 'follow', signal });
   if (!r.ok) throw new Error(`Volumes API ${r.status}`);
   return r.json();
 }
 
 // Map a volumes brief/json payload to Full-View cards
-function volumesToCards(json, fallbackTitle, fallbackCreator) {
+function volumesToCards(json, fallbackTitle, fallbackCreator, language = '') {
   const cards = [];
   const keys = Object.keys(json || {});
   for (const k of keys) {
@@ -83,19 +90,21 @@ function volumesToCards(json, fallbackTitle, fallbackCreator) {
         if (!itemURL) continue;
 
         const cover = it?.thumbnail || it?.image || ''; // some items include image/thumbnail
-        // Get PDF URL if available
-        const pdfUrl = it?.pdfUrl || it?.downloadUrl || '';
-        
+
         cards.push({
           identifier: `hathi:${it?.htid || itemURL}`,
+          htid: it?.htid || '',
+          itemURL,
+          year: Array.isArray(rec?.publishDates) ? rec.publishDates[0] || '' : '',
           title: safeText(rec?.title) || fallbackTitle || '(Untitled)',
           creator: safeText(rec?.mainAuthor) || fallbackCreator || '',
+          language,
           cover,
           source: 'hathitrust',
-          openInline: true,
-          readable: true,
-          href: pdfUrl ? `/read/pdf?src=${encodeURIComponent(pdfUrl)}&title=${encodeURIComponent(safeText(rec?.title) || fallbackTitle || '')}` : itemURL,
-          readerUrl: pdfUrl ? `/read/pdf?src=${encodeURIComponent(pdfUrl)}&title=${encodeURIComponent(safeText(rec?.title) || fallbackTitle || '')}` : itemURL,
+          openInline: false,
+          readable: false,
+          href: itemURL,
+          readerUrl: itemURL,
         });
       }
     }
@@ -104,63 +113,79 @@ function volumesToCards(json, fallbackTitle, fallbackCreator) {
 }
 
 // --- main search -------------------------------------------------------------
-async function searchHathiFullView(q, limit = 24) {
-  try {
-    // SRU free-text against DC; request DC schema for simpler parsing.
-    const cql = `dc.any all "${q}"`;
-    const sruUrl =
-      `${SRU_BASE}&recordSchema=dc&maximumRecords=${limit}&query=${encodeURIComponent(cql)}`;
-
-    const r = await fetch(sruUrl, { redirect: 'follow' });
-    if (!r.ok) throw new Error(`SRU status ${r.status}`);
-    const xml = await r.text();
-
-    // Split into <record> blocks
-    const recBlocks = xml.match(/<srw:record>[\s\S]*?<\/srw:record>/gi) || [];
-    if (!recBlocks.length) return [];
-
-    const cards = [];
-    for (const block of recBlocks) {
-      const dc = extractFirst(block, 'srw:recordData') || block; // some responses nest DC inside recordData
-      const parsed = parseDCRecord(dc);
-      if (!parsed.identifiers?.length) continue;
-
-      // Try a couple of identifiers to find items via Volumes API
-      const idCandidates = [];
-      const idsNorm = parsed.identifiers.map((x) => x.toLowerCase());
-      // keep only supported namespaces
-      idsNorm.forEach((id) => {
-        if (/^(oclc|isbn|lccn):/.test(id)) idCandidates.push(id);
-      });
-      if (!idCandidates.length) {
-        // sometimes identifiers are bare; try to detect oclc numbers (not prefixed)
-        const bareOclc = parsed.identifiers.find((x) => /^[0-9]+$/.test(x));
-        if (bareOclc) idCandidates.push(`oclc:${bareOclc}`);
-      }
+/**
+ * Full View volumes matching q. Throws when the SRU search fails, or when every
+ * Volumes API lookup does (an outage, not an empty result).
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+async function searchHathiFullView(q, limit = 24, startRecord = 1, { signal } = {}) {
+  // SRU free-text against DC; request DC schema for simpler parsing.
+  const cql = `dc.any all "${q}"`;
+  const sruUrl =
+    `${SRU_BASE}&recordSchema=dc&maximumRecords=${limit}&startRecord=${startRecord}&query=${encodeURIComponent(cql)}`;
+
+  const r = await fetch(sruUrl, { redirect: 'follow', signal });
+  if (!r.ok) throw new Error(`SRU status ${r.status}`);
+  const xml = await r.text();
+
+  // Split into <record> blocks
+  const recBlocks = xml.match(/<srw:record>[\s\S]*?<\/srw:record>/gi) || [];
+  if (!recBlocks.length) return [];
+
+  let lookups = 0;
+  let lookupFailures = 0;
+  let lastError = null;
+
+  // Full View cards for one SRU record (first identifier that resolves wins)
+  async function recordCards(block) {
+    const dc = extractFirst(block, 'srw:recordData') || block; // some responses nest DC inside recordData
+    const parsed = parseDCRecord(dc);
+    if (!parsed.identifiers?.length) return [];
+
+    // Try a couple of identifiers to find items via Volumes API
+    const idCandidates = [];
+    const idsNorm = parsed.identifiers.map((x) => x.toLowerCase());
+    // keep only supported namespaces
+    idsNorm.forEach((id) => {
+      if (/^(oclc|isbn|lccn):/.test(id)) idCandidates.push(id);
+    });
+    if (!idCandidates.length) {
+      // sometimes identifiers are bare; try to detect oclc numbers (not prefixed)
+      const bareOclc = parsed.identifiers.find((x) => /^[0-9]+$/.test(x));
+      if (bareOclc) idCandidates.push(`oclc:${bareOclc}`);
+    }
 
-      let hits = [];
-      for (const id of idCandidates.slice(0, MAX_PER_RECORD_LOOKUPS)) {
-        try {
-          const json = await volumesBriefJson(id);
-          const localCards = volumesToCards(json, parsed.title, parsed.creator);
-          if (localCards.length) {
-            hits = localCards;
-            break;
-          }
-        } catch (e) {
-          console.warn('[HathiTrust] volumes lookup failed for', id, e?.message || e);
-        }
+    for (const id of idCandidates.slice(0, MAX_PER_RECORD_LOOKUPS)) {
+      lookups++;
+      try {
+        const json = await volumesBriefJson(id, signal);
+        const localCards = volumesToCards(json, parsed.title, parsed.creator, parsed.language);
+        if (localCards.length) return localCards;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        lookupFailures++;
+        lastError = e;
+        console.warn('[HathiTrust] volumes lookup failed for', id, e?.message || e);
       }
-
-      cards.push(...hits);
-      if (cards.length >= limit) break;
     }
-
-    return cards.slice(0, limit);
-  } catch (err) {
-    console.error('[HathiTrust] search error:', err?.message || err);
     return [];
   }
+
+  // Split into chunks for concurrency control; results keep the SRU ranking
+  const cards = [];
+  for (let i = 0; i < recBlocks.length; i += LOOKUP_CONCURRENCY) {
+    const chunk = recBlocks.slice(i, i + LOOKUP_CONCURRENCY);
+    const results = await Promise.all(chunk.map(recordCards));
+    results.forEach((hits) => cards.push(...hits));
+
+    // Stop once we have enough cards
+    if (cards.length >= limit) break;
+  }
+
+  if (lookups > 0 && lookupFailures === lookups) {
+    throw new Error(`Volumes API unavailable: ${lastError?.message || lastError}`);
+  }
+  return cards.slice(0, limit);
 }
 
 module.exports = { searchHathiFullView };
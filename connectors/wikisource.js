@@ -66,33 +66,38 @@ function isBookLike(page) {
   return true;
 }
 
-async function searchWikisource(q, limit = 20, lang = 'en') {
-  try {
-    // Enhanced API call to get more metadata including categories and page length
-    const api = `https://${lang}.wikisource.org/w/api.php?action=query&generator=search&gsrsearch=${encodeURIComponent(q)}&gsrlimit=${limit}&prop=pageimages|description|categories|pageprops&piprop=thumbnail&pithumbsize=400&format=json&origin=*`;
-    const r = await fetch(api, { headers: { 'User-Agent': UA } });
-    if (!r.ok) return [];
-    const data = await r.json();
-    const pages = data?.query?.pages || {};
-    const out = [];
+/**
+ * Search one Wikisource edition. Throws on HTTP or API errors so callers can tell
+ * an outage from an empty result.
+ * @param {{ signal?: AbortSignal }} [options]
+ */
+async function searchWikisource(q, limit = 20, lang = 'en', offset = 0, { signal } = {}) {
+  // Enhanced API call to get more metadata including categories and page length
+  const api = `https://${lang}.wikisource.org/w/api.php?action=query&generator=search&gsrsearch=${encodeURIComponent(q)}&gsrlimit=${limit}&gsroffset=${offset}&prop=pageimages|description|categories|pageprops&piprop=thumbnail&pithumbsize=400&format=json&origin=*`;
+  const r = await fetch(api, { headers: { 'User-Agent': UA }, signal });
+  if (!r.ok) throw new Error(`Wikisource API ${r.status}`);
+  const data = await r.json();
+  // MediaWiki reports errors (bad query, rate limits) in a 200 response
+  if (data?.error) throw new Error(`Wikisource API error: ${data.error.code || data.error.info}`);
+  const pages = data?.query?.pages || {};
+  const out = [];
+  
+  for (const k of Object.keys(pages)) {
+    const p = pages[k];
+    if (!p || !p.title) continue;
+    if (/^(Index|Author|Category):/i.test(p.title)) continue;
     
-    for (const k of Object.keys(pages)) {
-      const p = pages[k];
-      if (!p || !p.title) continue;
-      if (/^(Index|Author|Category):/i.test(p.title)) continue;
-      
-      // Filter for book-like content
-      if (isBookLike(p)) {
-        out.push(cardFromTitle(lang, p.title, p.description || '', p.thumbnail?.source || ''));
-      }
+    // Filter for book-like content
+    if (isBookLike(p)) {
+      const card = cardFromTitle(lang, p.title, p.description || '', p.thumbnail?.source || '');
+      card.lang = lang;
+      card.pageTitle = p.title;
+      out.push(card);
     }
-    
-    console.log(`[wikisource] Found ${Object.keys(pages).length} total results, filtered to ${out.length} book-like items`);
-    return out;
-  } catch (e) {
-    console.error('[wikisource] search error:', e);
-    return [];
   }
+  
+  console.log(`[wikisource] Found ${Object.keys(pages).length} total results, filtered to ${out.length} book-like items`);
+  return out;
 }
 
 module.exports = { searchWikisource };
@@ -0,0 +1,97 @@
+// lib/allowedDomains.js
+// Host allowlists shared by the reader proxy (routes/reader.js) and the catalog
+// file resolver (lib/catalogResolver.js): which hosts we proxy book files from,
+// and which landing pages we scrape for download links.
+
+const { URL } = require('url');
+
+// Allowed domains for EPUB proxying (security whitelist)
+const ALLOWED_PROXY_DOMAINS = [
+  'www.gutenberg.org',
+  'gutenberg.org',
+  'archive.org',
+  'openlibrary.org',
+  'covers.openlibrary.org',
+  'loc.gov',
+  'tile.loc.gov',
+  'download.loc.gov',
+  // OAPEN / DOAB (open access books)
+  'library.oapen.org',
+  'oapen.org',
+  'directory.doabooks.org',
+  'doabooks.org',
+  // OpenStax (open textbooks)
+  'openstax.org',
+  'assets.openstax.org',
+  'cnx.org',
+  'd3bxy9euw4e147.cloudfront.net', // OpenStax CDN
+  // HathiTrust
+  'babel.hathitrust.org',
+  'hathitrust.org',
+  // Wikisource (EPUB export tool)
+  'ws-export.wmcloud.org',
+  'wikisource.org',
+  // Feedbooks public domain
+  'feedbooks.com',
+  'www.feedbooks.com',
+  // Free-web hosts (see connectors/freeweb.js)
+  'gallica.bnf.fr',
+  'digital.library.upenn.edu',
+  'sacred-texts.com',
+  'www.sacred-texts.com',
+];
+
+// Check if URL domain is allowed for proxying
+function isAllowedProxyDomain(urlString) {
+  try {
+    const parsed = new URL(urlString);
+    const hostname = parsed.hostname.toLowerCase();
+    
+    return ALLOWED_PROXY_DOMAINS.some(domain => {
+      if (hostname === domain) return true;
+      // Allow subdomains of certain domains
+      if (hostname.endsWith('.archive.org')) return true;
+      if (hostname.endsWith('.loc.gov')) return true;
+      if (hostname.endsWith('.gutenberg.org')) return true;
+      if (hostname.endsWith('.oapen.org')) return true;
+      if (hostname.endsWith('.doabooks.org')) return true;
+      if (hostname.endsWith('.openstax.org')) return true;
+      if (hostname.endsWith('.cnx.org')) return true;
+      if (hostname.endsWith('.hathitrust.org')) return true;
+      if (hostname.endsWith('.wikisource.org')) return true;
+      if (hostname.endsWith('.feedbooks.com')) return true;
+      if (hostname.endsWith('.cloudfront.net')) return true; // OpenStax CDN
+      return false;
+    });
+  } catch {
+    return false;
+  }
+}
+
+// Allowlist for external resolution (OAPEN/DOAB/CATALOG)
+const EXTERNAL_RESOLVE_ALLOWLIST = [
+  'library.oapen.org',
+  'oapen.org',
+  'directory.doabooks.org',
+  'doabooks.org',
+  'www.doabooks.org',
+];
+
+function isAllowedExternalDomain(urlString) {
+  try {
+    const parsed = new URL(urlString);
+    const hostname = parsed.hostname.toLowerCase();
+    return EXTERNAL_RESOLVE_ALLOWLIST.some(domain => 
+      hostname === domain || hostname.endsWith('.' + domain)
+    );
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  ALLOWED_PROXY_DOMAINS,
+  EXTERNAL_RESOLVE_ALLOWLIST,
+  isAllowedProxyDomain,
+  isAllowedExternalDomain,
+};
@@ -0,0 +1,227 @@
+// lib/annotationExport.js
+// Formats a user's highlights and bookmarks (tables `highlights` / `bookmarks`)
+// as Markdown, JSON or a Readwise-compatible CSV. Pure functions: the route
+// loads the rows and book metadata, this module only orders and renders them.
+
+const CSV_COLUMNS = ['Highlight', 'Title', 'Author', 'URL', 'Note', 'Location', 'Date'];
+
+/**
+ * Position of an EPUB CFI in reading order.
+ * "epubcfi(/6/14!/4/2/10,/1:0,/1:25)" → { section: 7, steps: [4, 2, 10, 1], offset: 0 }
+ * section is the 1-based spine item (/6 is the spine, every item has an even step).
+ */
+function parseCfiLocation(cfi) {
+  const match = /^epubcfi\((.*)\)$/.exec(String(cfi || '').trim());
+  if (!match) return null;
+  const [path, start = ''] = match[1].split(',');
+  const [spinePart, contentPart = ''] = path.split('!');
+  const spineSteps = spinePart.split('/').filter(Boolean).map(s => parseInt(s, 10));
+  if (spineSteps.length < 2 || !Number.isFinite(spineSteps[1])) return null;
+
+  const steps = [];
+  let offset = 0;
+  for (const part of (contentPart + start).split('/').filter(Boolean)) {
+    const [step, charOffset] = part.split(':');
+    const n = parseInt(step, 10);
+    if (Number.isFinite(n)) steps.push(n);
+    if (charOffset !== undefined) offset = parseInt(charOffset, 10) || 0;
+  }
+  return { section: spineSteps[1] / 2, steps, offset };
+}
+
+/** Reading-order comparator for CFIs (unparseable CFIs sort last) */
+function compareCfi(a, b) {
+  const la = parseCfiLocation(a);
+  const lb = parseCfiLocation(b);
+  if (!la || !lb) return (la ? -1 : 0) + (lb ? 1 : 0);
+  if (la.section !== lb.section) return la.section - lb.section;
+  const len = Math.max(la.steps.length, lb.steps.length);
+  for (let i = 0; i < len; i++) {
+    const diff = (la.steps[i] ?? -1) - (lb.steps[i] ?? -1);
+    if (diff) return diff;
+  }
+  return la.offset - lb.offset;
+}
+
+function sectionLabel(cfi) {
+  const loc = parseCfiLocation(cfi);
+  return loc ? `Section ${loc.section}` : 'Unknown location';
+}
+
+/**
+ * Group highlight and bookmark rows by book, in reading order.
+ * @param {{ highlights: object[], bookmarks: object[], books?: Object<string, object> }} input
+ *   books maps book_id → { title, author, source, url, progress, cover }
+ * @returns {object[]} one entry per book, ordered by title
+ */
+function buildExport({ highlights = [], bookmarks = [], books = {} }) {
+  const byBook = new Map();
+  const entry = bookId => {
+    if (!byBook.has(bookId)) {
+      const meta = books[bookId] || {};
+      byBook.set(bookId, {
+        book_id: bookId,
+        title: meta.title || bookId,
+        author: meta.author || '',
+        source: meta.source || '',
+        url: meta.url || '',
+        progress: meta.progress ?? null,
+        annotations: [],
+      });
+    }
+    return byBook.get(bookId);
+  };
+
+  for (const h of highlights) {
+    entry(h.book_id).annotations.push({
+      type: 'highlight',
+      id: h.id,
+      cfi: h.cfi,
+      chapter: h.chapter || sectionLabel(h.cfi),
+      location: sectionLabel(h.cfi),
+      text: h.text || '',
+      note: h.note || '',
+      color: h.color || 'yellow',
+      created_at: h.created_at || null,
+      updated_at: h.updated_at || null,
+    });
+  }
+  for (const b of bookmarks) {
+    entry(b.book_id).annotations.push({
+      type: 'bookmark',
+      id: b.id,
+      cfi: b.cfi,
+      chapter: b.chapter || sectionLabel(b.cfi),
+      location: sectionLabel(b.cfi),
+      label: b.label || 'Bookmark',
+      created_at: b.created_at || null,
+      updated_at: b.updated_at || null,
+    });
+  }
+
+  const result = [...byBook.values()];
+  for (const book of result) {
+    book.annotations.sort((a, b) => compareCfi(a.cfi, b.cfi));
+    // Ordinal position in the book, what Readwise's integer "Location" expects
+    book.annotations.forEach((a, i) => { a.position = i + 1; });
+  }
+  // Books we have metadata for first, then bare book ids
+  return result.sort((a, b) =>
+    (books[a.book_id] ? 0 : 1) - (books[b.book_id] ? 0 : 1) || a.title.localeCompare(b.title));
+}
+
+// -- Markdown -----------------------------------------------------------------
+
+function day(value) {
+  return value ? String(value).slice(0, 10) : '';
+}
+
+function blockquote(text) {
+  return String(text).trim().split(/\r?\n/).map(line => `> ${line}`.trimEnd()).join('\n');
+}
+
+function bookToMarkdown(book, level) {
+  const h = '#'.repeat(level);
+  const lines = [`${h} ${book.title}`, ''];
+  const meta = [];
+  if (book.author) meta.push(`**Author:** ${book.author}`);
+  if (book.source) meta.push(`**Source:** ${book.source}`);
+  if (book.url) meta.push(`**Link:** ${book.url}`);
+  if (book.progress !== null && book.progress !== undefined) meta.push(`**Progress:** ${Math.round(book.progress)}%`);
+  const highlightCount = book.annotations.filter(a => a.type === 'highlight').length;
+  meta.push(`**Highlights:** ${highlightCount} · **Bookmarks:** ${book.annotations.length - highlightCount}`);
+  lines.push(meta.join('  \n'), '');
+
+  let chapter = null;
+  for (const a of book.annotations) {
+    if (a.chapter !== chapter) {
+      chapter = a.chapter;
+      lines.push(`${h}# ${chapter}`, '');
+    }
+    if (a.type === 'bookmark') {
+      lines.push(`- 🔖 **${a.label}** — ${a.location}, ${day(a.created_at)}`.replace(/, $/, ''), '');
+      continue;
+    }
+    lines.push(blockquote(a.text), '');
+    if (a.note) lines.push(`**Note:** ${a.note.trim()}`, '');
+    lines.push(`*${a.location} · ${a.color}${a.created_at ? ' · ' + day(a.created_at) : ''}* \`${a.cfi}\``, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {object[]} books - output of buildExport
+ * @param {{ exportedAt?: Date }} [options]
+ */
+function toMarkdown(books, { exportedAt = new Date() } = {}) {
+  if (books.length === 1) {
+    return `${bookToMarkdown(books[0], 1)}\n*Exported from BookLantern on ${day(exportedAt.toISOString())}*\n`;
+  }
+  const parts = [
+    '# BookLantern annotations',
+    '',
+    `*Exported on ${day(exportedAt.toISOString())} · ${books.length} books*`,
+    '',
+  ];
+  for (const book of books) parts.push(bookToMarkdown(book, 2));
+  return parts.join('\n');
+}
+
+// -- JSON ---------------------------------------------------------------------
+
+function toJson(books, { exportedAt = new Date() } = {}) {
+  return JSON.stringify({ exported_at: exportedAt.toISOString(), books }, null, 2);
+}
+
+// -- Readwise CSV -------------------------------------------------------------
+
+// Text starting with these is run as a formula when the file is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  // Book text and notes are user-controlled: neutralise formulas (numbers stay numbers)
+  const formula = typeof value === 'string' && FORMULA_START.test(s);
+  if (formula) s = `'${s}`;
+  return formula || /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Readwise wants "YYYY-MM-DD HH:MM:SS" (UTC) */
+function readwiseDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Readwise CSV import format (Highlight, Title, Author, URL, Note, Location, Date).
+ * Bookmarks have no text and are left out.
+ */
+function toReadwiseCsv(books) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const book of books) {
+    for (const a of book.annotations) {
+      if (a.type !== 'highlight' || !a.text.trim()) continue;
+      rows.push([
+        a.text.trim(), book.title, book.author, book.url, a.note.trim(), a.position, readwiseDate(a.created_at),
+      ].map(csvCell).join(','));
+    }
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+const FORMATS = {
+  md: { type: 'text/markdown; charset=utf-8', ext: 'md', render: toMarkdown },
+  json: { type: 'application/json; charset=utf-8', ext: 'json', render: toJson },
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv', render: toReadwiseCsv },
+};
+
+module.exports = {
+  FORMATS,
+  parseCfiLocation,
+  compareCfi,
+  buildExport,
+  toMarkdown,
+  toJson,
+  toReadwiseCsv,
+};
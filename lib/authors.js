@@ -0,0 +1,205 @@
+// lib/authors.js
+// Author pages (/author/:slug, routes/author.js): author names, slugs and the
+// upstream author records.
+//
+// Providers spell one author many ways — "Twain, Mark", "Mark Twain",
+// "Twain, Mark, 1835-1910", "Толстой, Лев" — so names are parsed to a display form
+// ("Mark Twain") whose folded, transliterated words make the slug ("mark-twain").
+// matchesAuthor() decides whether a book's author string is the page's author.
+//
+// Records (life years, bio, photo, links) come from each source's lookupAuthor()
+// (lib/sources); works are gathered by the search pipeline (findAuthorWorks in
+// routes/search.js).
+
+const sources = require('./sources');
+const cache = require('./cache');
+const { foldText, transliterate, phoneticKey } = require('./textMatch');
+
+const INFO_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_SLUG_LENGTH = 100;
+
+// Comma-separated parts and words that are roles or titles, not names
+const NAME_NOISE = new Set([
+  'jr', 'sr', 'sir', 'dr', 'mrs', 'mr', 'ms', 'graf', 'count', 'baron', 'lord', 'saint', 'st',
+  'translator', 'editor', 'ed', 'eds', 'tr', 'trans', 'comp', 'compiler', 'illustrator', 'author',
+]);
+
+const UNKNOWN_AUTHORS = new Set(['', 'unknown', 'unknown author', 'anonymous', 'anon', 'various']);
+
+/** Author strings of a book: "A; B" and "A | B" are separate authors */
+function splitAuthors(author) {
+  const raw = Array.isArray(author) ? author.join('; ') : String(author || '');
+  return raw.split(/\s*[;|]\s*/).map(a => a.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one author string to its display name and life years.
+ * "Twain, Mark, 1835-1910" → { name: "Mark Twain", birth_year: 1835, death_year: 1910 }
+ * "Tolstoy, Leo, graf"     → { name: "Leo Tolstoy", ... }
+ * "Austen, Jane, b. 1775"  → { name: "Jane Austen", birth_year: 1775, death_year: null }
+ * Unknown / anonymous authors give name "".
+ */
+function parseAuthorName(author) {
+  let a = splitAuthors(author)[0] || '';
+  if (UNKNOWN_AUTHORS.has(a.toLowerCase())) return { name: '', birth_year: null, death_year: null };
+
+  // "[from old catalog]", "(Samuel Langhorne)"
+  a = a.replace(/\[[^\]]*\]/g, ' ').replace(/\([^)]*\)/g, ' ');
+
+  let birth = null;
+  let death = null;
+  const span = a.match(/(\d{3,4})\??\s*-\s*(\d{3,4})?/);
+  if (span) {
+    birth = parseInt(span[1], 10);
+    death = span[2] ? parseInt(span[2], 10) : null;
+  } else {
+    const b = a.match(/\bb\.\s*(\d{3,4})/i);
+    const d = a.match(/\bd\.\s*(\d{3,4})/i);
+    if (b) birth = parseInt(b[1], 10);
+    if (d) death = parseInt(d[1], 10);
+  }
+  a = a
+    .replace(/\b(?:b|d|fl|ca)\.\s*(?=\d)/gi, ' ')
+    .replace(/\d{1,4}\??\s*-\s*(?:\d{1,4}\??)?|\d{1,4}\??/g, ' ');
+
+  // Inverted "Last, First[, role]" form
+  const parts = a.split(',')
+    .map(p => p.replace(/\s+/g, ' ').trim().replace(/([^\s.]{2,})\.$/, '$1'))
+    .filter(p => p && !NAME_NOISE.has(foldText(p)));
+  const name = parts.length > 1 ? `${parts[1]} ${parts[0]}` : parts[0] || '';
+
+  return { name, birth_year: birth, death_year: death };
+}
+
+/** Folded, transliterated name words without roles and titles */
+function nameWords(name) {
+  return transliterate(foldText(name)).split(' ').filter(w => w && !NAME_NOISE.has(w));
+}
+
+/**
+ * URL slug for an author string: "Twain, Mark, 1835-1910" → "mark-twain".
+ * Empty for unknown authors.
+ */
+function authorSlug(author) {
+  return nameWords(parseAuthorName(author).name).join('-').slice(0, MAX_SLUG_LENGTH).replace(/-+$/, '');
+}
+
+/** Author page path for an author string, or null for unknown authors */
+function authorUrl(author) {
+  const slug = authorSlug(author);
+  return slug ? `/author/${slug}` : null;
+}
+
+function isValidSlug(slug) {
+  return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+/** Search name for a slug: "mark-twain" → "Mark Twain" */
+function nameFromSlug(slug) {
+  return String(slug || '').split('-').filter(Boolean).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+const sameWord = (a, b) => a === b || (phoneticKey(a) !== null && phoneticKey(a) === phoneticKey(b));
+
+/** Surname of one appears in the other's name after its first word */
+function sameSurname(a, b) {
+  const last = a[a.length - 1];
+  return b.slice(b.length > 1 ? 1 : 0).some(w => sameWord(w, last));
+}
+
+/** First names agree, or one is the other's initial ("J." / "Jane"); missing ones agree */
+function sameGivenName(a, b) {
+  if (a.length < 2 || b.length < 2) return true;
+  const [x, y] = [a[0], b[0]];
+  return sameWord(x, y) || (x.length === 1 && y.startsWith(x)) || (y.length === 1 && x.startsWith(y));
+}
+
+/**
+ * True when any author of a book's author string is the named author.
+ * "Twain, Mark" / "Mark Twain" / "M. Twain" match "Mark Twain"; "John Twain" does not.
+ * Transliterations meet via phonetic keys ("Tolstoi, Lev" matches "Lev Tolstoy").
+ * @param {string|string[]} author - book author field
+ * @param {string} name - the page's author
+ */
+function matchesAuthor(author, name) {
+  const target = nameWords(parseAuthorName(name).name);
+  if (!target.length) return false;
+  return splitAuthors(author).some(one => {
+    const words = nameWords(parseAuthorName(one).name);
+    if (!words.length) return false;
+    return (sameSurname(words, target) || sameSurname(target, words)) && sameGivenName(words, target);
+  });
+}
+
+/**
+ * Merge author records, most trusted first: the first non-empty value of each
+ * field wins; alternate names and links are combined.
+ */
+function mergeAuthorInfo(parts) {
+  const out = { alternate_names: [], links: [] };
+  const seenLinks = new Set();
+  for (const part of parts) {
+    if (!part) continue;
+    for (const [key, value] of Object.entries(part)) {
+      if (key === 'alternate_names') {
+        for (const n of value || []) if (n && !out.alternate_names.includes(n)) out.alternate_names.push(n);
+      } else if (key === 'links') {
+        for (const link of value || []) {
+          if (!link || !link.url || seenLinks.has(link.url)) continue;
+          seenLinks.add(link.url);
+          out.links.push(link);
+        }
+      } else if (out[key] == null && value != null && value !== '') {
+        out[key] = value;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Upstream records for the author of a slug, merged (bio, life years, photo, links).
+ * Records whose name isn't the author (fuzzy upstream search) are dropped.
+ * @param {string} slug - valid slug (see isValidSlug)
+ * @returns {Promise<object>} { slug, name, found, birth_year, death_year, bio, photo_url,
+ *   source_url, alternate_names[], links[] }
+ */
+async function getAuthorInfo(slug) {
+  const searchName = nameFromSlug(slug);
+  const key = `author:${slug}`;
+  let fetched = cache.get(key);
+  if (!fetched) {
+    const names = sources.enabledSources()
+      .filter(s => typeof s.lookupAuthor === 'function')
+      .map(s => s.name);
+    const results = await Promise.all(names.map(n => sources.runAuthorLookup(n, searchName)));
+    const records = results
+      .map(r => r.item)
+      .filter(item => item && item.name && matchesAuthor(item.name, searchName));
+    fetched = { records };
+    // Don't pin a transient failure for the whole TTL
+    if (records.length || results.every(r => r.status === 'ok' || r.status === 'unsupported')) {
+      cache.set(key, fetched, INFO_CACHE_TTL_MS);
+    }
+  }
+
+  const info = mergeAuthorInfo(fetched.records.map(r => ({ ...r, name: parseAuthorName(r.name).name })));
+  return {
+    ...info,
+    slug,
+    name: info.name || searchName,
+    found: fetched.records.length > 0,
+  };
+}
+
+module.exports = {
+  splitAuthors,
+  parseAuthorName,
+  authorSlug,
+  authorUrl,
+  isValidSlug,
+  nameFromSlug,
+  matchesAuthor,
+  mergeAuthorInfo,
+  getAuthorInfo,
+};
@@ -0,0 +1,330 @@
+// lib/bookDetails.js
+// Metadata for the book page (/book/:provider/:providerId, routes/book.js).
+//
+// A book's details are merged from whatever knows about it, most specific first:
+//   catalog_books row (provider "catalog")  description, subjects, license, file sizes
+//   archive.org metadata (archive scans)    description, subjects, license, pages, files
+//   the provider's lookup (lib/sources)     description, subjects, license
+//   query hints from the link (title, author, cover, ...), see buildBookUrl
+// Hints only fill gaps: a book with no record from any of the others is not found,
+// and hinted fields are listed in `hinted` so pages keep them out of OpenGraph and
+// JSON-LD.
+// Editions across providers come from the search pipeline (findWork in routes/search.js).
+
+const { getArchiveMetadataCached, analyzeArchiveFiles } = require('./archiveMetadata');
+const { normalizeSubject, splitSubjects } = require('./catalogBrowse');
+const { normalizeLanguage } = require('./searchFilters');
+const sources = require('./sources');
+const { LRUCache } = require('../utils/lru');
+const { buildOpenUrl, canonicalBookKey, extractArchiveId, isNumericOnly, normalizeMeta } = require('../utils/bookHelpers');
+
+const CACHE_TTL_MS = 30 * 60 * 1000;
+// Books with a record only: ids nobody can resolve aren't kept
+const MAX_CACHED_BOOKS = 2000;
+const MAX_SUBJECTS = 20;
+const MAX_DESCRIPTION = 5000;
+const CATALOG_COLUMNS = 'id, source, source_id, title, authors, language, published_year, subjects, description, ' +
+  'source_url, cover_url, epub_url, pdf_url, epub_size, pdf_size, license';
+
+// Lazy-load supabase so the page works without a catalog
+let supabaseServer = null;
+function getSupabase() {
+  if (!supabaseServer) {
+    try {
+      supabaseServer = require('./supabaseServer');
+    } catch (err) {
+      console.error('[bookDetails] Failed to load supabaseServer:', err.message);
+      return null;
+    }
+  }
+  return supabaseServer;
+}
+
+const cache = new LRUCache(MAX_CACHED_BOOKS);
+
+// -- Field helpers --------------------------------------------------------------
+
+const first = v => (Array.isArray(v) ? v[0] : v);
+
+function toYear(value) {
+  const m = String(first(value) || '').match(/\b(\d{4})\b/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/** Plain text from a (possibly HTML) description, capped */
+function plainText(value) {
+  const raw = Array.isArray(value) ? value.join('\n\n') : value;
+  if (!raw) return null;
+  const text = String(raw)
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+  if (!text) return null;
+  return text.length > MAX_DESCRIPTION ? text.slice(0, MAX_DESCRIPTION).replace(/\s+\S*$/, '') + '…' : text;
+}
+
+/**
+ * Human label for a license URL or statement.
+ * "https://creativecommons.org/licenses/by-nc/4.0/" → "CC BY-NC 4.0"
+ */
+function licenseLabel(value) {
+  const raw = String(first(value) || '').trim();
+  if (!raw) return null;
+  const cc = raw.match(/creativecommons\.org\/licenses\/([a-z-]+)\/(\d\.\d)/i);
+  if (cc) return `CC ${cc[1].toUpperCase()} ${cc[2]}`;
+  if (/creativecommons\.org\/publicdomain\/zero/i.test(raw)) return 'CC0 (public domain)';
+  if (/creativecommons\.org\/publicdomain\/mark/i.test(raw)) return 'Public domain';
+  if (/^https?:\/\//i.test(raw)) return null; // some other license page, not worth showing as text
+  return raw.length > 120 ? null : raw;
+}
+
+// -- Per-source mapping ------------------------------------------------------------
+
+/**
+ * Details from an archive.org /metadata response
+ * @returns {object|null}
+ */
+function fromArchiveMetadata(data) {
+  const meta = data && data.metadata;
+  if (!meta) return null;
+  const analysis = analyzeArchiveFiles(data);
+  const all = analysis.allFiles || { epubs: [], pdfs: [] };
+  const files = [];
+  if (all.epubs[0]) files.push({ format: 'epub', size: all.epubs[0].size || null });
+  if (all.pdfs[0]) files.push({ format: 'pdf', size: all.pdfs[0].size || null });
+  const pages = parseInt(meta.imagecount, 10);
+  return {
+    title: first(meta.title) || null,
+    author: [].concat(meta.creator || []).join('; ') || null,
+    description: plainText(meta.description),
+    subjects: [].concat(meta.subject || []).flatMap(s => String(s).split(/\s*;\s*/)),
+    year: toYear(meta.date) || toYear(meta.year),
+    language: normalizeLanguage(meta.language),
+    license: licenseLabel(meta.licenseurl) || licenseLabel(meta.rights),
+    page_count: pages > 0 ? pages : null,
+    files,
+    // Borrow-only and DRM items list no usable file
+    readable: analysis.readable === false ? false : null,
+  };
+}
+
+/**
+ * Details from a catalog_books row
+ * @returns {object|null}
+ */
+function fromCatalogRow(row) {
+  if (!row) return null;
+  const files = [];
+  if (row.epub_url) files.push({ format: 'epub', size: row.epub_size || null });
+  if (row.pdf_url) files.push({ format: 'pdf', size: row.pdf_size || null });
+  return {
+    title: row.title || null,
+    author: row.authors || null,
+    cover_url: row.cover_url || null,
+    description: plainText(row.description),
+    subjects: splitSubjects(row.subjects),
+    year: row.published_year || null,
+    language: normalizeLanguage(row.language),
+    license: licenseLabel(row.license),
+    source_url: row.source_url || null,
+    direct_url: row.epub_url || row.pdf_url || null,
+    format: row.epub_url ? 'epub' : row.pdf_url ? 'pdf' : null,
+    files,
+  };
+}
+
+/**
+ * Details from a source's lookup() item (lib/sources)
+ * @returns {object|null}
+ */
+function fromLookup(item) {
+  if (!item) return null;
+  return { ...item, description: plainText(item.description) };
+}
+
+/**
+ * Merge detail parts, most trusted first: the first non-empty value of each field
+ * wins; subjects are combined and deduped.
+ */
+function mergeDetails(parts) {
+  const out = { subjects: [], files: [] };
+  const seenSubjects = new Set();
+  for (const part of parts) {
+    if (!part) continue;
+    for (const [key, value] of Object.entries(part)) {
+      if (key === 'subjects') {
+        for (const raw of value || []) {
+          const subject = normalizeSubject(raw);
+          if (!subject || seenSubjects.has(subject.key) || out.subjects.length >= MAX_SUBJECTS) continue;
+          seenSubjects.add(subject.key);
+          out.subjects.push(subject.label);
+        }
+      } else if (key === 'files') {
+        if (!out.files.length && value && value.length) out.files = value;
+      } else if (out[key] == null && value != null && value !== '') {
+        out[key] = value;
+      }
+    }
+  }
+  return out;
+}
+
+// -- Lookup --------------------------------------------------------------------
+
+async function loadCatalogRow(id) {
+  const supabase = getSupabase();
+  if (!supabase) return null;
+  const { data, error } = await supabase
+    .from('catalog_books')
+    .select(CATALOG_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`catalog_books: ${error.message}`);
+  return data;
+}
+
+/** Swallow a part's failure so the page still renders from the rest */
+function settle(label, promise) {
+  return Promise.resolve(promise).catch(err => {
+    console.warn(`[bookDetails] ${label} failed: ${err.message}`);
+    return null;
+  });
+}
+
+/**
+ * Everything we know about one book, for the book page. Cached per provider id
+ * (and hinted archive id) once a record was found; the other query hints only
+ * fill gaps and are not part of the key.
+ * @param {string} provider
+ * @param {string} providerId - raw id
+ * @param {object} [hints] - { title, author, cover, year, language, format, direct_url, source_url, archive_id }
+ * @returns {Promise<object>} { provider, provider_id, title, author, cover_url, description, subjects[],
+ *   year, language, license, page_count, files[], source_url, direct_url, format, archive_id,
+ *   readable, open_url, book_key, found, hinted[] }
+ */
+async function getBookDetails(provider, providerId, hints = {}) {
+  const archiveId = provider === 'archive'
+    ? providerId
+    : extractArchiveId({ archive_id: hints.archive_id, source_url: hints.source_url });
+  const key = `book:${provider}:${providerId}:${archiveId || ''}`;
+  let fetched = cache.get(key);
+  if (!fetched) {
+    const [catalogRow, archiveData, lookup] = await Promise.all([
+      provider === 'catalog' ? settle('catalog', loadCatalogRow(providerId)) : null,
+      archiveId && !isNumericOnly(archiveId) ? settle('archive', getArchiveMetadataCached(archiveId)) : null,
+      sources.get(provider) ? sources.runLookup(provider, providerId) : null,
+    ]);
+    fetched = {
+      archive_id: archiveId || null,
+      parts: [fromCatalogRow(catalogRow), fromArchiveMetadata(archiveData), fromLookup(lookup && lookup.item)],
+      found: Boolean(catalogRow || (archiveData && archiveData.metadata) || (lookup && lookup.item)),
+    };
+    if (fetched.found) cache.set(key, fetched, CACHE_TTL_MS);
+  }
+
+  const hinted = {
+    title: hints.title || null,
+    author: hints.author || null,
+    cover_url: hints.cover || null,
+    year: toYear(hints.year),
+    language: normalizeLanguage(hints.language),
+    format: hints.format || null,
+    direct_url: hints.direct_url || null,
+    source_url: hints.source_url || null,
+  };
+  const recorded = mergeDetails(fetched.parts);
+  if (!recorded.cover_url && fetched.archive_id) {
+    recorded.cover_url = `https://archive.org/services/img/${encodeURIComponent(fetched.archive_id)}`;
+  }
+  const details = mergeDetails([recorded, hinted]);
+  const meta = normalizeMeta({
+    provider,
+    provider_id: providerId,
+    archive_id: fetched.archive_id || '',
+    title: details.title || '',
+    author: details.author || '',
+    cover: details.cover_url || '',
+    source_url: details.source_url || '',
+    direct_url: details.direct_url || '',
+    format: details.format || '',
+  });
+
+  const openUrl = details.readable === false ? null : buildOpenUrl(meta);
+  return {
+    ...details,
+    provider,
+    provider_id: providerId,
+    archive_id: fetched.archive_id,
+    title: details.title || 'Untitled',
+    found: fetched.found,
+    hinted: Object.keys(hinted).filter(field => hinted[field] != null && recorded[field] == null),
+    readable: Boolean(openUrl) && (details.readable !== false),
+    open_url: openUrl,
+    book_key: canonicalBookKey(meta),
+  };
+}
+
+// -- schema.org ------------------------------------------------------------------
+
+/**
+ * schema.org Book JSON-LD for the page (no image / sameAs from query hints)
+ * @param {object} details - getBookDetails() result
+ * @param {{ url: string, editions?: Array }} opts - canonical page URL
+ */
+function buildJsonLd(details, { url, editions = [] } = {}) {
+  const ld = {
+    '@context': 'https://schema.org',
+    '@type': 'Book',
+    '@id': url,
+    url,
+    name: details.title,
+    isAccessibleForFree: true,
+  };
+  if (details.author) {
+    ld.author = String(details.author).split(/\s*;\s*/).filter(Boolean).map(name => ({ '@type': 'Person', name }));
+  }
+  if (details.description) ld.description = details.description;
+  const fromRecord = field => !(details.hinted || []).includes(field);
+  if (details.cover_url && /^https?:\/\//.test(details.cover_url) && fromRecord('cover_url')) ld.image = details.cover_url;
+  if (details.year) ld.datePublished = String(details.year);
+  if (details.language) ld.inLanguage = details.language;
+  if (details.subjects && details.subjects.length) ld.keywords = details.subjects.join(', ');
+  if (details.page_count) ld.numberOfPages = details.page_count;
+  if (details.license) ld.license = details.license;
+  if (details.source_url && /^https?:\/\//.test(details.source_url) && fromRecord('source_url')) ld.sameAs = details.source_url;
+  const formats = [...new Set([details.format, ...(details.files || []).map(f => f.format)].filter(Boolean))];
+  ld.workExample = (editions.length ? editions : [{ format: formats[0] || null, year: details.year, language: details.language }])
+    .map(e => {
+      const example = { '@type': 'Book', bookFormat: 'https://schema.org/EBook' };
+      if (e.format && e.format !== 'unknown') example.encodingFormat = e.format === 'pdf' ? 'application/pdf' : 'application/epub+zip';
+      if (e.year) example.datePublished = String(e.year);
+      if (e.language) example.inLanguage = e.language;
+      if (e.provider) example.provider = { '@type': 'Organization', name: e.provider };
+      return example;
+    });
+  return ld;
+}
+
+/** JSON for a <script type="application/ld+json"> block ("</" can't end the script early) */
+function jsonLdScript(ld) {
+  return JSON.stringify(ld).replace(/</g, '\\u003c');
+}
+
+module.exports = {
+  licenseLabel,
+  plainText,
+  fromArchiveMetadata,
+  fromCatalogRow,
+  mergeDetails,
+  getBookDetails,
+  buildJsonLd,
+  jsonLdScript,
+};
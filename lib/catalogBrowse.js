@@ -0,0 +1,179 @@
+// lib/catalogBrowse.js
+// Subject normalization and keyset pagination for the catalog browse API
+// (GET /api/catalog/subjects, GET /api/catalog/browse in routes/catalog.js).
+//
+// Subjects are stored as the harvested "; "-joined string. normalizeSubject()
+// follows the same rules as catalog_subject_label() in
+// supabase/20261019_catalog_browse.sql, so keys computed here match the
+// subject_keys column.
+//
+// Browse pages are keyset-paginated on (sort column, id): the cursor carries the
+// last row's sort value and id, so deep pages cost the same as the first and rows
+// inserted by a harvest never shift a page.
+
+const { normalizeLanguage, languageVariants, parseYear } = require('./searchFilters');
+
+const SORTS = {
+  title: { column: 'title', ascending: true },
+  newest: { column: 'published_year', ascending: false },
+  oldest: { column: 'published_year', ascending: true },
+  recent: { column: 'created_at', ascending: false },
+};
+const DEFAULT_SORT = 'title';
+const PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 60;
+
+/**
+ * One raw subject → { key, label }, or null when nothing is left.
+ * "bic Book Industry Communication::H Humanities::HB History" → History
+ */
+function normalizeSubject(raw) {
+  if (raw == null) return null;
+  let label = String(raw);
+  if (label.includes('::')) {
+    label = label.replace(/^[\s\S]*::\s*/, '').replace(/^[A-Z0-9]{1,8}\s+/, '');
+  }
+  label = label.replace(/\s+/g, ' ').trim().replace(/\.+$/, '');
+  if (!label) return null;
+  return { key: label.toLowerCase(), label };
+}
+
+function splitSubjects(subjects) {
+  if (!subjects) return [];
+  return String(subjects).split(/\s*;\s*/);
+}
+
+/**
+ * Count subjects over catalog rows (fallback when the catalog_subjects RPC is missing).
+ * The label is the most common spelling of a key, like mode() in the RPC.
+ * @returns {Array<{key, label, count}>} most common first
+ */
+function countSubjects(rows, { nameFilter = null, minCount = 1, limit = 200 } = {}) {
+  const byKey = new Map();
+  const filter = nameFilter ? nameFilter.toLowerCase() : null;
+  for (const row of rows) {
+    const seen = new Set();
+    for (const raw of splitSubjects(row.subjects)) {
+      const subject = normalizeSubject(raw);
+      if (!subject || seen.has(subject.key)) continue;
+      if (filter && !subject.key.includes(filter)) continue;
+      seen.add(subject.key);
+      let entry = byKey.get(subject.key);
+      if (!entry) {
+        entry = { key: subject.key, count: 0, labels: new Map() };
+        byKey.set(subject.key, entry);
+      }
+      entry.count++;
+      entry.labels.set(subject.label, (entry.labels.get(subject.label) || 0) + 1);
+    }
+  }
+  return [...byKey.values()]
+    .filter(entry => entry.count >= minCount)
+    .sort((a, b) => b.count - a.count || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .slice(0, limit)
+    .map(entry => {
+      const label = [...entry.labels.entries()]
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0][0];
+      return { key: entry.key, label, count: entry.count };
+    });
+}
+
+// -- Cursors ------------------------------------------------------------------
+
+function encodeCursor(sort, row) {
+  const { column } = SORTS[sort];
+  const value = row[column] === undefined ? null : row[column];
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id: row.id })).toString('base64url');
+}
+
+/** @returns {{value, id}|null} null when the cursor is malformed or from another sort */
+function decodeCursor(sort, cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!data || data.s !== sort || typeof data.id !== 'string' || !data.id) return null;
+    if (data.v !== null && typeof data.v !== 'string' && typeof data.v !== 'number') return null;
+    return { value: data.v, id: data.id };
+  } catch {
+    return null;
+  }
+}
+
+/** Quote a value for a PostgREST or=() filter (commas, dots and parentheses are syntax there) */
+function pgrstValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * PostgREST or=() expression selecting the rows after `cursor` in `sort` order.
+ * NULL sort values come last in both directions (see the order() in the route).
+ */
+function keysetFilter(sort, cursor) {
+  const { column, ascending } = SORTS[sort];
+  const id = pgrstValue(cursor.id);
+  if (cursor.value === null) {
+    return `and(${column}.is.null,id.gt.${id})`;
+  }
+  const value = pgrstValue(cursor.value);
+  return [
+    `${column}.${ascending ? 'gt' : 'lt'}.${value}`,
+    `and(${column}.eq.${value},id.gt.${id})`,
+    `${column}.is.null`,
+  ].join(',');
+}
+
+/** Postgres array literal for a cs (contains) filter on subject_keys */
+function subjectKeysFilter(key) {
+  return `{"${String(key).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"}`;
+}
+
+// -- Request parsing ----------------------------------------------------------
+
+/**
+ * Parse /api/catalog/browse query parameters.
+ *   subject=History      subject label or key
+ *   language=fr          ISO 639-1/2 code or English name
+ *   year_from / year_to  publication year range (inclusive)
+ *   sort=title|newest|oldest|recent
+ *   cursor=...           next_cursor of the previous page
+ *   limit=24
+ * @returns {{ error: string|null, subject, language, languages, yearFrom, yearTo, sort, cursor, limit }}
+ */
+function parseBrowseParams(query = {}) {
+  const sort = Object.hasOwn(SORTS, query.sort || '') ? query.sort : DEFAULT_SORT;
+  const language = normalizeLanguage(query.language || query.lang);
+  let yearFrom = parseYear(query.year_from);
+  let yearTo = parseYear(query.year_to);
+  if (yearFrom && yearTo && yearFrom > yearTo) [yearFrom, yearTo] = [yearTo, yearFrom];
+
+  let cursor = null;
+  let error = null;
+  if (query.cursor) {
+    cursor = decodeCursor(sort, query.cursor);
+    if (!cursor) error = 'invalid_cursor';
+  }
+
+  return {
+    error,
+    subject: normalizeSubject(query.subject),
+    language,
+    languages: language ? languageVariants(language) : null,
+    yearFrom,
+    yearTo,
+    sort,
+    cursor,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE),
+  };
+}
+
+module.exports = {
+  SORTS,
+  DEFAULT_SORT,
+  normalizeSubject,
+  splitSubjects,
+  countSubjects,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  subjectKeysFilter,
+  parseBrowseParams,
+};
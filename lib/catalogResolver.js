@@ -0,0 +1,170 @@
+// lib/catalogResolver.js
+// Background resolution of download files for catalog_books.
+//
+// The harvester only knows a record's landing page (source_url) and, for some
+// repositories, direct links carried in the OAI record. For each pending row the
+// resolver:
+//   - HEAD-checks direct EPUB/PDF links from the record (content type + size),
+//   - otherwise scrapes the landing page with the OAPEN/DOAB extractors of
+//     lib/landingFiles,
+// then stores the file URLs and sizes, a cover and the license. Only files the
+// reader proxy may fetch (lib/allowedDomains) are kept, so a 'resolved' row always
+// opens in the unified reader.
+//
+// Run from scripts/resolve-catalog.js, or in-process via startCatalogResolver()
+// (server.js, CATALOG_RESOLVER_INTERVAL_MIN). Persistence goes through a store
+// from lib/harvestStore.js.
+
+const { isAllowedProxyDomain, isAllowedExternalDomain } = require('./allowedDomains');
+const { resolveLandingFiles, validateCandidateUrl } = require('./landingFiles');
+
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 3;
+const RETRY_AFTER_MS = 24 * 60 * 60 * 1000;
+const DELAY_MS = 500;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Work out the file columns of one catalog_books row.
+ * @param {object} row - id, source_url, epub_url, pdf_url, cover_url, license, resolve_attempts
+ * @returns {Promise<object>} patch for harvestStore.updateBookFiles()
+ */
+async function resolveRowFiles(row, { resolveLanding = resolveLandingFiles, checkFile = validateCandidateUrl } = {}) {
+  const found = {};
+
+  // 1. Direct links from the OAI record
+  for (const format of ['epub', 'pdf']) {
+    const url = row[`${format}_url`];
+    if (!url) continue;
+    const result = await checkFile(url);
+    if (result.valid && result.format === format) found[format] = { url, size: result.size || null };
+  }
+
+  // 2. Landing page, unless the record already gave us an EPUB (the reader's first choice)
+  let landing = null;
+  const canScrape = Boolean(row.source_url) && isAllowedExternalDomain(row.source_url);
+  if (!found.epub && canScrape) {
+    landing = await resolveLanding(row.source_url, { logTag: 'catalogResolver' });
+    if (landing.epub) found.epub = { url: landing.epub.url, size: landing.epub.size || null };
+    if (landing.pdf && !found.pdf) found.pdf = { url: landing.pdf.url, size: landing.pdf.size || null };
+  }
+
+  const epub = found.epub && isAllowedProxyDomain(found.epub.url) ? found.epub : null;
+  const pdf = found.pdf && isAllowedProxyDomain(found.pdf.url) ? found.pdf : null;
+
+  let status = 'resolved';
+  let error = null;
+  if (!epub && !pdf) {
+    if (landing && (landing.error === 'fetch_failed' || landing.error === 'fetch_error')) {
+      status = 'error';
+      error = landing.error;
+    } else if (!canScrape && !found.epub && !found.pdf) {
+      status = 'unsupported';
+    } else {
+      status = 'none';
+      if (found.epub || found.pdf) error = 'domain_not_allowed';
+    }
+  }
+
+  return {
+    epub_url: epub ? epub.url : null,
+    pdf_url: pdf ? pdf.url : null,
+    epub_size: epub ? epub.size : null,
+    pdf_size: pdf ? pdf.size : null,
+    cover_url: row.cover_url || (landing && landing.cover_url) || null,
+    license: row.license || (landing && landing.license) || null,
+    files_status: status,
+    files_error: error,
+    files_checked_at: new Date().toISOString(),
+    resolve_attempts: (row.resolve_attempts || 0) + 1,
+  };
+}
+
+/**
+ * Resolve one batch of the queue.
+ * @param {object} opts
+ * @param {object} opts.store - lib/harvestStore store
+ * @param {number} [opts.limit]
+ * @returns {Promise<{checked, resolved, none, unsupported, errors, elapsedMs}>}
+ */
+async function runCatalogResolver({
+  store,
+  limit = BATCH_SIZE,
+  delayMs = DELAY_MS,
+  resolveRow = resolveRowFiles,
+  log = msg => console.log(`[catalogResolver] ${msg}`),
+} = {}) {
+  const started = Date.now();
+  const summary = { checked: 0, resolved: 0, none: 0, unsupported: 0, errors: 0, elapsedMs: 0 };
+
+  const rows = await store.listPendingFiles({
+    limit,
+    retryBefore: new Date(Date.now() - RETRY_AFTER_MS).toISOString(),
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  for (const row of rows) {
+    let patch;
+    try {
+      patch = await resolveRow(row);
+    } catch (err) {
+      patch = {
+        files_status: 'error',
+        files_error: err.message.substring(0, 500),
+        files_checked_at: new Date().toISOString(),
+        resolve_attempts: (row.resolve_attempts || 0) + 1,
+      };
+    }
+    await store.updateBookFiles(row.id, patch);
+
+    summary.checked++;
+    if (patch.files_status === 'resolved') summary.resolved++;
+    else if (patch.files_status === 'none') summary.none++;
+    else if (patch.files_status === 'unsupported') summary.unsupported++;
+    else summary.errors++;
+    log(`${row.source}:${row.source_id} → ${patch.files_status}` +
+      (patch.epub_url ? ' epub' : '') + (patch.pdf_url ? ' pdf' : '') +
+      (patch.files_error ? ` (${patch.files_error})` : ''));
+
+    if (delayMs) await sleep(delayMs);
+  }
+
+  summary.elapsedMs = Date.now() - started;
+  return summary;
+}
+
+/**
+ * Run a batch every `intervalMs` inside the web process. Batches never overlap and
+ * the timer does not keep the process alive.
+ * @returns {function} stop
+ */
+function startCatalogResolver({ store, intervalMs, limit = BATCH_SIZE }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const s = await runCatalogResolver({ store, limit, log: () => {} });
+      if (s.checked) {
+        console.log(`[catalogResolver] checked ${s.checked}: resolved ${s.resolved}, none ${s.none}, ` +
+          `unsupported ${s.unsupported}, errors ${s.errors} (${(s.elapsedMs / 1000).toFixed(1)}s)`);
+      }
+    } catch (err) {
+      console.error('[catalogResolver] batch failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  BATCH_SIZE,
+  MAX_ATTEMPTS,
+  resolveRowFiles,
+  runCatalogResolver,
+  startCatalogResolver,
+};
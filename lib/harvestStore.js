@@ -0,0 +1,173 @@
+// lib/harvestStore.js
+// Persistence for lib/oaiHarvester: catalog_books rows plus per-source harvest
+// state (watermark, resumption token of an unfinished run, last run summary)
+// in catalog_harvest_state, and the file-resolution queue of lib/catalogResolver.
+// The memory store backs --dry-run and the tests.
+
+const BOOKS = 'catalog_books';
+const STATE = 'catalog_harvest_state';
+// Keep .in() filters well under PostgREST's URL length limit
+const ID_CHUNK = 100;
+
+function chunks(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+function check({ data, error }, op) {
+  if (error) {
+    const err = new Error(`${op}: ${error.message}`);
+    err.code = 'HARVEST_STORE_ERROR';
+    err.cause = error;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * @param {object} supabase - service-role client from lib/supabaseServer
+ */
+function createSupabaseHarvestStore(supabase) {
+  return {
+    name: 'supabase',
+
+    async getState(source) {
+      return check(await supabase
+        .from(STATE)
+        .select('*')
+        .eq('source', source)
+        .maybeSingle(), 'getState');
+    },
+
+    /** Partial update: only the given columns change */
+    async saveState(source, patch) {
+      check(await supabase
+        .from(STATE)
+        .upsert({ source, ...patch, updated_at: new Date().toISOString() }, { onConflict: 'source' }), 'saveState');
+    },
+
+    /** source_ids of `ids` already in catalog_books */
+    async findExisting(source, ids) {
+      const found = new Set();
+      for (const part of chunks(ids, ID_CHUNK)) {
+        const rows = check(await supabase
+          .from(BOOKS)
+          .select('source_id')
+          .eq('source', source)
+          .in('source_id', part), 'findExisting') || [];
+        rows.forEach(r => found.add(r.source_id));
+      }
+      return found;
+    },
+
+    /**
+     * Insert or update by (source, source_id). Columns a row leaves out keep their
+     * value on existing rows: PostgREST upserts the union of a batch's columns, so
+     * rows are sent in groups that share the same set of columns.
+     */
+    async upsertBooks(rows) {
+      const groups = new Map();
+      for (const row of rows) {
+        const columns = Object.keys(row).sort().join(',');
+        if (!groups.has(columns)) groups.set(columns, []);
+        groups.get(columns).push(row);
+      }
+      for (const group of groups.values()) {
+        check(await supabase
+          .from(BOOKS)
+          .upsert(group, { onConflict: 'source,source_id', ignoreDuplicates: false }), 'upsertBooks');
+      }
+    },
+
+    /** @returns {Promise<number>} rows removed */
+    async deleteBooks(source, ids) {
+      let removed = 0;
+      for (const part of chunks(ids, ID_CHUNK)) {
+        const rows = check(await supabase
+          .from(BOOKS)
+          .delete()
+          .eq('source', source)
+          .in('source_id', part)
+          .select('id'), 'deleteBooks') || [];
+        removed += rows.length;
+      }
+      return removed;
+    },
+
+    /**
+     * Rows waiting for file resolution: 'pending', plus 'error' rows last checked
+     * before `retryBefore` with fewer than `maxAttempts` attempts
+     */
+    async listPendingFiles({ limit, retryBefore, maxAttempts }) {
+      return check(await supabase
+        .from(BOOKS)
+        .select('id, source, source_id, title, source_url, epub_url, pdf_url, cover_url, license, resolve_attempts')
+        .or(`files_status.eq.pending,and(files_status.eq.error,files_checked_at.lt.${retryBefore},resolve_attempts.lt.${maxAttempts})`)
+        .order('updated_at', { ascending: true })
+        .limit(limit), 'listPendingFiles') || [];
+    },
+
+    async updateBookFiles(id, patch) {
+      check(await supabase
+        .from(BOOKS)
+        .update(patch)
+        .eq('id', id), 'updateBookFiles');
+    },
+  };
+}
+
+function createMemoryHarvestStore() {
+  const books = new Map(); // "source\u0000source_id" → row
+  const state = new Map();
+  const key = (source, id) => `${source}\u0000${id}`;
+
+  return {
+    name: 'memory',
+    books,
+    state,
+
+    async getState(source) {
+      return state.has(source) ? { ...state.get(source) } : null;
+    },
+
+    async saveState(source, patch) {
+      state.set(source, { ...state.get(source), source, ...patch, updated_at: new Date().toISOString() });
+    },
+
+    async findExisting(source, ids) {
+      return new Set(ids.filter(id => books.has(key(source, id))));
+    },
+
+    async upsertBooks(rows) {
+      for (const row of rows) {
+        const k = key(row.source, row.source_id);
+        const existing = books.get(k);
+        books.set(k, existing
+          ? { ...existing, ...row }
+          : { id: k, files_status: 'pending', resolve_attempts: 0, ...row });
+      }
+    },
+
+    async deleteBooks(source, ids) {
+      let removed = 0;
+      for (const id of ids) if (books.delete(key(source, id))) removed++;
+      return removed;
+    },
+
+    async listPendingFiles({ limit, retryBefore, maxAttempts }) {
+      return [...books.values()]
+        .filter(row => row.files_status === 'pending' || (row.files_status === 'error' &&
+          row.files_checked_at < retryBefore && (row.resolve_attempts || 0) < maxAttempts))
+        .slice(0, limit)
+        .map(row => ({ ...row }));
+    },
+
+    async updateBookFiles(id, patch) {
+      const row = [...books.values()].find(r => r.id === id);
+      if (row) Object.assign(row, patch);
+    },
+  };
+}
+
+module.exports = { createSupabaseHarvestStore, createMemoryHarvestStore };
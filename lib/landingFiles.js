@@ -0,0 +1,391 @@
+// lib/landingFiles.js
+// Finds downloadable EPUB/PDF files on OAPEN and DOAB (DSpace) landing pages.
+// Used on demand by POST /api/external/token (routes/reader.js) and in the
+// background by lib/catalogResolver.js to make catalog_books rows readable.
+
+const { URL } = require('url');
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const LANDING_TIMEOUT_MS = 15000;
+const HEAD_TIMEOUT_MS = 10000;
+
+async function fetchWithTimeout(url, timeoutMs, headers, method = 'GET') {
+  return fetch(url, { method, headers, redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+}
+
+/**
+ * Helper: Normalize relative URL to absolute
+ */
+function toAbsoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  href = href.trim();
+  if (!href) return null;
+  if (href.startsWith('http://') || href.startsWith('https://')) return href;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Helper: Check if URL is a thumbnail/derivative (not actual content)
+ */
+function isThumbnailOrDerivative(href) {
+  if (!href) return true;
+  const lower = href.toLowerCase();
+  // Thumbnail patterns: .pdf.jpg, .pdf.png, etc.
+  if (/\.pdf\.(jpg|jpeg|png|gif|webp|svg)(\?|$)/i.test(lower)) return true;
+  // Image file extensions
+  if (/\.(jpg|jpeg|png|gif|webp|svg)(\?|$)/i.test(lower)) return true;
+  // Explicit thumbnail markers
+  if (lower.includes('_thumb') || lower.includes('thumbnail')) return true;
+  // Preview/cover paths (unless in bitstream)
+  if ((lower.includes('/cover/') || lower.includes('preview')) && !lower.includes('/bitstream/')) return true;
+  return false;
+}
+
+/**
+ * Helper: Validate candidate URL via HEAD request
+ * Returns { valid: true, contentType, format, size } or { valid: false }
+ * (size is the Content-Length in bytes, null when the server does not send one)
+ */
+async function validateCandidateUrl(url) {
+  try {
+    const response = await fetchWithTimeout(url, HEAD_TIMEOUT_MS, {
+      'User-Agent': BROWSER_UA,
+      'Accept': '*/*',
+      'Accept-Encoding': 'identity',
+    }, 'HEAD');
+    
+    if (!response.ok) {
+      return { valid: false, reason: `HTTP ${response.status}` };
+    }
+    
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const isPdf = contentType.includes('application/pdf');
+    const isEpub = contentType.includes('application/epub+zip') || contentType.includes('application/epub');
+    const isOctet = contentType.includes('application/octet-stream');
+    const length = parseInt(response.headers.get('content-length'), 10);
+    const size = Number.isFinite(length) && length > 0 ? length : null;
+    
+    if (isPdf) return { valid: true, contentType: 'application/pdf', format: 'pdf', size };
+    if (isEpub) return { valid: true, contentType: 'application/epub+zip', format: 'epub', size };
+    // Accept octet-stream if URL has .pdf or .epub extension
+    if (isOctet) {
+      const urlLower = url.toLowerCase();
+      if (urlLower.includes('.pdf')) return { valid: true, contentType, format: 'pdf', size };
+      if (urlLower.includes('.epub')) return { valid: true, contentType, format: 'epub', size };
+    }
+    
+    return { valid: false, reason: `Content-Type: ${contentType}` };
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+}
+
+/**
+ * OAPEN Extractor (library.oapen.org)
+ * Extracts downloadable files from OAPEN landing pages
+ */
+async function extractOapenFiles(landingUrl, html) {
+  const candidates = [];
+  const seenUrls = new Set();
+  
+  // 1. citation_pdf_url meta tag (most reliable)
+  const citationPdfMatch = html.match(/<meta\s+(?:name|property)=["']citation_pdf_url["']\s+content=["']([^"']+)["']/i)
+                        || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_pdf_url["']/i);
+  if (citationPdfMatch?.[1]) {
+    const url = toAbsoluteUrl(citationPdfMatch[1], landingUrl);
+    if (url && !seenUrls.has(url)) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'pdf', source: 'citation_pdf_url' });
+    }
+  }
+  
+  // 2. citation_epub_url meta tag
+  const citationEpubMatch = html.match(/<meta\s+(?:name|property)=["']citation_epub_url["']\s+content=["']([^"']+)["']/i)
+                         || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_epub_url["']/i);
+  if (citationEpubMatch?.[1]) {
+    const url = toAbsoluteUrl(citationEpubMatch[1], landingUrl);
+    if (url && !seenUrls.has(url)) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'epub', source: 'citation_epub_url' });
+    }
+  }
+  
+  // 3. JSON-LD contentUrl / encoding.contentUrl
+  const jsonLdMatches = html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  for (const match of jsonLdMatches) {
+    try {
+      const jsonData = JSON.parse(match[1]);
+      const contentUrls = [];
+      if (jsonData.contentUrl) contentUrls.push(jsonData.contentUrl);
+      if (jsonData.encoding?.contentUrl) contentUrls.push(jsonData.encoding.contentUrl);
+      if (Array.isArray(jsonData.encoding)) {
+        jsonData.encoding.forEach(enc => enc.contentUrl && contentUrls.push(enc.contentUrl));
+      }
+      for (const rawUrl of contentUrls) {
+        const url = toAbsoluteUrl(rawUrl, landingUrl);
+        if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
+          seenUrls.add(url);
+          const lower = url.toLowerCase();
+          if (lower.includes('.epub')) {
+            candidates.push({ url, format: 'epub', source: 'json-ld' });
+          } else if (lower.includes('.pdf')) {
+            candidates.push({ url, format: 'pdf', source: 'json-ld' });
+          }
+        }
+      }
+    } catch { /* ignore parse errors */ }
+  }
+  
+  // 4. <a href> containing "/bitstream/" and ending with .pdf or .epub
+  const bitstreamPattern = /href=["']([^"']*\/bitstream\/[^"']*)["']/gi;
+  let match;
+  while ((match = bitstreamPattern.exec(html)) !== null) {
+    const url = toAbsoluteUrl(match[1], landingUrl);
+    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
+    seenUrls.add(url);
+    const lower = url.toLowerCase();
+    const path = lower.split('?')[0].split('#')[0];
+    if (path.endsWith('.epub')) {
+      candidates.push({ url, format: 'epub', source: 'bitstream' });
+    } else if (path.endsWith('.pdf')) {
+      candidates.push({ url, format: 'pdf', source: 'bitstream' });
+    }
+  }
+  
+  // 5. Any href ending with .pdf or .epub (fallback)
+  const hrefPattern = /href=["']([^"']+)["']/gi;
+  while ((match = hrefPattern.exec(html)) !== null) {
+    const url = toAbsoluteUrl(match[1], landingUrl);
+    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
+    const lower = url.toLowerCase();
+    const path = lower.split('?')[0].split('#')[0];
+    if (path.endsWith('.epub')) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'epub', source: 'href' });
+    } else if (path.endsWith('.pdf')) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'pdf', source: 'href' });
+    }
+  }
+  
+  return candidates;
+}
+
+/**
+ * DOAB/DSpace Extractor (directory.doabooks.org)
+ * Extracts downloadable files from DOAB/DSpace landing pages
+ */
+async function extractDoabFiles(landingUrl, html) {
+  const candidates = [];
+  const seenUrls = new Set();
+  
+  // 1. citation_pdf_url meta tag
+  const citationPdfMatch = html.match(/<meta\s+(?:name|property)=["']citation_pdf_url["']\s+content=["']([^"']+)["']/i)
+                        || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_pdf_url["']/i);
+  if (citationPdfMatch?.[1]) {
+    const url = toAbsoluteUrl(citationPdfMatch[1], landingUrl);
+    if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'pdf', source: 'citation_pdf_url' });
+    }
+  }
+  
+  // 2. citation_epub_url meta tag
+  const citationEpubMatch = html.match(/<meta\s+(?:name|property)=["']citation_epub_url["']\s+content=["']([^"']+)["']/i)
+                         || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_epub_url["']/i);
+  if (citationEpubMatch?.[1]) {
+    const url = toAbsoluteUrl(citationEpubMatch[1], landingUrl);
+    if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'epub', source: 'citation_epub_url' });
+    }
+  }
+  
+  // 3. DSpace bitstream links - collect all hrefs/srcs containing "/bitstream/"
+  // Accept candidates without extensions too (verify via HEAD later)
+  const bitstreamPattern = /(?:href|src)=["']([^"']*\/bitstream\/[^"']*)["']/gi;
+  let match;
+  while ((match = bitstreamPattern.exec(html)) !== null) {
+    const url = toAbsoluteUrl(match[1], landingUrl);
+    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
+    seenUrls.add(url);
+    
+    const lower = url.toLowerCase();
+    const path = lower.split('?')[0].split('#')[0];
+    
+    if (path.endsWith('.epub')) {
+      candidates.push({ url, format: 'epub', source: 'bitstream' });
+    } else if (path.endsWith('.pdf')) {
+      candidates.push({ url, format: 'pdf', source: 'bitstream' });
+    } else if (!path.match(/\.(jpg|jpeg|png|gif|webp|svg|html|htm|xml|css|js)$/)) {
+      // No extension or unknown - mark for HEAD validation
+      candidates.push({ url, format: 'unknown', source: 'bitstream', needsValidation: true });
+    }
+  }
+  
+  // 4. Any href ending with .pdf or .epub (broader search)
+  const hrefPattern = /href=["']([^"']+)["']/gi;
+  while ((match = hrefPattern.exec(html)) !== null) {
+    const url = toAbsoluteUrl(match[1], landingUrl);
+    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
+    const lower = url.toLowerCase();
+    const path = lower.split('?')[0].split('#')[0];
+    if (path.endsWith('.epub')) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'epub', source: 'href' });
+    } else if (path.endsWith('.pdf')) {
+      seenUrls.add(url);
+      candidates.push({ url, format: 'pdf', source: 'href' });
+    }
+  }
+  
+  return candidates;
+}
+
+/**
+ * Validate candidates via HEAD requests and return verified files
+ */
+async function validateCandidates(candidates, maxCandidates = 10, logTag = 'landingFiles') {
+  const validatedFiles = [];
+  const toValidate = candidates.slice(0, maxCandidates);
+  
+  for (const candidate of toValidate) {
+    // Skip validation for known formats unless marked needsValidation
+    if (!candidate.needsValidation && (candidate.format === 'pdf' || candidate.format === 'epub')) {
+      // Still do a quick HEAD to confirm it's accessible
+      const result = await validateCandidateUrl(candidate.url);
+      if (result.valid) {
+        validatedFiles.push({
+          url: candidate.url,
+          format: result.format || candidate.format,
+          source: candidate.source,
+          size: result.size,
+          validated: true,
+        });
+      } else {
+        console.log(`[${logTag}] HEAD failed for ${candidate.url}: ${result.reason}`);
+      }
+    } else if (candidate.needsValidation) {
+      // Unknown format - must validate via HEAD
+      const result = await validateCandidateUrl(candidate.url);
+      if (result.valid && result.format) {
+        validatedFiles.push({
+          url: candidate.url,
+          format: result.format,
+          source: candidate.source,
+          size: result.size,
+          validated: true,
+        });
+      } else {
+        console.log(`[${logTag}] HEAD validation failed for ${candidate.url}: ${result.reason}`);
+      }
+    }
+  }
+  
+  return validatedFiles;
+}
+
+/**
+ * Cover image from og:image (never the PDF itself, which some DSpace themes use)
+ */
+function extractCoverUrl(landingUrl, html) {
+  const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i)
+                    || html.match(/<meta\s+content=["']([^"']+)["']\s+property=["']og:image["']/i);
+  const ogUrl = ogImageMatch?.[1]?.trim();
+  if (!ogUrl || ogUrl.toLowerCase().endsWith('.pdf')) return null;
+  return toAbsoluteUrl(ogUrl, landingUrl);
+}
+
+/**
+ * License of the book: a Creative Commons link (rel="license" first), else the
+ * DC.rights / DCTERMS.license meta text
+ */
+function extractLicense(landingUrl, html) {
+  const relLicense = html.match(/<a\s[^>]*rel=["']license["'][^>]*href=["']([^"']+)["']/i)
+                  || html.match(/<a\s[^>]*href=["']([^"']+)["'][^>]*rel=["']license["']/i);
+  if (relLicense?.[1]) return toAbsoluteUrl(relLicense[1], landingUrl);
+
+  const ccLink = html.match(/href=["'](https?:\/\/(?:www\.)?creativecommons\.org\/(?:licenses|publicdomain)\/[^"']+)["']/i);
+  if (ccLink?.[1]) return ccLink[1];
+
+  const rightsMeta = html.match(/<meta\s+name=["'](?:DC\.rights|DCTERMS\.license|DC\.rights\.uri)["']\s+content=["']([^"']+)["']/i)
+                  || html.match(/<meta\s+content=["']([^"']+)["']\s+name=["'](?:DC\.rights|DCTERMS\.license|DC\.rights\.uri)["']/i);
+  const rights = rightsMeta?.[1]?.trim();
+  return rights ? rights.slice(0, 500) : null;
+}
+
+/**
+ * Fetch a landing page and resolve it to validated files.
+ * Picks the extractor by host (generic pages try both) and HEAD-validates the
+ * first `maxCandidates` candidates.
+ *
+ * @returns {Promise<{ok: boolean, error: string|null, candidates: object[], files: object[],
+ *   epub: object|null, pdf: object|null, cover_url: string|null, license: string|null}>}
+ *   error is 'fetch_failed' (non-2xx), 'fetch_error' (network) or 'no_files_found'
+ */
+async function resolveLandingFiles(landingUrl, { maxCandidates = 10, logTag = 'landingFiles' } = {}) {
+  const result = { ok: false, error: null, candidates: [], files: [], epub: null, pdf: null, cover_url: null, license: null };
+
+  let html;
+  try {
+    const response = await fetchWithTimeout(landingUrl, LANDING_TIMEOUT_MS, {
+      'User-Agent': BROWSER_UA,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+    });
+    if (!response.ok) {
+      console.error(`[${logTag}] Failed to fetch landing page: HTTP ${response.status}`);
+      return { ...result, error: 'fetch_failed' };
+    }
+    html = await response.text();
+  } catch (err) {
+    console.error(`[${logTag}] fetch error for ${landingUrl}:`, err.message);
+    return { ...result, error: 'fetch_error' };
+  }
+
+  const isOapen = landingUrl.includes('library.oapen.org');
+  const isDoab = landingUrl.includes('directory.doabooks.org');
+  let candidates;
+  if (isOapen) {
+    candidates = await extractOapenFiles(landingUrl, html);
+  } else if (isDoab) {
+    candidates = await extractDoabFiles(landingUrl, html);
+  } else {
+    // Generic fallback: try both extractors
+    candidates = await extractOapenFiles(landingUrl, html);
+    if (candidates.length === 0) {
+      candidates = await extractDoabFiles(landingUrl, html);
+    }
+  }
+
+  const files = await validateCandidates(candidates, maxCandidates, logTag);
+  const epub = files.find(f => f.format === 'epub') || null;
+  const pdf = files.find(f => f.format === 'pdf') || null;
+
+  return {
+    ok: Boolean(epub || pdf),
+    error: epub || pdf ? null : 'no_files_found',
+    candidates,
+    files,
+    epub,
+    pdf,
+    cover_url: extractCoverUrl(landingUrl, html),
+    license: extractLicense(landingUrl, html),
+  };
+}
+
+module.exports = {
+  toAbsoluteUrl,
+  isThumbnailOrDerivative,
+  validateCandidateUrl,
+  validateCandidates,
+  extractOapenFiles,
+  extractDoabFiles,
+  extractCoverUrl,
+  extractLicense,
+  resolveLandingFiles,
+};
@@ -0,0 +1,412 @@
+// lib/oaiHarvester.js
+// Incremental OAI-PMH harvester for catalog_books.
+//
+// One run of harvestSource():
+//   - asks only for records changed since the source's watermark (from=),
+//   - follows resumption tokens, saving the token after every page so a crashed
+//     run picks up where it stopped,
+//   - upserts records into catalog_books and deletes rows for records the
+//     repository reports as deleted,
+//   - on completion moves the watermark to the responseDate of the run's first
+//     request (records changed while we were harvesting are picked up next time).
+//
+// Sources are configured in config/harvestSources.js; persistence goes through a
+// store from lib/harvestStore.js.
+
+const USER_AGENT = 'BookLantern/1.0 (OAI-PMH harvester; +https://booklantern.org)';
+const FETCH_TIMEOUT_MS = 60000;
+const FETCH_TRIES = 4;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const LICENSE_MAX_LENGTH = 500;
+
+class HarvestError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'HarvestError';
+    this.code = code || 'HARVEST_ERROR';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// -- XML helpers (OAI-PMH responses are regular enough for targeted regexes) ---
+
+function decodeEntities(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/** Text content of an element body: CDATA unwrapped, nested markup dropped */
+function textOf(inner) {
+  const parts = [];
+  const re = /<!\[CDATA\[([\s\S]*?)\]\]>|([^<]+)|<[^>]*>/g;
+  let m;
+  while ((m = re.exec(inner)) !== null) {
+    if (m[1] !== undefined) parts.push(m[1]);
+    else if (m[2] !== undefined) parts.push(decodeEntities(m[2]));
+  }
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/** Bodies of every <tag> / <ns:tag> element in xml */
+function elements(xml, tag) {
+  const re = new RegExp(`<(?:[\\w.-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}>`, 'gi');
+  const out = [];
+  let m;
+  while ((m = re.exec(xml)) !== null) out.push(m[1]);
+  return out;
+}
+
+function values(xml, tag) {
+  return elements(xml, tag).map(textOf).filter(Boolean);
+}
+
+function attr(tagXml, name) {
+  const m = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(tagXml);
+  return m ? decodeEntities(m[1]) : null;
+}
+
+/**
+ * Parse a ListRecords (or Identify / error) response.
+ * @returns {{ responseDate: string|null, error: {code, message}|null, records: object[],
+ *             resumptionToken: string|null, completeListSize: number|null }}
+ */
+function parseOaiResponse(xml) {
+  const errorMatch = /<(?:[\w.-]+:)?error\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w.-]+:)?error>)/i.exec(xml);
+  const error = errorMatch
+    ? { code: attr(errorMatch[1], 'code') || 'unknown', message: textOf(errorMatch[2] || '') }
+    : null;
+
+  const records = [];
+  for (const recordXml of elements(xml, 'record')) {
+    const headerMatch = /<(?:[\w.-]+:)?header\b([^>]*)>([\s\S]*?)<\/(?:[\w.-]+:)?header>/i.exec(recordXml);
+    if (!headerMatch) continue;
+    const identifier = values(headerMatch[2], 'identifier')[0];
+    if (!identifier) continue;
+    const metadataXml = elements(recordXml, 'metadata')[0] || '';
+    records.push({
+      identifier,
+      datestamp: values(headerMatch[2], 'datestamp')[0] || null,
+      deleted: attr(headerMatch[1], 'status') === 'deleted',
+      metadata: {
+        title: values(metadataXml, 'title'),
+        creator: values(metadataXml, 'creator'),
+        subject: values(metadataXml, 'subject'),
+        language: values(metadataXml, 'language'),
+        description: values(metadataXml, 'description'),
+        date: values(metadataXml, 'date'),
+        identifier: values(metadataXml, 'identifier'),
+        type: values(metadataXml, 'type'),
+        publisher: values(metadataXml, 'publisher'),
+        relation: values(metadataXml, 'relation'),
+        rights: values(metadataXml, 'rights'),
+      },
+    });
+  }
+
+  // <resumptionToken .../> or an empty element marks the last page
+  const tokenMatch = /<(?:[\w.-]+:)?resumptionToken\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:[\w.-]+:)?resumptionToken>)/i.exec(xml);
+  const token = tokenMatch ? textOf(tokenMatch[2] || '') : '';
+  const size = tokenMatch ? parseInt(attr(tokenMatch[1], 'completeListSize'), 10) : NaN;
+
+  return {
+    responseDate: values(xml, 'responseDate')[0] || null,
+    error,
+    records,
+    resumptionToken: token || null,
+    completeListSize: Number.isFinite(size) ? size : null,
+  };
+}
+
+/** 'epub' | 'pdf' | 'image' for direct file links (by path extension), else null */
+function linkType(url) {
+  let path;
+  try {
+    path = new URL(url).pathname.toLowerCase();
+  } catch {
+    return null;
+  }
+  if (path.endsWith('.epub')) return 'epub';
+  if (path.endsWith('.pdf')) return 'pdf';
+  if (/\.(jpe?g|png|gif|webp)$/.test(path)) return 'image';
+  return null;
+}
+
+/** Prefer a Creative Commons URL, then a CC / public domain statement, then any rights text */
+function pickLicense(rights) {
+  const license = rights.find(r => /creativecommons\.org\//i.test(r))
+    || rights.find(r => /^(cc[\s-]|creative commons|public domain)/i.test(r))
+    || rights[0];
+  return license ? license.substring(0, LICENSE_MAX_LENGTH) : null;
+}
+
+/**
+ * Map an oai_dc record to a catalog_books row (null when it has no title).
+ * Direct EPUB/PDF links, a cover image and the license are only set when the record
+ * carries them, so re-harvesting never clears what lib/catalogResolver filled in.
+ */
+function mapDublinCore(record, source) {
+  const md = record.metadata;
+  const title = md.title[0];
+  if (!title) return null;
+
+  let description = md.description[0] || null;
+  if (description && description.length > DESCRIPTION_MAX_LENGTH) {
+    description = description.substring(0, DESCRIPTION_MAX_LENGTH) + '...';
+  }
+  const year = md.date.map(d => /\b(1[0-9]{3}|20[0-9]{2})\b/.exec(d)).find(Boolean);
+  const links = [...md.identifier, ...md.relation].filter(id => /^https?:\/\//i.test(id));
+  const landing = md.identifier.filter(id => /^https?:\/\//i.test(id) && !linkType(id));
+  const fileLink = type => links.filter(l => linkType(l) === type)
+    .sort((a, b) => Number(b.startsWith('https://')) - Number(a.startsWith('https://')))[0];
+
+  const row = {
+    source: source.key,
+    source_id: record.identifier,
+    title,
+    authors: [...new Set(md.creator)].join('; ') || null,
+    language: md.language[0] ? md.language[0].toLowerCase() : null,
+    published_year: year ? parseInt(year[1], 10) : null,
+    subjects: [...new Set(md.subject)].join('; ') || null,
+    description,
+    source_url: landing.find(id => id.startsWith('https://')) || landing[0] || null,
+    open_access: source.openAccess !== false,
+    updated_at: new Date().toISOString(),
+  };
+
+  const epubUrl = fileLink('epub');
+  const pdfUrl = fileLink('pdf');
+  const coverUrl = fileLink('image');
+  const license = pickLicense(md.rights);
+  if (epubUrl) row.epub_url = epubUrl;
+  if (pdfUrl) row.pdf_url = pdfUrl;
+  // The resolver still HEAD-checks harvested links (content type, size)
+  if (epubUrl || pdfUrl) row.files_status = 'pending';
+  if (coverUrl) row.cover_url = coverUrl;
+  if (license) row.license = license;
+  return row;
+}
+
+// -- HTTP ---------------------------------------------------------------------
+
+/**
+ * GET an OAI-PMH URL. Retries network errors, 429 and 5xx (honouring Retry-After,
+ * which repositories send with 503 when throttling). 4xx bodies are returned as-is
+ * because OAI errors (badResumptionToken, ...) may come with a 400 status.
+ */
+async function fetchOai(url, { tries = FETCH_TRIES, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= tries; attempt++) {
+    let res;
+    let body;
+    try {
+      res = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/xml, application/xml' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      body = await res.text();
+    } catch (err) {
+      lastError = err;
+      if (attempt < tries) await sleep(2000 * attempt);
+      continue;
+    }
+    if (res.status === 429 || res.status >= 500) {
+      lastError = new HarvestError(`HTTP ${res.status} for ${url}`, 'HTTP_ERROR');
+      const retryAfter = parseInt(res.headers.get('retry-after'), 10);
+      if (attempt < tries) await sleep(Number.isFinite(retryAfter) ? Math.min(retryAfter, 120) * 1000 : 2000 * attempt);
+      continue;
+    }
+    if (res.ok || body.includes('<OAI-PMH')) return body;
+    throw new HarvestError(`HTTP ${res.status} for ${url}`, 'HTTP_ERROR');
+  }
+  throw lastError || new HarvestError(`Failed to fetch ${url}`);
+}
+
+// -- Harvest run --------------------------------------------------------------
+
+function buildUrl(baseUrl, params) {
+  const qs = new URLSearchParams(params);
+  return baseUrl + (baseUrl.includes('?') ? '&' : '?') + qs.toString();
+}
+
+/** Trim a timestamp to the repository's datestamp granularity */
+function formatDatestamp(value, granularity) {
+  const iso = new Date(value).toISOString();
+  return granularity === 'YYYY-MM-DD' ? iso.slice(0, 10) : iso.replace(/\.\d{3}Z$/, 'Z');
+}
+
+async function identify(source, fetchText) {
+  try {
+    const xml = await fetchText(buildUrl(source.baseUrl, { verb: 'Identify' }));
+    return {
+      granularity: values(xml, 'granularity')[0] || 'YYYY-MM-DD',
+      deletedRecord: values(xml, 'deletedRecord')[0] || 'no',
+    };
+  } catch (err) {
+    // Day granularity is always valid and only ever re-fetches a little more
+    return { granularity: 'YYYY-MM-DD', deletedRecord: 'unknown' };
+  }
+}
+
+/**
+ * Harvest one configured source.
+ *
+ * @param {string} key - source name (catalog_books.source), see config/harvestSources.js
+ * @param {object} source - config entry { baseUrl, metadataPrefix, set, delayMs, openAccess }
+ * @param {object} options
+ * @param {object} options.store - lib/harvestStore store
+ * @param {boolean} [options.full] - ignore the watermark and any interrupted run
+ * @param {string} [options.from] - explicit from= date (overrides the watermark)
+ * @param {number} [options.maxPages] - stop after N pages; the run resumes next time
+ * @param {Function} [options.fetchText] - url → XML string (tests)
+ * @param {Function} [options.log]
+ * @returns {Promise<object>} summary { source, added, updated, deleted, failed, pages, complete, ... }
+ */
+async function harvestSource(key, source, options) {
+  const {
+    store,
+    full = false,
+    maxPages = 0,
+    fetchText = fetchOai,
+    log = msg => console.log(`[harvest:${key}] ${msg}`),
+  } = options;
+  const config = { metadataPrefix: 'oai_dc', delayMs: 300, ...source, key };
+  const startedAt = Date.now();
+  const state = (await store.getState(key)) || {};
+
+  const summary = {
+    source: key,
+    added: 0,
+    updated: 0,
+    deleted: 0,
+    failed: 0,
+    pages: 0,
+    from: null,
+    resumed: false,
+    complete: false,
+  };
+
+  let token = null;
+  let from = null;
+  let runStartedAt = null;
+
+  if (!full && !options.from && state.resumption_token) {
+    // Interrupted run: continue with its token and keep its from/start time
+    token = state.resumption_token;
+    from = state.run_from || null;
+    runStartedAt = state.run_started_at || null;
+    summary.resumed = true;
+    log(`resuming interrupted run (from=${from || 'beginning'})`);
+  } else {
+    const since = options.from || (full ? null : state.watermark);
+    if (since) {
+      const { granularity, deletedRecord } = await identify(config, fetchText);
+      from = formatDatestamp(since, granularity);
+      if (deletedRecord === 'no') log('repository does not report deletions; removed records will linger');
+    }
+    log(from ? `incremental harvest from=${from}` : 'full harvest');
+  }
+  summary.from = from;
+
+  let retriedToken = false;
+  while (true) {
+    const params = token
+      ? { verb: 'ListRecords', resumptionToken: token }
+      : {
+          verb: 'ListRecords',
+          metadataPrefix: config.metadataPrefix,
+          ...(config.set ? { set: config.set } : {}),
+          ...(from ? { from } : {}),
+        };
+    const page = parseOaiResponse(await fetchText(buildUrl(config.baseUrl, params)));
+
+    if (page.error) {
+      if (page.error.code === 'noRecordsMatch') {
+        log('no new or changed records');
+        if (!runStartedAt) runStartedAt = page.responseDate || new Date(startedAt).toISOString();
+        break;
+      }
+      if (page.error.code === 'badResumptionToken' && token && !retriedToken) {
+        // Tokens expire; redo the interrupted run's window from its start
+        log(`resumption token rejected, restarting from=${from || 'beginning'}`);
+        retriedToken = true;
+        token = null;
+        runStartedAt = null;
+        continue;
+      }
+      throw new HarvestError(`OAI error ${page.error.code}: ${page.error.message}`, 'OAI_ERROR');
+    }
+
+    if (!runStartedAt) runStartedAt = page.responseDate || new Date(startedAt).toISOString();
+    summary.pages++;
+
+    const rows = new Map();
+    const deletedIds = [];
+    for (const record of page.records) {
+      if (record.deleted) {
+        deletedIds.push(record.identifier);
+        continue;
+      }
+      const row = mapDublinCore(record, config);
+      if (row) rows.set(row.source_id, row); // last version wins within a page
+      else summary.failed++;
+    }
+
+    if (rows.size) {
+      const existing = await store.findExisting(key, [...rows.keys()]);
+      for (const id of rows.keys()) {
+        if (existing.has(id)) summary.updated++;
+        else summary.added++;
+      }
+      await store.upsertBooks([...rows.values()]);
+    }
+    if (deletedIds.length) summary.deleted += await store.deleteBooks(key, deletedIds);
+
+    token = page.resumptionToken;
+    await store.saveState(key, {
+      resumption_token: token,
+      run_from: from,
+      run_started_at: runStartedAt,
+    });
+
+    const total = page.completeListSize ? ` of ~${page.completeListSize}` : '';
+    log(`page ${summary.pages}: ${page.records.length} records${total} ` +
+      `(+${summary.added} ~${summary.updated} -${summary.deleted} !${summary.failed})`);
+
+    if (!token) break;
+    if (maxPages > 0 && summary.pages >= maxPages) {
+      log(`stopping after ${maxPages} pages; the next run resumes from here`);
+      break;
+    }
+    await sleep(config.delayMs);
+  }
+
+  summary.complete = !token;
+  summary.elapsedMs = Date.now() - startedAt;
+  if (summary.complete) {
+    summary.watermark = runStartedAt;
+    await store.saveState(key, {
+      watermark: runStartedAt,
+      resumption_token: null,
+      run_from: null,
+      run_started_at: null,
+    });
+  }
+  await store.saveState(key, { last_run_at: new Date().toISOString(), last_summary: summary });
+  return summary;
+}
+
+module.exports = {
+  HarvestError,
+  harvestSource,
+  parseOaiResponse,
+  mapDublinCore,
+  formatDatestamp,
+  fetchOai,
+};
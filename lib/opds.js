@@ -0,0 +1,305 @@
+// lib/opds.js
+// OPDS catalog feeds for e-reader apps (KOReader, Thorium, Moon+ Reader...).
+//
+// routes/opds.js builds one feed model per page and renders it either as
+// OPDS 1.2 (Atom XML) or OPDS 2.0 (JSON):
+//
+//   { id, title, updated, kind: 'navigation'|'acquisition',
+//     navigation: [{ title, href, summary?, kind? }],
+//     publications: [toPublication(book)], next?, prev?, up? }
+//
+// Feed hrefs are relative to the feed root (/opds/<key> or /opds/<key>/v2), so a
+// client that starts on v2 stays on v2; book links are site-absolute. Downloads
+// go through the signed file proxy (/api/proxy/file?token=), which needs no session.
+//
+// E-reader apps can't log in through Supabase, so each user gets a personal feed
+// key (feedKey) that stands in for the session in the feed URL. The key carries a
+// per-user version (lib/opdsFeedKeys) so the user can reset it.
+
+const crypto = require('crypto');
+const { buildOpenUrl, normalizeMeta, resolveDirectUrl } = require('../utils/bookHelpers');
+const { buildReaderToken, verifyReaderToken, getReaderTokenSecret } = require('../utils/buildReaderToken');
+const { isAllowedProxyDomain } = require('./allowedDomains');
+
+const MIME = {
+  navigation: 'application/atom+xml;profile=opds-catalog;kind=navigation',
+  acquisition: 'application/atom+xml;profile=opds-catalog;kind=acquisition',
+  opds2: 'application/opds+json',
+  opensearch: 'application/opensearchdescription+xml',
+  html: 'text/html',
+};
+const FORMAT_MIME = { epub: 'application/epub+zip', pdf: 'application/pdf' };
+const REL = {
+  acquisition: 'http://opds-spec.org/acquisition/open-access',
+  image: 'http://opds-spec.org/image',
+  thumbnail: 'http://opds-spec.org/image/thumbnail',
+};
+
+// -- Feed keys ----------------------------------------------------------------
+
+function keySignature(secret, id, version) {
+  return crypto.createHmac('sha256', secret).update(`opds:${id}:${version}`).digest('base64url').slice(0, 32);
+}
+
+/**
+ * Personal feed key for a user: "<base64url user id>.<key version>.<signature>".
+ * Stable for a user until the key version (lib/opdsFeedKeys) or the signing secret changes.
+ */
+function feedKey(userId, version) {
+  const secret = getReaderTokenSecret();
+  if (!secret) throw new Error('Cannot sign OPDS feed key: no secret configured');
+  const id = Buffer.from(String(userId)).toString('base64url');
+  return `${id}.${version}.${keySignature(secret, id, version)}`;
+}
+
+/**
+ * Checks the signature only; the caller compares `version` with the user's current one.
+ * @returns {{ userId: string, version: number }|null}
+ */
+function verifyFeedKey(key) {
+  const [id, version, sig] = String(key || '').split('.');
+  const secret = getReaderTokenSecret();
+  if (!id || !/^[1-9]\d{0,8}$/.test(version || '') || !sig || !secret) return null;
+  const expected = Buffer.from(keySignature(secret, id, version));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const userId = Buffer.from(id, 'base64url').toString('utf8');
+  return userId ? { userId, version: Number(version) } : null;
+}
+
+// -- Publications -------------------------------------------------------------
+
+/** direct_url + format from a stored /unified-reader?token= URL */
+function fileFromReaderUrl(readerUrl) {
+  const m = String(readerUrl || '').match(/[?&]token=([^&#]+)/);
+  if (!m) return null;
+  let payload = null;
+  try { payload = verifyReaderToken(decodeURIComponent(m[1])); } catch (_) { /* not ours */ }
+  return payload && payload.direct_url ? { direct_url: payload.direct_url, format: payload.format || 'epub' } : null;
+}
+
+function imageType(url) {
+  const ext = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  if (ext === 'png') return 'image/png';
+  if (ext === 'svg') return 'image/svg+xml';
+  if (ext === 'gif') return 'image/gif';
+  return 'image/jpeg';
+}
+
+/**
+ * Map a book from any of our lists (search item, curated row, favorite,
+ * progress row, trending entry) to an OPDS publication.
+ * Only EPUB/PDF files the proxy may fetch get an acquisition link; everything
+ * else links to its BookLantern page or source instead.
+ * @param {object} book - { provider, provider_id, title, author, cover, language, year, summary,
+ *   updated, direct_url, format, archive_id, source_url, reader_url, open_url }
+ */
+function toPublication(book) {
+  const provider = book.provider || 'unknown';
+  const providerId = book.provider_id || '';
+  const meta = normalizeMeta({
+    provider,
+    provider_id: providerId,
+    title: book.title || '',
+    author: book.author || '',
+    cover: book.cover || '',
+    source_url: book.source_url || '',
+    direct_url: book.direct_url || '',
+    archive_id: book.archive_id || '',
+    format: book.format || '',
+  });
+
+  let file = book.direct_url ? { direct_url: book.direct_url, format: book.format || 'epub' } : fileFromReaderUrl(book.reader_url);
+  if (!file) {
+    file = resolveDirectUrl(provider, providerId, {
+      sourceUrl: book.source_url, readerUrl: book.reader_url, format: book.format,
+    });
+  }
+
+  let acquisition = null;
+  const format = file && String(file.format || '').toLowerCase();
+  if (file && FORMAT_MIME[format] && isAllowedProxyDomain(file.direct_url)) {
+    try {
+      const token = buildReaderToken({
+        provider: file.provider || provider,
+        provider_id: file.provider_id || providerId,
+        title: book.title || '',
+        author: book.author || '',
+        cover_url: book.cover || '',
+        format,
+        direct_url: file.direct_url,
+        source_url: book.source_url || '',
+        ...(book.archive_id ? { archive_id: book.archive_id } : {}),
+      });
+      acquisition = { href: '/api/proxy/file?token=' + encodeURIComponent(token), type: FORMAT_MIME[format] };
+    } catch (e) {
+      console.warn('[opds] token build failed:', e.message);
+    }
+  }
+
+  const year = book.year ? String(book.year).match(/\d{4}/) : null;
+  return {
+    id: `urn:booklantern:book:${provider}:${providerId || meta.title}`,
+    title: book.title || 'Untitled',
+    author: book.author || null,
+    language: book.language || null,
+    year: year ? year[0] : null,
+    summary: book.summary || null,
+    updated: book.updated || null,
+    cover: book.cover && /^https?:\/\//.test(book.cover) ? book.cover : null,
+    acquisition,
+    alternate: book.open_url || buildOpenUrl(meta) || book.source_url || null,
+  };
+}
+
+// -- Rendering ----------------------------------------------------------------
+
+function xmlEscape(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Resolve a feed href: absolute URLs stay, "/path" is site-relative, anything
+ * else is relative to the feed root.
+ */
+function resolveHref(href, { origin, root }) {
+  if (/^https?:\/\//.test(href)) return href;
+  if (href.startsWith('/')) return origin + href;
+  return href ? `${root}/${href}` : root;
+}
+
+/**
+ * OPDS 1.2 (Atom) document for a feed model.
+ * @param {object} feed
+ * @param {{ origin: string, root: string, self: string }} urls - self is the requested path
+ */
+function renderAtom(feed, urls) {
+  const href = h => xmlEscape(resolveHref(h, urls));
+  const updated = feed.updated || new Date().toISOString();
+  const kindType = kind => MIME[kind === 'acquisition' ? 'acquisition' : 'navigation'];
+  const link = (rel, h, type, extra = '') => `  <link rel="${rel}" href="${href(h)}" type="${type}"${extra}/>`;
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" ' +
+      'xmlns:opds="http://opds-spec.org/2010/catalog" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">',
+    `  <id>${xmlEscape(feed.id)}</id>`,
+    `  <title>${xmlEscape(feed.title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>BookLantern</name><uri>${xmlEscape(urls.origin)}</uri></author>`,
+    link('self', urls.self, kindType(feed.kind)),
+    link('start', '', MIME.navigation),
+    link('search', 'opensearch.xml', MIME.opensearch, ' title="Search BookLantern"'),
+  ];
+  if (feed.up != null) out.push(link('up', feed.up, MIME.navigation));
+  if (feed.prev) out.push(link('previous', feed.prev, kindType(feed.kind)));
+  if (feed.next) out.push(link('next', feed.next, kindType(feed.kind)));
+
+  for (const nav of feed.navigation || []) {
+    out.push(
+      '  <entry>',
+      `    <title>${xmlEscape(nav.title)}</title>`,
+      `    <id>${xmlEscape(feed.id + ':' + nav.href)}</id>`,
+      `    <updated>${updated}</updated>`,
+      nav.summary ? `    <content type="text">${xmlEscape(nav.summary)}</content>` : '',
+      `    <link rel="subsection" href="${href(nav.href)}" type="${kindType(nav.kind)}"/>`,
+      '  </entry>'
+    );
+  }
+
+  for (const pub of feed.publications || []) {
+    out.push(
+      '  <entry>',
+      `    <title>${xmlEscape(pub.title)}</title>`,
+      `    <id>${xmlEscape(pub.id)}</id>`,
+      `    <updated>${pub.updated || updated}</updated>`,
+      pub.author ? `    <author><name>${xmlEscape(pub.author)}</name></author>` : '',
+      pub.language ? `    <dc:language>${xmlEscape(pub.language)}</dc:language>` : '',
+      pub.year ? `    <dc:issued>${pub.year}</dc:issued>` : '',
+      pub.summary ? `    <summary type="text">${xmlEscape(pub.summary)}</summary>` : '',
+      pub.cover ? `    <link rel="${REL.image}" href="${href(pub.cover)}" type="${imageType(pub.cover)}"/>` : '',
+      pub.cover ? `    <link rel="${REL.thumbnail}" href="${href(pub.cover)}" type="${imageType(pub.cover)}"/>` : '',
+      pub.acquisition ? `    <link rel="${REL.acquisition}" href="${href(pub.acquisition.href)}" type="${pub.acquisition.type}"/>` : '',
+      pub.alternate ? `    <link rel="alternate" href="${href(pub.alternate)}" type="${MIME.html}" title="Open on BookLantern"/>` : '',
+      '  </entry>'
+    );
+  }
+
+  out.push('</feed>');
+  return out.filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * OPDS 2.0 (JSON) document for a feed model.
+ * @param {object} feed
+ * @param {{ origin: string, root: string, self: string }} urls
+ */
+function renderOpds2(feed, urls) {
+  const href = h => resolveHref(h, urls);
+  const links = [
+    { rel: 'self', href: href(urls.self), type: MIME.opds2 },
+    { rel: 'start', href: href(''), type: MIME.opds2 },
+    { rel: 'search', href: href('search') + '{?query}', type: MIME.opds2, templated: true },
+  ];
+  if (feed.up != null) links.push({ rel: 'up', href: href(feed.up), type: MIME.opds2 });
+  if (feed.prev) links.push({ rel: 'previous', href: href(feed.prev), type: MIME.opds2 });
+  if (feed.next) links.push({ rel: 'next', href: href(feed.next), type: MIME.opds2 });
+
+  const doc = {
+    metadata: { title: feed.title, modified: feed.updated || new Date().toISOString() },
+    links,
+  };
+  if (feed.navigation && feed.navigation.length) {
+    doc.navigation = feed.navigation.map(nav => ({ href: href(nav.href), title: nav.title, type: MIME.opds2 }));
+  }
+  if (feed.kind === 'acquisition') {
+    doc.publications = (feed.publications || []).map(pub => {
+      const metadata = { '@type': 'http://schema.org/Book', identifier: pub.id, title: pub.title };
+      if (pub.author) metadata.author = [{ name: pub.author }];
+      if (pub.language) metadata.language = pub.language;
+      if (pub.year) metadata.published = pub.year;
+      if (pub.summary) metadata.description = pub.summary;
+      if (pub.updated) metadata.modified = pub.updated;
+      const pubLinks = [];
+      if (pub.acquisition) pubLinks.push({ rel: REL.acquisition, href: href(pub.acquisition.href), type: pub.acquisition.type });
+      if (pub.alternate) pubLinks.push({ rel: 'alternate', href: href(pub.alternate), type: MIME.html });
+      const out = { metadata, links: pubLinks };
+      if (pub.cover) out.images = [{ href: href(pub.cover), type: imageType(pub.cover) }];
+      return out;
+    });
+  }
+  return doc;
+}
+
+/** OpenSearch 1.1 description pointing at the OPDS 1.2 search feed */
+function renderOpenSearch({ root }) {
+  const template = xmlEscape(`${root}/search?q={searchTerms}&page={startPage?}`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">',
+    '  <ShortName>BookLantern</ShortName>',
+    '  <Description>Search free and open-access books on BookLantern</Description>',
+    '  <InputEncoding>UTF-8</InputEncoding>',
+    '  <OutputEncoding>UTF-8</OutputEncoding>',
+    `  <Url type="${MIME.acquisition}" template="${template}"/>`,
+    '</OpenSearchDescription>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  MIME,
+  FORMAT_MIME,
+  feedKey,
+  verifyFeedKey,
+  toPublication,
+  resolveHref,
+  renderAtom,
+  renderOpds2,
+  renderOpenSearch,
+};
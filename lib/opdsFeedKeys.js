@@ -0,0 +1,127 @@
+// lib/opdsFeedKeys.js
+// Per-user state behind the OPDS feed keys (lib/opds feedKey).
+//
+// A feed key is signed over the user id and the user's key_version; "Reset feed
+// URL" on the account page bumps the version, which invalidates every URL handed
+// out before. The key outlives the browser session, so routes/opds.js also asks
+// isSubscriber() before serving a feed.
+//
+// Backend: the opds_feed_keys table (supabase/20261019_opds_feed_keys.sql) plus the
+// auth admin API when SUPABASE_URL + service key are set, an in-process store
+// otherwise (local runs, tests).
+
+const { isSubscriberUser } = require('../utils/gate');
+
+const TABLE = 'opds_feed_keys';
+const FIRST_VERSION = 1;
+
+function check({ data, error }, op) {
+  if (error) {
+    const err = new Error(`${op}: ${error.message}`);
+    err.code = 'OPDS_KEY_STORE_ERROR';
+    err.cause = error;
+    throw err;
+  }
+  return data;
+}
+
+// -- Backends -----------------------------------------------------------------
+
+/**
+ * @param {object} supabase - service-role client from lib/supabaseServer
+ */
+function createSupabaseFeedKeyStore(supabase) {
+  return {
+    name: 'supabase',
+
+    /** Current key version (users who never reset have no row) */
+    async getVersion(userId) {
+      const row = check(await supabase
+        .from(TABLE)
+        .select('key_version')
+        .eq('user_id', userId)
+        .maybeSingle(), 'getVersion');
+      return row ? row.key_version : FIRST_VERSION;
+    },
+
+    /** @returns {Promise<number>} the new version */
+    async rotate(userId) {
+      const next = (await this.getVersion(userId)) + 1;
+      check(await supabase
+        .from(TABLE)
+        .upsert({ user_id: userId, key_version: next, rotated_at: new Date().toISOString() }, { onConflict: 'user_id' }), 'rotate');
+      return next;
+    },
+
+    /** Deleted, banned and unsubscribed users get false */
+    async isSubscriber(userId) {
+      const { data, error } = await supabase.auth.admin.getUserById(userId);
+      if (error && error.status === 404) return false;
+      const user = check({ data, error }, 'isSubscriber').user;
+      if (!user) return false;
+      if (user.banned_until && new Date(user.banned_until) > new Date()) return false;
+      return isSubscriberUser(user);
+    },
+  };
+}
+
+/** Backs local runs and the tests (no auth backend: everyone is a subscriber unless set otherwise) */
+function createMemoryFeedKeyStore() {
+  const versions = new Map();
+  const subscribers = new Map();
+
+  return {
+    name: 'memory',
+
+    async getVersion(userId) {
+      return versions.get(userId) || FIRST_VERSION;
+    },
+
+    async rotate(userId) {
+      const next = (versions.get(userId) || FIRST_VERSION) + 1;
+      versions.set(userId, next);
+      return next;
+    },
+
+    async isSubscriber(userId) {
+      return subscribers.has(userId) ? subscribers.get(userId) : true;
+    },
+
+    setSubscriber(userId, value) {
+      subscribers.set(userId, Boolean(value));
+    },
+  };
+}
+
+function supabaseConfigured() {
+  return Boolean(
+    (process.env.SUPABASE_URL || process.env.supabaseUrl) &&
+    (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY ||
+      process.env.SUPABASE_KEY || process.env.supabaseKey)
+  );
+}
+
+let store;
+
+function getFeedKeyStore() {
+  if (!store) {
+    store = supabaseConfigured()
+      ? createSupabaseFeedKeyStore(require('./supabaseServer'))
+      : createMemoryFeedKeyStore();
+    console.log(`[opdsFeedKeys] backend=${store.name}`);
+  }
+  return store;
+}
+
+/** Swap the backend (tests, scripts) */
+function setFeedKeyStore(next) {
+  store = next;
+}
+
+module.exports = {
+  FIRST_VERSION,
+  createSupabaseFeedKeyStore,
+  createMemoryFeedKeyStore,
+  getFeedKeyStore,
+  setFeedKeyStore,
+};
@@ -0,0 +1,90 @@
+// lib/readerSettings.js
+// Reader typography and theme preferences, one row per account in reader_settings,
+// synced through GET/POST /api/reader/settings so every device reads the same way.
+//
+// normalizeSettings() keeps only the fields it recognizes with valid values, so a
+// client can send a partial update; settingsFromRow() fills in the defaults.
+// The reader (public/js/reader.js) keeps the same lists — change both together.
+
+const THEMES = ['light', 'sepia', 'dark', 'custom'];
+const FONT_FAMILIES = ['publisher', 'serif', 'sans', 'dyslexic'];
+const TEXT_ALIGNS = ['publisher', 'left', 'justify'];
+// Page layout: one page at a time, two-page spread (wide screens), continuous scroll
+const FLOWS = ['paginated', 'spread', 'scrolled'];
+
+const DEFAULT_SETTINGS = {
+  font_size: 100,          // percent of the reader's base size
+  theme: 'light',
+  font_family: 'serif',
+  line_height: 1.7,
+  margin: 20,              // px of side padding around the text
+  text_align: 'justify',
+  hyphenation: true,
+  custom_background: '#fdfaf3',
+  custom_text: '#1f2937',
+  flow: 'scrolled',
+};
+
+const RANGES = {
+  font_size: [50, 200],
+  line_height: [1, 2.5],
+  margin: [0, 80],
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function inRange(field, value, round) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n)) return undefined;
+  const [min, max] = RANGES[field];
+  const clamped = Math.min(max, Math.max(min, n));
+  return round ? Math.round(clamped) : Math.round(clamped * 100) / 100;
+}
+
+/**
+ * Valid settings from a request body or stored row (unknown or invalid fields dropped)
+ * @param {Object} input
+ * @returns {Object} partial settings
+ */
+function normalizeSettings(input) {
+  const out = {};
+  if (!input || typeof input !== 'object') return out;
+
+  const fontSize = inRange('font_size', input.font_size, true);
+  if (fontSize !== undefined) out.font_size = fontSize;
+  const lineHeight = inRange('line_height', input.line_height, false);
+  if (lineHeight !== undefined) out.line_height = lineHeight;
+  const margin = inRange('margin', input.margin, true);
+  if (margin !== undefined) out.margin = margin;
+
+  if (THEMES.includes(input.theme)) out.theme = input.theme;
+  if (FONT_FAMILIES.includes(input.font_family)) out.font_family = input.font_family;
+  if (TEXT_ALIGNS.includes(input.text_align)) out.text_align = input.text_align;
+  if (FLOWS.includes(input.flow)) out.flow = input.flow;
+  if (typeof input.hyphenation === 'boolean') out.hyphenation = input.hyphenation;
+  if (HEX_COLOR.test(input.custom_background || '')) out.custom_background = input.custom_background.toLowerCase();
+  if (HEX_COLOR.test(input.custom_text || '')) out.custom_text = input.custom_text.toLowerCase();
+  return out;
+}
+
+/**
+ * Complete settings for a stored row (null when the user never saved any)
+ * @returns {Object} settings plus updated_at (null for defaults)
+ */
+function settingsFromRow(row) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...normalizeSettings(row),
+    updated_at: (row && row.updated_at) || null,
+  };
+}
+
+module.exports = {
+  THEMES,
+  FONT_FAMILIES,
+  TEXT_ALIGNS,
+  FLOWS,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  settingsFromRow,
+};
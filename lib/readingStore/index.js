@@ -0,0 +1,53 @@
+// lib/readingStore/index.js
+// Storage adapter behind /api/reading (progress, favorites, events, reports).
+//
+//   READING_STORE=supabase   Supabase tables (default when SUPABASE_URL + service key are set)
+//   READING_STORE=memory     in-process only, lost on restart
+//   READING_STORE=sqlite     SQLite database at READING_STORE_FILE (default data/reading-store.sqlite)
+//
+// All backends implement the same methods (see supabase.js / sqlite.js / memory.js) and throw
+// errors with code READING_STORE_ERROR when the database rejects a call.
+
+const path = require('path');
+const { createSupabaseStore } = require('./supabase');
+const { createMemoryStore } = require('./memory');
+
+let store = null;
+
+function supabaseConfigured() {
+  return Boolean(
+    (process.env.SUPABASE_URL || process.env.supabaseUrl) &&
+    (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY ||
+      process.env.SUPABASE_KEY || process.env.supabaseKey)
+  );
+}
+
+function createStore() {
+  const kind = (process.env.READING_STORE || (supabaseConfigured() ? 'supabase' : 'memory')).toLowerCase();
+  if (kind === 'supabase') return createSupabaseStore(require('../supabaseServer'));
+  if (kind === 'sqlite') {
+    // Required here so deployments on Supabase don't need the native module
+    const { createSqliteStore } = require('./sqlite');
+    return createSqliteStore({
+      file: process.env.READING_STORE_FILE || path.join(__dirname, '..', '..', 'data', 'reading-store.sqlite'),
+    });
+  }
+  if (kind !== 'memory') console.warn(`[readingStore] unknown READING_STORE=${kind}, using memory`);
+  return createMemoryStore();
+}
+
+/** The configured store (created on first use) */
+function getStore() {
+  if (!store) {
+    store = createStore();
+    console.log(`[readingStore] backend=${store.name}`);
+  }
+  return store;
+}
+
+/** Swap the backend (tests, scripts) */
+function setStore(next) {
+  store = next;
+}
+
+module.exports = { getStore, setStore, createMemoryStore, createSupabaseStore };
@@ -0,0 +1,101 @@
+// lib/readingStore/memory.js
+// In-memory backend for lib/readingStore (lost on restart).
+// Lets the reading features run (and be tested) locally without Supabase or SQLite.
+
+const crypto = require('crypto');
+
+const byNewest = field => (a, b) => String(b[field]).localeCompare(String(a[field]));
+
+/** Rows of one user, newest first (rows written in the same millisecond: last write first) */
+function newestFirst(rows, userId, field) {
+  return rows.filter(r => r.user_id === userId).reverse().sort(byNewest(field));
+}
+
+function createMemoryStore() {
+  const db = { progress: [], favorites: [], events: [], reports: [] };
+
+  const now = () => new Date().toISOString();
+  const newId = () => crypto.randomUUID();
+
+  return {
+    name: 'memory',
+
+    // -- Reading progress ---------------------------------------------------
+
+    async upsertProgress(userId, row) {
+      const existing = db.progress.find(r => r.user_id === userId && r.book_key === row.book_key);
+      if (existing) Object.assign(existing, row, { updated_at: now() });
+      else db.progress.push({ id: newId(), ...row, user_id: userId, created_at: now(), updated_at: now() });
+    },
+
+    async listProgress(userId, limit) {
+      return newestFirst(db.progress, userId, 'updated_at')
+        .slice(0, limit)
+        .map(r => ({ ...r }));
+    },
+
+    async findProgress(userId, bookKeys) {
+      const row = db.progress.find(r => r.user_id === userId && bookKeys.includes(r.book_key));
+      return row ? { ...row } : null;
+    },
+
+    async deleteProgress(userId, bookKeys = null) {
+      db.progress = db.progress.filter(r =>
+        r.user_id !== userId || (bookKeys && !bookKeys.includes(r.book_key)));
+    },
+
+    // -- Favorites ----------------------------------------------------------
+
+    async findFavorites(userId, bookKeys, limit = null) {
+      const rows = db.favorites.filter(r => r.user_id === userId && bookKeys.includes(r.book_key));
+      return (limit ? rows.slice(0, limit) : rows).map(r => ({ ...r }));
+    },
+
+    async listFavorites(userId, limit) {
+      return newestFirst(db.favorites, userId, 'created_at')
+        .slice(0, limit)
+        .map(r => ({ ...r }));
+    },
+
+    async upsertFavorite(userId, row) {
+      const existing = db.favorites.find(r => r.user_id === userId && r.book_key === row.book_key);
+      if (existing) Object.assign(existing, row);
+      else db.favorites.push({ id: newId(), ...row, user_id: userId, created_at: now() });
+    },
+
+    async updateFavorite(userId, id, patch) {
+      const row = db.favorites.find(r => r.user_id === userId && r.id === id);
+      if (row) Object.assign(row, patch);
+    },
+
+    async deleteFavorites(userId, { ids = null, bookKeys = null } = {}) {
+      db.favorites = db.favorites.filter(r =>
+        r.user_id !== userId ||
+        (ids && !ids.includes(r.id)) ||
+        (bookKeys && !bookKeys.includes(r.book_key)));
+    },
+
+    // -- Events and reports ---------------------------------------------------
+
+    async insertEvent(row) {
+      db.events.push({ id: newId(), ...row, created_at: now() });
+    },
+
+    async listEvents(where = {}) {
+      const since = where.since ? where.since.toISOString() : null;
+      const rows = db.events.filter(e =>
+        (!where.bookKey || e.book_key === where.bookKey) &&
+        (!where.category || e.category === where.category) &&
+        (!where.excludeBookKey || e.book_key !== where.excludeBookKey) &&
+        (!since || e.created_at >= since) &&
+        (!where.types || where.types.includes(e.type)));
+      return (where.limit ? rows.slice(0, where.limit) : rows).map(e => ({ ...e }));
+    },
+
+    async insertReport(row) {
+      db.reports.push({ id: newId(), ...row, created_at: now() });
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,213 @@
+// lib/readingStore/sqlite.js
+// SQLite backend for lib/readingStore (better-sqlite3), for running the reading
+// features on one server without Supabase. Every write is its own transaction, and
+// WAL mode lets several app processes share the file.
+// Same tables as the Supabase schema: reading_progress_v2, reading_favorites,
+// reading_events, book_reports.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const COLUMNS = {
+  reading_progress_v2: ['id', 'user_id', 'book_key', 'source', 'title', 'author', 'cover',
+    'last_location', 'progress', 'reader_url', 'created_at', 'updated_at'],
+  reading_favorites: ['id', 'user_id', 'book_key', 'source', 'title', 'author', 'cover',
+    'reader_url', 'category', 'created_at'],
+  reading_events: ['id', 'user_id', 'book_key', 'type', 'title', 'author', 'cover', 'source',
+    'category', 'reader_url', 'created_at'],
+  book_reports: ['id', 'user_id', 'book_key', 'failed_url', 'reason', 'details', 'title',
+    'author', 'source', 'status', 'created_at'],
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS reading_progress_v2 (
+    id TEXT PRIMARY KEY, user_id TEXT NOT NULL, book_key TEXT NOT NULL,
+    source TEXT, title TEXT, author TEXT, cover TEXT, last_location TEXT,
+    progress REAL, reader_url TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL,
+    UNIQUE (user_id, book_key)
+  );
+  CREATE INDEX IF NOT EXISTS reading_progress_v2_recent ON reading_progress_v2 (user_id, updated_at);
+
+  CREATE TABLE IF NOT EXISTS reading_favorites (
+    id TEXT PRIMARY KEY, user_id TEXT NOT NULL, book_key TEXT NOT NULL,
+    source TEXT, title TEXT, author TEXT, cover TEXT, reader_url TEXT, category TEXT,
+    created_at TEXT NOT NULL,
+    UNIQUE (user_id, book_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS reading_events (
+    id TEXT PRIMARY KEY, user_id TEXT, book_key TEXT NOT NULL, type TEXT NOT NULL,
+    title TEXT, author TEXT, cover TEXT, source TEXT, category TEXT, reader_url TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reading_events_created ON reading_events (created_at);
+  CREATE INDEX IF NOT EXISTS reading_events_book ON reading_events (book_key, created_at);
+
+  CREATE TABLE IF NOT EXISTS book_reports (
+    id TEXT PRIMARY KEY, user_id TEXT, book_key TEXT NOT NULL, failed_url TEXT,
+    reason TEXT, details TEXT, title TEXT, author TEXT, source TEXT, status TEXT,
+    created_at TEXT NOT NULL
+  );
+`;
+
+const now = () => new Date().toISOString();
+const newId = () => crypto.randomUUID();
+const placeholders = list => list.map(() => '?').join(', ');
+
+/** Only known columns reach the SQL text; values always go through parameters */
+function pick(table, row) {
+  const out = {};
+  for (const column of COLUMNS[table]) {
+    if (row[column] !== undefined) out[column] = row[column];
+  }
+  return out;
+}
+
+/**
+ * @param {{ file?: string }} [options] - Database file (created if missing), or ':memory:'
+ */
+function createSqliteStore({ file = ':memory:' } = {}) {
+  const Database = require('better-sqlite3');
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+  console.log(`[readingStore] sqlite ${file}`);
+
+  /** Run one statement, throwing READING_STORE_ERROR like the Supabase backend */
+  function run(op, fn) {
+    try {
+      return fn();
+    } catch (error) {
+      const err = new Error(`${op}: ${error.message}`);
+      err.code = 'READING_STORE_ERROR';
+      err.cause = error;
+      throw err;
+    }
+  }
+
+  function insert(table, row) {
+    const values = pick(table, row);
+    const columns = Object.keys(values);
+    db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})`)
+      .run(...columns.map(c => values[c]));
+  }
+
+  /** Insert, or update the given columns of the user's row for the same book */
+  function upsert(table, row, keep) {
+    const values = pick(table, row);
+    const columns = Object.keys(values);
+    const updates = columns.filter(c => !keep.includes(c)).map(c => `${c} = excluded.${c}`);
+    db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)})
+      ON CONFLICT (user_id, book_key) DO UPDATE SET ${updates.join(', ')}`)
+      .run(...columns.map(c => values[c]));
+  }
+
+  return {
+    name: 'sqlite',
+
+    // -- Reading progress ---------------------------------------------------
+
+    async upsertProgress(userId, row) {
+      run('upsertProgress', () => upsert('reading_progress_v2',
+        { ...row, id: newId(), user_id: userId, created_at: now(), updated_at: now() },
+        ['id', 'user_id', 'book_key', 'created_at']));
+    },
+
+    async listProgress(userId, limit) {
+      return run('listProgress', () => db.prepare(`SELECT * FROM reading_progress_v2
+        WHERE user_id = ? ORDER BY updated_at DESC, rowid DESC LIMIT ?`).all(userId, limit));
+    },
+
+    async findProgress(userId, bookKeys) {
+      if (!bookKeys.length) return null;
+      return run('findProgress', () => db.prepare(`SELECT * FROM reading_progress_v2
+        WHERE user_id = ? AND book_key IN (${placeholders(bookKeys)}) LIMIT 1`).get(userId, ...bookKeys)) || null;
+    },
+
+    /** bookKeys = null clears every progress row of the user */
+    async deleteProgress(userId, bookKeys = null) {
+      if (bookKeys && !bookKeys.length) return;
+      run('deleteProgress', () => bookKeys
+        ? db.prepare(`DELETE FROM reading_progress_v2 WHERE user_id = ? AND book_key IN (${placeholders(bookKeys)})`)
+          .run(userId, ...bookKeys)
+        : db.prepare('DELETE FROM reading_progress_v2 WHERE user_id = ?').run(userId));
+    },
+
+    // -- Favorites ----------------------------------------------------------
+
+    async findFavorites(userId, bookKeys, limit = null) {
+      if (!bookKeys.length) return [];
+      return run('findFavorites', () => db.prepare(`SELECT * FROM reading_favorites
+        WHERE user_id = ? AND book_key IN (${placeholders(bookKeys)}) LIMIT ?`).all(userId, ...bookKeys, limit || -1));
+    },
+
+    async listFavorites(userId, limit) {
+      return run('listFavorites', () => db.prepare(`SELECT * FROM reading_favorites
+        WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?`).all(userId, limit));
+    },
+
+    async upsertFavorite(userId, row) {
+      run('upsertFavorite', () => upsert('reading_favorites',
+        { ...row, id: newId(), user_id: userId, created_at: now() },
+        ['id', 'user_id', 'book_key', 'created_at']));
+    },
+
+    async updateFavorite(userId, id, patch) {
+      const values = pick('reading_favorites', patch);
+      delete values.id;
+      delete values.user_id;
+      const columns = Object.keys(values);
+      if (!columns.length) return;
+      run('updateFavorite', () => db.prepare(`UPDATE reading_favorites
+        SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE user_id = ? AND id = ?`)
+        .run(...columns.map(c => values[c]), userId, id));
+    },
+
+    /** Delete by row ids and/or book keys (always scoped to the user) */
+    async deleteFavorites(userId, { ids = null, bookKeys = null } = {}) {
+      if ((ids && !ids.length) || (bookKeys && !bookKeys.length)) return;
+      const where = ['user_id = ?'];
+      const params = [userId];
+      if (ids) { where.push(`id IN (${placeholders(ids)})`); params.push(...ids); }
+      if (bookKeys) { where.push(`book_key IN (${placeholders(bookKeys)})`); params.push(...bookKeys); }
+      run('deleteFavorites', () => db.prepare(`DELETE FROM reading_favorites WHERE ${where.join(' AND ')}`).run(...params));
+    },
+
+    // -- Events and reports ---------------------------------------------------
+
+    async insertEvent(row) {
+      run('insertEvent', () => insert('reading_events', { ...row, id: newId(), created_at: now() }));
+    },
+
+    /**
+     * @param {{ since?: Date, types?: string[], bookKey?: string, category?: string,
+     *           excludeBookKey?: string, limit?: number }} where
+     */
+    async listEvents(where = {}) {
+      if (where.types && !where.types.length) return [];
+      const clauses = [];
+      const params = [];
+      if (where.bookKey) { clauses.push('book_key = ?'); params.push(where.bookKey); }
+      if (where.category) { clauses.push('category = ?'); params.push(where.category); }
+      if (where.excludeBookKey) { clauses.push('book_key <> ?'); params.push(where.excludeBookKey); }
+      if (where.since) { clauses.push('created_at >= ?'); params.push(where.since.toISOString()); }
+      if (where.types) { clauses.push(`type IN (${placeholders(where.types)})`); params.push(...where.types); }
+      const sql = `SELECT * FROM reading_events${clauses.length ? ` WHERE ${clauses.join(' AND ')}` : ''} LIMIT ?`;
+      return run('listEvents', () => db.prepare(sql).all(...params, where.limit || -1));
+    },
+
+    async insertReport(row) {
+      run('insertReport', () => insert('book_reports', { ...row, id: newId(), created_at: now() }));
+    },
+
+    /** Close the database (tests, scripts) */
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
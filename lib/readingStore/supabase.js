@@ -0,0 +1,146 @@
+// lib/readingStore/supabase.js
+// Supabase (PostgreSQL) backend for lib/readingStore
+// Tables: reading_progress_v2, reading_favorites, reading_events, book_reports
+
+const PROGRESS = 'reading_progress_v2';
+const FAVORITES = 'reading_favorites';
+const EVENTS = 'reading_events';
+const REPORTS = 'book_reports';
+
+/**
+ * Throw Supabase errors as READING_STORE_ERROR so routes can answer `database_error`
+ */
+function check({ data, error }, op) {
+  if (error) {
+    const err = new Error(`${op}: ${error.message}`);
+    err.code = 'READING_STORE_ERROR';
+    err.cause = error;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * @param {object} supabase - service-role client from lib/supabaseServer
+ */
+function createSupabaseStore(supabase) {
+  return {
+    name: 'supabase',
+
+    // -- Reading progress ---------------------------------------------------
+
+    async upsertProgress(userId, row) {
+      check(await supabase
+        .from(PROGRESS)
+        .upsert({ ...row, user_id: userId, updated_at: new Date().toISOString() }, {
+          onConflict: 'user_id,book_key',
+          ignoreDuplicates: false,
+        }), 'upsertProgress');
+    },
+
+    async listProgress(userId, limit) {
+      return check(await supabase
+        .from(PROGRESS)
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(limit), 'listProgress') || [];
+    },
+
+    async findProgress(userId, bookKeys) {
+      const res = await supabase
+        .from(PROGRESS)
+        .select('*')
+        .eq('user_id', userId)
+        .in('book_key', bookKeys)
+        .limit(1);
+      // PGRST116 = no rows for a single-row request; treat as not found
+      if (res.error && res.error.code === 'PGRST116') return null;
+      const rows = check(res, 'findProgress');
+      return rows && rows.length ? rows[0] : null;
+    },
+
+    /** bookKeys = null clears every progress row of the user */
+    async deleteProgress(userId, bookKeys = null) {
+      let query = supabase.from(PROGRESS).delete().eq('user_id', userId);
+      if (bookKeys) query = query.in('book_key', bookKeys);
+      check(await query, 'deleteProgress');
+    },
+
+    // -- Favorites ----------------------------------------------------------
+
+    async findFavorites(userId, bookKeys, limit = null) {
+      let query = supabase
+        .from(FAVORITES)
+        .select('*')
+        .eq('user_id', userId)
+        .in('book_key', bookKeys);
+      if (limit) query = query.limit(limit);
+      return check(await query, 'findFavorites') || [];
+    },
+
+    async listFavorites(userId, limit) {
+      return check(await supabase
+        .from(FAVORITES)
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit), 'listFavorites') || [];
+    },
+
+    async upsertFavorite(userId, row) {
+      const res = await supabase
+        .from(FAVORITES)
+        .upsert({ ...row, user_id: userId }, {
+          onConflict: 'user_id,book_key',
+          ignoreDuplicates: false,
+        });
+      // Duplicate key race (double click): the row exists, which is what we wanted
+      if (res.error && res.error.code === '23505') return;
+      check(res, 'upsertFavorite');
+    },
+
+    async updateFavorite(userId, id, patch) {
+      check(await supabase
+        .from(FAVORITES)
+        .update(patch)
+        .eq('user_id', userId)
+        .eq('id', id), 'updateFavorite');
+    },
+
+    /** Delete by row ids and/or book keys (always scoped to the user) */
+    async deleteFavorites(userId, { ids = null, bookKeys = null } = {}) {
+      let query = supabase.from(FAVORITES).delete().eq('user_id', userId);
+      if (ids) query = query.in('id', ids);
+      if (bookKeys) query = query.in('book_key', bookKeys);
+      check(await query, 'deleteFavorites');
+    },
+
+    // -- Events and reports ---------------------------------------------------
+
+    async insertEvent(row) {
+      check(await supabase.from(EVENTS).insert(row), 'insertEvent');
+    },
+
+    /**
+     * @param {{ since?: Date, types?: string[], bookKey?: string, category?: string,
+     *           excludeBookKey?: string, limit?: number }} where
+     */
+    async listEvents(where = {}) {
+      let query = supabase.from(EVENTS).select('*');
+      if (where.bookKey) query = query.eq('book_key', where.bookKey);
+      if (where.category) query = query.eq('category', where.category);
+      if (where.excludeBookKey) query = query.neq('book_key', where.excludeBookKey);
+      if (where.since) query = query.gte('created_at', where.since.toISOString());
+      if (where.types) query = query.in('type', where.types);
+      if (where.limit) query = query.limit(where.limit);
+      return check(await query, 'listEvents') || [];
+    },
+
+    async insertReport(row) {
+      check(await supabase.from(REPORTS).insert(row), 'insertReport');
+    },
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,275 @@
+// lib/savedSearchAlerts.js
+// New-result alerts for saved searches (lib/savedSearches).
+//
+// Each due search is re-run against the providers and catalog_books through
+// routes/search.js collectMatches(), its book_ids are diffed against the ones
+// already seen, and every recipient gets one digest e-mail (mailer.js, Mailjet)
+// covering all of their searches with new matches. The first run of a search
+// only records what is already there, so a digest lists genuinely new titles.
+// Only providers that answered ('ok') on this run and the previous one are
+// diffed: results of a provider that was down, slow or circuit-broken last time
+// are added to the seen list without being sent (ok_providers keeps the last set).
+// If the e-mail fails the seen list is left alone and the titles are reported
+// on the next run.
+//
+// Run from scripts/saved-search-alerts.js, or in-process via
+// startSavedSearchAlerts() (server.js, SAVED_SEARCH_ALERTS_INTERVAL_MIN).
+
+const { FREQUENCIES, searchUrl } = require('./savedSearches');
+
+const BATCH_SIZE = 50;
+// book_ids remembered per search, newest first
+const MAX_SEEN = 2000;
+// Titles listed per search in one digest
+const MAX_DIGEST_ITEMS = 20;
+const DELAY_MS = 1000;
+const SITE_URL = (process.env.SITE_URL || 'https://booklantern.org').replace(/\/+$/, '');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same escaping as mailer.js (not required here so the digest builds without a transport)
+function escapeHtml(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** Matches whose book_id is not in `seenIds` (first occurrence of each id) */
+function diffNew(matches, seenIds) {
+  const seen = new Set(seenIds || []);
+  const fresh = [];
+  for (const m of matches) {
+    if (!m.book_id || seen.has(m.book_id)) continue;
+    seen.add(m.book_id);
+    fresh.push(m);
+  }
+  return fresh;
+}
+
+/**
+ * Split a run's matches into those that can be reported and those only to be
+ * remembered: a match is comparable when its provider answered on both runs.
+ * @param {Array} matches
+ * @param {object} statuses - this run's provider → status
+ * @param {string[]|null} previousOk - providers that answered last run (null when not recorded:
+ *   nothing is comparable, so that run only fills the seen list)
+ * @returns {{ comparable: Array, silent: Array, ok: string[] }}
+ */
+function splitByProvider(matches, statuses, previousOk) {
+  const ok = Object.keys(statuses || {}).filter(name => statuses[name] === 'ok').sort();
+  const before = new Set(previousOk || []);
+  const comparable = [];
+  const silent = [];
+  for (const m of matches) {
+    (ok.includes(m.provider) && before.has(m.provider) ? comparable : silent).push(m);
+  }
+  return { comparable, silent, ok };
+}
+
+/** New ids first, then the old list, deduplicated and capped at MAX_SEEN */
+function mergeSeen(seenIds, ids) {
+  return [...new Set([...ids, ...(seenIds || [])])].slice(0, MAX_SEEN);
+}
+
+function describeFilters(filters = {}) {
+  const parts = [];
+  if (filters.lang) parts.push(`language ${filters.lang}`);
+  if (filters.format) parts.push(filters.format.toUpperCase());
+  if (filters.provider) parts.push(`sources ${filters.provider.split(',').join(', ')}`);
+  if (filters.year_from || filters.year_to) parts.push(`years ${filters.year_from || '…'}–${filters.year_to || '…'}`);
+  if (filters.readable) parts.push('readable on-site');
+  return parts.join(', ');
+}
+
+function itemLine(item) {
+  return [item.title || 'Untitled', item.author, item.year].filter(Boolean).join(' · ');
+}
+
+/**
+ * Digest e-mail for one recipient.
+ * @param {Array<{ search: object, items: Array }>} sections - saved search row + its new matches
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function buildDigest(sections) {
+  const total = sections.reduce((n, s) => n + s.items.length, 0);
+  const subject = sections.length === 1
+    ? `${total} new ${total === 1 ? 'title' : 'titles'} for “${sections[0].search.query}”`
+    : `${total} new titles for ${sections.length} of your saved searches`;
+  const manageUrl = `${SITE_URL}/account`;
+
+  const text = [];
+  const html = [];
+  for (const { search, items } of sections) {
+    const url = SITE_URL + searchUrl(search.query, search.filters || {});
+    const filters = describeFilters(search.filters);
+    const shown = items.slice(0, MAX_DIGEST_ITEMS);
+    const more = items.length - shown.length;
+
+    text.push(`${search.query}${filters ? ` (${filters})` : ''}`);
+    shown.forEach(item => text.push(`  - ${itemLine(item)} [${item.provider}]${item.url ? `\n    ${item.url}` : ''}`));
+    if (more > 0) text.push(`  … and ${more} more`);
+    text.push(`  All results: ${url}`, '');
+
+    html.push(
+      `<h3 style="margin:20px 0 6px;font-size:16px;"><a href="${escapeHtml(url)}">${escapeHtml(search.query)}</a>` +
+      (filters ? ` <span style="color:#6b7280;font-weight:normal;font-size:13px;">${escapeHtml(filters)}</span>` : '') + '</h3>',
+      '<ul style="margin:0;padding-left:18px;">',
+      ...shown.map(item => {
+        const label = escapeHtml(itemLine(item));
+        const title = item.url ? `<a href="${escapeHtml(item.url)}">${label}</a>` : label;
+        return `<li style="margin:4px 0;">${title} <span style="color:#6b7280;font-size:12px;">${escapeHtml(item.provider || '')}</span></li>`;
+      }),
+      more > 0 ? `<li style="margin:4px 0;color:#6b7280;"><a href="${escapeHtml(url)}">… and ${more} more</a></li>` : '',
+      '</ul>'
+    );
+  }
+
+  text.push(`Manage your saved searches: ${manageUrl}`);
+  return {
+    subject,
+    text: `New titles matching your saved searches on BookLantern:\n\n${text.join('\n')}\n`,
+    html: '<div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;max-width:640px;">' +
+      '<p>New titles matching your saved searches on BookLantern:</p>' +
+      html.filter(Boolean).join('\n') +
+      `<p style="margin-top:24px;color:#6b7280;font-size:12px;">You get this e-mail because you saved these searches. ` +
+      `<a href="${escapeHtml(manageUrl)}">Manage your saved searches</a>.</p></div>`,
+  };
+}
+
+/**
+ * Run every due saved search once and send the digests.
+ * @param {object} opts
+ * @param {object} opts.store - lib/savedSearches store
+ * @param {function} opts.runSearch - (query, filters) => Promise<{ matches: Array<{ book_id, title, author,
+ *   year, provider, url }>, statuses: object }> (routes/search.js collectMatches)
+ * @param {function} opts.sendMail - mailer.send
+ * @returns {Promise<{checked, seeded, withNew, emailed, mailErrors, errors, elapsedMs}>}
+ */
+async function runSavedSearchAlerts({
+  store,
+  runSearch,
+  sendMail,
+  limit = BATCH_SIZE,
+  delayMs = DELAY_MS,
+  now = () => new Date(),
+  log = msg => console.log(`[savedSearchAlerts] ${msg}`),
+} = {}) {
+  const started = Date.now();
+  const summary = { checked: 0, seeded: 0, withNew: 0, emailed: 0, mailErrors: 0, errors: 0, elapsedMs: 0 };
+  const rows = await store.listDue({ now: now(), limit });
+
+  // recipient e-mail → [{ search, items }]
+  const digests = new Map();
+  const nextRun = row => new Date(now().getTime() + (FREQUENCIES[row.frequency] || FREQUENCIES.weekly)).toISOString();
+
+  for (const row of rows) {
+    summary.checked++;
+    let matches;
+    let statuses;
+    try {
+      ({ matches, statuses } = await runSearch(row.query, row.filters || {}));
+    } catch (err) {
+      summary.errors++;
+      log(`"${row.query}" failed: ${err.message}`);
+      await store.update(row.id, { next_run_at: nextRun(row) });
+      continue;
+    }
+
+    const ranAt = now().toISOString();
+    const { comparable, silent, ok } = splitByProvider(matches, statuses, row.ok_providers);
+    if (!row.last_run_at) {
+      // Baseline: everything found now counts as seen
+      summary.seeded++;
+      await store.update(row.id, {
+        seen_book_ids: mergeSeen([], matches.map(m => m.book_id).filter(Boolean)),
+        ok_providers: ok,
+        last_run_at: ranAt,
+        next_run_at: nextRun(row),
+      });
+      log(`"${row.query}" baseline of ${matches.length}`);
+    } else {
+      const items = diffNew(comparable, row.seen_book_ids);
+      // Providers with no comparable previous run: remember their results, don't report them
+      const unreported = diffNew(silent, row.seen_book_ids).map(m => m.book_id);
+      const seen = unreported.length ? mergeSeen(row.seen_book_ids, unreported) : row.seen_book_ids;
+      await store.update(row.id, {
+        ...(unreported.length ? { seen_book_ids: seen } : {}),
+        ok_providers: ok,
+        last_run_at: ranAt,
+        next_run_at: nextRun(row),
+      });
+      log(`"${row.query}" ${matches.length} matches, ${items.length} new` +
+        (unreported.length ? `, ${unreported.length} from providers without a previous answer` : ''));
+      if (items.length) {
+        summary.withNew++;
+        if (!digests.has(row.email)) digests.set(row.email, []);
+        digests.get(row.email).push({ search: { ...row, seen_book_ids: seen }, items });
+      }
+    }
+
+    if (delayMs) await sleep(delayMs);
+  }
+
+  for (const [email, sections] of digests) {
+    try {
+      await sendMail({ to: email, ...buildDigest(sections) });
+      summary.emailed++;
+    } catch (err) {
+      summary.mailErrors++;
+      log(`digest to ${email} failed: ${err.message}`);
+      continue;
+    }
+    const notifiedAt = now().toISOString();
+    for (const { search, items } of sections) {
+      await store.update(search.id, {
+        seen_book_ids: mergeSeen(search.seen_book_ids, items.map(m => m.book_id)),
+        last_notified_at: notifiedAt,
+      });
+    }
+  }
+
+  summary.elapsedMs = Date.now() - started;
+  return summary;
+}
+
+/**
+ * Run the due searches every `intervalMs` inside the web process. Runs never
+ * overlap and the timer does not keep the process alive.
+ * @returns {function} stop
+ */
+function startSavedSearchAlerts({ store, runSearch, sendMail, intervalMs, limit = BATCH_SIZE }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const s = await runSavedSearchAlerts({ store, runSearch, sendMail, limit, log: () => {} });
+      if (s.checked) {
+        console.log(`[savedSearchAlerts] checked ${s.checked}: baseline ${s.seeded}, with new ${s.withNew}, ` +
+          `emailed ${s.emailed}, mail errors ${s.mailErrors}, errors ${s.errors} (${(s.elapsedMs / 1000).toFixed(1)}s)`);
+      }
+    } catch (err) {
+      console.error('[savedSearchAlerts] run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  BATCH_SIZE,
+  MAX_SEEN,
+  MAX_DIGEST_ITEMS,
+  diffNew,
+  splitByProvider,
+  mergeSeen,
+  buildDigest,
+  runSavedSearchAlerts,
+  startSavedSearchAlerts,
+};
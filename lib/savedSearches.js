@@ -0,0 +1,280 @@
+// lib/savedSearches.js
+// Saved searches: a /read query plus its filter params, stored per user so
+// lib/savedSearchAlerts can re-run it and e-mail new matches.
+//
+// Backend: the saved_searches table (supabase/20261019_saved_searches.sql) when
+// SUPABASE_URL + service key are set, an in-process store otherwise (local runs,
+// tests). Filters are stored as the /read URL params (lang, format, provider,
+// year_from, year_to, readable), canonicalized through lib/searchFilters so the
+// same search saved twice is one row.
+
+const crypto = require('crypto');
+
+const { parseFilters } = require('./searchFilters');
+const { parseQuery, keywords } = require('./searchQuery');
+
+const TABLE = 'saved_searches';
+const MAX_PER_USER = 25;
+const MAX_QUERY_LENGTH = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const DEFAULT_FREQUENCY = 'weekly';
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function check({ data, error }, op) {
+  if (error) {
+    const err = new Error(`${op}: ${error.message}`);
+    err.code = 'SAVED_SEARCH_STORE_ERROR';
+    err.cause = error;
+    throw err;
+  }
+  return data;
+}
+
+// -- Backends -----------------------------------------------------------------
+
+/**
+ * @param {object} supabase - service-role client from lib/supabaseServer
+ */
+function createSupabaseSavedSearchStore(supabase) {
+  return {
+    name: 'supabase',
+
+    async listForUser(userId) {
+      return check(await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false }), 'listForUser') || [];
+    },
+
+    /** Insert, or re-activate the user's existing row for the same query + filters */
+    async upsert(row) {
+      return check(await supabase
+        .from(TABLE)
+        .upsert(row, { onConflict: 'user_id,query,filters' })
+        .select('*')
+        .single(), 'upsert');
+    },
+
+    /** @returns {Promise<boolean>} whether a row of this user was deleted */
+    async remove(userId, id) {
+      const rows = check(await supabase
+        .from(TABLE)
+        .delete()
+        .eq('user_id', userId)
+        .eq('id', id)
+        .select('id'), 'remove') || [];
+      return rows.length > 0;
+    },
+
+    /** Active rows whose next_run_at has passed, oldest first */
+    async listDue({ now, limit }) {
+      return check(await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('active', true)
+        .lte('next_run_at', now.toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(limit), 'listDue') || [];
+    },
+
+    /** Partial update: only the given columns change */
+    async update(id, patch) {
+      check(await supabase.from(TABLE).update(patch).eq('id', id), 'update');
+    },
+  };
+}
+
+/** Backs local runs and the tests */
+function createMemorySavedSearchStore() {
+  const rows = new Map();
+  const sameSearch = (a, b) => a.user_id === b.user_id && a.query === b.query &&
+    JSON.stringify(a.filters) === JSON.stringify(b.filters);
+
+  return {
+    name: 'memory',
+
+    async listForUser(userId) {
+      return [...rows.values()]
+        .filter(r => r.user_id === userId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async upsert(row) {
+      const existing = [...rows.values()].find(r => sameSearch(r, row));
+      if (existing) {
+        Object.assign(existing, row);
+        return { ...existing };
+      }
+      const created = {
+        id: crypto.randomUUID(),
+        seen_book_ids: [],
+        ok_providers: null,
+        next_run_at: new Date().toISOString(),
+        last_run_at: null,
+        last_notified_at: null,
+        created_at: new Date().toISOString(),
+        ...row,
+      };
+      rows.set(created.id, created);
+      return { ...created };
+    },
+
+    async remove(userId, id) {
+      const row = rows.get(id);
+      if (!row || row.user_id !== userId) return false;
+      rows.delete(id);
+      return true;
+    },
+
+    async listDue({ now, limit }) {
+      return [...rows.values()]
+        .filter(r => r.active && r.next_run_at <= now.toISOString())
+        .sort((a, b) => a.next_run_at.localeCompare(b.next_run_at))
+        .slice(0, limit)
+        .map(r => ({ ...r }));
+    },
+
+    async update(id, patch) {
+      const row = rows.get(id);
+      if (row) Object.assign(row, patch);
+    },
+  };
+}
+
+function supabaseConfigured() {
+  return Boolean(
+    (process.env.SUPABASE_URL || process.env.supabaseUrl) &&
+    (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY ||
+      process.env.SUPABASE_KEY || process.env.supabaseKey)
+  );
+}
+
+let store;
+
+function getSavedSearchStore() {
+  if (!store) {
+    store = supabaseConfigured()
+      ? createSupabaseSavedSearchStore(require('./supabaseServer'))
+      : createMemorySavedSearchStore();
+    console.log(`[savedSearches] backend=${store.name}`);
+  }
+  return store;
+}
+
+/** Swap the backend (tests, scripts) */
+function setSavedSearchStore(next) {
+  store = next;
+}
+
+// -- Validation ---------------------------------------------------------------
+
+/**
+ * Canonical filter params for storage and /read URLs: only the set filters,
+ * in a fixed order, in the form parseFilters() reads back.
+ * @param {object} params - /read or /api/search params
+ * @returns {object}
+ */
+function filterParams(params = {}) {
+  const f = parseFilters(params);
+  const out = {};
+  if (f.language) out.lang = f.language;
+  if (f.format) out.format = f.format;
+  if (f.providers.length) out.provider = [...f.providers].sort().join(',');
+  if (f.yearFrom) out.year_from = String(f.yearFrom);
+  if (f.yearTo) out.year_to = String(f.yearTo);
+  if (f.readableOnly) out.readable = '1';
+  return out;
+}
+
+/** Relative /read URL that re-runs a saved search */
+function searchUrl(query, filters = {}) {
+  const params = new URLSearchParams({ q: query, ...filters });
+  return '/read?' + params.toString();
+}
+
+/**
+ * Validate a save request body { q, filters?, frequency? }.
+ * @returns {{ search?: { query, filters, frequency }, error?: string }}
+ */
+function parseSavedSearch(body = {}) {
+  const query = String(body.q || body.query || '').replace(/\s+/g, ' ').trim();
+  if (!query || !keywords(parseQuery(query))) return { error: 'query_required' };
+  if (query.length > MAX_QUERY_LENGTH) return { error: 'query_too_long' };
+  const frequency = body.frequency == null || body.frequency === '' ? DEFAULT_FREQUENCY : String(body.frequency);
+  if (!FREQUENCIES[frequency]) return { error: 'invalid_frequency' };
+  const filters = body.filters && typeof body.filters === 'object' ? filterParams(body.filters) : {};
+  return { search: { query, filters, frequency } };
+}
+
+/** Row → API shape (the seen list stays server-side) */
+function toPublicSavedSearch(row) {
+  return {
+    id: row.id,
+    query: row.query,
+    filters: row.filters || {},
+    frequency: row.frequency,
+    active: row.active !== false,
+    url: searchUrl(row.query, row.filters || {}),
+    created_at: row.created_at,
+    last_run_at: row.last_run_at || null,
+    last_notified_at: row.last_notified_at || null,
+  };
+}
+
+// -- Operations (routes/search.js) --------------------------------------------
+
+async function listSavedSearches(userId) {
+  const rows = await getSavedSearchStore().listForUser(userId);
+  return rows.map(toPublicSavedSearch);
+}
+
+/**
+ * Save a search for the session user. Saving the same query + filters again
+ * updates the frequency and re-activates it instead of adding a row.
+ * @param {{ id: string, email: string }} user - req.session.user
+ * @returns {Promise<{ saved?: object, created?: boolean, error?: string }>}
+ */
+async function saveSearch(user, body) {
+  if (!user || !user.email) return { error: 'email_required' };
+  const { search, error } = parseSavedSearch(body);
+  if (error) return { error };
+
+  const s = getSavedSearchStore();
+  const existing = await s.listForUser(user.id);
+  const duplicate = existing.find(r => r.query === search.query &&
+    JSON.stringify(r.filters || {}) === JSON.stringify(search.filters));
+  if (!duplicate && existing.length >= MAX_PER_USER) return { error: 'limit_reached' };
+
+  const row = await s.upsert({
+    user_id: user.id,
+    email: user.email,
+    query: search.query,
+    filters: search.filters,
+    frequency: search.frequency,
+    active: true,
+  });
+  return { saved: toPublicSavedSearch(row), created: !duplicate };
+}
+
+async function deleteSavedSearch(userId, id) {
+  if (!UUID_RE.test(String(id || ''))) return false;
+  return getSavedSearchStore().remove(userId, id);
+}
+
+module.exports = {
+  MAX_PER_USER,
+  FREQUENCIES,
+  createSupabaseSavedSearchStore,
+  createMemorySavedSearchStore,
+  getSavedSearchStore,
+  setSavedSearchStore,
+  filterParams,
+  searchUrl,
+  parseSavedSearch,
+  toPublicSavedSearch,
+  listSavedSearches,
+  saveSearch,
+  deleteSavedSearch,
+};
@@ -0,0 +1,369 @@
+// lib/searchAnalytics.js
+// Search analytics: a row per page-1 search from /api/search and /api/search/stream,
+// a row per result card opened from /read (POST /api/search/click), and the
+// report behind the /admin/search dashboard.
+//
+// Privacy: nothing identifies the searcher. Queries are stored lowercased and
+// whitespace-collapsed with e-mail addresses masked; clicks only reference the
+// search id handed out with the results. Rows older than the retention window
+// are purged (at most once a day, from the write path).
+//
+//   SEARCH_ANALYTICS=supabase   tables from supabase/20261019_search_analytics.sql
+//                               (default when SUPABASE_URL + service key are set)
+//   SEARCH_ANALYTICS=memory     in-process ring buffer, lost on restart
+//   SEARCH_ANALYTICS=off        record nothing
+//   SEARCH_ANALYTICS_RETENTION_DAYS=90
+
+const crypto = require('crypto');
+
+const QUERIES = 'search_queries';
+const CLICKS = 'search_clicks';
+const MAX_QUERY_LENGTH = 200;
+const MAX_MEMORY_ROWS = 5000;
+// Rows read for one report; PostgREST pages at 1000
+const REPORT_ROW_LIMIT = 20000;
+const PAGE_ROWS = 1000;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_RE = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+// Statuses (lib/sourceRegistry, routes/search.js) that count as a provider timing out
+const TIMEOUT_STATUSES = new Set(['timeout', 'deadline']);
+
+function check({ data, error }, op) {
+  if (error) {
+    const err = new Error(`${op}: ${error.message}`);
+    err.code = 'SEARCH_ANALYTICS_ERROR';
+    err.cause = error;
+    throw err;
+  }
+  return data;
+}
+
+// -- Backends -----------------------------------------------------------------
+
+/**
+ * @param {object} supabase - service-role client from lib/supabaseServer
+ */
+function createSupabaseAnalyticsStore(supabase) {
+  async function listSince(table, since, limit) {
+    const rows = [];
+    while (rows.length < limit) {
+      const from = rows.length;
+      const to = Math.min(from + PAGE_ROWS, limit) - 1;
+      const page = check(await supabase
+        .from(table)
+        .select('*')
+        .gte('created_at', since.toISOString())
+        .order('created_at', { ascending: false })
+        .range(from, to), `list ${table}`) || [];
+      rows.push(...page);
+      if (page.length < to - from + 1) break;
+    }
+    return rows;
+  }
+
+  return {
+    name: 'supabase',
+
+    async insertSearch(row) {
+      check(await supabase.from(QUERIES).insert(row), 'insertSearch');
+    },
+
+    async insertClick(row) {
+      check(await supabase.from(CLICKS).insert(row), 'insertClick');
+    },
+
+    listSearches({ since, limit = REPORT_ROW_LIMIT }) {
+      return listSince(QUERIES, since, limit);
+    },
+
+    listClicks({ since, limit = REPORT_ROW_LIMIT }) {
+      return listSince(CLICKS, since, limit);
+    },
+
+    async purgeBefore(date) {
+      const before = date.toISOString();
+      check(await supabase.from(CLICKS).delete().lt('created_at', before), 'purge clicks');
+      check(await supabase.from(QUERIES).delete().lt('created_at', before), 'purge searches');
+    },
+  };
+}
+
+/** Newest MAX_MEMORY_ROWS rows per table; backs local runs and the tests */
+function createMemoryAnalyticsStore({ maxRows = MAX_MEMORY_ROWS } = {}) {
+  const db = { searches: [], clicks: [] };
+  const push = (table, row) => {
+    db[table].push({ created_at: new Date().toISOString(), ...row });
+    if (db[table].length > maxRows) db[table].splice(0, db[table].length - maxRows);
+  };
+  const since = (table, date, limit) => db[table]
+    .filter(r => r.created_at >= date.toISOString())
+    .reverse()
+    .slice(0, limit);
+
+  return {
+    name: 'memory',
+    async insertSearch(row) { push('searches', row); },
+    async insertClick(row) { push('clicks', row); },
+    async listSearches({ since: date, limit = REPORT_ROW_LIMIT }) { return since('searches', date, limit); },
+    async listClicks({ since: date, limit = REPORT_ROW_LIMIT }) { return since('clicks', date, limit); },
+    async purgeBefore(date) {
+      const cutoff = date.toISOString();
+      for (const table of Object.keys(db)) db[table] = db[table].filter(r => r.created_at >= cutoff);
+    },
+  };
+}
+
+function supabaseConfigured() {
+  return Boolean(
+    (process.env.SUPABASE_URL || process.env.supabaseUrl) &&
+    (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY ||
+      process.env.SUPABASE_KEY || process.env.supabaseKey)
+  );
+}
+
+let store;
+let lastPurge = 0;
+
+/** The configured store, or null when analytics are off */
+function getAnalyticsStore() {
+  if (store === undefined) {
+    const kind = (process.env.SEARCH_ANALYTICS || (supabaseConfigured() ? 'supabase' : 'memory')).toLowerCase();
+    if (kind === 'off') store = null;
+    else if (kind === 'supabase') store = createSupabaseAnalyticsStore(require('./supabaseServer'));
+    else {
+      if (kind !== 'memory') console.warn(`[searchAnalytics] unknown SEARCH_ANALYTICS=${kind}, using memory`);
+      store = createMemoryAnalyticsStore();
+    }
+    console.log(`[searchAnalytics] backend=${store ? store.name : 'off'}`);
+  }
+  return store;
+}
+
+/** Swap the backend (tests, scripts); null turns recording off */
+function setAnalyticsStore(next) {
+  store = next;
+  lastPurge = 0;
+}
+
+function retentionDays() {
+  const days = parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS, 10);
+  return days > 0 ? days : 90;
+}
+
+function purgeIfDue(s) {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+  const before = new Date(Date.now() - retentionDays() * 24 * 60 * 60 * 1000);
+  s.purgeBefore(before).catch(err => console.warn('[searchAnalytics] purge failed:', err.message));
+}
+
+// -- Recording ----------------------------------------------------------------
+
+/** E-mail addresses in a query replaced by [email] (also used by lib/searchSuggest) */
+function maskQuery(q) {
+  return String(q || '').replace(EMAIL_RE, '[email]');
+}
+
+/** Query text as stored: lowercased, whitespace collapsed, e-mail addresses masked */
+function normalizeQuery(q) {
+  return maskQuery(String(q || '').normalize('NFC'))
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+}
+
+/** Providers whose status means they ran out of time */
+function timedOutProviders(statuses = {}) {
+  return Object.keys(statuses).filter(name => TIMEOUT_STATUSES.has(statuses[name])).sort();
+}
+
+function newSearchId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Log one search. Never throws and never delays the response: failures are logged.
+ * @param {{ searchId, q, mode, hasFilters, resultCount, counts, statuses, deadlineHit, latencyMs }} search
+ */
+function recordSearch(search) {
+  const s = getAnalyticsStore();
+  const query = normalizeQuery(search.q);
+  if (!s || !query || !UUID_RE.test(search.searchId || '')) return Promise.resolve();
+  const row = {
+    id: search.searchId,
+    query,
+    mode: search.mode === 'stream' ? 'stream' : 'json',
+    has_filters: Boolean(search.hasFilters),
+    result_count: Math.max(0, search.resultCount | 0),
+    provider_counts: search.counts || {},
+    timeouts: timedOutProviders(search.statuses),
+    deadline_hit: Boolean(search.deadlineHit),
+    latency_ms: Number.isFinite(search.latencyMs) ? Math.round(search.latencyMs) : null,
+  };
+  purgeIfDue(s);
+  return s.insertSearch(row).catch(err => console.warn('[searchAnalytics] insertSearch failed:', err.message));
+}
+
+/**
+ * Validate a click beacon body from read-search.js.
+ * @returns {{ row: object|null, error: string|null }}
+ */
+function parseClick(body = {}) {
+  const searchId = String(body.search_id || '');
+  const position = Number(body.position);
+  if (!UUID_RE.test(searchId)) return { row: null, error: 'invalid_search_id' };
+  if (!Number.isInteger(position) || position < 0 || position > 10000) return { row: null, error: 'invalid_position' };
+  const provider = typeof body.provider === 'string' && /^[a-z0-9_-]{1,40}$/i.test(body.provider)
+    ? body.provider.toLowerCase()
+    : null;
+  const bookId = typeof body.book_id === 'string' ? body.book_id.slice(0, 300) : null;
+  return { row: { search_id: searchId, position, provider, book_id: bookId || null }, error: null };
+}
+
+function recordClick(row) {
+  const s = getAnalyticsStore();
+  if (!s) return Promise.resolve();
+  return s.insertClick(row).catch(err => console.warn('[searchAnalytics] insertClick failed:', err.message));
+}
+
+// -- Report -------------------------------------------------------------------
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+/**
+ * Aggregate search and click rows (the store only filters by date).
+ * @returns {{ totals, top_queries, zero_result_queries, provider_timeouts, clicked_providers }}
+ */
+function summarize(searches, clicks, { limit = 25 } = {}) {
+  const clicksBySearch = new Map();
+  for (const click of clicks) {
+    clicksBySearch.set(click.search_id, (clicksBySearch.get(click.search_id) || 0) + 1);
+  }
+
+  const byQuery = new Map();
+  const providers = new Map();
+  const latencies = [];
+  let zeroResults = 0;
+  let clickedSearches = 0;
+  let deadlineHits = 0;
+
+  for (const search of searches) {
+    const clicked = clicksBySearch.get(search.id) || 0;
+    if (clicked) clickedSearches++;
+    if (!search.result_count) zeroResults++;
+    if (search.deadline_hit) deadlineHits++;
+    if (Number.isFinite(search.latency_ms)) latencies.push(search.latency_ms);
+
+    let entry = byQuery.get(search.query);
+    if (!entry) {
+      entry = { query: search.query, searches: 0, zero_results: 0, results: 0, clicked: 0, clicks: 0, last_at: search.created_at };
+      byQuery.set(search.query, entry);
+    }
+    entry.searches++;
+    entry.results += search.result_count || 0;
+    if (!search.result_count) entry.zero_results++;
+    if (clicked) entry.clicked++;
+    entry.clicks += clicked;
+    if (search.created_at > entry.last_at) entry.last_at = search.created_at;
+
+    const timeouts = new Set(search.timeouts || []);
+    for (const name of new Set([...Object.keys(search.provider_counts || {}), ...timeouts])) {
+      const p = providers.get(name) || { provider: name, searches: 0, timeouts: 0, results: 0 };
+      p.searches++;
+      p.results += (search.provider_counts || {})[name] || 0;
+      if (timeouts.has(name)) p.timeouts++;
+      providers.set(name, p);
+    }
+  }
+
+  const clickedProviders = new Map();
+  for (const click of clicks) {
+    const name = click.provider || 'unknown';
+    clickedProviders.set(name, (clickedProviders.get(name) || 0) + 1);
+  }
+
+  latencies.sort((a, b) => a - b);
+  const queries = [...byQuery.values()];
+  const byCountThenQuery = (count) => (a, b) => b[count] - a[count] || (a.query < b.query ? -1 : 1);
+
+  return {
+    totals: {
+      searches: searches.length,
+      unique_queries: byQuery.size,
+      zero_results: zeroResults,
+      zero_result_rate: rate(zeroResults, searches.length),
+      clicks: clicks.length,
+      click_through_rate: rate(clickedSearches, searches.length),
+      mean_click_position: clicks.length
+        ? Math.round((clicks.reduce((sum, c) => sum + c.position, 0) / clicks.length) * 10) / 10
+        : null,
+      deadline_hits: deadlineHits,
+      latency_p50_ms: percentile(latencies, 0.5),
+      latency_p95_ms: percentile(latencies, 0.95),
+    },
+    top_queries: queries
+      .sort(byCountThenQuery('searches'))
+      .slice(0, limit)
+      .map(q => ({
+        query: q.query,
+        searches: q.searches,
+        avg_results: Math.round(q.results / q.searches),
+        zero_results: q.zero_results,
+        clicks: q.clicks,
+        click_through_rate: rate(q.clicked, q.searches),
+        last_at: q.last_at,
+      })),
+    zero_result_queries: queries
+      .filter(q => q.zero_results)
+      .sort(byCountThenQuery('zero_results'))
+      .slice(0, limit)
+      .map(q => ({ query: q.query, searches: q.zero_results, last_at: q.last_at })),
+    provider_timeouts: [...providers.values()]
+      .map(p => ({ ...p, timeout_rate: rate(p.timeouts, p.searches) }))
+      .sort((a, b) => b.timeouts - a.timeouts || b.timeout_rate - a.timeout_rate || (a.provider < b.provider ? -1 : 1)),
+    clicked_providers: [...clickedProviders.entries()]
+      .map(([provider, count]) => ({ provider, clicks: count }))
+      .sort((a, b) => b.clicks - a.clicks),
+  };
+}
+
+/**
+ * Report for the last `days` days (dashboard + JSON endpoint)
+ * @returns {Promise<object|null>} null when analytics are off
+ */
+async function getReport({ days = 7, limit = 25 } = {}) {
+  const s = getAnalyticsStore();
+  if (!s) return null;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const [searches, clicks] = await Promise.all([s.listSearches({ since }), s.listClicks({ since })]);
+  return {
+    backend: s.name,
+    days,
+    since: since.toISOString(),
+    truncated: searches.length >= REPORT_ROW_LIMIT,
+    ...summarize(searches, clicks, { limit }),
+  };
+}
+
+module.exports = {
+  createSupabaseAnalyticsStore,
+  createMemoryAnalyticsStore,
+  getAnalyticsStore,
+  setAnalyticsStore,
+  maskQuery,
+  normalizeQuery,
+  timedOutProviders,
+  newSearchId,
+  recordSearch,
+  parseClick,
+  recordClick,
+  summarize,
+  getReport,
+};
@@ -0,0 +1,172 @@
+// lib/searchCache.js
+// Per-provider search result cache with stale-while-revalidate
+// Memory LRUs in front, optional Redis behind them (shares the session client when REDIS_URL is set)
+
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const { filterKey } = require('./searchFilters');
+
+// Fresh entries are served as-is; stale ones are served once while a refresh runs in the background
+const FRESH_MS = parseInt(process.env.SEARCH_CACHE_FRESH_MS, 10) || 5 * 60 * 1000;
+const STALE_MS = parseInt(process.env.SEARCH_CACHE_STALE_MS, 10) || 60 * 60 * 1000;
+const REDIS_PREFIX = 'bl:search:v1:';
+
+// Each query fans out to every provider, so one shared LRU would hold only ~50 queries
+// and let the providers evict each other; every provider gets its own instead
+const MAX_PER_PROVIDER = parseInt(process.env.SEARCH_CACHE_MAX_PER_PROVIDER, 10) || 500;
+
+const memories = new Map(); // provider -> LRUCache
+
+function memoryFor(provider) {
+  let memory = memories.get(provider);
+  if (!memory) {
+    memory = new LRUCache({ max: MAX_PER_PROVIDER, ttl: STALE_MS });
+    memories.set(provider, memory);
+  }
+  return memory;
+}
+
+let redis = null;
+const inflight = new Map(); // key -> Promise (shared by concurrent misses and revalidations)
+
+const counters = {
+  hits: 0,
+  stale_hits: 0,
+  misses: 0,
+  revalidations: 0,
+  revalidation_errors: 0,
+  redis_hits: 0,
+  redis_errors: 0,
+  by_provider: {},
+};
+
+function bump(provider, field) {
+  counters[field]++;
+  const p = counters.by_provider[provider] || (counters.by_provider[provider] = { hits: 0, stale_hits: 0, misses: 0 });
+  if (field in p) p[field]++;
+}
+
+/**
+ * Use an already-connected node-redis v4 client as the second tier.
+ * Called from server.js with the session store's client.
+ */
+function useRedis(client) {
+  redis = client || null;
+  if (redis) console.log('[searchCache] Redis tier enabled');
+}
+
+function redisReady() {
+  return Boolean(redis && redis.isReady);
+}
+
+/** Lowercase, Unicode-normalize and collapse whitespace so trivially different queries share entries */
+function normalizeQuery(q) {
+  return String(q || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** Cache key for one provider's page of results */
+function cacheKey(provider, q, page, filters) {
+  const raw = `${normalizeQuery(q)}|${page}|${filterKey(filters)}`;
+  return `${provider}:${crypto.createHash('sha1').update(raw).digest('hex')}`;
+}
+
+async function read(provider, key) {
+  const memory = memoryFor(provider);
+  const local = memory.get(key);
+  if (local) return local;
+  if (!redisReady()) return null;
+  try {
+    const raw = await redis.get(REDIS_PREFIX + key);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    counters.redis_hits++;
+    memory.set(key, entry, { ttl: Math.max(1, STALE_MS - (Date.now() - entry.storedAt)) });
+    return entry;
+  } catch (err) {
+    counters.redis_errors++;
+    console.warn('[searchCache] redis read failed:', err.message);
+    return null;
+  }
+}
+
+function write(provider, key, items) {
+  const entry = { items, storedAt: Date.now() };
+  memoryFor(provider).set(key, entry);
+  if (!redisReady()) return;
+  redis.set(REDIS_PREFIX + key, JSON.stringify(entry), { PX: STALE_MS }).catch(err => {
+    counters.redis_errors++;
+    console.warn('[searchCache] redis write failed:', err.message);
+  });
+}
+
+/**
+ * Run fetcher once per key at a time; store the items when the source answered cleanly.
+ * Errors, timeouts and open breakers are never cached.
+ */
+function refresh(provider, key, fetcher) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = Promise.resolve()
+    .then(fetcher)
+    .then(result => {
+      if (result && result.status === 'ok') write(provider, key, result.items);
+      return result;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+/**
+ * Serve a provider's results from cache, falling back to fetcher.
+ * fetcher must resolve to a lib/sourceRegistry result ({ name, status, items, ms }).
+ * @returns {Promise<object>} the registry result, with `cache: 'hit'|'stale'|'miss'`
+ */
+async function wrap(provider, q, page, filters, fetcher) {
+  const key = cacheKey(provider, q, page, filters);
+  const entry = await read(provider, key);
+
+  if (entry) {
+    const age = Date.now() - entry.storedAt;
+    if (age < FRESH_MS) {
+      bump(provider, 'hits');
+      return { name: provider, status: 'ok', items: entry.items, ms: 0, cache: 'hit' };
+    }
+    // Stale: answer now, refresh behind the response
+    bump(provider, 'stale_hits');
+    if (!inflight.has(key)) {
+      counters.revalidations++;
+      refresh(provider, key, fetcher)
+        .then(result => { if (!result || result.status !== 'ok') counters.revalidation_errors++; })
+        .catch(() => { counters.revalidation_errors++; });
+    }
+    return { name: provider, status: 'ok', items: entry.items, ms: 0, cache: 'stale' };
+  }
+
+  bump(provider, 'misses');
+  const result = await refresh(provider, key, fetcher);
+  return { ...result, cache: 'miss' };
+}
+
+/** Counters and sizes for the admin endpoint */
+function stats() {
+  const lookups = counters.hits + counters.stale_hits + counters.misses;
+  let entries = 0;
+  for (const memory of memories.values()) entries += memory.size;
+  return {
+    ...counters,
+    hit_rate: lookups ? Number(((counters.hits + counters.stale_hits) / lookups).toFixed(3)) : 0,
+    memory_entries: entries,
+    memory_max_per_provider: MAX_PER_PROVIDER,
+    inflight: inflight.size,
+    redis: redisReady() ? 'ready' : (redis ? 'not_ready' : 'disabled'),
+    fresh_ms: FRESH_MS,
+    stale_ms: STALE_MS,
+  };
+}
+
+/** Drop every memory entry (Redis entries expire on their own) */
+function clear() {
+  for (const memory of memories.values()) memory.clear();
+}
+
+module.exports = { useRedis, normalizeQuery, cacheKey, wrap, stats, clear };
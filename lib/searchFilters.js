@@ -0,0 +1,175 @@
+// lib/searchFilters.js
+// Faceted filter parsing, post-merge filtering and facet counting for /api/search
+
+/**
+ * ISO 639-1 → ISO 639-2/B codes. Open Library and archive.org index
+ * languages by three-letter code; Gutendex and our own items use two.
+ */
+const LANG_ISO3 = {
+  en: 'eng', fr: 'fre', de: 'ger', es: 'spa', it: 'ita', pt: 'por',
+  nl: 'dut', la: 'lat', el: 'gre', ru: 'rus', pl: 'pol', sv: 'swe',
+  da: 'dan', fi: 'fin', no: 'nor', cs: 'cze', hu: 'hun', ar: 'ara',
+  zh: 'chi', ja: 'jpn', tr: 'tur', he: 'heb', uk: 'ukr', ca: 'cat',
+};
+
+/** English language names as used by LoC facets and some archive.org records */
+const LANG_NAMES = {
+  en: 'english', fr: 'french', de: 'german', es: 'spanish', it: 'italian',
+  pt: 'portuguese', nl: 'dutch', la: 'latin', el: 'greek', ru: 'russian',
+  pl: 'polish', sv: 'swedish', da: 'danish', fi: 'finnish', no: 'norwegian',
+  cs: 'czech', hu: 'hungarian', ar: 'arabic', zh: 'chinese', ja: 'japanese',
+  tr: 'turkish', he: 'hebrew', uk: 'ukrainian', ca: 'catalan',
+};
+
+// Reverse lookups (three-letter codes incl. ISO 639-2/T variants, and names)
+const LANG_ALIASES = (() => {
+  const map = { fra: 'fr', deu: 'de', nld: 'nl', ell: 'el', ces: 'cs', zho: 'zh' };
+  for (const [iso2, iso3] of Object.entries(LANG_ISO3)) map[iso3] = iso2;
+  for (const [iso2, name] of Object.entries(LANG_NAMES)) map[name] = iso2;
+  return map;
+})();
+
+const FORMATS = new Set(['epub', 'pdf']);
+
+/**
+ * Normalize any language value (code, name, array, "en_US") to ISO 639-1.
+ * Returns the lowercased input when it cannot be mapped, or null when empty.
+ */
+function normalizeLanguage(value) {
+  if (value == null) return null;
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw == null) return null;
+  const v = String(raw).trim().toLowerCase().split(/[-_;,]/)[0].trim();
+  if (!v) return null;
+  if (v.length === 2) return v;
+  return LANG_ALIASES[v] || v;
+}
+
+/**
+ * Every spelling of a language we know of ("fr" → fr, fre, fra, french), for
+ * matching stored values that were never normalized (catalog_books.language).
+ */
+function languageVariants(value) {
+  const iso2 = normalizeLanguage(value);
+  if (!iso2) return [];
+  const variants = [iso2, ...Object.keys(LANG_ALIASES).filter(alias => LANG_ALIASES[alias] === iso2)];
+  return [...new Set(variants)];
+}
+
+/** Extract a four-digit year from numbers or strings like "1853", "c1890", "1900-01-01" */
+function parseYear(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.trunc(value) : null;
+  const m = String(value).match(/\d{4}/);
+  return m ? parseInt(m[0], 10) : null;
+}
+
+function splitList(value) {
+  if (value == null) return [];
+  const arr = Array.isArray(value) ? value : String(value).split(',');
+  return arr.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parse filter parameters from a request query object.
+ *   lang=fr            language (ISO 639-1, 639-2 or English name)
+ *   format=epub|pdf    file format
+ *   provider=a,b       restrict to these providers
+ *   year_from / year_to  publication year range (inclusive)
+ *   readable=1         only items readable on-site
+ *
+ * @param {object} query - req.query
+ * @returns {{ language: string|null, format: string|null, providers: string[],
+ *             yearFrom: number|null, yearTo: number|null, readableOnly: boolean }}
+ */
+function parseFilters(query = {}) {
+  const format = String(query.format || '').trim().toLowerCase();
+  let yearFrom = parseYear(query.year_from);
+  let yearTo = parseYear(query.year_to);
+  if (yearFrom && yearTo && yearFrom > yearTo) [yearFrom, yearTo] = [yearTo, yearFrom];
+  const readable = String(query.readable || '').toLowerCase();
+
+  return {
+    language: normalizeLanguage(query.lang || query.language),
+    format: FORMATS.has(format) ? format : null,
+    providers: splitList(query.provider),
+    yearFrom,
+    yearTo,
+    readableOnly: readable === '1' || readable === 'true',
+  };
+}
+
+/** True when at least one filter is set */
+function hasFilters(filters) {
+  if (!filters) return false;
+  return Boolean(
+    filters.language || filters.format || filters.providers.length ||
+    filters.yearFrom || filters.yearTo || filters.readableOnly
+  );
+}
+
+/**
+ * Stable string for the filters a connector receives (used in cache keys).
+ * Provider and readable-only filters are applied after the fan-out, so they are left out.
+ */
+function filterKey(filters) {
+  if (!filters) return '';
+  return [
+    filters.language || '',
+    filters.format || '',
+    filters.yearFrom || '',
+    filters.yearTo || '',
+  ].join('|');
+}
+
+/** Should this provider be queried at all under the given filters? */
+function providerAllowed(filters, provider) {
+  if (!filters || !filters.providers.length) return true;
+  return filters.providers.includes(provider);
+}
+
+/**
+ * Post-merge filtering for providers that can't push a filter upstream.
+ * Items with an unknown year are dropped when a year range is set.
+ * The readable-only filter is applied separately once readability is final.
+ */
+function applyFilters(items, filters) {
+  if (!hasFilters(filters)) return items;
+  return items.filter(item => {
+    if (filters.providers.length && !filters.providers.includes(item.provider)) return false;
+    if (filters.format && item.format !== filters.format) return false;
+    if (filters.language && normalizeLanguage(item.language) !== filters.language) return false;
+    if (filters.yearFrom || filters.yearTo) {
+      const year = parseYear(item.year);
+      if (!year) return false;
+      if (filters.yearFrom && year < filters.yearFrom) return false;
+      if (filters.yearTo && year > filters.yearTo) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Count results per provider / language / format for facet chips.
+ * @param {Array} items - public result items
+ * @returns {{ provider: object, language: object, format: object }}
+ */
+function buildFacets(items) {
+  const facets = { provider: {}, language: {}, format: {} };
+  const bump = (bucket, key) => {
+    if (!key) return;
+    bucket[key] = (bucket[key] || 0) + 1;
+  };
+  for (const item of items) {
+    bump(facets.provider, item.provider || 'unknown');
+    bump(facets.language, normalizeLanguage(item.language));
+    bump(facets.format, item.format && item.format !== 'unknown' ? item.format : null);
+  }
+  return facets;
+}
+
+module.exports = {
+  LANG_ISO3, LANG_NAMES,
+  normalizeLanguage, languageVariants, parseYear, parseFilters, hasFilters, filterKey, providerAllowed,
+  applyFilters, buildFacets,
+};
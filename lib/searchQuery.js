@@ -0,0 +1,198 @@
+// lib/searchQuery.js
+// Advanced query syntax for /api/search:
+//   author:"Jane Austen" title:emma -abridged lang:fr year:1800..1900 "exact phrase"
+// parseQuery() turns the raw string into a structured query; each source translates
+// it into its upstream's native parameters, and scoreRelevance uses the fields.
+
+const { normalizeLanguage } = require('./searchFilters');
+
+// Field prefixes accepted in the query string → structured query field
+const FIELD_ALIASES = {
+  title: 'title', ti: 'title',
+  author: 'author', by: 'author', creator: 'author', au: 'author',
+  subject: 'subject', subj: 'subject', topic: 'subject',
+  lang: 'language', language: 'language',
+  year: 'year', date: 'year',
+  format: 'format',
+};
+
+const FORMATS = new Set(['epub', 'pdf']);
+
+// -?field:"quoted value" | -?field:value | -?"phrase" | -?word
+const TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Parse `year:` values: "1850", "1800..1900", "1800..", "..1900", "1800-1900"
+ * @returns {{ from: number|null, to: number|null }|null}
+ */
+function parseYearRange(value) {
+  const m = String(value).match(/^(\d{3,4})?\s*(?:\.\.|-)\s*(\d{3,4})?$/);
+  if (m && (m[1] || m[2])) {
+    let from = m[1] ? parseInt(m[1], 10) : null;
+    let to = m[2] ? parseInt(m[2], 10) : null;
+    if (from && to && from > to) [from, to] = [to, from];
+    return { from, to };
+  }
+  const year = /^\d{3,4}$/.test(value) ? parseInt(value, 10) : null;
+  return year ? { from: year, to: year } : null;
+}
+
+/**
+ * Parse a raw search string into a structured query.
+ * Unknown prefixes ("http:", "note:") are kept as plain words.
+ *
+ * @param {string} q - raw query string
+ * @returns {{ raw: string, terms: string[], phrases: string[], title: string[], author: string[],
+ *             subject: string[], exclude: string[], language: string|null,
+ *             yearFrom: number|null, yearTo: number|null, format: string|null }}
+ */
+function parseQuery(q) {
+  const query = {
+    raw: String(q || '').trim(),
+    terms: [],
+    phrases: [],
+    title: [],
+    author: [],
+    subject: [],
+    exclude: [],
+    language: null,
+    yearFrom: null,
+    yearTo: null,
+    format: null,
+  };
+
+  for (const m of query.raw.matchAll(TOKEN_RE)) {
+    const negated = m[1] === '-';
+    const prefix = m[2] ? m[2].toLowerCase() : null;
+    const quoted = m[3] !== undefined;
+    const value = (quoted ? m[3] : m[4] || '').trim();
+    const field = prefix ? FIELD_ALIASES[prefix] : null;
+
+    if (prefix && !field) {
+      // Not a field we know: keep "prefix:value" as an ordinary word
+      const word = `${m[2]}:${value}`;
+      (negated ? query.exclude : query.terms).push(word);
+      continue;
+    }
+    if (!value) continue;
+
+    if (negated) {
+      // -author:foo / -"some phrase" / -word all exclude the text itself
+      if (field !== 'language' && field !== 'year' && field !== 'format') query.exclude.push(value);
+      continue;
+    }
+
+    switch (field) {
+      case 'title':
+      case 'author':
+      case 'subject':
+        query[field].push(value);
+        break;
+      case 'language':
+        query.language = normalizeLanguage(value);
+        break;
+      case 'year': {
+        const range = parseYearRange(value);
+        if (range) {
+          query.yearFrom = range.from;
+          query.yearTo = range.to;
+        }
+        break;
+      }
+      case 'format':
+        if (FORMATS.has(value.toLowerCase())) query.format = value.toLowerCase();
+        break;
+      default:
+        if (quoted && /\s/.test(value)) query.phrases.push(value);
+        else query.terms.push(value);
+    }
+  }
+
+  return query;
+}
+
+/** True when the query has fielded terms, phrases or exclusions (i.e. more than plain words) */
+function isAdvanced(query) {
+  return Boolean(
+    query.title.length || query.author.length || query.subject.length ||
+    query.phrases.length || query.exclude.length ||
+    query.language || query.yearFrom || query.yearTo || query.format
+  );
+}
+
+/**
+ * Plain keyword string for upstreams without fielded search: every positive word,
+ * fielded values included, without quotes or operators.
+ */
+function keywords(query) {
+  return [...query.title, ...query.author, ...query.subject, ...query.phrases, ...query.terms]
+    .join(' ')
+    .replace(/"/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Double-quote a value for Lucene/Solr or websearch syntax when it contains spaces */
+function quote(value) {
+  const v = String(value).replace(/["\\]/g, ' ').trim();
+  return /\s/.test(v) ? `"${v}"` : v;
+}
+
+/**
+ * Postgres websearch_to_tsquery() input. The catalog's search_tsv covers title,
+ * authors and subjects together, so fielded values become ordinary (quoted) terms.
+ *   author:"Jane Austen" emma -abridged → "Jane Austen" emma -abridged
+ */
+function toWebsearch(query) {
+  return [
+    ...[...query.title, ...query.author, ...query.subject, ...query.phrases].map(v => `"${v.replace(/"/g, '')}"`),
+    ...query.terms.map(quote),
+    ...query.exclude.map(v => `-${quote(v)}`),
+  ].join(' ').trim();
+}
+
+/**
+ * Fill language/year/format filters from the query where the request didn't set them
+ * as parameters (explicit `lang=`, `year_from=`... win over `lang:` in the query).
+ * @returns {object} new filters object (see lib/searchFilters parseFilters)
+ */
+function withQueryFilters(filters, query) {
+  const merged = { ...filters };
+  if (!merged.language && query.language) merged.language = query.language;
+  if (!merged.format && query.format) merged.format = query.format;
+  if (!merged.yearFrom && !merged.yearTo && (query.yearFrom || query.yearTo)) {
+    merged.yearFrom = query.yearFrom;
+    merged.yearTo = query.yearTo;
+  }
+  return merged;
+}
+
+/** Lowercased text of the fields exclusions are matched against */
+function bookText(book) {
+  const subjects = Array.isArray(book.subjects) ? book.subjects.join(' ') : (book.subjects || '');
+  return [book.title, book.author, subjects]
+    .map(v => (typeof v === 'string' ? v : Array.isArray(v) ? v.join(' ') : ''))
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * True when the book matches an excluded word or phrase (title, author, subjects).
+ * Used post-merge for upstreams that can't exclude natively.
+ */
+function isExcluded(book, query) {
+  if (!query.exclude.length) return false;
+  const text = bookText(book);
+  return query.exclude.some(value => {
+    const v = value.toLowerCase();
+    return /\s/.test(v) ? text.includes(v) : new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(v)}`, 'u').test(text);
+  });
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseQuery, isAdvanced, keywords, quote, toWebsearch, withQueryFilters, isExcluded,
+};
@@ -0,0 +1,389 @@
+// lib/searchSuggest.js
+// Search-as-you-type completions for GET /api/search/suggest (routes/search.js).
+//
+// Only local sources are consulted so a keystroke costs tens of milliseconds:
+//   query    popular searches (recordQuery() from /api/search and /stream), only once
+//            MIN_QUERY_SEARCHERS different accounts have run them, e-mail addresses masked
+//   title    curated_books and books opened by readers (reading_events), held
+//   author   in memory and refreshed every LOCAL_REFRESH_MS
+//   subject  catalog_books, via a prefix tsquery on search_tsv (cached per prefix,
+//            abandoned after CATALOG_TIMEOUT_MS so a slow database never blocks typing)
+
+const crypto = require('crypto');
+const { LRUCache } = require('../utils/lru');
+const { normalizeSubject, splitSubjects } = require('./catalogBrowse');
+const { foldText } = require('./textMatch');
+const { maskQuery } = require('./searchAnalytics');
+
+const MIN_CATALOG_PREFIX = 2;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 100;
+const MAX_TRACKED_QUERIES = 1000;
+// A query is shown to others only after this many different searchers ran it
+const MIN_QUERY_SEARCHERS = 3;
+// Popularity of a tracked query halves every day
+const QUERY_HALF_LIFE_MS = 24 * 60 * 60 * 1000;
+const LOCAL_REFRESH_MS = 10 * 60 * 1000;
+const LOCAL_EVENT_DAYS = 90;
+const LOCAL_EVENT_LIMIT = 5000;
+const LOCAL_CURATED_LIMIT = 2000;
+const CATALOG_TIMEOUT_MS = 250;
+const CATALOG_ROWS = 20;
+const CATALOG_CACHE_TTL_MS = 10 * 60 * 1000;
+// The first request waits this long for the in-memory index to load
+const LOCAL_WARMUP_WAIT_MS = 150;
+const TYPE_ORDER = { query: 0, title: 1, author: 2, subject: 3 };
+
+/** Lowercase, strip diacritics and punctuation, collapse whitespace (any script) */
+const normalizeText = foldText;
+
+/**
+ * How well `text` completes the typed prefix (both normalized):
+ *   3  text starts with the whole prefix
+ *   2  every prefix word starts a word of text, in order
+ *   1  every prefix word starts some word of text
+ *   0  no match
+ * The last prefix word may be partial; the others must match whole words.
+ */
+function matchScore(text, prefix) {
+  if (!prefix || !text) return 0;
+  if (text.startsWith(prefix)) return 3;
+  const words = text.split(' ');
+  const typed = prefix.split(' ');
+  const matches = (word, i) => (i === typed.length - 1 ? word.startsWith(typed[i]) : word === typed[i]);
+
+  let pos = 0;
+  let inOrder = true;
+  for (let i = 0; i < typed.length; i++) {
+    const at = words.findIndex((word, j) => j >= pos && matches(word, i));
+    if (at === -1) {
+      inOrder = false;
+      break;
+    }
+    pos = at + 1;
+  }
+  if (inOrder) return 2;
+  return typed.every((_, i) => words.some(word => matches(word, i))) ? 1 : 0;
+}
+
+/**
+ * to_tsquery('simple', ...) text matching every typed word, the last as a prefix.
+ * Returns null when nothing searchable is left.
+ */
+function prefixTsquery(prefix) {
+  const words = String(prefix || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map((word, i) => (i === words.length - 1 ? `${word}:*` : word)).join(' & ');
+}
+
+/** "A; B" author strings (catalog, reading events) → individual names */
+function splitAuthors(authors) {
+  if (!authors) return [];
+  return String(authors).split(/\s*;\s*/).map(a => a.trim()).filter(Boolean);
+}
+
+// -- Popular queries ----------------------------------------------------------
+
+/**
+ * Bounded, time-decayed counter of searches that returned results.
+ * Display text is the latest spelling of a normalized query. Searchers are kept
+ * as hashes, in memory only, just to count how many different people ran a query.
+ */
+function createQueryLog({ max = MAX_TRACKED_QUERIES, halfLifeMs = QUERY_HALF_LIFE_MS,
+  minSearchers = MIN_QUERY_SEARCHERS, now = Date.now } = {}) {
+  const entries = new Map(); // normalized → { text, score, at, searchers }
+
+  const decayed = (entry, t) => entry.score * Math.pow(0.5, (t - entry.at) / halfLifeMs);
+  const searcherHash = id => crypto.createHash('sha256').update(String(id)).digest('base64').slice(0, 16);
+
+  return {
+    /**
+     * @param {string} q
+     * @param {string} [searcher] - Who searched (user id); searches without one are
+     *   counted but never make a query suggestable
+     */
+    record(q, searcher) {
+      const text = maskQuery(String(q || '')).replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+      const key = normalizeText(text);
+      if (!key) return;
+      const t = now();
+      const entry = entries.get(key);
+      const searchers = entry ? entry.searchers : new Set();
+      if (searcher && searchers.size < minSearchers) searchers.add(searcherHash(searcher));
+      entries.set(key, { text, score: (entry ? decayed(entry, t) : 0) + 1, at: t, searchers });
+      if (entries.size > max) {
+        // Drop the least popular tenth in one go rather than on every insert
+        const sorted = [...entries.entries()].sort((a, b) => decayed(a[1], t) - decayed(b[1], t));
+        for (const [k] of sorted.slice(0, Math.ceil(max / 10))) entries.delete(k);
+      }
+    },
+
+    /** @returns {Array<{text, key, weight}>} queries enough people ran, most popular first */
+    list() {
+      const t = now();
+      return [...entries.entries()]
+        .filter(([, entry]) => entry.searchers.size >= minSearchers)
+        .map(([key, entry]) => ({ key, text: entry.text, weight: decayed(entry, t) }))
+        .sort((a, b) => b.weight - a.weight);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// -- Local title/author index -------------------------------------------------
+
+/**
+ * Collapse title/author candidates into index entries; weight = how often a
+ * candidate was seen (curated books count once, each reader open once more).
+ * @param {Array<{type, text, subtitle?}>} candidates
+ */
+function buildLocalIndex(candidates) {
+  const byKey = new Map();
+  for (const c of candidates) {
+    const key = normalizeText(c.text);
+    if (!key) continue;
+    const id = `${c.type}:${key}`;
+    const entry = byKey.get(id);
+    if (entry) {
+      entry.weight++;
+      if (!entry.subtitle && c.subtitle) entry.subtitle = c.subtitle;
+    } else {
+      byKey.set(id, { type: c.type, text: String(c.text).trim(), key, subtitle: c.subtitle || null, weight: 1 });
+    }
+  }
+  return [...byKey.values()];
+}
+
+function bookCandidates(rows, authorField) {
+  const out = [];
+  for (const row of rows || []) {
+    const author = row[authorField] || null;
+    if (row.title) out.push({ type: 'title', text: row.title, subtitle: author });
+    for (const name of splitAuthors(author)) out.push({ type: 'author', text: name });
+  }
+  return out;
+}
+
+/** Curated books + titles readers opened recently (errors in one source don't block the other) */
+async function loadLocalCandidates() {
+  const candidates = [];
+
+  const supabaseAdmin = require('../supabaseAdmin');
+  if (supabaseAdmin) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('curated_books')
+        .select('title,author')
+        .order('created_at', { ascending: false })
+        .limit(LOCAL_CURATED_LIMIT);
+      if (error) throw new Error(error.message);
+      candidates.push(...bookCandidates(data, 'author'));
+    } catch (err) {
+      console.warn('[suggest] curated_books load failed:', err.message);
+    }
+  }
+
+  try {
+    const { getStore } = require('./readingStore');
+    const since = new Date(Date.now() - LOCAL_EVENT_DAYS * 24 * 60 * 60 * 1000);
+    const events = await getStore().listEvents({ since, types: ['open'], limit: LOCAL_EVENT_LIMIT });
+    candidates.push(...bookCandidates(events, 'author'));
+  } catch (err) {
+    console.warn('[suggest] reading_events load failed:', err.message);
+  }
+
+  return candidates;
+}
+
+// -- Catalog ------------------------------------------------------------------
+
+/** Title, author and subject candidates from catalog rows matching a prefix tsquery */
+async function searchCatalogPrefix(prefix) {
+  const tsquery = prefixTsquery(prefix);
+  if (!tsquery) return [];
+  const supabase = require('./supabaseServer');
+  const { data, error } = await supabase
+    .from('catalog_books')
+    .select('title,authors,subjects')
+    .textSearch('search_tsv', tsquery, { config: 'simple' })
+    .eq('open_access', true)
+    .limit(CATALOG_ROWS);
+  if (error) throw new Error(error.message);
+
+  const candidates = bookCandidates(data, 'authors');
+  for (const row of data || []) {
+    for (const raw of splitSubjects(row.subjects)) {
+      const subject = normalizeSubject(raw);
+      if (subject) candidates.push({ type: 'subject', text: subject.label });
+    }
+  }
+  return candidates;
+}
+
+// -- Suggester ----------------------------------------------------------------
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise(resolve => { timer = setTimeout(() => resolve(null), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Rank candidates against the typed prefix. Per type at most half the slots,
+ * so one busy source can't push the others out.
+ * @returns {Array<{type, text, subtitle?}>}
+ */
+function rankSuggestions(entries, prefix, limit) {
+  const seen = new Set();
+  const scored = [];
+  for (const entry of entries) {
+    const score = matchScore(entry.key, prefix);
+    if (!score || entry.key === prefix && entry.type === 'query') continue;
+    const id = `${entry.type}:${entry.key}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    scored.push({ entry, rank: score * 10 + Math.log1p(entry.weight || 0) });
+  }
+  scored.sort((a, b) => b.rank - a.rank ||
+    TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type] ||
+    a.entry.text.length - b.entry.text.length);
+
+  const perType = Math.max(2, Math.ceil(limit / 2));
+  const counts = {};
+  const out = [];
+  const texts = new Set();
+  for (const { entry } of scored) {
+    if (out.length >= limit) break;
+    if ((counts[entry.type] || 0) >= perType) continue;
+    // A popular query equal to a title adds nothing: keep the first (higher ranked) one
+    if (texts.has(entry.key)) continue;
+    texts.add(entry.key);
+    counts[entry.type] = (counts[entry.type] || 0) + 1;
+    const item = { type: entry.type, text: entry.text };
+    if (entry.subtitle) item.subtitle = entry.subtitle;
+    out.push(item);
+  }
+  return out;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {Function} [opts.loadLocal]     async () => [{type, text, subtitle?}]
+ * @param {Function} [opts.searchCatalog] async (prefix) => [{type, text, subtitle?}]
+ * @param {Object}   [opts.queries]       createQueryLog() instance
+ */
+function createSuggester({
+  loadLocal = loadLocalCandidates,
+  searchCatalog = searchCatalogPrefix,
+  queries = createQueryLog(),
+  refreshMs = LOCAL_REFRESH_MS,
+  catalogTimeoutMs = CATALOG_TIMEOUT_MS,
+  warmupWaitMs = LOCAL_WARMUP_WAIT_MS,
+} = {}) {
+  let localIndex = [];
+  let localLoadedAt = 0;
+  let localLoading = null;
+  const catalogCache = new LRUCache(500);
+
+  function refreshLocal() {
+    if (!localLoading) {
+      localLoading = Promise.resolve()
+        .then(loadLocal)
+        .then(candidates => {
+          localIndex = buildLocalIndex(candidates || []);
+          localLoadedAt = Date.now();
+          console.log(`[suggest] local index: ${localIndex.length} entries`);
+        })
+        .catch(err => {
+          // Keep serving the previous index; retry on the next refresh
+          localLoadedAt = Date.now();
+          console.warn('[suggest] local index refresh failed:', err.message);
+        })
+        .finally(() => { localLoading = null; });
+    }
+    return localLoading;
+  }
+
+  async function catalogCandidates(prefix) {
+    const cached = catalogCache.get(prefix);
+    if (cached) return cached;
+    const pending = Promise.resolve(prefix)
+      .then(searchCatalog)
+      .then(candidates => {
+        catalogCache.set(prefix, candidates || [], CATALOG_CACHE_TTL_MS);
+        return candidates || [];
+      })
+      .catch(err => {
+        console.warn('[suggest] catalog lookup failed:', err.message);
+        return [];
+      });
+    // A late answer still fills the cache for the next keystroke
+    return (await withTimeout(pending, catalogTimeoutMs)) || [];
+  }
+
+  return {
+    recordQuery(q, searcher) {
+      queries.record(q, searcher);
+    },
+
+    /**
+     * @param {string} q typed text
+     * @param {{ limit?: number }} [opts]
+     * @returns {Promise<Array<{type, text, subtitle?}>>}
+     */
+    async suggest(q, { limit = DEFAULT_LIMIT } = {}) {
+      const prefix = normalizeText(q).slice(0, MAX_QUERY_LENGTH);
+      limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+      // Empty box: what people search for
+      if (!prefix) {
+        return queries.list().slice(0, limit).map(entry => ({ type: 'query', text: entry.text }));
+      }
+
+      if (!localLoadedAt) await withTimeout(refreshLocal(), warmupWaitMs);
+      else if (Date.now() - localLoadedAt > refreshMs) refreshLocal();
+
+      const catalog = prefix.length >= MIN_CATALOG_PREFIX ? await catalogCandidates(prefix) : [];
+      const catalogEntries = catalog.map(c => ({
+        type: c.type,
+        text: String(c.text).trim(),
+        key: normalizeText(c.text),
+        subtitle: c.subtitle || null,
+        weight: 0,
+      }));
+      const queryEntries = queries.list().map(entry => ({ type: 'query', ...entry }));
+
+      return rankSuggestions([...queryEntries, ...localIndex, ...catalogEntries], prefix, limit);
+    },
+
+    refresh: refreshLocal,
+  };
+}
+
+let defaultSuggester = null;
+function getSuggester() {
+  if (!defaultSuggester) defaultSuggester = createSuggester();
+  return defaultSuggester;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MIN_QUERY_SEARCHERS,
+  normalizeText,
+  matchScore,
+  prefixTsquery,
+  splitAuthors,
+  createQueryLog,
+  buildLocalIndex,
+  rankSuggestions,
+  createSuggester,
+  suggest: (q, opts) => getSuggester().suggest(q, opts),
+  recordQuery: (q, searcher) => getSuggester().recordQuery(q, searcher),
+};
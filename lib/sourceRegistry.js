@@ -0,0 +1,289 @@
+// lib/sourceRegistry.js
+// Registry for federated-search source connectors (lib/sources/*)
+// Owns per-provider timeouts, retry-on-timeout, circuit breaking and latency/error metrics
+// so individual sources only have to talk to their upstream.
+
+const config = require('../config');
+
+// Breaker opens after this many consecutive failures and stays open for the cooldown
+const FAILURE_THRESHOLD = parseInt(process.env.SOURCE_BREAKER_THRESHOLD, 10) || 5;
+const COOLDOWN_MS = parseInt(process.env.SOURCE_BREAKER_COOLDOWN_MS, 10) || 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+// Rolling window of recent calls used for percentiles and error rate
+const SAMPLE_WINDOW = 200;
+
+const sources = new Map(); // name -> { source, breaker, stats }
+
+/**
+ * Register a source connector.
+ * @param {object} source
+ * @param {string} source.name - Provider name (matches the `provider` field of its items)
+ * @param {number} [source.priority] - Dedup preference, lower wins
+ * @param {number} [source.timeoutMs] - Per-attempt timeout
+ * @param {number} [source.retries] - Extra attempts after a timeout
+ * @param {string} [source.flag] - config.js flag that must be true to enable the source
+ * @param {object} [source.capabilities] - { formats: [], languages?: [], paginated: bool }
+ * @param {Function} source.search - (q, page, filters, { signal }) => Promise<Array>
+ * @param {Function} [source.lookup] - (providerId, { signal }) => Promise<object|null>, one book's
+ *   details (description, subjects, license, ...) for the book page
+ * @param {Function} [source.lookupAuthor] - (name, { signal }) => Promise<object|null>, the upstream's
+ *   record for an author (name, birth_year, death_year, bio, ...) for author pages
+ */
+function register(source) {
+  if (!source || !source.name || typeof source.search !== 'function') {
+    throw new Error('[sources] register() needs a name and a search function');
+  }
+  if (sources.has(source.name)) {
+    throw new Error(`[sources] duplicate source "${source.name}"`);
+  }
+  sources.set(source.name, {
+    source,
+    breaker: { state: 'closed', failures: 0, openedAt: null, trialInFlight: false },
+    stats: { calls: 0, errors: 0, timeouts: 0, skipped: 0, lastError: null, lastErrorAt: null, samples: [] },
+  });
+}
+
+function get(name) {
+  const entry = sources.get(name);
+  return entry ? entry.source : null;
+}
+
+/** Sources whose feature flag (if any) is on, in registration order */
+function enabledSources() {
+  const out = [];
+  for (const { source } of sources.values()) {
+    if (!source.flag || config[source.flag]) out.push(source);
+  }
+  return out;
+}
+
+/** Dedup priority map { provider: priority } for enabled and disabled sources alike */
+function priorities() {
+  const out = {};
+  for (const { source } of sources.values()) out[source.name] = source.priority ?? 50;
+  return out;
+}
+
+/**
+ * Can this source answer a query with these filters at all?
+ * Sources that can't produce the requested format or language are skipped without a call.
+ */
+function supports(source, filters = {}) {
+  const caps = source.capabilities || {};
+  if (filters.format && caps.formats && !caps.formats.includes(filters.format)) return false;
+  if (filters.language && caps.languages && !caps.languages.includes(filters.language)) return false;
+  return true;
+}
+
+// ---- circuit breaker ----
+
+/** True when a call may go through; moves open → half_open once the cooldown has passed */
+function allowRequest(breaker) {
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open') {
+    if (Date.now() - breaker.openedAt < COOLDOWN_MS) return false;
+    breaker.state = 'half_open';
+    breaker.trialInFlight = false;
+  }
+  // half_open: let exactly one trial request through
+  if (breaker.trialInFlight) return false;
+  breaker.trialInFlight = true;
+  return true;
+}
+
+function recordSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(name, breaker) {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+  if (breaker.state === 'half_open' || breaker.failures >= FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.warn(`[sources] breaker OPEN for ${name} after ${breaker.failures} consecutive failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// ---- metrics ----
+
+function pushSample(stats, ms, ok) {
+  stats.samples.push({ at: Date.now(), ms, ok });
+  if (stats.samples.length > SAMPLE_WINDOW) stats.samples.shift();
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+// ---- execution ----
+
+/**
+ * Run one attempt with a timeout. The AbortSignal lets axios-based sources cancel
+ * the underlying request; sources that ignore it are still cut off by the race.
+ * @param {Function} fn - (signal) => Promise
+ */
+function attempt(fn, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const err = new Error(`timeout after ${timeoutMs}ms`);
+      err.code = 'SOURCE_TIMEOUT';
+      reject(err);
+    }, timeoutMs);
+  });
+  const call = Promise.resolve().then(() => fn(controller.signal));
+  return Promise.race([call, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call a source through its breaker, timeout and retries, recording metrics.
+ * @param {Function} fn - (signal) => Promise
+ * @returns {Promise<{ status: 'ok'|'error'|'timeout'|'open', value?: *, ms: number, error?: string }>}
+ */
+async function guardedCall(name, entry, fn) {
+  const { source, breaker, stats } = entry;
+
+  if (!allowRequest(breaker)) {
+    stats.skipped++;
+    return { status: 'open', ms: 0 };
+  }
+
+  const timeoutMs = source.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const maxAttempts = 1 + (source.retries || 0);
+  const start = Date.now();
+  stats.calls++;
+
+  let lastError = null;
+  for (let i = 0; i < maxAttempts; i++) {
+    try {
+      const value = await attempt(fn, timeoutMs);
+      const ms = Date.now() - start;
+      pushSample(stats, ms, true);
+      recordSuccess(breaker);
+      return { status: 'ok', value, ms };
+    } catch (error) {
+      lastError = error;
+      if (error.code !== 'SOURCE_TIMEOUT') break; // only timeouts are worth retrying
+      if (i + 1 < maxAttempts) console.warn(`[sources] ${name} timed out, retrying (${i + 2}/${maxAttempts})`);
+    }
+  }
+
+  const ms = Date.now() - start;
+  const isTimeout = lastError.code === 'SOURCE_TIMEOUT';
+  stats.errors++;
+  if (isTimeout) stats.timeouts++;
+  stats.lastError = lastError.message;
+  stats.lastErrorAt = new Date().toISOString();
+  pushSample(stats, ms, false);
+  recordFailure(name, breaker);
+  console.error(`[sources] ${name} ${isTimeout ? 'timeout' : 'error'}: ${lastError.message}`);
+  return { status: isTimeout ? 'timeout' : 'error', ms, error: lastError.message };
+}
+
+/**
+ * Search one registered source. Never rejects.
+ * @returns {Promise<{ name: string, status: 'ok'|'error'|'timeout'|'open'|'unsupported',
+ *                     items: Array, ms: number, error?: string }>}
+ */
+async function runSource(name, q, page = 1, filters = {}) {
+  const entry = sources.get(name);
+  if (!entry) return { name, status: 'error', items: [], ms: 0, error: 'unknown source' };
+  if (!supports(entry.source, filters)) return { name, status: 'unsupported', items: [], ms: 0 };
+
+  const { value, ...result } = await guardedCall(name, entry, signal => entry.source.search(q, page, filters, { signal }));
+  return { name, ...result, items: Array.isArray(value) ? value : [] };
+}
+
+/**
+ * Look up one book by provider id (sources with a `lookup` function). Never rejects.
+ * @returns {Promise<{ name: string, status: 'ok'|'error'|'timeout'|'open'|'unsupported',
+ *                     item: object|null, ms: number, error?: string }>}
+ */
+async function runLookup(name, providerId) {
+  const entry = sources.get(name);
+  if (!entry) return { name, status: 'error', item: null, ms: 0, error: 'unknown source' };
+  if (typeof entry.source.lookup !== 'function' || !providerId) {
+    return { name, status: 'unsupported', item: null, ms: 0 };
+  }
+
+  const { value, ...result } = await guardedCall(name, entry, signal => entry.source.lookup(providerId, { signal }));
+  return { name, ...result, item: value || null };
+}
+
+/**
+ * Look up an author by name (sources with a `lookupAuthor` function). Never rejects.
+ * @returns {Promise<{ name: string, status: 'ok'|'error'|'timeout'|'open'|'unsupported',
+ *                     item: object|null, ms: number, error?: string }>}
+ */
+async function runAuthorLookup(name, authorName) {
+  const entry = sources.get(name);
+  if (!entry) return { name, status: 'error', item: null, ms: 0, error: 'unknown source' };
+  if (typeof entry.source.lookupAuthor !== 'function' || !authorName) {
+    return { name, status: 'unsupported', item: null, ms: 0 };
+  }
+
+  const { value, ...result } = await guardedCall(name, entry, signal => entry.source.lookupAuthor(authorName, { signal }));
+  return { name, ...result, item: value || null };
+}
+
+/**
+ * Health snapshot for the admin endpoint.
+ * Latency percentiles and error rate are computed over the last SAMPLE_WINDOW calls.
+ */
+function health() {
+  const now = Date.now();
+  return [...sources.values()].map(({ source, breaker, stats }) => {
+    const latencies = stats.samples.map(s => s.ms).sort((a, b) => a - b);
+    const failed = stats.samples.filter(s => !s.ok).length;
+    const state = breaker.state === 'open' && now - breaker.openedAt >= COOLDOWN_MS ? 'half_open' : breaker.state;
+    return {
+      name: source.name,
+      enabled: !source.flag || Boolean(config[source.flag]),
+      priority: source.priority ?? 50,
+      timeout_ms: source.timeoutMs || DEFAULT_TIMEOUT_MS,
+      capabilities: source.capabilities || {},
+      breaker: {
+        state,
+        consecutive_failures: breaker.failures,
+        opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retry_in_ms: breaker.state === 'open' ? Math.max(0, COOLDOWN_MS - (now - breaker.openedAt)) : 0,
+      },
+      calls: stats.calls,
+      errors: stats.errors,
+      timeouts: stats.timeouts,
+      skipped: stats.skipped,
+      window: stats.samples.length,
+      error_rate: stats.samples.length ? Number((failed / stats.samples.length).toFixed(3)) : 0,
+      latency_ms: {
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p99: percentile(latencies, 99),
+      },
+      last_error: stats.lastError,
+      last_error_at: stats.lastErrorAt,
+    };
+  });
+}
+
+/** Force a breaker closed (admin action) */
+function resetBreaker(name) {
+  const entry = sources.get(name);
+  if (!entry) return false;
+  recordSuccess(entry.breaker);
+  return true;
+}
+
+module.exports = {
+  FAILURE_THRESHOLD, COOLDOWN_MS,
+  register, get, enabledSources, priorities, supports, runSource, runLookup, runAuthorLookup, health, resetBreaker,
+};
@@ -1,6 +1,8 @@
 // lib/sources/archive.js
 const axios = require('axios');
 const crypto = require('crypto');
+const { LANG_ISO3, LANG_NAMES } = require('../searchFilters');
+const { parseQuery, quote } = require('../searchQuery');
 
 /**
  * Check if an Archive.org item is freely downloadable (not borrow-only)
@@ -56,22 +58,50 @@ function isFreelyDownloadable(doc) {
 
 /**
  * Search Internet Archive
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  // Only EPUB items are requested from archive.org
+  if (filters.format && filters.format !== 'epub') return [];
+
   try {
     const rows = 40;
     const start = (page - 1) * rows;
     
     // Build query: require ALL tokens AND-ed, scoped to title/creator/subject
-    // This prevents junk results where only one random token matches
-    const tokens = q.trim().split(/\s+/).filter(t => t.length >= 2);
-    const tokenClause = tokens.length > 1
-      ? tokens.map(t => `(title:${t} OR creator:${t} OR subject:${t} OR description:${t})`).join(' AND ')
-      : `(${q})`;
-    const query = `(${tokenClause}) AND mediatype:texts AND format:EPUB AND -collection:inlibrary AND -collection:printdisabled AND -collection:lending`;
+    // This prevents junk results where only one random token matches.
+    // Fielded terms map to title:/creator:/subject:, phrases stay quoted, exclusions are NOT-ed
+    const parsed = parseQuery(q);
+    const anyField = v => `(title:${v} OR creator:${v} OR subject:${v} OR description:${v})`;
+    const tokens = parsed.terms.map(quote).filter(t => t.length >= 2);
+    const clauses = [
+      ...parsed.title.map(v => `title:(${quote(v)})`),
+      ...parsed.author.map(v => `creator:(${quote(v)})`),
+      ...parsed.subject.map(v => `subject:(${quote(v)})`),
+      ...parsed.phrases.map(v => anyField(quote(v))),
+    ];
+    if (tokens.length > 1 || clauses.length) clauses.push(...tokens.map(anyField));
+    else if (tokens.length) clauses.push(`(${tokens[0]})`);
+    if (!clauses.length) return [];
+    const tokenClause = [
+      ...clauses,
+      ...parsed.exclude.map(v => `NOT ${anyField(quote(v))}`),
+    ].join(' AND ');
+    let query = `(${tokenClause}) AND mediatype:texts AND format:EPUB AND -collection:inlibrary AND -collection:printdisabled AND -collection:lending`;
+
+    // Push filters into the advancedsearch query. IA language metadata is a mix of
+    // MARC codes ("eng") and English names ("English"), so match both.
+    if (filters.language) {
+      const variants = [filters.language, LANG_ISO3[filters.language], LANG_NAMES[filters.language]].filter(Boolean);
+      query += ` AND language:(${variants.join(' OR ')})`;
+    }
+    if (filters.yearFrom || filters.yearTo) {
+      query += ` AND year:[${filters.yearFrom || '*'} TO ${filters.yearTo || '*'}]`;
+    }
     
     const url = `https://archive.org/advancedsearch.php`;
     const params = {
@@ -83,10 +113,9 @@ async function search(q, page = 1) {
       output: 'json',
     };
 
-    // Increased timeout to 12s for better reliability
     const response = await axios.get(url, {
       params,
-      timeout: 12000,
+      signal,
       headers: { 'User-Agent': 'BookLantern/1.0' },
     });
 
@@ -158,59 +187,15 @@ async function search(q, page = 1) {
 
     return books;
   } catch (error) {
-    // Retry once on timeout
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      console.log('[archive] search timeout, retrying once...');
-      try {
-        const retryResponse = await axios.get(url, {
-          params,
-          timeout: 12000,
-          headers: { 'User-Agent': 'BookLantern/1.0' },
-        });
-        const retryDocs = retryResponse.data.response?.docs || [];
-        const retryBooks = [];
-        for (const doc of retryDocs) {
-          const identifier = doc.identifier;
-          if (!identifier) continue;
-          const formats = doc.format || [];
-          const hasEpub = formats.some(f => f.toLowerCase().includes('epub'));
-          if (!hasEpub) continue;
-          if (!isFreelyDownloadable(doc)) continue;
-          
-          const epubUrl = `https://archive.org/download/${identifier}/${identifier}.epub`;
-          const title = doc.title || 'Untitled';
-          const metaAuthor = doc.creator;
-          const author = Array.isArray(metaAuthor) ? metaAuthor.join(', ') : (metaAuthor || '');
-          const year = doc.year || null;
-          const language = doc.language || 'en';
-          const coverUrl = `https://archive.org/services/img/${identifier}`;
-          const bookId = `archive:${identifier}`;
-          
-          retryBooks.push({
-            book_id: bookId,
-            title,
-            author,
-            cover_url: coverUrl,
-            year,
-            language,
-            provider: 'archive',
-            provider_id: identifier,
-            archive_id: identifier,
-            format: 'epub',
-            direct_url: epubUrl,
-            access: 'public',
-          });
-        }
-        console.log(`[archive] retry succeeded: ${retryBooks.length} books`);
-        return retryBooks;
-      } catch (retryError) {
-        console.error('[archive] retry also failed:', retryError.message);
-        return [];
-      }
-    }
     console.error('[archive] search error:', error.message);
-    return [];
+    throw error;
   }
 }
 
-module.exports = { search };
+module.exports = {
+  name: 'archive',
+  priority: 5,
+  timeoutMs: 12000,
+  capabilities: { formats: ['epub'], paginated: true },
+  search,
+};
@@ -0,0 +1,66 @@
+// lib/sources/feedbooks.js
+// Feedbooks public-domain adapter for federated search
+// Wraps connectors/feedbooks.js (OPDS search feed); every result is a DRM-free EPUB
+
+const crypto = require('crypto');
+const { searchFeedbooksPD } = require('../../connectors/feedbooks');
+const { parseQuery, keywords } = require('../searchQuery');
+
+const PAGE_SIZE = 30;
+
+/**
+ * Search Feedbooks public domain catalog
+ * @param {string} q - Search query (lib/searchQuery syntax; sent as keywords)
+ * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @returns {Promise<Array>} Normalized book objects
+ */
+async function search(q, page = 1, filters = {}) {
+  if (filters.format && filters.format !== 'epub') return [];
+
+  try {
+    const cards = await searchFeedbooksPD(keywords(parseQuery(q)), PAGE_SIZE, page);
+    const books = [];
+
+    for (const card of cards) {
+      if (!card.epubUrl) continue;
+
+      // Entry ids look like https://www.feedbooks.com/book/1234
+      const idMatch = String(card.entryId || '').match(/\/book\/(\d+)/);
+      const providerId = idMatch
+        ? idMatch[1]
+        : crypto.createHash('md5').update(card.epubUrl).digest('hex').slice(0, 16);
+      const year = parseInt(String(card.issued || '').slice(0, 4), 10);
+
+      books.push({
+        book_id: `feedbooks:${providerId}`,
+        title: card.title || 'Untitled',
+        author: card.creator || '',
+        cover_url: card.cover || null,
+        year: Number.isFinite(year) ? year : null,
+        language: card.language || 'en',
+        provider: 'feedbooks',
+        provider_id: providerId,
+        format: 'epub',
+        direct_url: card.epubUrl,
+        source_url: idMatch ? `https://www.feedbooks.com/book/${providerId}` : card.epubUrl,
+        access: 'open',
+        is_restricted: false,
+      });
+    }
+
+    return books;
+  } catch (error) {
+    console.error('[feedbooks] search error:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'feedbooks',
+  priority: 2,
+  timeoutMs: 10000,
+  flag: 'CONNECTOR_FEEDBOOKS',
+  capabilities: { formats: ['epub'], paginated: true },
+  search,
+};
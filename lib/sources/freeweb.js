@@ -0,0 +1,65 @@
+// lib/sources/freeweb.js
+// "Free Web" adapter for federated search (Gallica, Penn Digital Library, Sacred Texts)
+// Wraps connectors/freeweb.js; every hit has been HEAD-validated as an EPUB/PDF file
+
+const crypto = require('crypto');
+const { searchFreeWeb } = require('../../connectors/freeweb');
+const { parseQuery, keywords } = require('../searchQuery');
+
+/**
+ * Search the whitelisted free-web hosts
+ * The upstreams have no paging, so only page 1 returns results.
+ * @param {string} q - Search query (lib/searchQuery syntax; sent as keywords)
+ * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
+ * @returns {Promise<Array>} Normalized book objects
+ */
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  if (page > 1) return [];
+
+  try {
+    const cards = await searchFreeWeb(keywords(parseQuery(q)), 20, { signal });
+    const books = [];
+
+    for (const card of cards) {
+      if (!card.url) continue;
+      const format = card.type === 'epub' ? 'epub' : 'pdf';
+      if (filters.format && filters.format !== format) continue;
+
+      const providerId = `${card.source}:${crypto.createHash('md5').update(card.url).digest('hex').slice(0, 16)}`;
+
+      books.push({
+        book_id: `freeweb:${providerId}`,
+        title: card.title || 'Untitled',
+        author: card.creator || '',
+        cover_url: null,
+        year: null,
+        // Gallica is the French national library; the other hosts are English
+        language: card.source === 'gallica' ? 'fr' : 'en',
+        provider: 'freeweb',
+        provider_id: providerId,
+        source: card.source,
+        format,
+        direct_url: card.url,
+        source_url: card.url,
+        access: 'open',
+        is_restricted: false,
+      });
+    }
+
+    return books;
+  } catch (error) {
+    console.error('[freeweb] search error:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'freeweb',
+  priority: 5,
+  timeoutMs: 15000,
+  flag: 'CONNECTOR_FREEWEB',
+  capabilities: { formats: ['pdf', 'epub'], paginated: false },
+  search,
+};
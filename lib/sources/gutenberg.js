@@ -1,87 +1,162 @@
 // lib/sources/gutenberg.js
 const axios = require('axios');
 const crypto = require('crypto');
+const { parseQuery, keywords } = require('../searchQuery');
 
 /**
  * Search Gutenberg via Gutendex API
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
-  const TIMEOUT_MS = 12000; // Bug C: increased from 5000ms
-  const MAX_RETRIES = 1;
-  
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const url = `https://gutendex.com/books`;
-      const params = {
-        search: q,
-        page: page,
-      };
-
-      const response = await axios.get(url, {
-        params,
-        timeout: TIMEOUT_MS,
-        headers: { 'User-Agent': 'BookLantern/1.0' },
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  // This connector only yields EPUBs
+  if (filters.format && filters.format !== 'epub') return [];
+
+  try {
+    const url = `https://gutendex.com/books`;
+    // Gutendex `search` matches words in titles and author names, so fielded
+    // terms are sent as plain words; exclusions are applied post-merge
+    const params = {
+      search: keywords(parseQuery(q)),
+      page: page,
+    };
+    // Gutendex filters by two-letter language code natively
+    if (filters.language) params.languages = filters.language;
+
+    const response = await axios.get(url, {
+      params,
+      signal,
+      headers: { 'User-Agent': 'BookLantern/1.0' },
+    });
+
+    const results = response.data.results || [];
+    const books = [];
+
+    for (const item of results) {
+      // Only include items with EPUB format
+      const formats = item.formats || {};
+      const epubUrl =
+        formats['application/epub+zip'] ||
+        formats['application/epub'] ||
+        null;
+
+      if (!epubUrl) continue;
+
+      // Extract author
+      const authors = item.authors || [];
+      const author = authors.map(a => a && a.name).filter(Boolean).join(', ') || '';
+
+      // Extract cover
+      const coverUrl = formats['image/jpeg'] || null;
+
+      // Determine language
+      const languages = item.languages || [];
+      const language = languages[0] || 'en';
+
+      // Provider ID
+      const providerId = String(item.id);
+
+      // Create stable book_id
+      const bookId = `gutenberg:${providerId}`;
+
+      books.push({
+        book_id: bookId,
+        title: item.title || 'Untitled',
+        author,
+        cover_url: coverUrl,
+        year: item.download_count ? null : null,
+        language,
+        provider: 'gutenberg',
+        provider_id: providerId,
+        format: 'epub',
+        direct_url: epubUrl,
       });
+    }
 
-      const results = response.data.results || [];
-      const books = [];
-
-      for (const item of results) {
-        // Only include items with EPUB format
-        const formats = item.formats || {};
-        const epubUrl =
-          formats['application/epub+zip'] ||
-          formats['application/epub'] ||
-          null;
-
-        if (!epubUrl) continue;
-
-        // Extract author
-        const authors = item.authors || [];
-        const author = authors.map(a => a && a.name).filter(Boolean).join(', ') || '';
-
-        // Extract cover
-        const coverUrl = formats['image/jpeg'] || null;
-
-        // Determine language
-        const languages = item.languages || [];
-        const language = languages[0] || 'en';
-
-        // Provider ID
-        const providerId = String(item.id);
-
-        // Create stable book_id
-        const bookId = `gutenberg:${providerId}`;
-
-        books.push({
-          book_id: bookId,
-          title: item.title || 'Untitled',
-          author,
-          cover_url: coverUrl,
-          year: item.download_count ? null : null,
-          language,
-          provider: 'gutenberg',
-          provider_id: providerId,
-          format: 'epub',
-          direct_url: epubUrl,
-        });
-      }
-
-      return books;
-    } catch (error) {
-      const isTimeout = error.code === 'ECONNABORTED' || error.message?.includes('timeout');
-      if (isTimeout && attempt < MAX_RETRIES) {
-        console.warn(`[gutenberg] timeout on attempt ${attempt + 1}, retrying...`);
-        continue;
-      }
-      console.error('[gutenberg] search error:', error.message);
-      return [];
+    return books;
+  } catch (error) {
+    console.error('[gutenberg] search error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * One Gutenberg book by id (Gutendex /books/:id), for the book page
+ * @param {string} providerId - Gutenberg ebook number
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<object|null>} { title, author, language, subjects, description, license, cover_url, direct_url, format }
+ */
+async function lookup(providerId, { signal } = {}) {
+  if (!/^\d+$/.test(String(providerId))) return null;
+  const response = await axios.get(`https://gutendex.com/books/${providerId}`, {
+    signal,
+    headers: { 'User-Agent': 'BookLantern/1.0' },
+    validateStatus: status => status === 200 || status === 404,
+  });
+  if (response.status === 404) return null;
+
+  const item = response.data || {};
+  const formats = item.formats || {};
+  // Bookshelves are Gutenberg's own categories ("Browsing: Fiction"); keep them as subjects
+  const subjects = [...(item.subjects || []), ...(item.bookshelves || []).map(s => s.replace(/^Browsing:\s*/i, ''))];
+  return {
+    title: item.title || null,
+    author: (item.authors || []).map(a => a && a.name).filter(Boolean).join(', ') || null,
+    language: (item.languages || [])[0] || null,
+    subjects,
+    description: (item.summaries || [])[0] || null,
+    license: item.copyright === false ? 'Public domain in the USA' : null,
+    cover_url: formats['image/jpeg'] || null,
+    direct_url: formats['application/epub+zip'] || null,
+    format: 'epub',
+  };
+}
+
+/**
+ * A Gutenberg author's record, for author pages. Gutendex has no author endpoint, so
+ * this searches books by the name and takes the author listed most often.
+ * @param {string} name - author name ("Mark Twain")
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<object|null>} { name, birth_year, death_year }
+ */
+async function lookupAuthor(name, { signal } = {}) {
+  const response = await axios.get('https://gutendex.com/books', {
+    params: { search: name },
+    signal,
+    headers: { 'User-Agent': 'BookLantern/1.0' },
+  });
+
+  const counts = new Map(); // "Twain, Mark" -> { author, count }
+  for (const item of response.data.results || []) {
+    for (const author of item.authors || []) {
+      if (!author || !author.name) continue;
+      const entry = counts.get(author.name) || { author, count: 0 };
+      entry.count++;
+      counts.set(author.name, entry);
     }
   }
-  return [];
+  let best = null;
+  for (const entry of counts.values()) {
+    if (!best || entry.count > best.count) best = entry;
+  }
+  if (!best) return null;
+  return {
+    name: best.author.name,
+    birth_year: best.author.birth_year ?? null,
+    death_year: best.author.death_year ?? null,
+  };
 }
 
-module.exports = { search };
+module.exports = {
+  name: 'gutenberg',
+  priority: 1,
+  timeoutMs: 8000,
+  retries: 1,
+  capabilities: { formats: ['epub'], paginated: true },
+  search,
+  lookup,
+  lookupAuthor,
+};
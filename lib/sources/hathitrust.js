@@ -0,0 +1,71 @@
+// lib/sources/hathitrust.js
+// HathiTrust Full View adapter for federated search
+// Wraps connectors/hathitrust.js (SRU + Volumes API) into the lib/sources contract
+// The APIs expose no downloadable files, so every item links out to the Hathi viewer.
+
+const { searchHathiFullView } = require('../../connectors/hathitrust');
+const { parseQuery, keywords } = require('../searchQuery');
+const { normalizeLanguage } = require('../searchFilters');
+
+const PAGE_SIZE = 20;
+
+/**
+ * Search HathiTrust for Full View (public domain) volumes
+ * Volumes can only be read on babel.hathitrust.org, so results have no format or
+ * direct_url and surface as external links.
+ * @param {string} q - Search query (lib/searchQuery syntax; sent as keywords)
+ * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
+ * @returns {Promise<Array>} Normalized book objects
+ */
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  // Nothing here is a file the reader can open
+  if (filters.format) return [];
+
+  try {
+    const startRecord = (page - 1) * PAGE_SIZE + 1;
+    const cards = await searchHathiFullView(keywords(parseQuery(q)), PAGE_SIZE, startRecord, { signal });
+    const books = [];
+    const seen = new Set();
+
+    for (const card of cards) {
+      const htid = card.htid || String(card.identifier || '').replace(/^hathi:/, '');
+      if (!htid || seen.has(htid)) continue;
+      seen.add(htid);
+
+      const year = parseInt(card.year, 10);
+
+      books.push({
+        book_id: `hathitrust:${htid}`,
+        title: card.title || 'Untitled',
+        author: card.creator || '',
+        cover_url: card.cover || null,
+        year: Number.isFinite(year) ? year : null,
+        language: normalizeLanguage(card.language), // from the catalog record; null when it has none
+        provider: 'hathitrust',
+        provider_id: htid,
+        format: null,
+        direct_url: null,
+        source_url: card.itemURL || `https://babel.hathitrust.org/cgi/pt?id=${encodeURIComponent(htid)}`,
+        access: 'open',
+        is_restricted: false,
+      });
+    }
+
+    console.log(`[hathitrust] search returned ${books.length} full-view items`);
+    return books;
+  } catch (error) {
+    console.error('[hathitrust] search error:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'hathitrust',
+  priority: 4,
+  timeoutMs: 10000,
+  flag: 'CONNECTOR_HATHI',
+  capabilities: { formats: [], paginated: true },
+  search,
+};
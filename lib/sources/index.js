@@ -0,0 +1,21 @@
+// lib/sources/index.js
+// Registers every federated-search source with lib/sourceRegistry.
+// Each module declares its own name, priority, timeout and capabilities;
+// registration order is the fan-out order used by /api/search.
+
+const registry = require('../sourceRegistry');
+
+[
+  require('./gutenberg'),
+  require('./openlibrary'),
+  require('./archive'),
+  require('./loc'),
+  require('./oapen'),
+  require('./openstax'),
+  require('./hathitrust'),
+  require('./wikisource'),
+  require('./feedbooks'),
+  require('./freeweb'),
+].forEach(source => registry.register(source));
+
+module.exports = registry;
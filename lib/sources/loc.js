@@ -1,26 +1,37 @@
 // lib/sources/loc.js
 const axios = require('axios');
 const crypto = require('crypto');
+const { LANG_NAMES, normalizeLanguage } = require('../searchFilters');
+const { parseQuery, keywords } = require('../searchQuery');
 
 /**
  * Search Library of Congress
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax; sent as keywords)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
+async function search(q, page = 1, filters = {}, { signal } = {}) {
   try {
     const url = `https://www.loc.gov/books/`;
     const params = {
-      q,
+      q: keywords(parseQuery(q)),
       fo: 'json',
       c: 40,
       sp: page,
     };
+    // loc.gov supports facet filters (fa=language:french) and date ranges (dates=1800/1900)
+    if (filters.language && LANG_NAMES[filters.language]) {
+      params.fa = `language:${LANG_NAMES[filters.language]}`;
+    }
+    if (filters.yearFrom || filters.yearTo) {
+      params.dates = `${filters.yearFrom || 0}/${filters.yearTo || new Date().getFullYear()}`;
+    }
 
     const response = await axios.get(url, {
       params,
-      timeout: 10000,
+      signal,
       headers: { 'User-Agent': 'BookLantern/1.0' },
     });
 
@@ -76,7 +87,8 @@ async function search(q, page = 1) {
         ? item.contributor_names.join(', ')
         : (item.contributor_names || item.creator || '');
       const year = item.date ? parseInt(item.date) : null;
-      const language = 'en'; // LoC primarily English
+      // LoC primarily English; item.language is an array of names like ["french"]
+      const language = normalizeLanguage(item.language) || 'en';
       
       const imageUrl = item.image_url?.[0] || null;
       const coverUrl = imageUrl ? `https://www.loc.gov${imageUrl}` : null;
@@ -113,9 +125,15 @@ async function search(q, page = 1) {
     if (error.code) {
       console.error('[loc] error code:', error.code);
     }
-    // Return empty array to not break aggregator
-    return [];
+    // The registry records the failure and turns it into an empty result
+    throw error;
   }
 }
 
-module.exports = { search };
+module.exports = {
+  name: 'loc',
+  priority: 4,
+  timeoutMs: 10000,
+  capabilities: { formats: ['pdf', 'epub'], paginated: true },
+  search,
+};
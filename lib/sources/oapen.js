@@ -3,6 +3,7 @@
 // Provides direct PDF/EPUB downloads for open access scholarly books
 
 const axios = require('axios');
+const { parseQuery, keywords } = require('../searchQuery');
 
 const OAPEN_API = 'https://library.oapen.org/rest/search';
 const USER_AGENT = 'BookLantern/1.0 (+https://booklantern.org)';
@@ -10,26 +11,29 @@ const USER_AGENT = 'BookLantern/1.0 (+https://booklantern.org)';
 /**
  * Search OAPEN library for open access books
  * All OAPEN books are open access with direct download URLs
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax; sent as keywords)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters).
+ *   OAPEN's REST search has no language/year params, so those are applied post-merge;
+ *   a format filter picks the matching bitstream instead of the default EPUB preference.
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
+async function search(q, page = 1, filters = {}, { signal } = {}) {
   try {
     const limit = 30;
     const offset = (page - 1) * limit;
     
     // OAPEN REST API search
     // Documentation: https://library.oapen.org/
-    // Increased timeout to 12s for better reliability
     const response = await axios.get(OAPEN_API, {
       params: {
-        query: q,
+        query: keywords(parseQuery(q)),
         expand: 'metadata,bitstreams',
         limit,
         offset,
       },
-      timeout: 12000,
+      signal,
       headers: { 'User-Agent': USER_AGENT },
     });
     
@@ -92,9 +96,15 @@ async function search(q, page = 1) {
           continue;
         }
         
+        // Honour an explicit format filter; skip items lacking that format
+        if (filters.format === 'epub' && !epubUrl) continue;
+        if (filters.format === 'pdf' && !pdfUrl) continue;
+        
         // Prefer EPUB if available and reasonably sized, otherwise PDF
         const maxEpubBytes = (parseInt(process.env.MAX_EPUB_MB) || 50) * 1024 * 1024;
-        const useEpub = epubUrl && (epubSize <= maxEpubBytes || !pdfUrl);
+        const useEpub = filters.format
+          ? filters.format === 'epub'
+          : epubUrl && (epubSize <= maxEpubBytes || !pdfUrl);
         
         const format = useEpub ? 'epub' : 'pdf';
         const directUrl = useEpub ? epubUrl : pdfUrl;
@@ -133,98 +143,15 @@ async function search(q, page = 1) {
     console.log(`[oapen] search returned ${books.length} items`);
     return books;
   } catch (error) {
-    // Retry once on timeout
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      console.log('[oapen] search timeout, retrying once...');
-      try {
-        const limit = 30;
-        const offset = (page - 1) * limit;
-        const retryResponse = await axios.get(OAPEN_API, {
-          params: {
-            query: q,
-            expand: 'metadata,bitstreams',
-            limit,
-            offset,
-          },
-          timeout: 15000,
-          headers: { 'User-Agent': USER_AGENT },
-        });
-        
-        const retryItems = retryResponse.data || [];
-        if (!Array.isArray(retryItems)) {
-          console.log('[oapen] retry: no results array');
-          return [];
-        }
-        
-        const retryBooks = [];
-        for (const item of retryItems) {
-          try {
-            const metadata = item.metadata || [];
-            const getMetaValue = (key) => {
-              const entry = metadata.find(m => m.key === key);
-              return entry?.value || '';
-            };
-            
-            const title = getMetaValue('dc.title') || item.name || 'Untitled';
-            const author = getMetaValue('dc.contributor.author') || getMetaValue('dc.creator') || '';
-            const year = getMetaValue('dc.date.issued')?.substring(0, 4) || null;
-            const language = getMetaValue('dc.language.iso') || 'en';
-            
-            const bitstreams = item.bitstreams || [];
-            let pdfUrl = null;
-            let epubUrl = null;
-            
-            for (const bs of bitstreams) {
-              const mimeType = (bs.mimeType || '').toLowerCase();
-              const name = (bs.name || '').toLowerCase();
-              const retrieveLink = bs.retrieveLink || '';
-              
-              if ((mimeType === 'application/pdf' || name.endsWith('.pdf')) && !pdfUrl) {
-                pdfUrl = retrieveLink.startsWith('http') ? retrieveLink : `https://library.oapen.org${retrieveLink}`;
-              } else if ((mimeType === 'application/epub+zip' || name.endsWith('.epub')) && !epubUrl) {
-                epubUrl = retrieveLink.startsWith('http') ? retrieveLink : `https://library.oapen.org${retrieveLink}`;
-              }
-            }
-            
-            if (!pdfUrl && !epubUrl) continue;
-            
-            const format = epubUrl ? 'epub' : 'pdf';
-            const directUrl = epubUrl || pdfUrl;
-            const handle = item.handle || '';
-            const coverUrl = handle ? `https://library.oapen.org/bitstream/handle/${handle}/cover.jpg?sequence=1` : null;
-            const providerId = item.uuid || item.id || handle.replace(/\//g, '-');
-            
-            retryBooks.push({
-              book_id: `oapen:${providerId}`,
-              title,
-              author,
-              cover_url: coverUrl,
-              year: year ? parseInt(year) : null,
-              language,
-              provider: 'oapen',
-              provider_id: providerId,
-              format,
-              direct_url: directUrl,
-              source_url: handle ? `https://library.oapen.org/handle/${handle}` : directUrl,
-              access: 'open',
-              is_restricted: false,
-              readable: 'true',
-            });
-          } catch (itemErr) {
-            // Skip individual item errors
-          }
-        }
-        
-        console.log(`[oapen] retry succeeded: ${retryBooks.length} items`);
-        return retryBooks;
-      } catch (retryError) {
-        console.error('[oapen] retry also failed:', retryError.message);
-        return [];
-      }
-    }
     console.error('[oapen] search error:', error.message);
-    return [];
+    throw error;
   }
 }
 
-module.exports = { search };
\ No newline at end of file
+module.exports = {
+  name: 'oapen',
+  priority: 2,
+  timeoutMs: 12000,
+  capabilities: { formats: ['epub', 'pdf'], paginated: true },
+  search,
+};
\ No newline at end of file
@@ -1,28 +1,52 @@
 // lib/sources/openlibrary.js
 const axios = require('axios');
 const crypto = require('crypto');
+const { LANG_ISO3 } = require('../searchFilters');
+const { parseQuery, quote } = require('../searchQuery');
 
 /**
  * Search Open Library
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  // Open Library results are resolved to archive.org EPUBs only
+  if (filters.format && filters.format !== 'epub') return [];
+
   try {
     const offset = (page - 1) * 40;
     const url = `https://openlibrary.org/search.json`;
+
+    // title:/author:/subject: map to Open Library's own params; free text, phrases and
+    // exclusions stay in the Solr `q`. Year range goes into `q` too; language is a
+    // separate param (ISO 639-2)
+    const parsed = parseQuery(q);
+    const clauses = [
+      ...parsed.terms.map(quote),
+      ...parsed.phrases.map(quote),
+      ...parsed.exclude.map(v => `-${quote(v)}`),
+    ];
+    if (filters.yearFrom || filters.yearTo) {
+      clauses.push(`first_publish_year:[${filters.yearFrom || '*'} TO ${filters.yearTo || '*'}]`);
+    }
     const params = {
-      q,
       has_fulltext: true,
       public_scan_b: true,
       limit: 40,
       offset,
     };
+    if (clauses.length) params.q = clauses.join(' ');
+    if (parsed.title.length) params.title = parsed.title.join(' ');
+    if (parsed.author.length) params.author = parsed.author.join(' ');
+    if (parsed.subject.length) params.subject = parsed.subject.join(' ');
+    if (filters.language) params.language = LANG_ISO3[filters.language] || filters.language;
 
     const response = await axios.get(url, {
       params,
-      timeout: 10000,
+      signal,
       headers: { 'User-Agent': 'BookLantern/1.0' },
     });
 
@@ -85,8 +109,97 @@ async function search(q, page = 1) {
     return books;
   } catch (error) {
     console.error('[openlibrary] search error:', error.message);
-    return [];
+    throw error;
   }
 }
 
-module.exports = { search };
+/**
+ * One Open Library work by id (/works/:id.json), for the book page.
+ * Authors are separate records and not fetched; the page already has the name.
+ * @param {string} providerId - work id ("OL45804W")
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<object|null>} { title, description, subjects, year, cover_url }
+ */
+async function lookup(providerId, { signal } = {}) {
+  if (!/^OL\d+W$/i.test(String(providerId))) return null;
+  const response = await axios.get(`https://openlibrary.org/works/${providerId.toUpperCase()}.json`, {
+    signal,
+    headers: { 'User-Agent': 'BookLantern/1.0' },
+    validateStatus: status => status === 200 || status === 404,
+  });
+  if (response.status === 404) return null;
+
+  const work = response.data || {};
+  const description = typeof work.description === 'string'
+    ? work.description
+    : (work.description && work.description.value) || null;
+  const year = String(work.first_publish_date || '').match(/\d{4}/);
+  const coverId = (work.covers || []).find(id => id > 0);
+  return {
+    title: work.title || null,
+    description,
+    subjects: work.subjects || [],
+    year: year ? parseInt(year[0], 10) : null,
+    cover_url: coverId ? `https://covers.openlibrary.org/b/id/${coverId}-M.jpg` : null,
+  };
+}
+
+const yearOf = value => {
+  const m = String(value || '').match(/\b(\d{3,4})\b/);
+  return m ? parseInt(m[1], 10) : null;
+};
+
+/**
+ * An Open Library author record, for author pages: the best match from the author
+ * search (most works among the top hits), then /authors/:id.json for the bio.
+ * @param {string} name - author name ("Mark Twain")
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<object|null>} { name, birth_year, death_year, bio, photo_url, source_url,
+ *   alternate_names, links }
+ */
+async function lookupAuthor(name, { signal } = {}) {
+  const headers = { 'User-Agent': 'BookLantern/1.0' };
+  const found = await axios.get('https://openlibrary.org/search/authors.json', {
+    params: { q: name, limit: 5 },
+    signal,
+    headers,
+  });
+  const docs = found.data.docs || [];
+  const doc = docs.reduce((best, d) => (!best || (d.work_count || 0) > (best.work_count || 0) ? d : best), null);
+  if (!doc || !doc.key) return null;
+
+  const key = String(doc.key).replace(/^\/authors\//, '');
+  const response = await axios.get(`https://openlibrary.org/authors/${encodeURIComponent(key)}.json`, {
+    signal,
+    headers,
+    validateStatus: status => status === 200 || status === 404,
+  });
+  const author = response.status === 200 ? response.data || {} : {};
+  const bio = typeof author.bio === 'string' ? author.bio : (author.bio && author.bio.value) || null;
+  const photoId = (author.photos || []).find(id => id > 0);
+  const links = (author.links || [])
+    .filter(l => l && /^https?:\/\//.test(l.url || ''))
+    .map(l => ({ title: l.title || l.url, url: l.url }));
+  if (author.wikipedia && /^https?:\/\//.test(author.wikipedia)) links.unshift({ title: 'Wikipedia', url: author.wikipedia });
+
+  return {
+    name: author.name || doc.name || null,
+    birth_year: yearOf(author.birth_date || doc.birth_date),
+    death_year: yearOf(author.death_date || doc.death_date),
+    bio,
+    photo_url: photoId ? `https://covers.openlibrary.org/a/id/${photoId}-M.jpg` : null,
+    source_url: `https://openlibrary.org/authors/${key}`,
+    alternate_names: author.alternate_names || doc.alternate_names || [],
+    links,
+  };
+}
+
+module.exports = {
+  name: 'openlibrary',
+  priority: 3,
+  timeoutMs: 10000,
+  capabilities: { formats: ['epub'], paginated: true },
+  search,
+  lookup,
+  lookupAuthor,
+};
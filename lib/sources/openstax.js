@@ -3,6 +3,7 @@
 // All books are open access with direct PDF downloads
 
 const axios = require('axios');
+const { parseQuery, keywords, isExcluded } = require('../searchQuery');
 
 const USER_AGENT = 'BookLantern/1.0 (+https://booklantern.org)';
 
@@ -240,15 +241,20 @@ const OPENSTAX_CATALOG = [
 /**
  * Search OpenStax for open textbooks using static catalog
  * Falls back to API if available but primarily uses catalog for reliability
- * @param {string} q - Search query
+ * @param {string} q - Search query (lib/searchQuery syntax)
  * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
  * @returns {Promise<Array>} Normalized book objects
  */
-async function search(q, page = 1) {
+async function search(q, page = 1, filters = {}) {
+  // Catalog is English-language PDFs only
+  if (filters.format && filters.format !== 'pdf') return [];
+  if (filters.language && filters.language !== 'en') return [];
+
   try {
     // Use static catalog for reliability (API returns 404)
-    const qLower = q.toLowerCase();
-    const queryTerms = qLower.split(/\s+/).filter(t => t.length > 2);
+    const query = parseQuery(q);
+    const queryTerms = keywords(query).toLowerCase().split(/\s+/).filter(t => t.length > 2);
     
     if (queryTerms.length === 0) {
       console.log('[openstax] No valid query terms');
@@ -257,11 +263,17 @@ async function search(q, page = 1) {
     
     // Filter books matching the query
     const matchingBooks = OPENSTAX_CATALOG.filter(book => {
+      if (filters.yearFrom && book.year < filters.yearFrom) return false;
+      if (filters.yearTo && book.year > filters.yearTo) return false;
       const title = (book.title || '').toLowerCase();
       const author = (book.author || '').toLowerCase();
       const subjects = (book.subjects || []).join(' ').toLowerCase();
       const searchText = `${title} ${author} ${subjects}`;
       
+      if (query.title.some(t => !title.includes(t.toLowerCase()))) return false;
+      if (query.author.some(a => !author.includes(a.toLowerCase()))) return false;
+      if (isExcluded(book, query)) return false;
+
       // Match if any query term appears in searchable text
       return queryTerms.some(term => searchText.includes(term));
     });
@@ -300,7 +312,14 @@ async function search(q, page = 1) {
     return books;
   } catch (error) {
     console.error('[openstax] search error:', error.message);
+    throw error;
   }
 }
 
-module.exports = { search };
+module.exports = {
+  name: 'openstax',
+  priority: 2,
+  timeoutMs: 2000,
+  capabilities: { formats: ['pdf'], languages: ['en'], paginated: true },
+  search,
+};
@@ -0,0 +1,96 @@
+// lib/sources/wikisource.js
+// Wikisource adapter for federated search
+// Wraps connectors/wikisource.js; EPUBs come from the Wikisource export tool (ws-export)
+
+const { searchWikisource } = require('../../connectors/wikisource');
+const { parseQuery, quote } = require('../searchQuery');
+
+const PAGE_SIZE = 20;
+const EXPORT_BASE = 'https://ws-export.wmcloud.org/';
+
+// Wikisource language editions we search (subdomain = ISO 639-1 code)
+const SUPPORTED_LANGS = new Set([
+  'en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'la', 'el', 'ru', 'pl', 'sv',
+  'da', 'fi', 'no', 'cs', 'hu', 'ar', 'zh', 'ja', 'tr', 'he', 'uk', 'ca',
+]);
+
+/**
+ * Pull an author out of a Wikisource short description ("1813 novel by Jane Austen")
+ */
+function authorFromDescription(desc) {
+  const m = String(desc || '').match(/\bby\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+/**
+ * Translate a structured query to MediaWiki CirrusSearch syntax:
+ * title: → intitle:, phrases stay quoted, exclusions become -word.
+ * Author and subject values are matched as plain words (no such fields in Cirrus).
+ */
+function toCirrusSearch(query) {
+  return [
+    ...query.title.map(v => `intitle:${quote(v)}`),
+    ...[...query.author, ...query.subject, ...query.phrases].map(quote),
+    ...query.terms.map(quote),
+    ...query.exclude.map(v => `-${quote(v)}`),
+  ].join(' ');
+}
+
+/**
+ * Search Wikisource
+ * The language filter selects the Wikisource edition (fr.wikisource.org, ...).
+ * @param {string} q - Search query (lib/searchQuery syntax)
+ * @param {number} page - Page number (1-indexed)
+ * @param {object} [filters] - Parsed search filters (see lib/searchFilters)
+ * @param {{ signal?: AbortSignal }} [options] - Abort signal from lib/sourceRegistry
+ * @returns {Promise<Array>} Normalized book objects
+ */
+async function search(q, page = 1, filters = {}, { signal } = {}) {
+  if (filters.format && filters.format !== 'epub') return [];
+  const lang = filters.language || 'en';
+  if (!SUPPORTED_LANGS.has(lang)) return [];
+
+  try {
+    const offset = (page - 1) * PAGE_SIZE;
+    const cards = await searchWikisource(toCirrusSearch(parseQuery(q)), PAGE_SIZE, lang, offset, { signal });
+    const books = [];
+
+    for (const card of cards) {
+      const pageTitle = card.pageTitle || card.title;
+      if (!pageTitle) continue;
+
+      const exportParams = new URLSearchParams({ format: 'epub', lang, page: pageTitle });
+
+      books.push({
+        book_id: `wikisource:${lang}:${pageTitle}`,
+        title: pageTitle,
+        author: authorFromDescription(card.creator),
+        description: card.creator || '',
+        cover_url: card.cover || null,
+        year: null,
+        language: lang,
+        provider: 'wikisource',
+        provider_id: `${lang}:${pageTitle}`,
+        format: 'epub',
+        direct_url: `${EXPORT_BASE}?${exportParams.toString()}`,
+        source_url: `https://${lang}.wikisource.org/wiki/${encodeURIComponent(pageTitle.replace(/ /g, '_'))}`,
+        access: 'open',
+        is_restricted: false,
+      });
+    }
+
+    return books;
+  } catch (error) {
+    console.error('[wikisource] search error:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'wikisource',
+  priority: 3,
+  timeoutMs: 8000,
+  flag: 'CONNECTOR_WIKISOURCE',
+  capabilities: { formats: ['epub'], languages: [...SUPPORTED_LANGS], paginated: true },
+  search,
+};
@@ -0,0 +1,182 @@
+// lib/textMatch.js
+// Language-aware text matching shared by relevance scoring (utils/bookHelpers
+// scoreRelevance, utils/relevance), work clustering and search suggestions.
+//
+//   foldText        case, diacritics, ligatures and punctuation folded away, any script
+//   detectLanguage  query language from its script, stopwords and letters
+//   tokenize        query → folded tokens without that language's stopwords
+//   phoneticKey     spelling-tolerant key so transliterations of a name meet:
+//                   Dostoevsky / Dostoïevski / Dostojewski / Достоевский → "dstvsk"
+//   fieldMatcher    matches tokens against one book field (substring, then key)
+
+/**
+ * Fold case, diacritics, ligatures and punctuation.
+ * "Les Misérables" → "les miserables", "Æsop's Fables" → "aesops fables",
+ * "Ὀδύσσεια" → "οδυσσεια"
+ */
+function foldText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/æ/g, 'ae').replace(/œ/g, 'oe').replace(/ß/g, 'ss').replace(/ø/g, 'o').replace(/ł/g, 'l')
+    .replace(/đ/g, 'd').replace(/ð/g, 'd').replace(/þ/g, 'th').replace(/ı/g, 'i')
+    .replace(/ς/g, 'σ')
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// -- Stopwords ----------------------------------------------------------------
+
+// Function words only: a stopword must never be the word a reader is looking for.
+// Listed as written; foldText() is applied when the sets are built.
+const STOPWORD_LISTS = {
+  en: 'a an and are as at be but by for from has have in into is it its of on or that the their this to was were with',
+  fr: 'à au aux avec ce ces dans de des du elle en est et il la le les leur lui mais ne ou où par pas pour qui que sa se son sur un une',
+  de: 'am an auf aus bei das dem den der des die ein eine einem einer eines im in ist mit nicht oder sich über und vom von vor zu zum zur',
+  es: 'al como con de del el en es la las lo los más para por que se sin su sus un una uno y',
+  it: 'al alla alle con da dal dei del della delle di e gli il in la le nel nella per su un una uno',
+  pt: 'ao aos as com da das de do dos e em na nas no nos o os para pela pelo por que um uma',
+  nl: 'de den der een en het in is met naar niet of op te van voor',
+  ru: 'в во и из к как на не но о об от по с со то у что это',
+  el: 'από για είναι η και με να ο οι που σε στη στην στο στον τα την της τη το τον του των',
+};
+
+const STOPWORDS = Object.fromEntries(
+  Object.entries(STOPWORD_LISTS).map(([lang, list]) => [lang, new Set(list.split(' ').map(foldText))])
+);
+
+// Letters that only (or mostly) occur in one Latin-script language; checked on the raw text
+const LETTER_HINTS = [
+  ['de', /[äöüß]/i],
+  ['es', /[ñ¿¡]/i],
+  ['pt', /[ãõ]/i],
+  ['fr', /[çèêëîïœùû]/i],
+  ['it', /[ìò]/i],
+];
+// Tie-break order for Latin-script stopword counts
+const LATIN_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl'];
+
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Best guess at the language of a (short) query: ISO 639-1 code, or null when
+ * nothing points anywhere. Non-Latin scripts decide by script; Latin text by
+ * stopword hits, then by language-specific letters.
+ */
+function detectLanguage(text) {
+  const raw = String(text || '');
+  if (/\p{Script=Cyrillic}/u.test(raw)) return 'ru';
+  if (/\p{Script=Greek}/u.test(raw)) return 'el';
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(raw)) return 'ja';
+  if (/\p{Script=Hangul}/u.test(raw)) return 'ko';
+  if (/\p{Script=Han}/u.test(raw)) return 'zh';
+  if (/\p{Script=Arabic}/u.test(raw)) return 'ar';
+  if (/\p{Script=Hebrew}/u.test(raw)) return 'he';
+
+  const words = foldText(raw).split(' ').filter(Boolean);
+  const hits = {};
+  for (const lang of LATIN_LANGUAGES) hits[lang] = words.filter(w => STOPWORDS[lang].has(w)).length;
+  const most = Math.max(...Object.values(hits));
+  // Letters decide between languages tied on stopwords ("de la" is French and Spanish)
+  const hinted = LETTER_HINTS.find(([lang, re]) => hits[lang] === most && re.test(raw));
+  if (hinted) return hinted[0];
+  return most ? LATIN_LANGUAGES.find(lang => hits[lang] === most) : null;
+}
+
+/**
+ * Query text → folded search tokens.
+ * Stopwords of the detected (or given) language are dropped, unless the query is
+ * nothing but stopwords ("It", "The Who"). Latin/Greek/Cyrillic tokens need 3+
+ * characters; CJK tokens are kept at any length since words aren't space-separated.
+ * @param {string} text
+ * @param {{ lang?: string|null }} [opts] language hint (e.g. from lang:fr), overrides detection
+ * @returns {{ tokens: string[], lang: string|null }}
+ */
+function tokenize(text, { lang = null } = {}) {
+  const language = lang || detectLanguage(text);
+  const words = foldText(text)
+    .split(' ')
+    .filter(w => w && !/^\d+$/.test(w) && (w.length >= 3 || CJK_RE.test(w)));
+  const stopwords = STOPWORDS[language];
+  const kept = stopwords ? words.filter(w => !stopwords.has(w)) : words;
+  return { tokens: kept.length ? kept : words, lang: language };
+}
+
+// -- Transliteration ----------------------------------------------------------
+
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'i',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  і: 'i', ї: 'i', є: 'e', ґ: 'g', ў: 'u', ј: 'j', љ: 'lj', њ: 'nj', ћ: 'c', ђ: 'dj', џ: 'dz',
+};
+const GREEK = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch',
+  ψ: 'ps', ω: 'o',
+};
+
+/** Folded Cyrillic / Greek → Latin letters (other scripts unchanged) */
+function transliterate(folded) {
+  return String(folded || '').replace(/[\u0370-\u03ff\u0400-\u04ff]/g, ch => CYRILLIC[ch] ?? GREEK[ch] ?? ch);
+}
+
+// Keys shorter than this (or from shorter words) collide too easily to be trusted
+const MIN_KEY_WORD = 5;
+const MIN_KEY_LENGTH = 3;
+
+/**
+ * Spelling-tolerant key of one word: transliterated, common romanization variants
+ * merged (w/v, j/y/i, tch/ch, ph/f, ck/k, x/ks), h after consonants and
+ * non-initial vowels dropped, doubled letters collapsed.
+ * Returns null for words too short to key safely.
+ */
+function phoneticKey(word) {
+  const latin = transliterate(foldText(word)).replace(/\s+/g, '');
+  if (latin.length < MIN_KEY_WORD || !/^[a-z0-9]+$/.test(latin)) return null;
+  const merged = latin
+    .replace(/tsch|tch/g, 'ch')
+    .replace(/ph/g, 'f')
+    .replace(/ck|q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/w/g, 'v')
+    .replace(/[jy]/g, 'i')
+    .replace(/([b-df-hj-np-tv-z])h/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+  const key = merged[0] + merged.slice(1).replace(/[aeiou]/g, '').replace(/(.)\1+/g, '$1');
+  return key.length >= MIN_KEY_LENGTH ? key : null;
+}
+
+/**
+ * Matcher for one book field. has(token) is true when the folded field contains
+ * the (folded) token, or when a word of the field has the token's phonetic key.
+ * Keys are only computed when a substring match fails.
+ */
+function fieldMatcher(value) {
+  const text = foldText(Array.isArray(value) ? value.join(' ') : typeof value === 'string' ? value : '');
+  let keys = null;
+  return {
+    text,
+    has(token) {
+      if (!text || !token) return false;
+      if (text.includes(token)) return true;
+      const key = phoneticKey(token);
+      if (!key) return false;
+      if (!keys) keys = new Set(text.split(' ').map(phoneticKey).filter(Boolean));
+      return keys.has(key);
+    },
+  };
+}
+
+module.exports = {
+  STOPWORDS,
+  foldText,
+  detectLanguage,
+  tokenize,
+  transliterate,
+  phoneticKey,
+  fieldMatcher,
+};
@@ -0,0 +1,131 @@
+// lib/workClusters.js
+// Edition clustering for federated search: groups copies of the same work
+// (Gutenberg EPUB, archive.org scan, OAPEN PDF, ...) under one work key
+// instead of discarding all but one.
+
+const { foldText } = require('./textMatch');
+
+// Leading articles dropped from titles ("The Republic" == "Republic, The")
+const LEADING_ARTICLES = new Set([
+  'the', 'a', 'an',                   // en
+  'le', 'la', 'les', 'l', 'un', 'une', // fr
+  'der', 'die', 'das', 'ein', 'eine', // de
+  'el', 'los', 'las',                 // es
+  'il', 'lo', 'gli',                  // it
+  'het', 'een',                       // nl
+]);
+
+// Name parts that never identify the author
+const NAME_NOISE = new Set([
+  'jr', 'sr', 'ii', 'iii', 'iv', 'sir', 'dr', 'mrs', 'mr', 'ms', 'graf', 'count',
+  'baron', 'lord', 'saint', 'st', 'translator', 'editor', 'ed', 'eds', 'tr', 'trans',
+  'comp', 'compiler', 'illustrator', 'author', 'ca', 'fl', 'b', 'd',
+]);
+
+const UNKNOWN_AUTHORS = new Set(['', 'unknown', 'unknown author', 'anonymous', 'anon', 'various']);
+
+/**
+ * Normalize a title to its work form: subtitle, statement of responsibility,
+ * bracketed notes and leading/trailing articles are removed.
+ * "The Republic / Plato [electronic resource]" → "republic"
+ * "Republic, The"                              → "republic"
+ */
+function normalizeTitle(title) {
+  let t = String(title || '')
+    .replace(/\[[^\]]*\]/g, ' ')  // [electronic resource]
+    .replace(/\([^)]*\)/g, ' ')   // (translated by ...)
+    .split(/\s[\/:;]\s|:\s|\s\/|\.\s+by\s/i)[0];
+  // "Republic, The" → "Republic"
+  t = t.replace(/,\s*(the|a|an|le|la|les|der|die|das|el|il)\s*$/i, '');
+  const words = foldText(t).split(' ').filter(Boolean);
+  // French elision ("L'Étranger") folds to "letranger"; split it back off
+  if (words.length && /^l[aeiouhy]/.test(words[0]) && /^l['’]/i.test(t.trim())) {
+    words[0] = words[0].slice(1);
+  }
+  if (words.length > 1 && LEADING_ARTICLES.has(words[0])) words.shift();
+  return words.join(' ');
+}
+
+/**
+ * Reduce an author string to the first author's surname.
+ * "Tolstoy, Leo, graf, 1828-1910" / "Leo Tolstoy" / "L. N. Tolstoy" → "tolstoy"
+ * "Austen, Jane; Smith, John" → "austen"
+ */
+function normalizeAuthor(author) {
+  const raw = Array.isArray(author) ? author[0] : author;
+  let a = String(raw || '').trim();
+  if (UNKNOWN_AUTHORS.has(a.toLowerCase())) return '';
+
+  // First author only
+  a = a.split(/\s*;\s*|\s+and\s+|\s*&\s*|\s*\|\s*/i)[0];
+  // Life dates and years: "1828-1910", "b. 1850", "fl. 400 BC"
+  a = a.replace(/\b\d{1,4}\??\s*-\s*(\d{1,4}\??)?/g, ' ').replace(/\b\d{1,4}\b/g, ' ');
+
+  let surname;
+  if (a.includes(',')) {
+    // Inverted "Last, First" form
+    surname = a.split(',')[0];
+  } else {
+    const words = foldText(a).split(' ').filter(w => w && !NAME_NOISE.has(w));
+    surname = words[words.length - 1] || '';
+  }
+  const folded = foldText(surname).split(' ').filter(w => w && !NAME_NOISE.has(w));
+  return folded[folded.length - 1] || '';
+}
+
+/**
+ * Work key shared by every edition of a book: normalized title + author surname.
+ * Books without a usable title are never clustered.
+ */
+function workKey(book) {
+  const title = normalizeTitle(book.title);
+  if (!title) return `id:${book.book_id || `${book.provider}:${book.provider_id}`}`;
+  return `${title}|${normalizeAuthor(book.author)}`;
+}
+
+const READABLE_RANK = { 'true': 0, 'maybe': 1, 'false': 2 };
+
+/**
+ * Pick the edition to show on the work card: readable copies first (once readability
+ * is known), then whatever `isPreferred(a, b)` favors (EPUB, provider priority).
+ */
+function pickRepresentative(editions, isPreferred) {
+  let best = editions[0];
+  for (const edition of editions.slice(1)) {
+    const rankA = READABLE_RANK[edition.readable] ?? 1;
+    const rankB = READABLE_RANK[best.readable] ?? 1;
+    if (rankA < rankB || (rankA === rankB && isPreferred(edition, best))) best = edition;
+  }
+  return best;
+}
+
+/**
+ * Group books into works. Each work is its representative edition with `_key`
+ * and `_editions` (every copy, representative included, in arrival order).
+ * Work order follows the first appearance of each work.
+ * @param {Array} books - normalized books
+ * @param {Function} isPreferred - (a, b) => true when a should represent the work over b
+ * @returns {Array} works
+ */
+function clusterEditions(books, isPreferred) {
+  const groups = new Map();
+  for (const book of books) {
+    const key = workKey(book);
+    const group = groups.get(key);
+    // Same provider + id twice (e.g. repeated across pages) is one edition, not two
+    if (group) {
+      if (!group.some(e => e.book_id === book.book_id)) group.push(book);
+    } else {
+      groups.set(key, [book]);
+    }
+  }
+  return [...groups.entries()].map(([key, editions]) => ({
+    ...pickRepresentative(editions, isPreferred),
+    _key: key,
+    _editions: editions,
+  }));
+}
+
+module.exports = {
+  foldText, normalizeTitle, normalizeAuthor, workKey, pickRepresentative, clusterEditions,
+};
@@ -0,0 +1,81 @@
+// public/js/author-page.js
+// /author/:slug: loads the author's works from /api/author/:slug/works and renders
+// them as cards linking to each book page.
+
+// CSP-safe delegated image error handler (replaces inline onerror)
+document.addEventListener('error', function(e) {
+  var img = e.target;
+  if (img && img.tagName === 'IMG') {
+    var fb = img.getAttribute('data-fallback');
+    if (fb && img.src !== fb && !img.src.endsWith(fb)) img.src = fb;
+  }
+}, true);
+
+document.addEventListener('DOMContentLoaded', () => {
+  const PLACEHOLDER = '/public/img/cover-fallback.svg';
+  const page = document.getElementById('author-page');
+  const worksEl = document.getElementById('author-works');
+  const yearsEl = document.getElementById('author-years');
+  const variantsEl = document.getElementById('author-variants');
+  if (!page || !worksEl) return;
+
+  const escapeHtml = (str) => {
+    const div = document.createElement('div');
+    div.textContent = str == null ? '' : String(str);
+    return div.innerHTML;
+  };
+
+  function editionsLine(work) {
+    if (!(work.edition_count > 1)) return '';
+    const formats = [];
+    (work.editions || []).forEach(function(e) {
+      const f = (e.format || '').toUpperCase();
+      if (f && f !== 'UNKNOWN' && formats.indexOf(f) === -1) formats.push(f);
+    });
+    return `<div class="card-editions">${work.edition_count} editions${formats.length ? ' · ' + escapeHtml(formats.join(', ')) : ''}</div>`;
+  }
+
+  function renderWorks(works) {
+    const cards = works.filter(function(work) { return work.book_url; });
+    if (!cards.length) {
+      worksEl.innerHTML = '<p class="author-status">No books by this author were found.</p>';
+      return;
+    }
+    worksEl.innerHTML = cards.map(function(work) {
+      const cover = work.cover_url || PLACEHOLDER;
+      return `<a class="book-card" href="${escapeHtml(work.book_url)}">
+          <div class="card-cover"><img src="${escapeHtml(cover)}" alt="" loading="lazy" data-fallback="${PLACEHOLDER}"></div>
+          <div class="card-title">${escapeHtml(work.title)}</div>
+          ${work.year ? `<div class="card-year">${escapeHtml(work.year)}</div>` : ''}
+          ${editionsLine(work)}
+        </a>`;
+    }).join('');
+  }
+
+  fetch(page.dataset.worksUrl, { credentials: 'include' })
+    .then(function(r) {
+      if (r.status === 401) {
+        worksEl.innerHTML = '<p class="author-status"><a href="/login?next=' +
+          encodeURIComponent(location.pathname) + '">Sign in</a> to see every book by this author.</p>';
+        return null;
+      }
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      return r.json();
+    })
+    .then(function(data) {
+      if (!data) return;
+      renderWorks(data.works || []);
+      // Life years from the library listings when no provider has an author record
+      if (yearsEl && !yearsEl.textContent.trim() && data.birth_year) {
+        yearsEl.textContent = data.birth_year + '–' + (data.death_year || '');
+      }
+      if (variantsEl && data.variants && data.variants.length) {
+        variantsEl.textContent = 'Also listed as ' + data.variants.join(', ');
+        variantsEl.hidden = false;
+      }
+    })
+    .catch(function(err) {
+      console.warn('[author] works failed:', err.message);
+      worksEl.innerHTML = '<p class="author-status">Could not load books right now.</p>';
+    });
+});
@@ -0,0 +1,142 @@
+// public/js/book-page.js
+// /book/:provider/:providerId: loads the editions table and related books from
+// /api/book/.../editions and toggles the favorite via /api/reading/favorite.
+
+// CSP-safe delegated image error handler (replaces inline onerror)
+document.addEventListener('error', function(e) {
+  var img = e.target;
+  if (img && img.tagName === 'IMG') {
+    var fb = img.getAttribute('data-fallback');
+    if (fb && img.src !== fb && !img.src.endsWith(fb)) img.src = fb;
+  }
+}, true);
+
+document.addEventListener('DOMContentLoaded', () => {
+  const PLACEHOLDER = '/public/img/cover-fallback.svg';
+  const page = document.getElementById('book-page');
+  const editionsEl = document.getElementById('book-editions');
+  const relatedSection = document.getElementById('book-related-section');
+  const relatedEl = document.getElementById('book-related');
+  const favoriteBtn = document.getElementById('favorite-toggle');
+  if (!page || !editionsEl) return;
+
+  const book = page.dataset;
+
+  const escapeHtml = (str) => {
+    const div = document.createElement('div');
+    div.textContent = str == null ? '' : String(str);
+    return div.innerHTML;
+  };
+
+  function formatBytes(n) {
+    if (!n) return '';
+    if (n >= 1024 * 1024) return (n / 1024 / 1024).toFixed(1) + ' MB';
+    return Math.max(1, Math.round(n / 1024)) + ' KB';
+  }
+
+  function withRef(href) {
+    const url = new URL(href, location.origin);
+    url.searchParams.set('ref', location.pathname);
+    return url.pathname + url.search;
+  }
+
+  function editionAction(e, isCurrent) {
+    if (e.readable && e.href) return `<a href="${escapeHtml(withRef(e.href))}">Read</a>`;
+    if (!isCurrent && e.book_url) return `<a href="${escapeHtml(e.book_url)}">Details</a>`;
+    if (e.open_access_url && /^https?:\/\//.test(e.open_access_url)) {
+      return `<a href="${escapeHtml(e.open_access_url)}" rel="noopener" target="_blank">At source</a>`;
+    }
+    return '';
+  }
+
+  function renderEditions(editions) {
+    if (!editions.length) {
+      editionsEl.innerHTML = '<p class="book-status">No other editions found.</p>';
+      return;
+    }
+    const rows = editions.map(function(e) {
+      const isCurrent = e.provider === book.provider && String(e.provider_id) === book.providerId;
+      const format = e.format && e.format !== 'unknown' ? e.format.toUpperCase() : '—';
+      return `<tr${isCurrent ? ' class="current"' : ''}>
+          <td>${escapeHtml(e.provider)}${isCurrent ? ' <span class="book-status">(this page)</span>' : ''}</td>
+          <td>${escapeHtml(format)}</td>
+          <td>${escapeHtml(e.year || '—')}</td>
+          <td class="col-optional">${escapeHtml(e.language || '—')}</td>
+          <td class="col-optional">${escapeHtml(formatBytes(e.file_size) || '—')}</td>
+          <td class="${e.readable ? 'readable-yes' : 'readable-no'}">${e.readable ? 'Readable on-site' : 'External only'}</td>
+          <td>${editionAction(e, isCurrent)}</td>
+        </tr>`;
+    }).join('');
+    editionsEl.innerHTML = `<table class="editions-table">
+        <thead><tr>
+          <th>Source</th><th>Format</th><th>Year</th><th class="col-optional">Language</th>
+          <th class="col-optional">Size</th><th>On BookLantern</th><th></th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  function renderRelated(items) {
+    const cards = items.filter(function(item) { return item.book_url; });
+    if (!cards.length || !relatedEl) return;
+    relatedEl.innerHTML = cards.map(function(item) {
+      const cover = item.cover_url || PLACEHOLDER;
+      return `<a class="book-card" href="${escapeHtml(item.book_url)}">
+          <div class="card-cover"><img src="${escapeHtml(cover)}" alt="" loading="lazy" data-fallback="${PLACEHOLDER}"></div>
+          <div class="card-title">${escapeHtml(item.title)}</div>
+          ${item.year ? `<div class="card-year">${escapeHtml(item.year)}</div>` : ''}
+        </a>`;
+    }).join('');
+    relatedSection.hidden = false;
+  }
+
+  fetch(book.editionsUrl, { credentials: 'include' })
+    .then(function(r) {
+      if (r.status === 401) {
+        editionsEl.innerHTML = '<p class="book-status"><a href="/login?next=' +
+          encodeURIComponent(location.pathname + location.search) + '">Sign in</a> to see every edition of this book.</p>';
+        return null;
+      }
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      return r.json();
+    })
+    .then(function(data) {
+      if (!data) return;
+      renderEditions(data.editions || []);
+      renderRelated(data.related || []);
+    })
+    .catch(function(err) {
+      console.warn('[book] editions failed:', err.message);
+      editionsEl.innerHTML = '<p class="book-status">Could not load editions right now.</p>';
+    });
+
+  if (favoriteBtn) {
+    favoriteBtn.addEventListener('click', function() {
+      favoriteBtn.disabled = true;
+      fetch('/api/reading/favorite', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bookKey: book.bookKey,
+          source: book.provider,
+          title: book.title,
+          author: book.author,
+          cover: book.cover,
+          readerUrl: book.openUrl
+        })
+      })
+        .then(function(r) { return r.json(); })
+        .then(function(data) {
+          if (!data.ok) throw new Error(data.error || 'favorite failed');
+          favoriteBtn.setAttribute('aria-pressed', data.favorited ? 'true' : 'false');
+          favoriteBtn.textContent = data.favorited ? '♥ In your favorites' : '♡ Add to favorites';
+        })
+        .catch(function(err) {
+          console.warn('[book] favorite toggle failed:', err.message);
+          alert('Could not update your favorites.');
+        })
+        .finally(function() { favoriteBtn.disabled = false; });
+    });
+  }
+});
@@ -0,0 +1,350 @@
+// public/js/book-search.js
+// In-book search panel, shared by the unified reader (EPUB and PDF modes) and the
+// standalone PDF viewer. The page supplies how to search and how to jump to a hit;
+// this file runs the panel: results grouped by chapter or page with the match in
+// context, and the recent queries for the book (localStorage).
+//
+// PDFs are searched with pdf.js, loaded from the CDN on the first search, since
+// the browser's built-in viewer doesn't expose the text it shows.
+
+(function() {
+  'use strict';
+
+  const MAX_RECENT = 8;
+  const MAX_RESULTS = 300;
+  const CONTEXT_CHARS = 60;
+  const MIN_QUERY_LENGTH = 2;
+  const PDFJS_BASE = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/';
+
+  // -- Recent queries -----------------------------------------------------------
+
+  function loadRecent(storageKey) {
+    if (!storageKey) return [];
+    try {
+      const list = JSON.parse(localStorage.getItem(storageKey) || '[]');
+      return Array.isArray(list) ? list.filter(function(q) { return typeof q === 'string'; }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveRecent(storageKey, query) {
+    if (!storageKey) return;
+    const lower = query.toLowerCase();
+    const list = [query].concat(loadRecent(storageKey).filter(function(q) { return q.toLowerCase() !== lower; }));
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(list.slice(0, MAX_RECENT)));
+    } catch (e) {
+      console.warn('[book-search] Could not save recent searches:', e);
+    }
+  }
+
+  // -- Matching -----------------------------------------------------------------
+
+  /**
+   * Split an excerpt around the first case-insensitive occurrence of query
+   * @returns {{before: string, match: string, after: string}}
+   */
+  function splitExcerpt(text, query) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    const at = clean.toLowerCase().indexOf(query.toLowerCase());
+    if (at === -1) return { before: clean, match: '', after: '' };
+    return {
+      before: clean.slice(0, at),
+      match: clean.slice(at, at + query.length),
+      after: clean.slice(at + query.length)
+    };
+  }
+
+  /**
+   * Every case-insensitive occurrence of query in text, with surrounding context
+   * @returns {Array<{before: string, match: string, after: string}>}
+   */
+  function findInText(text, query) {
+    const hits = [];
+    const lowerText = text.toLowerCase();
+    const lowerQuery = query.toLowerCase();
+    let at = lowerText.indexOf(lowerQuery);
+    while (at !== -1) {
+      const start = Math.max(0, at - CONTEXT_CHARS);
+      const end = Math.min(text.length, at + query.length + CONTEXT_CHARS);
+      hits.push({
+        before: (start > 0 ? '…' : '') + text.slice(start, at),
+        match: text.slice(at, at + query.length),
+        after: text.slice(at + query.length, end) + (end < text.length ? '…' : '')
+      });
+      at = lowerText.indexOf(lowerQuery, at + query.length);
+    }
+    return hits;
+  }
+
+  // -- PDF ----------------------------------------------------------------------
+
+  let pdfjsPromise = null;
+
+  function loadPdfJs() {
+    if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+    if (!pdfjsPromise) {
+      pdfjsPromise = new Promise(function(resolve, reject) {
+        const script = document.createElement('script');
+        script.src = PDFJS_BASE + 'pdf.min.js';
+        script.onload = function() {
+          if (!window.pdfjsLib) return reject(new Error('pdf.js did not load'));
+          // A cross-origin worker gets wrapped in a blob: worker, which the CSP allows
+          window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_BASE + 'pdf.worker.min.js';
+          resolve(window.pdfjsLib);
+        };
+        script.onerror = function() {
+          pdfjsPromise = null;
+          reject(new Error('Could not load pdf.js'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return pdfjsPromise;
+  }
+
+  /** Text of one page; words hyphenated across a line break are joined back */
+  function pageText(content) {
+    return content.items.reduce(function(text, item) {
+      if (item.hasEOL && /\w-$/.test(item.str)) return text + item.str.slice(0, -1);
+      return text + item.str + (item.hasEOL ? ' ' : '');
+    }, '').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Search function for the PDF at url. The text is extracted once, on the first
+   * search, and reused for later queries.
+   */
+  function pdfSearcher(url) {
+    let textsPromise = null;
+    let currentTask = null;
+
+    function extractTexts() {
+      textsPromise = loadPdfJs()
+        .then(function(pdfjsLib) {
+          // Same-origin proxy URLs carry the session cookie without withCredentials
+          return pdfjsLib.getDocument({ url: url }).promise;
+        })
+        .then(async function(pdf) {
+          const texts = [];
+          try {
+            for (let n = 1; n <= pdf.numPages; n++) {
+              const page = await pdf.getPage(n);
+              texts.push(pageText(await page.getTextContent()));
+              page.cleanup();
+              if (currentTask && !currentTask.cancelled) currentTask.progress(n, pdf.numPages);
+            }
+          } finally {
+            pdf.destroy();
+          }
+          return texts;
+        });
+      textsPromise.catch(function() { textsPromise = null; });
+      return textsPromise;
+    }
+
+    return async function search(query, task) {
+      currentTask = task;
+      const texts = await (textsPromise || extractTexts());
+      const groups = [];
+      let total = 0;
+      texts.forEach(function(text, i) {
+        if (total >= MAX_RESULTS) return;
+        const hits = findInText(text, query).slice(0, MAX_RESULTS - total);
+        if (!hits.length) return;
+        hits.forEach(function(hit) { hit.target = i + 1; });
+        groups.push({ label: 'Page ' + (i + 1), hits: hits });
+        total += hits.length;
+      });
+      if (!texts.some(function(text) { return text.trim(); })) {
+        const err = new Error('no text layer');
+        err.userMessage = 'This PDF is scanned page images, with no text to search.';
+        throw err;
+      }
+      return { groups: groups, total: total, truncated: total >= MAX_RESULTS };
+    };
+  }
+
+  /**
+   * Jump a PDF iframe to a page via the open parameters, asking the viewer to
+   * highlight the query (Firefox's and other pdf.js-based viewers honor #search)
+   */
+  function showPdfPage(frame, page, query) {
+    const base = String(frame.getAttribute('src') || '').split('#')[0];
+    if (!base) return;
+    frame.src = base + '#page=' + page + '&search=' + encodeURIComponent(query);
+  }
+
+  // -- Panel --------------------------------------------------------------------
+
+  /**
+   * Wire a search panel.
+   * @param {Object} options
+   * @param {HTMLElement} options.panel - Panel containing form, input, status, recent, results
+   *   (elements marked data-search="form|input|status|recent|results")
+   * @param {HTMLElement} [options.toggle] - Toolbar button that opens/closes the panel
+   * @param {HTMLElement} [options.close] - Close button inside the panel
+   * @param {string|Function} options.storageKey - localStorage key for recent queries (or a getter)
+   * @param {Function} options.search - async (query, task) → { groups: [{label, hits}], total, truncated };
+   *   task.progress(done, total) reports progress; stop when task.cancelled. An error's
+   *   userMessage, if set, is shown in the panel
+   * @param {Function} options.jump - (hit, query) → navigate to a hit
+   * @param {Function} [options.onClose] - called when the panel closes
+   */
+  function createPanel(options) {
+    const panel = options.panel;
+    if (!panel) return null;
+    const el = function(name) { return panel.querySelector('[data-search="' + name + '"]'); };
+    const form = el('form');
+    const input = el('input');
+    const status = el('status');
+    const recentEl = el('recent');
+    const results = el('results');
+    let task = null;
+
+    function storageKey() {
+      return typeof options.storageKey === 'function' ? options.storageKey() : options.storageKey;
+    }
+
+    function setOpen(open) {
+      panel.classList.toggle('open', open);
+      if (options.toggle) options.toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (open) {
+        renderRecent();
+        if (input) setTimeout(function() { input.focus(); input.select(); }, 50);
+      } else if (options.onClose) {
+        options.onClose();
+      }
+    }
+
+    function setStatus(text) {
+      if (status) status.textContent = text;
+    }
+
+    function renderRecent() {
+      if (!recentEl) return;
+      const recent = loadRecent(storageKey());
+      recentEl.innerHTML = '';
+      recentEl.hidden = !recent.length;
+      if (!recent.length) return;
+      const label = document.createElement('span');
+      label.textContent = 'Recent:';
+      recentEl.appendChild(label);
+      recent.forEach(function(query) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = query;
+        btn.addEventListener('click', function() {
+          input.value = query;
+          run(query);
+        });
+        recentEl.appendChild(btn);
+      });
+    }
+
+    function renderResults(result, query) {
+      results.innerHTML = '';
+      result.groups.forEach(function(group) {
+        const groupEl = document.createElement('li');
+        groupEl.className = 'search-group';
+        const heading = document.createElement('h4');
+        heading.textContent = group.label + ' (' + group.hits.length + ')';
+        groupEl.appendChild(heading);
+
+        const list = document.createElement('ul');
+        group.hits.forEach(function(hit) {
+          const li = document.createElement('li');
+          const link = document.createElement('a');
+          link.href = '#';
+          link.className = 'search-hit';
+          link.appendChild(document.createTextNode(hit.before));
+          const mark = document.createElement('mark');
+          mark.textContent = hit.match;
+          link.appendChild(mark);
+          link.appendChild(document.createTextNode(hit.after));
+          link.addEventListener('click', function(e) {
+            e.preventDefault();
+            results.querySelectorAll('.search-hit.current').forEach(function(a) { a.classList.remove('current'); });
+            link.classList.add('current');
+            options.jump(hit, query);
+            if (window.innerWidth < 768) setOpen(false);
+          });
+          li.appendChild(link);
+          list.appendChild(li);
+        });
+        groupEl.appendChild(list);
+        results.appendChild(groupEl);
+      });
+    }
+
+    async function run(query) {
+      query = query.replace(/\s+/g, ' ').trim();
+      if (task) task.cancelled = true;
+      results.innerHTML = '';
+      if (query.length < MIN_QUERY_LENGTH) {
+        setStatus('Type at least ' + MIN_QUERY_LENGTH + ' characters.');
+        return;
+      }
+
+      const current = task = {
+        cancelled: false,
+        progress: function(done, total) {
+          if (!current.cancelled && total) setStatus('Searching… ' + Math.round(done / total * 100) + '%');
+        }
+      };
+      setStatus('Searching…');
+      saveRecent(storageKey(), query);
+      renderRecent();
+
+      try {
+        const result = await options.search(query, current);
+        if (current.cancelled) return;
+        if (!result.total) {
+          setStatus('No matches for “' + query + '”.');
+          return;
+        }
+        setStatus(result.total + (result.truncated ? '+' : '') + (result.total === 1 ? ' match' : ' matches') +
+          (result.groups.length > 1 ? ' in ' + result.groups.length + ' sections' : ''));
+        renderResults(result, query);
+      } catch (err) {
+        if (current.cancelled) return;
+        console.warn('[book-search] Search failed:', err.message);
+        setStatus(err.userMessage || 'Search isn’t available for this book right now.');
+      }
+    }
+
+    if (form) {
+      form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        run(input.value);
+      });
+    }
+    if (options.toggle) {
+      options.toggle.addEventListener('click', function() {
+        setOpen(!panel.classList.contains('open'));
+      });
+    }
+    if (options.close) {
+      options.close.addEventListener('click', function() { setOpen(false); });
+    }
+    panel.addEventListener('keydown', function(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setOpen(false);
+        if (options.toggle) options.toggle.focus();
+      }
+    });
+
+    return { open: function() { setOpen(true); }, close: function() { setOpen(false); }, search: run };
+  }
+
+  window.BookSearch = {
+    MAX_RESULTS: MAX_RESULTS,
+    createPanel: createPanel,
+    pdfSearcher: pdfSearcher,
+    showPdfPage: showPdfPage,
+    splitExcerpt: splitExcerpt,
+    findInText: findInText
+  };
+})();
@@ -0,0 +1,116 @@
+// public/js/offline-library.js
+// Downloaded books page (/offline): lists what offline-store.js keeps on this device,
+// with links back into the reader and a way to free the space again.
+
+(function() {
+  'use strict';
+
+  function formatBytes(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  function showError(message) {
+    const el = document.getElementById('offline-error');
+    if (!el) return;
+    el.textContent = message;
+    el.hidden = false;
+  }
+
+  async function showUsage() {
+    const el = document.getElementById('offline-usage');
+    if (!el || !navigator.storage || !navigator.storage.estimate) return;
+    try {
+      const estimate = await navigator.storage.estimate();
+      if (estimate.usage && estimate.quota) {
+        el.textContent = 'Using ' + formatBytes(estimate.usage) + ' of ' + formatBytes(estimate.quota) + ' available.';
+      }
+    } catch (e) { /* estimate is informational only */ }
+  }
+
+  function bookCard(book) {
+    const card = document.createElement('div');
+    card.className = 'lib-card';
+
+    let cover;
+    if (book.hasCover) {
+      cover = document.createElement('img');
+      cover.src = window.BLOffline.coverUrl(book.bookKey);
+      cover.alt = book.title;
+      cover.addEventListener('error', function() { cover.src = '/public/img/cover-fallback.svg'; }, { once: true });
+    } else {
+      cover = document.createElement('div');
+    }
+    cover.className = 'book-cover';
+    card.appendChild(cover);
+
+    const title = document.createElement('div');
+    title.className = 'book-title';
+    title.textContent = book.title || 'Untitled';
+    card.appendChild(title);
+
+    if (book.author) {
+      const author = document.createElement('div');
+      author.className = 'book-author';
+      author.textContent = book.author;
+      card.appendChild(author);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'book-meta';
+    meta.textContent = [String(book.format || '').toUpperCase(), formatBytes(book.size),
+      book.savedAt ? 'saved ' + new Date(book.savedAt).toLocaleDateString() : ''].filter(Boolean).join(' · ');
+    card.appendChild(meta);
+
+    const read = document.createElement('a');
+    read.className = 'read-link';
+    read.href = book.readerUrl;
+    read.textContent = 'Read';
+    card.appendChild(read);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'remove-btn';
+    remove.textContent = 'Remove download';
+    remove.addEventListener('click', async function() {
+      remove.disabled = true;
+      try {
+        await window.BLOffline.removeBook(book.bookKey);
+        render();
+      } catch (err) {
+        console.warn('[offline] Remove failed:', err);
+        remove.disabled = false;
+        showError('Could not remove this download. Please try again.');
+      }
+    });
+    card.appendChild(remove);
+    return card;
+  }
+
+  async function render() {
+    const grid = document.getElementById('offline-books');
+    const empty = document.getElementById('offline-empty');
+    if (!grid) return;
+    if (!window.BLOffline || !('indexedDB' in window) || !('caches' in window)) {
+      showError('This browser can’t keep books for offline reading.');
+      return;
+    }
+    try {
+      const books = await window.BLOffline.listBooks();
+      grid.innerHTML = '';
+      books.forEach(function(book) { grid.appendChild(bookCard(book)); });
+      if (empty) empty.hidden = books.length > 0;
+      showUsage();
+    } catch (err) {
+      console.warn('[offline] Could not list downloads:', err);
+      showError('Could not read the downloaded books on this device.');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', render);
+  } else {
+    render();
+  }
+})();
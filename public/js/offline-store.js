@@ -0,0 +1,351 @@
+// public/js/offline-store.js
+// Books downloaded for offline reading, and the queue of requests made while offline.
+// Loaded by the reader, the offline library page (/offline) and the service worker
+// (public/sw.js, via importScripts), so it only uses what both windows and workers have.
+//
+// - Book files live in Cache Storage under the same proxy URL the reader loads them
+//   from, so sw.js can answer the reader's own requests; covers under /offline/cover/<key>.
+//   Each user has their own cache (bookCacheName) and book records, so a second
+//   account on the device doesn't see the first one's downloads
+// - Book metadata and the queued POSTs live in IndexedDB. Each queued POST names the
+//   user it was made for, and is only sent while that user is signed in
+// - RUNTIME_CACHE is sw.js's cache of reader pages and reader API answers; it also
+//   records who is signed in on the device (RUNTIME_USER_KEY), for pages and the
+//   worker that can't tell on their own (offline, the app shell is a signed-out page)
+
+(function(global) {
+  'use strict';
+
+  const DB_NAME = 'booklantern-offline';
+  const DB_VERSION = 2;
+  const BOOK_CACHE = 'bl-offline-books';
+  const RUNTIME_CACHE = 'bl-runtime';
+  const RUNTIME_USER_KEY = '/__bl/runtime-user';
+  const SYNC_TAG = 'bl-sync';
+  const QUEUE_LOCK = 'bl-offline-queue';
+  // Answers that mean "not as this session": keep the request for when its user is back
+  const KEEP_STATUSES = [401, 403, 409];
+  const MAX_QUEUE = 500;
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise(function(resolve, reject) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = function(event) {
+          const db = request.result;
+          // Version 1 kept books without an owner: they can't be given to anyone
+          if (event.oldVersion < 2 && db.objectStoreNames.contains('books')) db.deleteObjectStore('books');
+          if (!db.objectStoreNames.contains('books')) db.createObjectStore('books', { keyPath: 'id' });
+          if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'id' });
+        };
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /** Run fn(store) in a transaction; resolves with the result of the request fn returns */
+  async function withStore(name, mode, fn) {
+    const db = await openDb();
+    return new Promise(function(resolve, reject) {
+      const tx = db.transaction(name, mode);
+      const request = fn(tx.objectStore(name));
+      tx.oncomplete = function() { resolve(request ? request.result : undefined); };
+      tx.onerror = function() { reject(tx.error); };
+      tx.onabort = function() { reject(tx.error); };
+    });
+  }
+
+  function coverUrl(bookKey) {
+    return '/offline/cover/' + encodeURIComponent(bookKey);
+  }
+
+  // -- Whose data ----------------------------------------------------------------
+
+  /** Signed-in user of this page ('' when signed out; null in the service worker) */
+  function currentUserId() {
+    return global.document === undefined ? null : String(global.__BL_USER_ID || '');
+  }
+
+  /** User sw.js last heard of from a page ('' when signed out or never told) */
+  async function deviceUserId() {
+    const marker = await (await caches.open(RUNTIME_CACHE)).match(RUNTIME_USER_KEY);
+    return marker ? marker.text() : '';
+  }
+
+  /**
+   * Owner of the downloads to use: the page's user when it has one; a signed-out
+   * page offline is the precached shell, so the device's user then
+   */
+  async function ownerId() {
+    const userId = currentUserId();
+    if (userId) return userId;
+    if (userId === '' && global.navigator && navigator.onLine) return '';
+    return deviceUserId();
+  }
+
+  function bookCacheName(userId) {
+    return BOOK_CACHE + ':' + userId;
+  }
+
+  // -- Downloaded books -----------------------------------------------------------
+
+  async function getBook(bookKey) {
+    if (!bookKey) return null;
+    const userId = await ownerId();
+    return (await withStore('books', 'readonly', function(store) { return store.get(userId + ':' + bookKey); })) || null;
+  }
+
+  /** The owner's downloaded books, most recent first */
+  async function listBooks() {
+    const userId = await ownerId();
+    const books = await withStore('books', 'readonly', function(store) { return store.getAll(); });
+    return (books || [])
+      .filter(function(book) { return book.userId === userId; })
+      .sort(function(a, b) { return String(b.savedAt).localeCompare(String(a.savedAt)); });
+  }
+
+  /** Read a response body, reporting progress(loaded, total) as chunks arrive */
+  async function readWithProgress(response, progress) {
+    const total = parseInt(response.headers.get('content-length') || response.headers.get('x-book-bytes') || '0', 10);
+    const type = response.headers.get('content-type') || 'application/octet-stream';
+    if (!response.body || !response.body.getReader) return response.blob();
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      if (progress) progress(loaded, total);
+    }
+    return new Blob(chunks, { type: type.split(';')[0] });
+  }
+
+  /**
+   * Download a book for offline reading, for the signed-in user.
+   * @param {Object} book
+   * @param {string} book.bookKey - bl:<provider>:<id>
+   * @param {string} book.url - Same-origin URL the reader loads the file from (/api/proxy/...)
+   * @param {string} book.format - 'epub' or 'pdf'
+   * @param {string} book.readerUrl - Reader page to reopen it with
+   * @param {string} [book.title]
+   * @param {string} [book.author]
+   * @param {string} [book.cover] - Cover image URL
+   * @param {string} [book.source]
+   * @param {string[]} [book.assets] - Scripts and styles the reader page needs
+   * @param {Function} [progress] - (loaded, total) while the file downloads
+   * @returns {Promise<Object>} the saved record
+   */
+  async function saveBook(book, progress) {
+    const userId = await ownerId();
+    const response = await fetch(book.url, { credentials: 'include' });
+    if (!response.ok) {
+      const err = new Error('download failed: HTTP ' + response.status);
+      err.userMessage = response.status === 401 || response.status === 403
+        ? 'Please sign in again to download this book.'
+        : 'The book could not be downloaded right now.';
+      throw err;
+    }
+    const blob = await readWithProgress(response, progress);
+
+    const cache = await caches.open(bookCacheName(userId));
+    await cache.put(book.url, new Response(blob, {
+      headers: { 'Content-Type': blob.type, 'Content-Length': String(blob.size) }
+    }));
+
+    let hasCover = false;
+    if (book.cover) {
+      try {
+        // Covers on other hosts go through the image proxy (opaque responses can't be checked)
+        const coverSrc = /^https?:/i.test(book.cover)
+          ? '/api/proxy/image?url=' + encodeURIComponent(book.cover)
+          : book.cover;
+        const cover = await fetch(coverSrc);
+        if (!cover.ok) throw new Error('HTTP ' + cover.status);
+        await cache.put(coverUrl(book.bookKey), cover);
+        hasCover = true;
+      } catch (err) {
+        console.warn('[offline] Cover not saved:', err.message);
+      }
+    }
+
+    // The reader page itself and what it loads, so the book opens with no connection
+    await Promise.all([book.readerUrl].concat(book.assets || []).map(function(url) {
+      return cache.add(url).catch(function(err) {
+        console.warn('[offline] Could not keep', url, err.message);
+      });
+    }));
+
+    const record = {
+      id: userId + ':' + book.bookKey,
+      userId: userId,
+      bookKey: book.bookKey,
+      url: book.url,
+      format: book.format,
+      readerUrl: book.readerUrl,
+      title: book.title || '',
+      author: book.author || '',
+      source: book.source || '',
+      hasCover: hasCover,
+      size: blob.size,
+      savedAt: new Date().toISOString()
+    };
+    await withStore('books', 'readwrite', function(store) { return store.put(record); });
+
+    // Ask the browser not to evict downloads when space runs low (best effort)
+    if (global.navigator && navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(function() {});
+    }
+    return record;
+  }
+
+  async function removeBook(bookKey) {
+    const record = await getBook(bookKey);
+    if (!record) return;
+    const cache = await caches.open(bookCacheName(record.userId));
+    await Promise.all([record.url, record.readerUrl, coverUrl(bookKey)].map(function(url) {
+      return url ? cache.delete(url) : null;
+    }));
+    await withStore('books', 'readwrite', function(store) { return store.delete(record.id); });
+  }
+
+  // -- Request queue ----------------------------------------------------------------
+
+  /**
+   * Keep a JSON POST to send when the connection is back, for the signed-in user.
+   * Requests with the same id replace each other (e.g. only the latest reading
+   * position of a book matters).
+   */
+  async function queueRequest(url, body, id) {
+    const userId = currentUserId() || '';
+    const entry = {
+      id: id ? userId + ':' + id : url + ':' + Date.now() + ':' + Math.random().toString(36).slice(2, 8),
+      url: url,
+      body: body,
+      userId: userId,
+      queuedAt: Date.now()
+    };
+    await withStore('queue', 'readwrite', function(store) { return store.put(entry); });
+    const count = await withStore('queue', 'readonly', function(store) { return store.count(); });
+    if (count > MAX_QUEUE) {
+      const entries = await withStore('queue', 'readonly', function(store) { return store.getAll(); });
+      entries.sort(function(a, b) { return a.queuedAt - b.queuedAt; });
+      const dropped = entries.slice(0, count - MAX_QUEUE);
+      await withStore('queue', 'readwrite', function(store) {
+        dropped.forEach(function(old) { store.delete(old.id); });
+      });
+    }
+    requestSync();
+  }
+
+  let localFlush = Promise.resolve();
+
+  /**
+   * Run fn with the queue to itself: pages and the service worker share it, and
+   * two flushes at once would send the same requests twice. Web Locks cover every
+   * context; without them, flushes are only serialized within this one.
+   */
+  function withQueueLock(fn) {
+    if (global.navigator && navigator.locks && navigator.locks.request) {
+      return navigator.locks.request(QUEUE_LOCK, fn);
+    }
+    const run = localFlush.then(fn, fn);
+    localFlush = run.catch(function() {});
+    return run;
+  }
+
+  /**
+   * Send the queued requests in order. Each names the user it was queued for
+   * (X-BL-Queued-For) and the server refuses it for anyone else (409); a page
+   * only sends its own user's requests. Stops at the first network failure (and
+   * rejects, so a background sync is retried later). Requests refused as
+   * signed-out, forbidden or another user's are kept; others the server refuses
+   * are dropped, since sending them again won't help.
+   * @returns {Promise<number>} requests sent
+   */
+  function flushQueue() {
+    const userId = currentUserId();
+    return withQueueLock(async function() {
+      const entries = await withStore('queue', 'readonly', function(store) { return store.getAll(); });
+      entries.sort(function(a, b) { return a.queuedAt - b.queuedAt; });
+      let sent = 0;
+      let kept = 0;
+      for (const entry of entries) {
+        if (userId !== null && (entry.userId || '') !== userId) continue;
+        const response = await fetch(entry.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-BL-Queued-For': entry.userId || '' },
+          credentials: 'include',
+          body: entry.body
+        });
+        if (response.status >= 500) throw new Error('replay failed: HTTP ' + response.status);
+        if (KEEP_STATUSES.includes(response.status)) {
+          kept++;
+          continue;
+        }
+        // Unless a newer request replaced it while this one was on its way
+        await withStore('queue', 'readwrite', function(store) {
+          const request = store.get(entry.id);
+          request.onsuccess = function() {
+            if (request.result && request.result.queuedAt === entry.queuedAt) store.delete(entry.id);
+          };
+          return request;
+        });
+        sent++;
+      }
+      if (sent) console.log('[offline] Sent', sent, 'queued request(s)');
+      if (kept) console.log('[offline] Kept', kept, 'queued request(s) for another session');
+      return sent;
+    });
+  }
+
+  /**
+   * Have the queue sent when the connection returns: a Background Sync in the
+   * service worker where the browser has it, otherwise the 'online' event below
+   */
+  function requestSync() {
+    if (global.document === undefined || !navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+    navigator.serviceWorker.ready
+      .then(function(registration) {
+        if (registration.sync) return registration.sync.register(SYNC_TAG);
+      })
+      .catch(function(err) {
+        console.warn('[offline] Background sync not registered:', err.message);
+      });
+  }
+
+  function flushFromPage() {
+    flushQueue().catch(function(err) { console.warn('[offline] Queue not sent:', err.message); });
+  }
+
+  if (global.document !== undefined) {
+    global.addEventListener('online', flushFromPage);
+    // Without Background Sync, whatever was left from last time goes out with the next page
+    if (!('SyncManager' in global) && navigator.onLine) setTimeout(flushFromPage, 3000);
+  }
+
+  global.BLOffline = {
+    BOOK_CACHE: BOOK_CACHE,
+    RUNTIME_CACHE: RUNTIME_CACHE,
+    RUNTIME_USER_KEY: RUNTIME_USER_KEY,
+    bookCacheName: bookCacheName,
+    deviceUserId: deviceUserId,
+    SYNC_TAG: SYNC_TAG,
+    coverUrl: coverUrl,
+    getBook: getBook,
+    listBooks: listBooks,
+    saveBook: saveBook,
+    removeBook: removeBook,
+    queueRequest: queueRequest,
+    flushQueue: flushQueue,
+    requestSync: requestSync
+  };
+})(self);
@@ -0,0 +1,206 @@
+// public/js/read-browse.js
+// /read/browse: subject sidebar + filters over /api/catalog/subjects and /api/catalog/browse.
+// Filters live in the URL (shareable, back button works); pages load with the keyset cursor.
+
+// CSP-safe delegated image error handler (replaces inline onerror)
+document.addEventListener('error', function(e) {
+  var img = e.target;
+  if (img && img.tagName === 'IMG') {
+    var fb = img.getAttribute('data-fallback');
+    if (fb && img.src !== fb && !img.src.endsWith(fb)) img.src = fb;
+  }
+}, true);
+
+document.addEventListener('DOMContentLoaded', () => {
+  const FILTER_KEYS = ['subject', 'language', 'year_from', 'year_to', 'sort'];
+  const PLACEHOLDER = '/public/img/cover-fallback.svg';
+
+  const form = document.getElementById('browse-filters');
+  const results = document.getElementById('browse-results');
+  const status = document.getElementById('browse-status');
+  const more = document.getElementById('browse-more');
+  const moreBtn = document.getElementById('browse-more-btn');
+  const subjectList = document.getElementById('subject-list');
+  const subjectFilter = document.getElementById('subject-filter');
+  if (!form || !results) return;
+
+  let state = readState();
+  let nextCursor = null;
+  let subjects = [];
+  let subjectsLanguage = null;
+  let requestId = 0;
+
+  const escapeHtml = (str) => {
+    const div = document.createElement('div');
+    div.textContent = str == null ? '' : String(str);
+    return div.innerHTML;
+  };
+
+  function readState() {
+    const params = new URLSearchParams(location.search);
+    const s = {};
+    FILTER_KEYS.forEach(k => { s[k] = params.get(k) || ''; });
+    return s;
+  }
+
+  function writeState(push) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(k => { if (state[k]) params.set(k, state[k]); });
+    const url = location.pathname + (params.toString() ? '?' + params : '');
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+  }
+
+  function syncForm() {
+    ['language', 'year_from', 'year_to', 'sort'].forEach(k => {
+      if (form.elements[k]) form.elements[k].value = state[k] || (k === 'sort' ? 'title' : '');
+    });
+  }
+
+  // -- Subjects ---------------------------------------------------------------
+
+  function loadSubjects() {
+    if (subjectsLanguage === state.language && subjects.length) return renderSubjects();
+    subjectsLanguage = state.language;
+    const params = new URLSearchParams({ limit: '300' });
+    if (state.language) params.set('language', state.language);
+    fetch('/api/catalog/subjects?' + params)
+      .then(r => r.json())
+      .then(data => {
+        subjects = data.subjects || [];
+        renderSubjects();
+      })
+      .catch(err => {
+        console.warn('[browse] subjects failed:', err.message);
+        subjects = [];
+        renderSubjects();
+      });
+  }
+
+  function renderSubjects() {
+    const filter = (subjectFilter.value || '').trim().toLowerCase();
+    const active = state.subject.toLowerCase();
+    const shown = subjects.filter(s => !filter || s.key.includes(filter));
+    const items = [
+      `<li><button type="button" data-subject=""${active ? '' : ' class="active"'}>All subjects</button></li>`,
+    ].concat(shown.map(s =>
+      `<li><button type="button" data-subject="${escapeHtml(s.label)}"${s.key === active ? ' class="active"' : ''}>`
+      + `<span>${escapeHtml(s.label)}</span><span class="subject-count">${s.count}</span></button></li>`
+    ));
+    if (!shown.length) items.push('<li class="subject-empty">No subjects found</li>');
+    subjectList.innerHTML = items.join('');
+  }
+
+  subjectList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-subject]');
+    if (!btn) return;
+    state.subject = btn.dataset.subject;
+    writeState(true);
+    renderSubjects();
+    loadPage(true);
+  });
+
+  subjectFilter.addEventListener('input', renderSubjects);
+
+  // -- Results ----------------------------------------------------------------
+
+  function renderCard(item) {
+    const title = escapeHtml(item.title || 'Untitled');
+    const author = escapeHtml(item.author || 'Unknown author');
+    const cover = escapeHtml(item.cover_url || PLACEHOLDER);
+    const year = item.year ? `<div class="card-year">${escapeHtml(item.year)}</div>` : '';
+    const ref = encodeURIComponent(location.pathname + location.search);
+    const body = `<div class="card-cover"><img src="${cover}" alt="" loading="lazy" data-fallback="${PLACEHOLDER}"></div>
+                  <div class="card-title">${title}</div>
+                  <div class="card-author">${author}</div>
+                  ${year}`;
+
+    // Resolved files open in the unified reader
+    if (item.readable && item.href) {
+      const badge = item.format && item.format !== 'epub' ? `<span class="format-badge">${escapeHtml(item.format.toUpperCase())}</span>` : '';
+      return `<a class="book-card readable-card" href="${escapeHtml(item.href + '&ref=' + ref)}">
+                ${badge}${body}<div class="card-cta"><span>Read</span></div></a>`;
+    }
+    // Not resolved yet: the external page tries the landing page and offers the source link
+    if (item.source_url) {
+      const href = '/external?url=' + encodeURIComponent(item.source_url)
+        + '&title=' + encodeURIComponent(item.title || '')
+        + '&author=' + encodeURIComponent(item.author || '')
+        + '&cover_url=' + encodeURIComponent(item.cover_url || '')
+        + '&ref=' + ref;
+      return `<a class="book-card external-card" href="${escapeHtml(href)}">
+                <span class="format-badge external-badge">CATALOG</span>${body}<div class="card-cta"><span>View</span></div></a>`;
+    }
+    return `<div class="book-card unavailable">${body}</div>`;
+  }
+
+  function describeFilters() {
+    const parts = [];
+    if (state.subject) parts.push(state.subject);
+    if (state.language && form.elements.language) {
+      const opt = form.elements.language.selectedOptions[0];
+      if (opt && opt.value) parts.push(opt.textContent.trim());
+    }
+    if (state.year_from || state.year_to) parts.push((state.year_from || '…') + '–' + (state.year_to || '…'));
+    return parts.join(' · ');
+  }
+
+  function loadPage(reset) {
+    const id = ++requestId;
+    if (reset) {
+      nextCursor = null;
+      results.innerHTML = '';
+      status.textContent = 'Loading…';
+    }
+    more.hidden = true;
+
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(k => { if (state[k]) params.set(k, state[k]); });
+    if (!reset && nextCursor) params.set('cursor', nextCursor);
+
+    fetch('/api/catalog/browse?' + params)
+      .then(r => r.json())
+      .then(data => {
+        if (id !== requestId) return; // a newer filter change won
+        if (data.error) throw new Error(data.error);
+        const items = data.items || [];
+        results.insertAdjacentHTML('beforeend', items.map(renderCard).join(''));
+        nextCursor = data.next_cursor || null;
+        more.hidden = !nextCursor;
+        const shown = results.children.length;
+        const scope = describeFilters();
+        status.textContent = shown
+          ? `${shown}${nextCursor ? '+' : ''} books${scope ? ' · ' + scope : ''}`
+          : `No books found${scope ? ' for ' + scope : ''}.`;
+      })
+      .catch(err => {
+        if (id !== requestId) return;
+        console.error('[browse] load failed:', err.message);
+        status.textContent = 'Could not load the catalog. Please try again.';
+        more.hidden = !nextCursor;
+      });
+  }
+
+  moreBtn.addEventListener('click', () => loadPage(false));
+
+  form.addEventListener('change', () => {
+    ['language', 'year_from', 'year_to', 'sort'].forEach(k => { state[k] = (form.elements[k].value || '').trim(); });
+    if (state.sort === 'title') state.sort = '';
+    writeState(true);
+    loadSubjects();
+    loadPage(true);
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  window.addEventListener('popstate', () => {
+    state = readState();
+    syncForm();
+    loadSubjects();
+    loadPage(true);
+  });
+
+  syncForm();
+  writeState(false);
+  loadSubjects();
+  loadPage(true);
+});
@@ -15,7 +15,10 @@ function isNumericOnly(s) {
 document.addEventListener('DOMContentLoaded', () => {
   const q = new URLSearchParams(location.search).get('q') || '';
   const box = document.querySelector('input[name="q"]');
-  if (box) box.value = q;
+  if (box) {
+    box.value = q;
+    setupSuggestions(box);
+  }
   
   let mount = document.getElementById('results');
   if (!mount) {
@@ -78,6 +81,129 @@ document.addEventListener('DOMContentLoaded', () => {
     return null;
   }
   
+  /**
+   * Search-as-you-type: completions from /api/search/suggest in a listbox under the
+   * nav search box. ArrowUp/ArrowDown move, Enter picks (or submits what was typed),
+   * Escape closes. Authors and subjects search with the field syntax.
+   */
+  function setupSuggestions(input) {
+    const form = input.form;
+    if (!form) return;
+    const TYPE_LABELS = { query: 'Popular', title: 'Title', author: 'Author', subject: 'Subject' };
+    const list = document.createElement('ul');
+    list.id = 'search-suggest';
+    list.className = 'search-suggest';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    form.appendChild(list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    let suggestions = [];
+    let active = -1;
+    let timer = null;
+    let requestId = 0;
+
+    function close() {
+      list.hidden = true;
+      active = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function render() {
+      if (!suggestions.length) return close();
+      list.innerHTML = suggestions.map((s, i) =>
+        `<li id="search-suggest-${i}" role="option" aria-selected="${i === active}" data-idx="${i}">`
+        + `<span class="suggest-text">${escapeHtml(s.text)}</span>`
+        + (s.subtitle ? `<span class="suggest-sub">${escapeHtml(s.subtitle)}</span>` : '')
+        + `<span class="suggest-type">${TYPE_LABELS[s.type] || ''}</span></li>`
+      ).join('');
+      list.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      if (active >= 0) input.setAttribute('aria-activedescendant', 'search-suggest-' + active);
+      else input.removeAttribute('aria-activedescendant');
+    }
+
+    function toQuery(s) {
+      const quoted = '"' + s.text.replace(/"/g, '') + '"';
+      if (s.type === 'author') return 'author:' + quoted;
+      if (s.type === 'subject') return 'subject:' + quoted;
+      return s.text;
+    }
+
+    function pick(idx) {
+      const s = suggestions[idx];
+      if (!s) return;
+      input.value = toQuery(s);
+      close();
+      form.submit();
+    }
+
+    function fetchSuggestions() {
+      const id = ++requestId;
+      fetch('/api/search/suggest?q=' + encodeURIComponent(input.value) + '&limit=8', { credentials: 'include' })
+        .then(r => (r.ok ? r.json() : { suggestions: [] }))
+        .then(data => {
+          if (id !== requestId) return; // typed on since
+          suggestions = data.suggestions || [];
+          active = -1;
+          if (document.activeElement === input) render();
+        })
+        .catch(err => console.warn('[suggest] failed:', err.message));
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(fetchSuggestions, 120);
+    });
+
+    input.addEventListener('focus', () => {
+      if (!input.value.trim()) fetchSuggestions();
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        if (!list.hidden) {
+          e.preventDefault();
+          close();
+        }
+        return;
+      }
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!suggestions.length) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        // -1 is "what I typed"; wrap around through it
+        active = ((active + 1 + step + suggestions.length + 1) % (suggestions.length + 1)) - 1;
+        render();
+        return;
+      }
+      if (e.key === 'Enter' && !list.hidden && active >= 0) {
+        e.preventDefault();
+        pick(active);
+      }
+    });
+
+    // mousedown fires before blur closes the list
+    list.addEventListener('mousedown', (e) => {
+      const li = e.target.closest('li[data-idx]');
+      if (!li) return;
+      e.preventDefault();
+      pick(Number(li.dataset.idx));
+    });
+
+    input.addEventListener('blur', () => {
+      clearTimeout(timer);
+      requestId++;
+      close();
+    });
+  }
+
   /**
    * Load Continue Reading shelf
    */
@@ -569,6 +695,10 @@ document.addEventListener('DOMContentLoaded', () => {
         color: #9ca3af;
         font-size: 12px;
       }
+      .book-card.unavailable .card-details {
+        pointer-events: auto;
+        cursor: pointer;
+      }
       .format-badge.unavailable-badge {
         background: #e5e7eb;
         color: #6b7280;
@@ -621,11 +751,521 @@ document.addEventListener('DOMContentLoaded', () => {
     return 'data:image/svg+xml;base64,' + btoa(svg);
   }
   
-  if (q) {
-    fetch('/api/search?q=' + encodeURIComponent(q))
+  // Filter params forwarded from /read to /api/search (facet chips + infinite scroll)
+  const FILTER_PARAMS = ['lang', 'format', 'provider', 'year_from', 'year_to', 'readable'];
+  const pageParams = new URLSearchParams(location.search);
+  const activeFilters = {};
+  FILTER_PARAMS.forEach(function(k) {
+    var v = pageParams.get(k);
+    if (v) activeFilters[k] = v;
+  });
+
+  const FACET_LABELS = { provider: 'Source', language: 'Language', format: 'Format' };
+  const FACET_PARAM = { provider: 'provider', language: 'lang', format: 'format' };
+
+  // Search paging state
+  const seenBookIds = new Set();
+  const cardIdxByBookId = new Map(); // book_id -> data-item-idx of its card
+  const resultByIdx = new Map(); // data-item-idx -> { provider, book_id } for click logging
+  let searchId = null; // page-1 search_id from /api/search, sent back with clicks
+  let lastFacets = null; // facets of page 1, kept to re-render the bar
+  let savedSearch = null; // this query + filters once saved via POST /api/search/saved
+  let renderedCount = 0;
+  let nextPage = 1;
+  let pageLoading = false;
+  let scrollObserver = null;
+  let sentinel = null;
+
+  /**
+   * Build a /read URL for the current query with one filter param changed.
+   * Passing value=null removes the filter.
+   */
+  function filterUrl(key, value) {
+    const params = new URLSearchParams();
+    params.set('q', q);
+    Object.keys(activeFilters).forEach(function(k) {
+      if (k !== key) params.set(k, activeFilters[k]);
+    });
+    if (value != null && value !== '') params.set(key, value);
+    return '/read?' + params.toString();
+  }
+
+  /**
+   * Render facet chips (counts per provider/language/format) plus active-filter chips
+   */
+  function renderFacets(facets) {
+    lastFacets = facets;
+    let bar = document.getElementById('search-facets');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'search-facets';
+      bar.className = 'search-facets';
+      bar.addEventListener('click', function(e) {
+        const btn = e.target.closest('[data-action="save-search"]');
+        if (btn) saveCurrentSearch(btn);
+      });
+      mount.parentNode.insertBefore(bar, mount);
+    }
+
+    const groups = [];
+
+    // Active filters first, each removable
+    const active = Object.keys(activeFilters).map(function(k) {
+      const label = k === 'readable' ? 'Readable on-site' : k.replace('_', ' ') + ': ' + activeFilters[k];
+      return '<a class="facet-chip active" href="' + escapeHtml(filterUrl(k, null)) + '">' + escapeHtml(label) + ' &times;</a>';
+    });
+    if (!activeFilters.readable) {
+      active.push('<a class="facet-chip" href="' + escapeHtml(filterUrl('readable', '1')) + '">Readable on-site only</a>');
+    }
+    active.push(savedSearch
+      ? '<a class="facet-chip saved-search" href="/account#saved-searches" title="New matches are e-mailed to you ' + escapeHtml(savedSearch.frequency) + '">&#9733; Saved search</a>'
+      : '<button type="button" class="facet-chip save-search" data-action="save-search" title="E-mail me when new titles match this search">&#9734; Save search</button>');
+    groups.push('<div class="facet-group">' + active.join('') + '</div>');
+
+    Object.keys(FACET_LABELS).forEach(function(name) {
+      const param = FACET_PARAM[name];
+      if (activeFilters[param]) return; // already narrowed on this facet
+      const bucket = (facets && facets[name]) || {};
+      const keys = Object.keys(bucket).sort(function(a, b) { return bucket[b] - bucket[a]; });
+      if (keys.length < 2) return; // nothing to narrow
+      const chips = keys.slice(0, 8).map(function(k) {
+        return '<a class="facet-chip" href="' + escapeHtml(filterUrl(param, k)) + '">'
+          + escapeHtml(k) + ' <span class="facet-count">' + bucket[k] + '</span></a>';
+      });
+      groups.push('<div class="facet-group"><span class="facet-label">' + FACET_LABELS[name] + '</span>' + chips.join('') + '</div>');
+    });
+
+    bar.innerHTML = groups.join('');
+  }
+
+  /**
+   * Save the current query + filters for new-result e-mail alerts
+   */
+  function saveCurrentSearch(btn) {
+    btn.disabled = true;
+    btn.textContent = 'Saving…';
+    fetch('/api/search/saved', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ q: q, filters: activeFilters })
+    })
+      .then(function(r) {
+        return r.json().then(function(data) {
+          if (!r.ok || !data.ok) throw new Error(data.error || r.statusText);
+          return data;
+        });
+      })
+      .then(function(data) {
+        savedSearch = data.item;
+        renderFacets(lastFacets);
+      })
+      .catch(function(err) {
+        console.error('[read-search] save search failed:', err);
+        btn.disabled = false;
+        btn.textContent = err.message === 'limit_reached' ? 'Saved-search limit reached' : 'Could not save — retry';
+      });
+  }
+
+  /**
+   * Render a single search result card
+   */
+  function renderCard(item, idx) {
+    // Always show title and author with fallbacks
+    const title = item.title || 'Untitled';
+    const authorText = item.author || 'Unknown author';
+    const provider = item.provider ? `<span class="provider-badge provider-${item.provider}">${item.provider}</span>` : '';
+    
+    // Cover image - CSP-safe with data-fallback for error handling
+    const coverUrl = item.cover_url || '/public/img/cover-fallback.svg';
+    const cover = `<img src="${coverUrl}" alt="" data-fallback="/public/img/cover-fallback.svg">`;
+    
+    // Check if this item can be read on BookLantern
+    // Determine readable by: explicit readable flag, or presence of an /open href
+    const hasHref = typeof item.href === 'string' && item.href.length > 1;
+    const isReadable = (item.readable === true) || (hasHref && item.href.startsWith('/open'));
+    
+    // Compute provider for catalog/doab detection
+    const providerLower = (item.provider || item.source || item.collection || '').toLowerCase();
+    const isCatalogOrDoab = providerLower.includes('catalog') || providerLower.includes('doab');
+    const isArchive = providerLower.includes('archive');
+    
+    // Check for external URL using comprehensive helper
+    const externalUrl = pickExternalUrl(item);
+    
+    // Extract Archive.org identifier if present (reject numeric-only values)
+    let archiveId = item.archive_id || item.identifier || (isArchive && externalUrl ? extractArchiveId(externalUrl) : null);
+    if (isNumericOnly(archiveId)) archiveId = null;
+    
+    // For Archive items, use the thumbnail service for covers
+    let finalCoverUrl = coverUrl;
+    let archiveFallbackUrl = null;
+    if (isArchive && archiveId) {
+      // Always set Archive.org thumbnail as primary or fallback
+      archiveFallbackUrl = 'https://archive.org/services/img/' + encodeURIComponent(archiveId);
+      if (coverUrl === '/public/img/cover-fallback.svg' || !item.cover_url) {
+        finalCoverUrl = archiveFallbackUrl;
+      }
+    }
+    // Set fallback chain: Archive thumbnail (if archive) -> default placeholder
+    const fallbackUrl = archiveFallbackUrl || '/public/img/cover-fallback.svg';
+    const finalCover = `<img src="${finalCoverUrl}" alt="" data-fallback="${fallbackUrl}" data-title="${title.replace(/"/g, '&quot;')}" data-author="${authorText.replace(/"/g, '&quot;')}">`;
+    
+    // Show format badge for non-EPUB items (PDF, etc)
+    const formatBadge = (item.format && item.format !== 'epub' && item.format !== 'unknown')
+      ? `<span class="format-badge">${item.format.toUpperCase()}</span>`
+      : '';
+    
+    // Escape HTML to prevent XSS
+    const escapeHtml = (str) => {
+      const div = document.createElement('div');
+      div.textContent = str;
+      return div.innerHTML;
+    };
+    const escapedTitle = escapeHtml(title);
+    const escapedAuthor = escapeHtml(authorText);
+
+    // Works found in several editions: "3 editions · EPUB, PDF"
+    let editionsInfo = '';
+    if (item.edition_count > 1 && Array.isArray(item.editions)) {
+      const formats = [];
+      item.editions.forEach(function(e) {
+        const f = (e.format || '').toUpperCase();
+        if (f && f !== 'UNKNOWN' && formats.indexOf(f) === -1) formats.push(f);
+      });
+      editionsInfo = `<div class="card-editions">${item.edition_count} editions${formats.length ? ' · ' + escapeHtml(formats.join(', ')) : ''}</div>`;
+    }
+
+    // "Details" opens the book page; a span, since the card itself is a link (see handleCardClick)
+    const detailsLink = item.book_url
+      ? `<span class="card-details" role="link" tabindex="0" data-book-url="${escapeHtml(item.book_url)}">Details</span>`
+      : '';
+    
+    // DECISION TREE:
+    // 0. If Archive item with identifier -> render as internal archive card
+    if (isArchive && archiveId) {
+      const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
+      const bookKey = 'bl:archive:' + archiveId;
+      const isFavorited = isFavoritedKey(bookKey, archiveId);
+      const archiveOpenUrl = '/open?provider=archive&provider_id=' + encodeURIComponent(archiveId) + '&archive_id=' + encodeURIComponent(archiveId) + '&source_url=' + encodeURIComponent('https://archive.org/details/' + archiveId) + '&title=' + encodeURIComponent(escapedTitle) + '&author=' + encodeURIComponent(escapedAuthor) + '&cover=' + encodeURIComponent(escapedCover);
+      const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${archiveOpenUrl}" aria-label="Add to favorites">
+                        <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
+                      </button>`;
+      return `<a class="book-card archive-card" href="#" 
+                 data-archive-id="${archiveId}" 
+                 data-title="${escapedTitle}"
+                 data-author="${escapedAuthor}"
+                 data-cover="${escapedCover}"
+                 data-provider="archive"
+                 data-item-idx="${idx}">
+                ${favBtn}
+                <span class="format-badge archive-badge">ARCHIVE</span>
+                ${provider}
+                <div class="card-cover">${finalCover}</div>
+                <div class="card-title">${escapedTitle}</div>
+                <div class="card-author">${escapedAuthor}</div>
+                ${editionsInfo}
+                <div class="card-cta"><span>Read</span>${detailsLink}</div>
+              </a>`;
+    }
+    
+    // 1. If catalog/doab/oapen with external URL and no resolved file -> render as internal card that resolves PDF on click
+    if (isCatalogOrDoab && externalUrl && !isReadable) {
+      const escapedUrl = externalUrl.replace(/"/g, '&quot;');
+      const escapedCover = (coverUrl || '').replace(/"/g, '&quot;');
+      const bookKey = generateBookKey(item);
+      const isFavorited = isFavoritedKey(bookKey, null);
+      const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${escapedUrl}" aria-label="Add to favorites">
+                        <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
+                      </button>`;
+      return `<a class="book-card external-card" href="#" 
+                 data-landing-url="${escapedUrl}" 
+                 data-title="${escapedTitle}"
+                 data-author="${escapedAuthor}"
+                 data-cover="${escapedCover}"
+                 data-provider="${item.provider || 'catalog'}"
+                 data-item-idx="${idx}">
+                ${favBtn}
+                <span class="format-badge external-badge">CATALOG</span>
+                ${provider}
+                <div class="card-cover">${finalCover}</div>
+                <div class="card-title">${escapedTitle}</div>
+                <div class="card-author">${escapedAuthor}</div>
+                ${editionsInfo}
+                <div class="card-cta"><span>Read</span>${detailsLink}</div>
+              </a>`;
+    }
+    
+    // 2. If readable on BookLantern -> internal reader link
+    if (isReadable) {
+      const url = new URL(item.href, window.location.origin);
+      url.searchParams.set('ref', location.pathname + location.search);
+      const href = url.pathname + url.search;
+      const bookKey = generateBookKey(item);
+      const isFavorited = isFavoritedKey(bookKey, null);
+      const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
+      const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${href}" data-source="${item.provider || ''}" aria-label="Add to favorites">
+                        <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
+                      </button>`;
+      return `<a class="book-card readable-card" href="${href}" data-item-idx="${idx}">
+                ${favBtn}
+                ${formatBadge}
+                ${provider}
+                <div class="card-cover">${finalCover}</div>
+                <div class="card-title">${escapedTitle}</div>
+                <div class="card-author">${escapedAuthor}</div>
+                ${editionsInfo}
+                <div class="card-cta"><span>Read</span>${detailsLink}</div>
+              </a>`;
+    }
+    
+    // 3. If has external URL -> render as internal card (never open externally)
+    if (externalUrl) {
+      const escapedUrl = externalUrl.replace(/"/g, '&quot;');
+      const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
+      // Check if it's an Archive URL we can try to resolve
+      const possibleArchiveId = extractArchiveId(externalUrl);
+      if (possibleArchiveId && !isNumericOnly(possibleArchiveId)) {
+        const bookKey = 'bl:archive:' + possibleArchiveId;
+        const isFavorited = isFavoritedKey(bookKey, possibleArchiveId);
+        const archiveOpenUrl2 = '/open?provider=archive&provider_id=' + encodeURIComponent(possibleArchiveId) + '&archive_id=' + encodeURIComponent(possibleArchiveId) + '&source_url=' + encodeURIComponent('https://archive.org/details/' + possibleArchiveId) + '&title=' + encodeURIComponent(escapedTitle) + '&author=' + encodeURIComponent(escapedAuthor) + '&cover=' + encodeURIComponent(escapedCover);
+        const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${archiveOpenUrl2}" aria-label="Add to favorites">
+                          <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
+                        </button>`;
+        return `<a class="book-card archive-card" href="#" 
+                   data-archive-id="${possibleArchiveId}" 
+                   data-title="${escapedTitle}"
+                   data-author="${escapedAuthor}"
+                   data-cover="${escapedCover}"
+                   data-provider="archive"
+                   data-item-idx="${idx}">
+                  ${favBtn}
+                  <span class="format-badge archive-badge">ARCHIVE</span>
+                  ${provider}
+                  <div class="card-cover">${finalCover}</div>
+                  <div class="card-title">${escapedTitle}</div>
+                  <div class="card-author">${escapedAuthor}</div>
+                  ${editionsInfo}
+                  <div class="card-cta"><span>Read</span>${detailsLink}</div>
+                </a>`;
+      }
+      // Non-archive external URL - still keep on site via fallback
+      const bookKey = generateBookKey(item);
+      const isFavorited = isFavoritedKey(bookKey, null);
+      const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${escapedUrl}" aria-label="Add to favorites">
+                        <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
+                      </button>`;
+      return `<a class="book-card external-card" href="#"
+                 data-external-url="${escapedUrl}" 
+                 data-title="${escapedTitle}"
+                 data-author="${escapedAuthor}"
+                 data-cover="${escapedCover}"
+                 data-provider="${item.provider || 'external'}"
+                 data-item-idx="${idx}">
+                ${favBtn}
+                <span class="format-badge external-badge">External</span>
+                ${provider}
+                <div class="card-cover">${finalCover}</div>
+                <div class="card-title">${escapedTitle}</div>
+                <div class="card-author">${escapedAuthor}</div>
+                ${editionsInfo}
+                <div class="card-cta"><span>Read</span>${detailsLink}</div>
+              </a>`;
+    }
+    
+    // 4. Otherwise -> unavailable (no link, non-clickable)
+    return `<div class="book-card unavailable" data-item-idx="${idx}" data-disabled="true">
+              <span class="format-badge unavailable-badge">Unavailable</span>
+              ${provider}
+              <div class="card-cover">${finalCover}</div>
+              <div class="card-title">${escapedTitle}</div>
+              <div class="card-author">${escapedAuthor}</div>
+              ${editionsInfo}
+              ${detailsLink ? `<div class="card-cta">${detailsLink}</div>` : ''}
+            </div>`;
+  }
+
+  /**
+   * Append a batch of result items to the grid (deduped by book_id across pages)
+   * @returns {number} number of new cards rendered
+   */
+  function appendResults(items) {
+    // Streamed batches may upgrade a card already on screen (EPUB / preferred provider copy)
+    const replacements = items.filter(function(item) { return item.replaces && cardIdxByBookId.has(item.replaces); });
+    replacements.forEach(replaceResult);
+    items = items.filter(function(item) { return replacements.indexOf(item) === -1; });
+
+    const fresh = items.filter(function(item) {
+      const id = item.book_id || (item.provider + ':' + item.title);
+      if (seenBookIds.has(id)) return false;
+      seenBookIds.add(id);
+      return true;
+    });
+    if (!fresh.length) return 0;
+
+    const html = fresh.map(function(item, i) {
+      rememberEditions(item);
+      cardIdxByBookId.set(item.book_id, renderedCount + i);
+      resultByIdx.set(renderedCount + i, { provider: item.provider, book_id: item.book_id });
+      return renderCard(item, renderedCount + i);
+    }).join('');
+    renderedCount += fresh.length;
+    mount.insertAdjacentHTML('beforeend', html);
+    bindCardImages();
+    return fresh.length;
+  }
+
+  /**
+   * Swap an existing card for a preferred copy of the same book (keeps its grid position)
+   */
+  function replaceResult(item) {
+    const idx = cardIdxByBookId.get(item.replaces);
+    const card = mount.querySelector('[data-item-idx="' + idx + '"]');
+    cardIdxByBookId.delete(item.replaces);
+    seenBookIds.add(item.book_id);
+    cardIdxByBookId.set(item.book_id, idx);
+    resultByIdx.set(idx, { provider: item.provider, book_id: item.book_id });
+    rememberEditions(item);
+    if (card) card.outerHTML = renderCard(item, idx);
+    bindCardImages();
+  }
+
+  /**
+   * Keep a work's edition list in sessionStorage, keyed by each readable edition,
+   * so the reader can offer switching between editions (see setupEditionSwitcher)
+   */
+  function rememberEditions(item) {
+    if (!(item.edition_count > 1) || !Array.isArray(item.editions)) return;
+    const editions = item.editions
+      .filter(function(e) { return e.href && e.href.indexOf('/open') === 0; })
+      .map(function(e) {
+        return { book_id: e.book_id, provider: e.provider, provider_id: e.provider_id, format: e.format, year: e.year, language: e.language, href: e.href };
+      });
+    if (editions.length < 2) return;
+    try {
+      const payload = JSON.stringify(editions);
+      editions.forEach(function(e) {
+        sessionStorage.setItem('bl:editions:' + e.provider + ':' + e.provider_id, payload);
+      });
+    } catch (e) {
+      // Storage full or disabled - the reader simply shows no switcher
+    }
+  }
+
+  /**
+   * Bind cover fallbacks on newly rendered cards and queue external cover lookups
+   */
+  function bindCardImages() {
+    // Add error handlers for cover images (CSP-safe, no inline onerror)
+    // On first error: try data-fallback (Archive.org thumbnail service or default)
+    // On second error: generate SVG placeholder with title/author
+    mount.querySelectorAll('img[data-fallback]:not([data-fallback-bound])').forEach(img => {
+      img.setAttribute('data-fallback-bound', '1');
+      const card = img.closest('.book-card');
+      const title = card?.dataset?.title || card?.querySelector('.card-title')?.textContent || 'Book';
+      const author = card?.dataset?.author || card?.querySelector('.card-author')?.textContent || '';
+      
+      img.addEventListener('error', function onFirstError() {
+        // Get title/author from image data attributes (more reliable)
+        const imgTitle = img.dataset.title || title;
+        const imgAuthor = img.dataset.author || author;
+        
+        // First error: try fallback URL
+        const fallbackUrl = img.dataset.fallback;
+        img.removeAttribute('data-fallback');
+        
+        if (fallbackUrl && fallbackUrl !== img.src && !fallbackUrl.startsWith('data:')) {
+          img.src = fallbackUrl;
+          // Add handler for second error (fallback also failed)
+          img.addEventListener('error', function onSecondError() {
+            // Second error: use generated SVG placeholder
+            img.src = generatePlaceholderSvg(imgTitle, imgAuthor);
+          }, { once: true });
+        } else {
+          // No fallback available, use generated SVG
+          img.src = generatePlaceholderSvg(imgTitle, imgAuthor);
+        }
+      }, { once: true });
+    });
+
+    // Lazy-load covers for external cards that have placeholder images
+    lazyLoadExternalCovers(mount);
+  }
+
+  /**
+   * Load one page of results: streamed per provider when EventSource is available,
+   * otherwise a single /api/search request
+   */
+  function loadSearchPage(page) {
+    if (pageLoading || !page) return;
+    pageLoading = true;
+    ensureSentinel().textContent = page === 1 ? 'Searching…' : 'Loading more…';
+
+    const params = new URLSearchParams();
+    params.set('q', q);
+    Object.keys(activeFilters).forEach(function(k) { params.set(k, activeFilters[k]); });
+    if (page > 1) params.set('page', String(page));
+
+    if ('EventSource' in window) streamSearchPage(page, params);
+    else fetchSearchPage(page, params);
+  }
+
+  /**
+   * Stream one page from /api/search/stream, rendering each provider's batch as it arrives.
+   * If the stream fails before sending anything (e.g. 401, which EventSource can't report),
+   * retry the page with a plain fetch so auth redirects still work.
+   */
+  function streamSearchPage(page, params) {
+    const source = new EventSource('/api/search/stream?' + params.toString());
+    const providerCounts = {};
+    let received = false;
+
+    source.addEventListener('batch', function(e) {
+      received = true;
+      const data = JSON.parse(e.data);
+      if (page === 1 && data.search_id) searchId = data.search_id;
+      providerCounts[data.provider] = (data.items || []).length;
+      appendResults(data.items || []);
+      if (sentinel && renderedCount) sentinel.textContent = 'Searching more sources…';
+    });
+
+    source.addEventListener('done', function(e) {
+      source.close();
+      const data = JSON.parse(e.data);
+      console.log('[read-search] page', page, 'streamed provider counts:', providerCounts);
+      if (data.timeouts && data.timeouts.length) {
+        console.log('[read-search] page', page, 'providers timed out:', data.timeouts);
+      }
+      if (page === 1) renderFacets(data.facets);
+      if (!renderedCount) mount.innerHTML = '<p>No results.</p>';
+      nextPage = data.hasMore ? (data.nextPage || page + 1) : null;
+      pageLoading = false;
+      updateSentinel();
+    });
+
+    source.onerror = function() {
+      source.close();
+      if (!received) {
+        fetchSearchPage(page, params);
+        return;
+      }
+      // Stream dropped mid-page: keep what was rendered and stop paging
+      console.warn('[read-search] search stream interrupted on page', page);
+      pageLoading = false;
+      if (!renderedCount) mount.innerHTML = '<p>No results.</p>';
+      nextPage = null;
+      updateSentinel();
+    };
+  }
+
+  /**
+   * Fetch one page of /api/search results and render it
+   */
+  function fetchSearchPage(page, params) {
+    fetch('/api/search?' + params.toString())
       .then(async (r) => {
         if (r.status === 401) {
-          const next = '/read?q=' + encodeURIComponent(q);
+          const next = '/read?' + pageParams.toString();
           window.location.href = '/login?next=' + encodeURIComponent(next);
           return Promise.reject(new Error('auth_required'));
         }
@@ -641,12 +1281,15 @@ document.addEventListener('DOMContentLoaded', () => {
               ? data.docs
               : [];
 
-        if (!items.length) { mount.innerHTML = '<p>No results.</p>'; return; }
+        if (page === 1) {
+          renderFacets(data.facets);
+          searchId = data.search_id || null;
+        }
 
         // Debug: log provider counts and readable status
         const providerCounts = {};
         const readableCounts = { readable: 0, maybe: 0, unavailable: 0 };
-        items.forEach(i => { 
+        items.forEach(i => {
           providerCounts[i.provider || 'unknown'] = (providerCounts[i.provider || 'unknown'] || 0) + 1;
           if (i.readable === true || i.readable === 'true') {
             readableCounts.readable++;
@@ -656,263 +1299,90 @@ document.addEventListener('DOMContentLoaded', () => {
             readableCounts.unavailable++;
           }
         });
-        console.log('[read-search] provider counts:', providerCounts);
-        console.log('[read-search] readable counts:', readableCounts);
-        
-        mount.innerHTML = items.map((item, idx) => {
-          // Always show title and author with fallbacks
-          const title = item.title || 'Untitled';
-          const authorText = item.author || 'Unknown author';
-          const provider = item.provider ? `<span class="provider-badge provider-${item.provider}">${item.provider}</span>` : '';
-          
-          // Cover image - CSP-safe with data-fallback for error handling
-          const coverUrl = item.cover_url || '/public/img/cover-fallback.svg';
-          const cover = `<img src="${coverUrl}" alt="" data-fallback="/public/img/cover-fallback.svg">`;
-          
-          // Check if this item can be read on BookLantern
-          // Determine readable by: explicit readable flag, or presence of an /open href
-          const hasHref = typeof item.href === 'string' && item.href.length > 1;
-          const isReadable = (item.readable === true) || (hasHref && item.href.startsWith('/open'));
-          
-          // Compute provider for catalog/doab detection
-          const providerLower = (item.provider || item.source || item.collection || '').toLowerCase();
-          const isCatalogOrDoab = providerLower.includes('catalog') || providerLower.includes('doab');
-          const isArchive = providerLower.includes('archive');
-          
-          // Check for external URL using comprehensive helper
-          const externalUrl = pickExternalUrl(item);
-          
-          // Extract Archive.org identifier if present (reject numeric-only values)
-          let archiveId = item.archive_id || item.identifier || (isArchive && externalUrl ? extractArchiveId(externalUrl) : null);
-          if (isNumericOnly(archiveId)) archiveId = null;
-          
-          // For Archive items, use the thumbnail service for covers
-          let finalCoverUrl = coverUrl;
-          let archiveFallbackUrl = null;
-          if (isArchive && archiveId) {
-            // Always set Archive.org thumbnail as primary or fallback
-            archiveFallbackUrl = 'https://archive.org/services/img/' + encodeURIComponent(archiveId);
-            if (coverUrl === '/public/img/cover-fallback.svg' || !item.cover_url) {
-              finalCoverUrl = archiveFallbackUrl;
-            }
-          }
-          // Set fallback chain: Archive thumbnail (if archive) -> default placeholder
-          const fallbackUrl = archiveFallbackUrl || '/public/img/cover-fallback.svg';
-          const finalCover = `<img src="${finalCoverUrl}" alt="" data-fallback="${fallbackUrl}" data-title="${title.replace(/"/g, '&quot;')}" data-author="${authorText.replace(/"/g, '&quot;')}">`;
-          
-          // Show format badge for non-EPUB items (PDF, etc)
-          const formatBadge = (item.format && item.format !== 'epub' && item.format !== 'unknown')
-            ? `<span class="format-badge">${item.format.toUpperCase()}</span>`
-            : '';
-          
-          // Escape HTML to prevent XSS
-          const escapeHtml = (str) => {
-            const div = document.createElement('div');
-            div.textContent = str;
-            return div.innerHTML;
-          };
-          const escapedTitle = escapeHtml(title);
-          const escapedAuthor = escapeHtml(authorText);
-          
-          // DECISION TREE:
-          // 0. If Archive item with identifier -> render as internal archive card
-          if (isArchive && archiveId) {
-            const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
-            const bookKey = 'bl:archive:' + archiveId;
-            const isFavorited = isFavoritedKey(bookKey, archiveId);
-            const archiveOpenUrl = '/open?provider=archive&provider_id=' + encodeURIComponent(archiveId) + '&archive_id=' + encodeURIComponent(archiveId) + '&source_url=' + encodeURIComponent('https://archive.org/details/' + archiveId) + '&title=' + encodeURIComponent(escapedTitle) + '&author=' + encodeURIComponent(escapedAuthor) + '&cover=' + encodeURIComponent(escapedCover);
-            const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${archiveOpenUrl}" aria-label="Add to favorites">
-                              <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                            </button>`;
-            return `<a class="book-card archive-card" href="#" 
-                       data-archive-id="${archiveId}" 
-                       data-title="${escapedTitle}"
-                       data-author="${escapedAuthor}"
-                       data-cover="${escapedCover}"
-                       data-provider="archive"
-                       data-item-idx="${idx}">
-                      ${favBtn}
-                      <span class="format-badge archive-badge">ARCHIVE</span>
-                      ${provider}
-                      <div class="card-cover">${finalCover}</div>
-                      <div class="card-title">${escapedTitle}</div>
-                      <div class="card-author">${escapedAuthor}</div>
-                      <div class="card-cta"><span>Read</span></div>
-                    </a>`;
-          }
-          
-          // 1. If catalog/doab/oapen with external URL -> render as internal card that resolves PDF on click
-          if (isCatalogOrDoab && externalUrl) {
-            const escapedUrl = externalUrl.replace(/"/g, '&quot;');
-            const escapedCover = (coverUrl || '').replace(/"/g, '&quot;');
-            const bookKey = generateBookKey(item);
-            const isFavorited = isFavoritedKey(bookKey, null);
-            const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${escapedUrl}" aria-label="Add to favorites">
-                              <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                            </button>`;
-            return `<a class="book-card external-card" href="#" 
-                       data-landing-url="${escapedUrl}" 
-                       data-title="${escapedTitle}"
-                       data-author="${escapedAuthor}"
-                       data-cover="${escapedCover}"
-                       data-provider="${item.provider || 'catalog'}"
-                       data-item-idx="${idx}">
-                      ${favBtn}
-                      <span class="format-badge external-badge">CATALOG</span>
-                      ${provider}
-                      <div class="card-cover">${finalCover}</div>
-                      <div class="card-title">${escapedTitle}</div>
-                      <div class="card-author">${escapedAuthor}</div>
-                      <div class="card-cta"><span>Read</span></div>
-                    </a>`;
-          }
-          
-          // 2. If readable on BookLantern -> internal reader link
-          if (isReadable) {
-            const url = new URL(item.href, window.location.origin);
-            url.searchParams.set('ref', location.pathname + location.search);
-            const href = url.pathname + url.search;
-            const bookKey = generateBookKey(item);
-            const isFavorited = isFavoritedKey(bookKey, null);
-            const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
-            const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${href}" data-source="${item.provider || ''}" aria-label="Add to favorites">
-                              <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                            </button>`;
-            return `<a class="book-card readable-card" href="${href}" data-item-idx="${idx}">
-                      ${favBtn}
-                      ${formatBadge}
-                      ${provider}
-                      <div class="card-cover">${finalCover}</div>
-                      <div class="card-title">${escapedTitle}</div>
-                      <div class="card-author">${escapedAuthor}</div>
-                      <div class="card-cta"><span>Read</span></div>
-                    </a>`;
-          }
-          
-          // 3. If has external URL -> render as internal card (never open externally)
-          if (externalUrl) {
-            const escapedUrl = externalUrl.replace(/"/g, '&quot;');
-            const escapedCover = (finalCoverUrl || '').replace(/"/g, '&quot;');
-            // Check if it's an Archive URL we can try to resolve
-            const possibleArchiveId = extractArchiveId(externalUrl);
-            if (possibleArchiveId && !isNumericOnly(possibleArchiveId)) {
-              const bookKey = 'bl:archive:' + possibleArchiveId;
-              const isFavorited = isFavoritedKey(bookKey, possibleArchiveId);
-              const archiveOpenUrl2 = '/open?provider=archive&provider_id=' + encodeURIComponent(possibleArchiveId) + '&archive_id=' + encodeURIComponent(possibleArchiveId) + '&source_url=' + encodeURIComponent('https://archive.org/details/' + possibleArchiveId) + '&title=' + encodeURIComponent(escapedTitle) + '&author=' + encodeURIComponent(escapedAuthor) + '&cover=' + encodeURIComponent(escapedCover);
-              const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${archiveOpenUrl2}" aria-label="Add to favorites">
-                                <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                              </button>`;
-              return `<a class="book-card archive-card" href="#" 
-                         data-archive-id="${possibleArchiveId}" 
-                         data-title="${escapedTitle}"
-                         data-author="${escapedAuthor}"
-                         data-cover="${escapedCover}"
-                         data-provider="archive"
-                         data-item-idx="${idx}">
-                        ${favBtn}
-                        <span class="format-badge archive-badge">ARCHIVE</span>
-                        ${provider}
-                        <div class="card-cover">${finalCover}</div>
-                        <div class="card-title">${escapedTitle}</div>
-                        <div class="card-author">${escapedAuthor}</div>
-                        <div class="card-cta"><span>Read</span></div>
-                      </a>`;
-            }
-            // Non-archive external URL - still keep on site via fallback
-            const bookKey = generateBookKey(item);
-            const isFavorited = isFavoritedKey(bookKey, null);
-            const favBtn = `<button class="favorite-btn${isFavorited ? ' favorited' : ''}" data-favorite-btn="1" data-book-key="${bookKey}" data-title="${escapedTitle}" data-author="${escapedAuthor}" data-cover="${escapedCover}" data-reader-url="${escapedUrl}" aria-label="Add to favorites">
-                              <svg viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                            </button>`;
-            return `<a class="book-card external-card" href="#"
-                       data-external-url="${escapedUrl}" 
-                       data-title="${escapedTitle}"
-                       data-author="${escapedAuthor}"
-                       data-cover="${escapedCover}"
-                       data-provider="${item.provider || 'external'}"
-                       data-item-idx="${idx}">
-                      ${favBtn}
-                      <span class="format-badge external-badge">External</span>
-                      ${provider}
-                      <div class="card-cover">${finalCover}</div>
-                      <div class="card-title">${escapedTitle}</div>
-                      <div class="card-author">${escapedAuthor}</div>
-                      <div class="card-cta"><span>Read</span></div>
-                    </a>`;
-          }
-          
-          // 4. Otherwise -> unavailable (no link, non-clickable)
-          return `<div class="book-card unavailable" data-item-idx="${idx}" data-disabled="true">
-                    <span class="format-badge unavailable-badge">Unavailable</span>
-                    ${provider}
-                    <div class="card-cover">${finalCover}</div>
-                    <div class="card-title">${escapedTitle}</div>
-                    <div class="card-author">${escapedAuthor}</div>
-                  </div>`;
-        }).join('');
-        
-        // Delegated click handler for results container (CSP-safe, no inline handlers)
-        mount.addEventListener('click', handleCardClick);
-        mount.addEventListener('keydown', handleCardKeydown);
-        
-        // Add error handlers for cover images (CSP-safe, no inline onerror)
-        // On first error: try data-fallback (Archive.org thumbnail service or default)
-        // On second error: generate SVG placeholder with title/author
-        mount.querySelectorAll('img[data-fallback]').forEach(img => {
-          const card = img.closest('.book-card');
-          const title = card?.dataset?.title || card?.querySelector('.card-title')?.textContent || 'Book';
-          const author = card?.dataset?.author || card?.querySelector('.card-author')?.textContent || '';
-          
-          img.addEventListener('error', function onFirstError() {
-            // Get title/author from image data attributes (more reliable)
-            const imgTitle = img.dataset.title || title;
-            const imgAuthor = img.dataset.author || author;
-            
-            // First error: try fallback URL
-            const fallbackUrl = img.dataset.fallback;
-            img.removeAttribute('data-fallback');
-            
-            if (fallbackUrl && fallbackUrl !== img.src && !fallbackUrl.startsWith('data:')) {
-              img.src = fallbackUrl;
-              // Add handler for second error (fallback also failed)
-              img.addEventListener('error', function onSecondError() {
-                // Second error: use generated SVG placeholder
-                img.src = generatePlaceholderSvg(imgTitle, imgAuthor);
-              }, { once: true });
-            } else {
-              // No fallback available, use generated SVG
-              img.src = generatePlaceholderSvg(imgTitle, imgAuthor);
-            }
-          }, { once: true });
-        });
-        
-        // DEBUG: Log external-card count in DOM
-        console.log('[read-search] external-card count in DOM:', mount.querySelectorAll('a.book-card.external-card').length);
-        
-        // DEBUG: Log first 3 catalog items with computed externalUrl
-        const catalogItems = items.filter(i => {
-          const prov = (i.provider || i.source || i.collection || '').toLowerCase();
-          return prov.includes('catalog') || prov.includes('doab');
-        }).slice(0, 3);
-        if (catalogItems.length > 0) {
-          console.log('[read-search] catalog sample', catalogItems.map(x => ({
-            title: x.title,
-            open_access_url: x.open_access_url,
-            source_url: x.source_url,
-            externalUrl: pickExternalUrl(x)
-          })));
-        }
-        
-        // Lazy-load covers for external cards that have placeholder images
-        lazyLoadExternalCovers(mount);
+        console.log('[read-search] page', page, 'provider counts:', providerCounts);
+        console.log('[read-search] page', page, 'readable counts:', readableCounts);
+
+        appendResults(items);
+        if (!renderedCount) mount.innerHTML = '<p>No results.</p>';
+
+        nextPage = data.hasMore ? (data.nextPage || page + 1) : null;
+        pageLoading = false;
+        updateSentinel();
       })
       .catch(err => {
         console.error('search render error', err);
-        if (err.message !== 'auth_required') {
+        pageLoading = false;
+        if (err.message === 'auth_required') return;
+        if (page === 1) {
           mount.innerHTML = '<p>No results.</p>';
+          nextPage = null;
         }
+        updateSentinel();
       });
   }
+
+  /**
+   * Infinite scroll: observe a sentinel below the grid and fetch nextPage when it nears the viewport
+   */
+  function ensureSentinel() {
+    if (!sentinel) {
+      sentinel = document.createElement('div');
+      sentinel.className = 'search-sentinel';
+      mount.parentNode.insertBefore(sentinel, mount.nextSibling);
+    }
+    return sentinel;
+  }
+
+  function updateSentinel() {
+    ensureSentinel().textContent = '';
+    if (!nextPage) {
+      if (scrollObserver) scrollObserver.disconnect();
+      return;
+    }
+    if (!('IntersectionObserver' in window)) {
+      // No observer support: fall back to an explicit button
+      sentinel.innerHTML = '<button type="button" class="search-more-btn">Load more</button>';
+      sentinel.querySelector('button').addEventListener('click', function() { loadSearchPage(nextPage); });
+      return;
+    }
+    if (!scrollObserver) {
+      scrollObserver = new IntersectionObserver(function(entries) {
+        if (entries.some(function(e) { return e.isIntersecting; })) loadSearchPage(nextPage);
+      }, { rootMargin: '600px 0px' });
+    }
+    // Re-observe so a sentinel that is already visible triggers the next page
+    scrollObserver.unobserve(sentinel);
+    scrollObserver.observe(sentinel);
+  }
+
+  if (q) {
+    // Delegated handlers are bound once; cards are appended page by page
+    mount.addEventListener('click', handleCardClick);
+    mount.addEventListener('auxclick', logResultClick); // middle-click opens a tab
+    mount.addEventListener('keydown', handleCardKeydown);
+    loadSearchPage(1);
+  }
+
+  /**
+   * Click-through logging: which result (position, provider) was opened for this search.
+   * Sent as a beacon so it survives the navigation the click starts.
+   */
+  function logResultClick(e) {
+    if (!searchId || e.target.closest('.favorite-btn, [data-favorite-btn]')) return;
+    const card = e.target.closest('.book-card');
+    if (!card || card.dataset.disabled === 'true' || card.classList.contains('unavailable')) return;
+    const idx = Number(card.dataset.itemIdx);
+    const result = resultByIdx.get(idx);
+    if (!result) return;
+    const body = JSON.stringify({ search_id: searchId, position: idx, provider: result.provider, book_id: result.book_id });
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon('/api/search/click', new Blob([body], { type: 'application/json' }))) return;
+    } catch (err) {
+      // fall through to fetch
+    }
+    fetch('/api/search/click', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: body, keepalive: true })
+      .catch(function() {});
+  }
   
   // Delegated click handler for book cards (CSP-safe)
   function handleCardClick(e) {
@@ -930,6 +1400,16 @@ document.addEventListener('DOMContentLoaded', () => {
     
     const card = e.target.closest('.book-card');
     if (!card) return;
+
+    // "Details" chip -> book page (also for unavailable cards)
+    const detailsLink = e.target.closest('[data-book-url]');
+    if (detailsLink) {
+      e.preventDefault();
+      e.stopPropagation();
+      logResultClick(e);
+      window.location.href = detailsLink.dataset.bookUrl;
+      return;
+    }
     
     // Ignore disabled/unavailable cards
     if (card.dataset.disabled === 'true' || card.classList.contains('unavailable')) {
@@ -937,6 +1417,8 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    logResultClick(e);
+    
     // Handle external-card clicks (catalog/doab/oapen) - resolve PDF/EPUB and open in unified-reader
     if (card.classList.contains('external-card') && card.dataset.landingUrl) {
       e.preventDefault();
@@ -1104,6 +1586,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     const card = e.target.closest('.book-card');
     if (!card) return;
+
+    const detailsLink = e.target.closest('[data-book-url]');
+    if (detailsLink) {
+      e.preventDefault();
+      window.location.href = detailsLink.dataset.bookUrl;
+      return;
+    }
     
     // Ignore disabled/unavailable cards
     if (card.dataset.disabled === 'true' || card.classList.contains('unavailable')) {
@@ -1131,6 +1620,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const cardsNeedingCovers = [];
     
     externalCards.forEach(card => {
+      // Each card is only queued once, even when later result pages re-scan the grid
+      if (card.dataset.coverQueued) return;
+      card.dataset.coverQueued = '1';
       const img = card.querySelector('.card-cover img');
       if (img && (img.src.endsWith(PLACEHOLDER) || img.getAttribute('src') === PLACEHOLDER)) {
         cardsNeedingCovers.push({ card, img, landingUrl: card.dataset.landingUrl, title: card.dataset.title });
@@ -7,7 +7,6 @@
   let rendition = null;
   let errorShown = false;
   let loadTimeoutId = null;
-  let currentFontSize = 100; // percentage
   let bookKey = null; // for localStorage persistence
   let currentDirectUrl = ''; // stored for error handlers
   let currentSourceUrl = ''; // stored for source link fallback
@@ -19,6 +18,22 @@
   let lastSavedLocation = null;
   let readStartTime = null; // Track when reading started for events
 
+  // Typography and theme, synced per account through /api/reader/settings.
+  // Must match DEFAULT_SETTINGS (and the value lists) in lib/readerSettings.js
+  const READER_SETTINGS_DEFAULTS = {
+    font_size: 100,
+    theme: 'light',
+    font_family: 'serif',
+    line_height: 1.7,
+    margin: 20,
+    text_align: 'justify',
+    hyphenation: true,
+    custom_background: '#fdfaf3',
+    custom_text: '#1f2937',
+    flow: 'scrolled'
+  };
+  let readerSettings = Object.assign({}, READER_SETTINGS_DEFAULTS);
+
   // Base timeout for book loading (45 seconds minimum)
   const BASE_TIMEOUT_MS = 45000;
   // Additional timeout per MB (0.6 seconds per MB)
@@ -242,24 +257,16 @@
 
   // Default theme CSS to inject into EPUB for proper rendering
   const DEFAULT_READER_THEME = {
+    // Font, size, colors, padding and line height: readerSettingsCss()
     'body': {
       'max-width': '720px !important',
       'margin': '0 auto !important',
-      'padding': '24px 20px !important',
-      'line-height': '1.7 !important',
-      'font-family': 'Georgia, "Times New Roman", serif !important',
-      'font-size': '18px !important',
-      'color': '#1a1a1a !important',
-      'background': '#ffffff !important',
       'overflow-x': 'hidden !important',
       'word-wrap': 'break-word !important',
       'overflow-wrap': 'anywhere !important'
     },
     'p': {
-      'margin': '0 0 1em 0 !important',
-      'line-height': '1.7 !important',
-      'text-align': 'justify !important',
-      'hyphens': 'auto !important'
+      'margin': '0 0 1em 0 !important'
     },
     'pre': {
       'white-space': 'pre-wrap !important',
@@ -362,7 +369,19 @@
   function init() {
     // Setup back button enhancement
     setupBackButton();
-    
+
+    // Offer the other editions of this work found by search
+    setupEditionSwitcher();
+
+    // Find in book (EPUB and PDF modes)
+    setupBookSearch();
+
+    // Read aloud (EPUB)
+    setupReadAloud();
+
+    // Download for offline (EPUB and PDF modes)
+    setupOfflineDownload();
+
     // Check if this is an EPUB reader page
     const isEpubPage = document.body.getAttribute('data-epub') === 'true';
     const isPdfPage = document.body.getAttribute('data-pdf') === 'true';
@@ -859,27 +878,253 @@
     
     // Setup favorite button
     setupFavoriteButton();
+    
+    // Bookmark toggle, annotations panel, highlight popover
+    setupAnnotationsPanel();
+
+    // Theme and typography panel
+    setupReaderSettings();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reader settings: theme, font, size, line height, margins, alignment, hyphenation
+  // Applied as a <style> inside each chapter's iframe (inline styles are CSP-safe;
+  // epub.js themes use blob: stylesheets). Kept in localStorage for an instant first
+  // paint and synced per account through /api/reader/settings.
+  // ---------------------------------------------------------------------------
+
+  const READER_SETTINGS_KEY = 'bl-reader-settings';
+  const SETTINGS_SYNC_DELAY_MS = 1000;
+  const BASE_FONT_PX = 18;
+
+  const READER_THEMES = {
+    light: { background: '#ffffff', text: '#1a1a1a', link: '#4f46e5', code: '#f5f5f5' },
+    sepia: { background: '#f4ecd8', text: '#5b4636', link: '#8a4b16', code: '#ebe0c8' },
+    dark: { background: '#1e1e1e', text: '#d4d4d4', link: '#a5b4fc', code: '#2a2a2a' }
+  };
+
+  const READER_FONTS = {
+    publisher: null, // the book's own fonts
+    serif: 'Georgia, "Times New Roman", serif',
+    sans: 'system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    dyslexic: '"OpenDyslexic", "Comic Sans MS", sans-serif'
+  };
+
+  // OpenDyslexic (SIL Open Font License, public/fonts/opendyslexic, latin files from
+  // @fontsource/opendyslexic); a locally installed copy wins. Absolute URLs: the
+  // rules are injected into the book's iframe, whose base is the book.
+  const DYSLEXIC_FONT_FACES = [
+    { style: 'Regular', file: '400-normal', css: '' },
+    { style: 'Bold', file: '700-normal', css: ' font-weight: bold;' },
+    { style: 'Italic', file: '400-italic', css: ' font-style: italic;' }
+  ].map(function(face) {
+    const url = window.location.origin + '/public/fonts/opendyslexic/opendyslexic-latin-' + face.file;
+    return '@font-face { font-family: "OpenDyslexic"; font-display: swap;' + face.css +
+      ' src: local("OpenDyslexic ' + face.style + '"), local("OpenDyslexic-' + face.style + '"),' +
+      ' url("' + url + '.woff2") format("woff2"), url("' + url + '.woff") format("woff"); }';
+  }).join('\n');
+
+  // Narrower screens show one page even with the two-page layout chosen
+  const SPREAD_MIN_WIDTH = 900;
+  // Arrow-key scroll step in the scrolled layout
+  const KEY_SCROLL_STEP_PX = 80;
+
+  let settingsSyncTimer = null;
+  let settingsRevision = 0;
+
+  /** epub.js flow/spread options for the flow setting */
+  function renditionLayout(flow) {
+    if (flow === 'paginated') return { flow: 'paginated', spread: 'none' };
+    if (flow === 'spread') return { flow: 'paginated', spread: 'auto' };
+    return { flow: 'scrolled', spread: 'none' };
   }
 
   /**
-   * Apply current font size to rendition using inline styles
-   * (Avoids epub.js themes which use blob: stylesheets blocked by CSP)
+   * Switch the open book to the flow setting; epub.js re-displays the current
+   * location, so the reading position (and its CFI) carries over
    */
-  function applyFontSize() {
+  function applyReaderFlow() {
+    document.body.setAttribute('data-reader-flow', readerSettings.flow);
     if (!rendition) return;
+    const layout = renditionLayout(readerSettings.flow);
     try {
-      var contents = rendition.getContents();
-      contents.forEach(function(c) {
-        if (c && c.document) {
-          c.document.documentElement.style.fontSize = currentFontSize + '%';
-          if (c.document.body) {
-            c.document.body.style.fontSize = currentFontSize + '%';
-          }
-        }
-      });
-      tsLog('font size ->', currentFontSize + '%');
+      rendition.spread(layout.spread, SPREAD_MIN_WIDTH);
+      rendition.flow(layout.flow);
+      tsLog('flow ->', readerSettings.flow);
+    } catch (err) {
+      console.warn('[reader] Failed to change layout:', err);
+    }
+  }
+
+  /** Only the setting fields (drops updated_at / dirty bookkeeping) */
+  function settingsPayload(source) {
+    const out = {};
+    Object.keys(READER_SETTINGS_DEFAULTS).forEach(function(key) {
+      if (source[key] !== undefined && source[key] !== null) out[key] = source[key];
+    });
+    return out;
+  }
+
+  function loadLocalReaderSettings() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(READER_SETTINGS_KEY) || 'null');
+    } catch (e) {
+      stored = null;
+    }
+    if (stored && typeof stored === 'object') {
+      return Object.assign({}, READER_SETTINGS_DEFAULTS, settingsPayload(stored),
+        { updated_at: stored.updated_at || null, dirty: Boolean(stored.dirty) });
+    }
+    // Text size picked before the settings panel existed
+    const settings = Object.assign({}, READER_SETTINGS_DEFAULTS, { updated_at: null, dirty: false });
+    try {
+      const legacySize = parseInt(localStorage.getItem('bl-reader-fontsize'), 10);
+      if (legacySize) Object.assign(settings, { font_size: legacySize, dirty: true });
+    } catch (e) { /* storage unavailable */ }
+    return settings;
+  }
+
+  function saveLocalReaderSettings() {
+    try {
+      localStorage.setItem(READER_SETTINGS_KEY, JSON.stringify(readerSettings));
+    } catch (e) {
+      console.warn('[reader] Could not save reader settings:', e);
+    }
+  }
+
+  function themeColors() {
+    if (readerSettings.theme === 'custom') {
+      return {
+        background: readerSettings.custom_background,
+        text: readerSettings.custom_text,
+        link: readerSettings.custom_text,
+        code: 'rgba(127, 127, 127, 0.15)'
+      };
+    }
+    return READER_THEMES[readerSettings.theme] || READER_THEMES.light;
+  }
+
+  /** Stylesheet for the chapter iframes from the current settings */
+  function readerSettingsCss() {
+    const s = readerSettings;
+    const colors = themeColors();
+    const font = READER_FONTS[s.font_family];
+    const hyphens = s.hyphenation ? 'auto' : 'manual';
+    const css = [];
+
+    if (s.font_family === 'dyslexic') css.push(DYSLEXIC_FONT_FACES);
+    css.push('body {' +
+      ' color: ' + colors.text + ' !important;' +
+      ' background: ' + colors.background + ' !important;' +
+      ' padding: 24px ' + s.margin + 'px !important;' +
+      ' font-size: ' + (BASE_FONT_PX * s.font_size / 100) + 'px !important;' +
+      ' line-height: ' + s.line_height + ' !important;' +
+      (font ? ' font-family: ' + font + ' !important;' : '') + ' }');
+    // Publisher CSS often sets the font on paragraphs; code keeps its monospace
+    if (font) css.push('body *:not(pre):not(code):not(kbd):not(samp) { font-family: inherit !important; }');
+    css.push('p, li, blockquote, dd {' +
+      ' line-height: ' + s.line_height + ' !important;' +
+      (s.text_align !== 'publisher' ? ' text-align: ' + s.text_align + ' !important;' : '') +
+      ' hyphens: ' + hyphens + ' !important; -webkit-hyphens: ' + hyphens + ' !important; }');
+    // Any theme but light overrides the book's own text and background colors
+    if (s.theme !== 'light') {
+      css.push('body *:not(a) { color: inherit !important; background-color: transparent !important; }');
+    }
+    css.push('body a { color: ' + colors.link + ' !important; }');
+    css.push('body pre { background: ' + colors.code + ' !important; }');
+    return css.join('\n');
+  }
+
+  /** Add or update the settings <style> in one chapter's document */
+  function injectReaderStyles(contents, css) {
+    const doc = contents && contents.document;
+    if (!doc || !doc.documentElement) return;
+    let style = doc.getElementById('bl-reader-settings');
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = 'bl-reader-settings';
+      (doc.head || doc.documentElement).appendChild(style);
+    }
+    if (style.textContent !== css) style.textContent = css;
+    const frame = contents.window && contents.window.frameElement;
+    if (frame) frame.style.background = themeColors().background;
+  }
+
+  /**
+   * Apply the reader settings to every rendered chapter
+   */
+  function applyReaderStyles() {
+    const viewer = document.getElementById('epub-viewer');
+    if (viewer) viewer.style.background = themeColors().background;
+    document.body.setAttribute('data-reader-theme', readerSettings.theme);
+    if (!rendition) return;
+    try {
+      const css = readerSettingsCss();
+      rendition.getContents().forEach(function(c) { injectReaderStyles(c, css); });
+      tsLog('reader settings applied:', readerSettings.theme, readerSettings.font_family, readerSettings.font_size + '%');
     } catch (err) {
-      console.warn('[reader] Failed to apply font size:', err);
+      console.warn('[reader] Failed to apply reader settings:', err);
+    }
+  }
+
+  /**
+   * Change settings: apply now, keep locally, sync to the account shortly after
+   */
+  function updateReaderSettings(patch) {
+    const flowChanged = patch.flow !== undefined && patch.flow !== readerSettings.flow;
+    Object.assign(readerSettings, patch, { dirty: true });
+    settingsRevision++;
+    saveLocalReaderSettings();
+    applyReaderStyles();
+    if (flowChanged) applyReaderFlow();
+    updateSettingsControls();
+    clearTimeout(settingsSyncTimer);
+    settingsSyncTimer = setTimeout(pushReaderSettings, SETTINGS_SYNC_DELAY_MS);
+  }
+
+  function setSettingsSyncStatus(text) {
+    const status = document.getElementById('settings-sync');
+    if (status) status.textContent = text;
+  }
+
+  async function pushReaderSettings() {
+    const revision = settingsRevision;
+    try {
+      const data = await annotationRequest('POST', '/api/reader/settings', settingsPayload(readerSettings));
+      // Edits made while the request was out are still unsynced
+      if (revision === settingsRevision) {
+        readerSettings.dirty = false;
+        readerSettings.updated_at = data && data.settings ? data.settings.updated_at : null;
+        saveLocalReaderSettings();
+      }
+      setSettingsSyncStatus('Synced to your account');
+    } catch (err) {
+      console.warn('[reader] Failed to sync reader settings:', err.message);
+      setSettingsSyncStatus('Saved on this device');
+    }
+  }
+
+  /**
+   * On open: send unsynced local changes, or take the account's settings when
+   * another device saved newer ones
+   */
+  async function syncReaderSettings() {
+    if (readerSettings.dirty) return pushReaderSettings();
+    try {
+      const server = await annotationRequest('GET', '/api/reader/settings');
+      if (!server || !server.updated_at || readerSettings.dirty) return;
+      setSettingsSyncStatus('Synced to your account');
+      if (server.updated_at === readerSettings.updated_at) return;
+      const previousFlow = readerSettings.flow;
+      readerSettings = Object.assign({}, READER_SETTINGS_DEFAULTS, settingsPayload(server),
+        { updated_at: server.updated_at, dirty: false });
+      saveLocalReaderSettings();
+      applyReaderStyles();
+      if (readerSettings.flow !== previousFlow) applyReaderFlow();
+      updateSettingsControls();
+    } catch (err) {
+      console.warn('[reader] Failed to load reader settings:', err.message);
     }
   }
 
@@ -887,22 +1132,82 @@
    * Change font size
    */
   function changeFontSize(delta) {
-    currentFontSize = Math.max(70, Math.min(150, currentFontSize + delta));
-    
-    // Apply to rendition
-    applyFontSize();
-    
-    // Update display if element exists
+    updateReaderSettings({ font_size: Math.max(70, Math.min(150, readerSettings.font_size + delta)) });
+  }
+
+  /** Reflect readerSettings in the settings panel and toolbar */
+  function updateSettingsControls() {
+    const s = readerSettings;
     const fontDisplay = document.getElementById('font-size-display');
-    if (fontDisplay) {
-      fontDisplay.textContent = currentFontSize + '%';
+    if (fontDisplay) fontDisplay.textContent = s.font_size + '%';
+
+    const panel = document.getElementById('settings-panel');
+    if (!panel) return;
+    panel.querySelectorAll('[data-setting]').forEach(function(control) {
+      const key = control.getAttribute('data-setting');
+      if (control.tagName === 'BUTTON') {
+        control.setAttribute('aria-pressed', String(s[key]) === control.getAttribute('data-value') ? 'true' : 'false');
+      } else if (control.type === 'checkbox') {
+        control.checked = Boolean(s[key]);
+      } else {
+        control.value = s[key];
+      }
+    });
+    const outputs = { font_size: s.font_size + '%', line_height: Number(s.line_height).toFixed(1), margin: s.margin + 'px' };
+    panel.querySelectorAll('[data-output]').forEach(function(output) {
+      output.textContent = outputs[output.getAttribute('data-output')] || '';
+    });
+    const custom = document.getElementById('settings-custom');
+    if (custom) custom.hidden = s.theme !== 'custom';
+  }
+
+  function setupReaderSettings() {
+    readerSettings = loadLocalReaderSettings();
+    applyReaderStyles();
+    updateSettingsControls();
+    syncReaderSettings();
+
+    const toggle = document.getElementById('settings-toggle');
+    const panel = document.getElementById('settings-panel');
+    const close = document.getElementById('settings-close');
+    if (!toggle || !panel) return;
+
+    panel.querySelectorAll('[data-setting]').forEach(function(control) {
+      const key = control.getAttribute('data-setting');
+      if (control.tagName === 'BUTTON') {
+        control.addEventListener('click', function() {
+          const patch = {};
+          patch[key] = control.getAttribute('data-value');
+          updateReaderSettings(patch);
+        });
+        return;
+      }
+      control.addEventListener(control.type === 'range' || control.type === 'color' ? 'input' : 'change', function() {
+        const patch = {};
+        if (control.type === 'checkbox') patch[key] = control.checked;
+        else if (control.type === 'range') patch[key] = Number(control.value);
+        else patch[key] = control.value;
+        updateReaderSettings(patch);
+      });
+    });
+
+    const reset = document.getElementById('settings-reset');
+    if (reset) {
+      reset.addEventListener('click', function() {
+        updateReaderSettings(Object.assign({}, READER_SETTINGS_DEFAULTS));
+      });
     }
-    
-    // Save preference to localStorage
-    try {
-      localStorage.setItem('bl-reader-fontsize', currentFontSize);
-    } catch (e) {
-      console.warn('[reader] Could not save font size:', e);
+
+    toggle.addEventListener('click', function() {
+      const open = !panel.classList.contains('open');
+      panel.classList.toggle('open', open);
+      toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    });
+    if (close) {
+      close.addEventListener('click', function() {
+        panel.classList.remove('open');
+        toggle.setAttribute('aria-expanded', 'false');
+      });
     }
   }
 
@@ -1149,24 +1454,26 @@
     lastSavedLocation = location;
     
     const meta = getBookMetadata();
+    const body = JSON.stringify({
+      bookKey: bookKey,
+      source: meta.source,
+      title: meta.title,
+      author: meta.author,
+      cover: meta.cover,
+      lastLocation: location,
+      progress: progress || 0,
+      readerUrl: window.location.pathname + window.location.search
+    });
     
     fetch('/api/reading/progress', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({
-        bookKey: bookKey,
-        source: meta.source,
-        title: meta.title,
-        author: meta.author,
-        cover: meta.cover,
-        lastLocation: location,
-        progress: progress || 0,
-        readerUrl: window.location.pathname + window.location.search
-      })
+      body: body
     }).catch(err => {
-      // Silently fail - progress saving is not critical
+      // Not critical, but keep the latest position to send once back online
       console.warn('[reader] Progress save failed:', err.message);
+      queueOfflineRequest('/api/reading/progress', body, 'progress:' + bookKey);
     });
   }
 
@@ -1224,23 +1531,25 @@
     if (!bookKey) return;
     
     const meta = getBookMetadata();
+    const body = JSON.stringify({
+      bookKey: bookKey,
+      type: eventType,
+      title: meta.title,
+      author: meta.author,
+      cover: meta.cover,
+      source: meta.source,
+      category: meta.category,
+      readerUrl: ''
+    });
     
     fetch('/api/reading/event', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({
-        bookKey: bookKey,
-        type: eventType,
-        title: meta.title,
-        author: meta.author,
-        cover: meta.cover,
-        source: meta.source,
-        category: meta.category,
-        readerUrl: ''
-      })
+      body: body
     }).catch(err => {
       console.warn('[reader] Event log failed:', err.message);
+      queueOfflineRequest('/api/reading/event', body);
     });
   }
 
@@ -1278,7 +1587,11 @@
             progress: progress,
             readerUrl: ''
           });
-          navigator.sendBeacon('/api/reading/progress', new Blob([data], { type: 'application/json' }));
+          if (navigator.onLine) {
+            navigator.sendBeacon('/api/reading/progress', new Blob([data], { type: 'application/json' }));
+          } else {
+            queueOfflineRequest('/api/reading/progress', data, 'progress:' + bookKey);
+          }
         }
       }
     });
@@ -1360,18 +1673,6 @@
     tsLog('Book key:', bookKey);
     tsLog('Best PDF:', bestPdf || '(none)');
     
-    // Restore saved font size
-    try {
-      const savedFontSize = localStorage.getItem('bl-reader-fontsize');
-      if (savedFontSize) {
-        currentFontSize = parseInt(savedFontSize, 10) || 100;
-        const fontDisplay = document.getElementById('font-size-display');
-        if (fontDisplay) {
-          fontDisplay.textContent = currentFontSize + '%';
-        }
-      }
-    } catch (e) {}
-    
     tsLog('Loading EPUB from:', epubUrl);
     tsLog('Archive ID:', archiveId || '(none)');
     tsLog('Source URL:', sourceUrl);
@@ -1426,6 +1727,8 @@
       }
       
       tsLog('EPUB proxy URL:', proxiedUrl);
+      offlineState.epubUrl = proxiedUrl;
+      refreshOfflineButton();
       
       // Update loading message
       tsLog('Download started');
@@ -1672,16 +1975,21 @@
       }
       
       // Render the book into the viewer
-      // Use scrolled-doc flow for better mobile experience
+      // The continuous manager serves every layout (paginated, spread, scrolled)
+      // and can switch between them without a new rendition
       tsLog('rendition creation started');
       try {
+        const layout = renditionLayout(readerSettings.flow);
         rendition = book.renderTo('epub-viewer', {
           width: '100%',
           height: '100%',
-          spread: 'none',
-          flow: 'scrolled-doc',
+          manager: 'continuous',
+          flow: layout.flow,
+          spread: layout.spread,
+          minSpreadWidth: SPREAD_MIN_WIDTH,
           allowScriptedContent: false
         });
+        document.body.setAttribute('data-reader-flow', readerSettings.flow);
         tsLog('rendition created successfully');
       } catch (err) {
         clearLoadTimeout();
@@ -1721,12 +2029,9 @@
           // Inject default theme styles inline
           contents.addStylesheetRules(DEFAULT_READER_THEME);
           
-          // Apply font size inline
-          contents.document.documentElement.style.fontSize = currentFontSize + '%';
-          if (contents.document.body) {
-            contents.document.body.style.fontSize = currentFontSize + '%';
-          }
-          tsLog('Content hook: styles applied, font size:', currentFontSize + '%');
+          // Reader settings (font, size, theme, spacing) as an inline <style>
+          injectReaderStyles(contents, readerSettingsCss());
+          tsLog('Content hook: styles applied, font size:', readerSettings.font_size + '%');
           
           // Clear timeout when content actually renders successfully
           if (!firstContentRendered) {
@@ -1749,23 +2054,29 @@
       // Setup keyboard navigation
       setupEpubKeyboard();
       
-      // Track location changes for persistence and re-apply font size
+      // Track location changes for persistence and re-apply reader settings
       rendition.on('relocated', function(location) {
         relocatedFired = true;
         tsLog('relocated event fired');
         if (location && location.start && location.start.cfi) {
           saveLocation(location.start.cfi);
         }
-        // Re-apply font size on navigation
-        applyFontSize();
+        // Re-apply reader settings on navigation
+        applyReaderStyles();
       });
       
-      // Re-apply font size when new content is rendered
+      // Re-apply reader settings when new content is rendered
       rendition.on('rendered', function() {
         tsLog('rendered event fired');
-        applyFontSize();
+        applyReaderStyles();
+        applyHighlights();
       });
       
+      // Highlights, notes and bookmarks
+      rendition.on('selected', onTextSelected);
+      rendition.on('relocated', onAnnotationRelocated);
+      rendition.on('relocated', onReadAloudRelocated);
+      
       // Display the book - try to restore saved location
       // Use Promise.race with timeout for robust display handling
       tsLog('rendition.display() starting');
@@ -1955,6 +2266,7 @@
         // NOW load TOC/navigation AFTER successful display
         // This prevents crashes from malformed EPUBs
         loadNavigationSafely();
+        loadAnnotations();
         
         tsLog('First page display initiated');
         
@@ -1973,7 +2285,9 @@
       
       // Provide more specific error messages
       const errMsg = err.message || String(err);
-      if (errMsg.includes('Invalid') || errMsg.includes('indexOf') || errMsg.includes('undefined')) {
+      if (!navigator.onLine) {
+        showEpubError('You’re offline, and this book isn’t downloaded. Download books while connected to read them offline.', sourceUrl);
+      } else if (errMsg.includes('Invalid') || errMsg.includes('indexOf') || errMsg.includes('undefined')) {
         showEpubError('This file is not a valid EPUB. It may be corrupted or in a different format.', sourceUrl);
       } else if (errMsg.includes('network')) {
         showEpubError('Network error while loading book. Please check your connection and try again.', sourceUrl);
@@ -2042,18 +2356,38 @@
     }
   }
   
+  /**
+   * Turn pages for a key press; in the scrolled layout the up/down arrows scroll
+   * by a few lines instead. Returns true when the key was used.
+   */
+  function navigateForKey(e) {
+    const container = readerSettings.flow === 'scrolled' && rendition.manager && rendition.manager.container;
+    if (container && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      container.scrollBy({ top: (e.key === 'ArrowDown' ? 1 : -1) * KEY_SCROLL_STEP_PX, behavior: 'smooth' });
+      return true;
+    }
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'PageUp' || (e.key === ' ' && e.shiftKey)) {
+      rendition.prev();
+      return true;
+    }
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === 'PageDown' || e.key === ' ') {
+      rendition.next();
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Setup keyboard navigation for EPUB
    */
   function setupEpubKeyboard() {
     document.addEventListener('keydown', function(e) {
       if (!rendition) return;
+      // Typing a note or bookmark name must not turn pages
+      if (e.target && (e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName))) return;
       
-      // Arrow keys for navigation
-      if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-        rendition.prev();
-      } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === ' ') {
-        rendition.next();
+      if (navigateForKey(e)) {
+        e.preventDefault();
       } else if (e.key === 'Escape') {
         // Go back
         const backButton = document.querySelector('.reader-back');
@@ -2066,11 +2400,7 @@
     // Also listen for keydown inside the iframe (ePub.js creates one)
     if (rendition) {
       rendition.on('keydown', function(e) {
-        if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-          rendition.prev();
-        } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === ' ') {
-          rendition.next();
-        }
+        if (navigateForKey(e)) e.preventDefault();
       });
     }
   }
@@ -2620,6 +2950,1056 @@
     });
   }
 
+  /**
+   * Fill the edition <select> from the work's editions stored by read-search.js
+   * (sessionStorage bl:editions:<provider>:<provider_id>) and open the chosen one
+   */
+  function setupEditionSwitcher() {
+    const select = document.getElementById('edition-switcher');
+    if (!select) return;
+    const source = document.body.getAttribute('data-book-source') || '';
+    const providerId = document.body.getAttribute('data-provider-id') || '';
+    if (!source || !providerId) return;
+
+    let editions = null;
+    try {
+      editions = JSON.parse(sessionStorage.getItem('bl:editions:' + source + ':' + providerId) || 'null');
+    } catch (e) {
+      editions = null;
+    }
+    if (!Array.isArray(editions) || editions.length < 2) return;
+
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    editions.forEach(function(edition) {
+      const option = document.createElement('option');
+      const current = edition.provider === source && String(edition.provider_id) === providerId;
+      const details = [edition.provider, (edition.format || '').toUpperCase(), edition.year, edition.language]
+        .filter(Boolean)
+        .join(' · ');
+      option.value = edition.href;
+      option.textContent = (current ? 'This edition: ' : '') + details;
+      option.selected = current;
+      select.appendChild(option);
+    });
+    select.hidden = false;
+
+    select.addEventListener('change', function() {
+      if (!select.value || select.value.indexOf('/open') !== 0) return;
+      const url = new URL(select.value, window.location.origin);
+      if (ref) url.searchParams.set('ref', ref);
+      window.location.href = url.pathname + url.search;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Annotations: highlights (with color + note) and bookmarks
+  // Stored via /api/reader/highlight(s) and /api/reader/bookmark(s), keyed by bookKey
+  // ---------------------------------------------------------------------------
+
+  // Must match HIGHLIGHT_COLORS in routes/reader.js
+  const HIGHLIGHT_COLORS = {
+    yellow: '#f5d90a',
+    green: '#4cc38a',
+    blue: '#52a9ff',
+    pink: '#f381c9',
+    purple: '#9e8cfc'
+  };
+
+  const annotationState = {
+    bookId: null,
+    highlights: [],
+    bookmarks: [],
+    applied: {},        // cfi -> color currently drawn by rendition.annotations
+    location: null,     // last relocated location (start/end CFIs)
+    pending: null       // { cfi, text } selection awaiting save, or { highlight } being edited
+  };
+
+  async function annotationRequest(method, path, body) {
+    const response = await fetch(path, {
+      method: method,
+      credentials: 'include',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) throw new Error(method + ' ' + path + ' → ' + response.status);
+    return response.json();
+  }
+
+  /** Compare two CFIs by position in the book (-1, 0, 1) */
+  function compareCfi(a, b) {
+    try {
+      return new window.ePub.CFI().compare(a, b);
+    } catch (e) {
+      return String(a).localeCompare(String(b));
+    }
+  }
+
+  /**
+   * Fetch saved highlights and bookmarks once the book is displayed
+   */
+  async function loadAnnotations() {
+    if (!bookKey || !rendition) return;
+    annotationState.bookId = bookKey;
+    const id = encodeURIComponent(bookKey);
+    try {
+      const results = await Promise.all([
+        annotationRequest('GET', '/api/reader/highlights/' + id),
+        annotationRequest('GET', '/api/reader/bookmarks/' + id)
+      ]);
+      annotationState.highlights = Array.isArray(results[0]) ? results[0] : [];
+      annotationState.bookmarks = Array.isArray(results[1]) ? results[1] : [];
+      tsLog('Annotations loaded:', annotationState.highlights.length, 'highlights,',
+        annotationState.bookmarks.length, 'bookmarks');
+    } catch (err) {
+      console.warn('[reader] Failed to load annotations:', err.message);
+    }
+    applyHighlights();
+    renderAnnotationsList();
+    updateBookmarkButton();
+  }
+
+  /**
+   * Draw saved highlights. rendition.annotations re-injects them into each chapter
+   * as it renders, so this only adds new ones and redraws changed colors.
+   */
+  function applyHighlights() {
+    if (!rendition || !rendition.annotations) return;
+    annotationState.highlights.forEach(function(highlight) {
+      const color = HIGHLIGHT_COLORS[highlight.color] ? highlight.color : 'yellow';
+      if (annotationState.applied[highlight.cfi] === color) return;
+      removeHighlightMark(highlight.cfi);
+      try {
+        rendition.annotations.highlight(
+          highlight.cfi,
+          { id: highlight.id },
+          function(e) { openHighlightEditor(highlight.id, e); },
+          'bl-highlight',
+          { fill: HIGHLIGHT_COLORS[color], 'fill-opacity': '0.35', 'mix-blend-mode': 'multiply' }
+        );
+        annotationState.applied[highlight.cfi] = color;
+      } catch (err) {
+        console.warn('[reader] Could not draw highlight:', err.message);
+      }
+    });
+  }
+
+  function removeHighlightMark(cfi) {
+    if (!annotationState.applied[cfi]) return;
+    try {
+      rendition.annotations.remove(cfi, 'highlight');
+    } catch (e) { /* mark already gone with its chapter */ }
+    delete annotationState.applied[cfi];
+  }
+
+  // -- Selection popover ------------------------------------------------------
+
+  function setupAnnotationPopover() {
+    const popover = document.getElementById('annotation-popover');
+    if (!popover) return;
+
+    popover.querySelectorAll('[data-color]').forEach(function(btn) {
+      btn.style.background = HIGHLIGHT_COLORS[btn.getAttribute('data-color')];
+      btn.addEventListener('click', function() {
+        selectPopoverColor(btn.getAttribute('data-color'));
+      });
+    });
+
+    document.getElementById('annotation-save').addEventListener('click', savePendingAnnotation);
+    document.getElementById('annotation-cancel').addEventListener('click', hideAnnotationPopover);
+    document.getElementById('annotation-delete').addEventListener('click', function() {
+      const pending = annotationState.pending;
+      if (pending && pending.highlight) deleteHighlight(pending.highlight.id);
+      hideAnnotationPopover();
+    });
+
+    document.addEventListener('keydown', function(e) {
+      if (e.key === 'Escape' && !popover.hidden) hideAnnotationPopover();
+    });
+  }
+
+  function selectPopoverColor(color) {
+    document.querySelectorAll('#annotation-popover [data-color]').forEach(function(btn) {
+      btn.setAttribute('aria-pressed', btn.getAttribute('data-color') === color ? 'true' : 'false');
+    });
+    const popover = document.getElementById('annotation-popover');
+    if (popover) popover.setAttribute('data-color', color);
+  }
+
+  /**
+   * Show the popover below a rect given in page coordinates
+   */
+  function showAnnotationPopover(rect, options) {
+    const popover = document.getElementById('annotation-popover');
+    if (!popover) return;
+    selectPopoverColor(options.color || 'yellow');
+    document.getElementById('annotation-note').value = options.note || '';
+    document.getElementById('annotation-delete').hidden = !options.editing;
+    document.getElementById('annotation-save').textContent = options.editing ? 'Save' : 'Highlight';
+
+    popover.hidden = false;
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    let top = rect.bottom + 8;
+    if (top + height > window.innerHeight - 8) top = Math.max(8, rect.top - height - 8);
+    const left = Math.min(Math.max(8, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - 8);
+    popover.style.top = top + 'px';
+    popover.style.left = left + 'px';
+  }
+
+  function hideAnnotationPopover() {
+    const popover = document.getElementById('annotation-popover');
+    if (popover) popover.hidden = true;
+    annotationState.pending = null;
+  }
+
+  /** Translate a rect inside the EPUB iframe into page coordinates */
+  function frameRectToPage(contents, rect) {
+    const frame = contents && contents.window && contents.window.frameElement;
+    const offset = frame ? frame.getBoundingClientRect() : { top: 0, left: 0 };
+    return {
+      top: rect.top + offset.top,
+      bottom: rect.bottom + offset.top,
+      left: rect.left + offset.left,
+      width: rect.width
+    };
+  }
+
+  /**
+   * rendition 'selected' handler: offer to highlight the selected text
+   */
+  function onTextSelected(cfiRange, contents) {
+    let text = '';
+    let rect = null;
+    try {
+      const selection = contents.window.getSelection();
+      text = selection ? selection.toString().trim() : '';
+      if (selection && selection.rangeCount) {
+        rect = frameRectToPage(contents, selection.getRangeAt(0).getBoundingClientRect());
+      }
+    } catch (e) {
+      text = '';
+    }
+    if (!text || !rect) return;
+    annotationState.pending = { cfi: cfiRange, text: text.slice(0, 2000), contents: contents };
+    showAnnotationPopover(rect, { color: 'yellow' });
+  }
+
+  function openHighlightEditor(id, e, anchor) {
+    const highlight = annotationState.highlights.find(function(h) { return h.id === id; });
+    if (!highlight) return;
+    let rect = anchor ? anchor.getBoundingClientRect() : null;
+    if (!rect && e && e.target && e.target.getBoundingClientRect) {
+      // Marks live in an SVG pane over the viewer, already in page coordinates
+      rect = e.target.getBoundingClientRect();
+    }
+    annotationState.pending = { highlight: highlight };
+    showAnnotationPopover(rect || { top: 80, bottom: 80, left: window.innerWidth / 2, width: 0 }, {
+      color: highlight.color,
+      note: highlight.note,
+      editing: true
+    });
+  }
+
+  async function savePendingAnnotation() {
+    const pending = annotationState.pending;
+    const popover = document.getElementById('annotation-popover');
+    if (!pending || !popover) return;
+    const color = popover.getAttribute('data-color') || 'yellow';
+    const note = document.getElementById('annotation-note').value;
+    hideAnnotationPopover();
+
+    try {
+      if (pending.highlight) {
+        const updated = await annotationRequest('PATCH',
+          '/api/reader/highlight/' + encodeURIComponent(pending.highlight.id), { color: color, note: note });
+        Object.assign(pending.highlight, updated);
+      } else {
+        const created = await annotationRequest('POST', '/api/reader/highlight', {
+          book_id: annotationState.bookId || bookKey,
+          cfi: pending.cfi,
+          text: pending.text,
+          color: color,
+          note: note,
+          chapter: chapterLabelFor(pending.cfi)
+        });
+        annotationState.highlights.push(created);
+        try {
+          pending.contents.window.getSelection().removeAllRanges();
+        } catch (e) { /* chapter already unloaded */ }
+      }
+    } catch (err) {
+      console.warn('[reader] Failed to save highlight:', err.message);
+      return;
+    }
+    applyHighlights();
+    renderAnnotationsList();
+  }
+
+  async function deleteHighlight(id) {
+    const highlight = annotationState.highlights.find(function(h) { return h.id === id; });
+    if (!highlight) return;
+    try {
+      await annotationRequest('DELETE', '/api/reader/highlight/' + encodeURIComponent(id));
+    } catch (err) {
+      console.warn('[reader] Failed to delete highlight:', err.message);
+      return;
+    }
+    annotationState.highlights = annotationState.highlights.filter(function(h) { return h.id !== id; });
+    // Another highlight may share the exact range; keep its mark
+    if (!annotationState.highlights.some(function(h) { return h.cfi === highlight.cfi; })) {
+      removeHighlightMark(highlight.cfi);
+    }
+    renderAnnotationsList();
+  }
+
+  // -- Bookmarks --------------------------------------------------------------
+
+  /** Bookmark inside the currently displayed page, if any */
+  function bookmarkOnCurrentPage() {
+    const location = annotationState.location;
+    if (!location || !location.start || !location.end) return null;
+    return annotationState.bookmarks.find(function(bm) {
+      return compareCfi(bm.cfi, location.start.cfi) >= 0 && compareCfi(bm.cfi, location.end.cfi) <= 0;
+    }) || null;
+  }
+
+  function updateBookmarkButton() {
+    const btn = document.getElementById('bookmark-toggle');
+    if (!btn) return;
+    const marked = Boolean(bookmarkOnCurrentPage());
+    btn.classList.toggle('bookmarked', marked);
+    btn.setAttribute('aria-pressed', marked ? 'true' : 'false');
+    btn.title = marked ? 'Remove bookmark' : 'Bookmark this page';
+  }
+
+  function onAnnotationRelocated(location) {
+    annotationState.location = location;
+    updateBookmarkButton();
+  }
+
+  /** TOC title of the chapter containing a CFI or spine href ('' when unknown) */
+  function chapterLabelFor(target) {
+    try {
+      const section = book.spine.get(target);
+      const item = section && book.navigation && book.navigation.get(section.href);
+      if (item && item.label) return item.label.trim();
+    } catch (e) { /* fall through */ }
+    return '';
+  }
+
+  async function toggleBookmark() {
+    const location = annotationState.location;
+    if (!location || !location.start || !bookKey) return;
+    const existing = bookmarkOnCurrentPage();
+    const btn = document.getElementById('bookmark-toggle');
+    if (btn) btn.disabled = true;
+    try {
+      if (existing) {
+        await annotationRequest('DELETE', '/api/reader/bookmark/' + encodeURIComponent(existing.id));
+        annotationState.bookmarks = annotationState.bookmarks.filter(function(bm) { return bm.id !== existing.id; });
+      } else {
+        const chapter = chapterLabelFor(location.start.cfi);
+        const created = await annotationRequest('POST', '/api/reader/bookmark', {
+          book_id: annotationState.bookId || bookKey,
+          cfi: location.start.cfi,
+          label: chapter || 'Bookmark',
+          chapter: chapter
+        });
+        annotationState.bookmarks.unshift(created);
+      }
+    } catch (err) {
+      console.warn('[reader] Failed to toggle bookmark:', err.message);
+    }
+    if (btn) btn.disabled = false;
+    updateBookmarkButton();
+    renderAnnotationsList();
+  }
+
+  async function renameBookmark(bookmark) {
+    const label = window.prompt('Bookmark name', bookmark.label || '');
+    if (label === null) return;
+    try {
+      const updated = await annotationRequest('PATCH',
+        '/api/reader/bookmark/' + encodeURIComponent(bookmark.id), { label: label });
+      Object.assign(bookmark, updated);
+    } catch (err) {
+      console.warn('[reader] Failed to rename bookmark:', err.message);
+      return;
+    }
+    renderAnnotationsList();
+  }
+
+  async function deleteBookmark(id) {
+    try {
+      await annotationRequest('DELETE', '/api/reader/bookmark/' + encodeURIComponent(id));
+    } catch (err) {
+      console.warn('[reader] Failed to delete bookmark:', err.message);
+      return;
+    }
+    annotationState.bookmarks = annotationState.bookmarks.filter(function(bm) { return bm.id !== id; });
+    updateBookmarkButton();
+    renderAnnotationsList();
+  }
+
+  // -- Annotations panel ------------------------------------------------------
+
+  function setupAnnotationsPanel() {
+    const toggle = document.getElementById('annotations-toggle');
+    const panel = document.getElementById('annotations-panel');
+    const close = document.getElementById('annotations-close');
+    const bookmarkBtn = document.getElementById('bookmark-toggle');
+    if (bookmarkBtn) bookmarkBtn.addEventListener('click', toggleBookmark);
+    setupAnnotationPopover();
+    if (!toggle || !panel) return;
+
+    panel.querySelectorAll('#annotations-export [data-format]').forEach(function(link) {
+      link.addEventListener('click', function() {
+        link.href = '/api/reader/annotations/export?format=' + link.getAttribute('data-format') +
+          '&book_id=' + encodeURIComponent(annotationState.bookId || bookKey || '');
+      });
+    });
+
+    toggle.addEventListener('click', function() {
+      const open = !panel.classList.contains('open');
+      panel.classList.toggle('open', open);
+      toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    });
+    if (close) {
+      close.addEventListener('click', function() {
+        panel.classList.remove('open');
+        toggle.setAttribute('aria-expanded', 'false');
+      });
+    }
+  }
+
+  function annotationButton(label, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * List bookmarks and highlights in reading order, with jump/edit/delete actions
+   */
+  function renderAnnotationsList() {
+    const list = document.getElementById('annotations-list');
+    if (!list) return;
+
+    const entries = annotationState.bookmarks.map(function(bm) { return { type: 'bookmark', item: bm }; })
+      .concat(annotationState.highlights.map(function(h) { return { type: 'highlight', item: h }; }))
+      .sort(function(a, b) { return compareCfi(a.item.cfi, b.item.cfi); });
+
+    list.innerHTML = '';
+    if (!entries.length) {
+      list.innerHTML = '<li class="annotations-empty">Select text to highlight it, or bookmark a page from the toolbar.</li>';
+      return;
+    }
+
+    entries.forEach(function(entry) {
+      const item = entry.item;
+      const li = document.createElement('li');
+      li.className = 'annotation-item annotation-' + entry.type;
+
+      const jump = document.createElement('a');
+      jump.href = '#';
+      jump.className = 'annotation-jump';
+      jump.addEventListener('click', function(e) {
+        e.preventDefault();
+        if (rendition) rendition.display(item.cfi);
+        const panel = document.getElementById('annotations-panel');
+        if (panel && window.innerWidth < 768) panel.classList.remove('open');
+      });
+
+      if (entry.type === 'bookmark') {
+        jump.textContent = '🔖 ' + (item.label || 'Bookmark');
+        li.appendChild(jump);
+        const actions = document.createElement('div');
+        actions.className = 'annotation-actions';
+        actions.appendChild(annotationButton('Rename', function() { renameBookmark(item); }));
+        actions.appendChild(annotationButton('Delete', function() { deleteBookmark(item.id); }));
+        li.appendChild(actions);
+      } else {
+        li.style.borderLeftColor = HIGHLIGHT_COLORS[item.color] || HIGHLIGHT_COLORS.yellow;
+        jump.textContent = '“' + (item.text || '').slice(0, 200) + '”';
+        li.appendChild(jump);
+        if (item.note) {
+          const note = document.createElement('p');
+          note.className = 'annotation-note';
+          note.textContent = item.note;
+          li.appendChild(note);
+        }
+        const actions = document.createElement('div');
+        actions.className = 'annotation-actions';
+        actions.appendChild(annotationButton(item.note ? 'Edit note' : 'Add note', function(e) {
+          openHighlightEditor(item.id, null, e.currentTarget);
+        }));
+        actions.appendChild(annotationButton('Delete', function() { deleteHighlight(item.id); }));
+        li.appendChild(actions);
+      }
+      list.appendChild(li);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // In-book search (panel and result list in public/js/book-search.js)
+  // EPUB: scans every spine item of the already-opened book. PDF: pdf.js over the
+  // same proxy URL the viewer iframe shows.
+  // ---------------------------------------------------------------------------
+
+  const searchState = {
+    mark: null,         // CFI of the search hit currently highlighted
+    pdfUrl: null,
+    pdfSearch: null     // BookSearch.pdfSearcher for pdfUrl
+  };
+
+  /** PDF iframe in use: PDF page, direct PDF start, or fallback from a failed EPUB */
+  function currentPdfFrame() {
+    return document.querySelector('#pdf-frame, .pdf-fallback-frame');
+  }
+
+  function setupBookSearch() {
+    const panel = document.getElementById('search-panel');
+    if (!panel || !window.BookSearch) return;
+    window.BookSearch.createPanel({
+      panel: panel,
+      toggle: document.getElementById('search-toggle'),
+      close: document.getElementById('search-close'),
+      storageKey: function() { return bookKey ? bookKey + '-searches' : null; },
+      search: searchCurrentBook,
+      jump: function(hit, query) {
+        const frame = currentPdfFrame();
+        if (frame) {
+          window.BookSearch.showPdfPage(frame, hit.target, query);
+        } else if (rendition) {
+          showSearchHit(hit.target);
+        }
+      },
+      onClose: clearSearchMark
+    });
+  }
+
+  async function searchCurrentBook(query, task) {
+    const frame = currentPdfFrame();
+    if (frame) {
+      const url = String(frame.getAttribute('src') || '').split('#')[0];
+      if (searchState.pdfUrl !== url) {
+        searchState.pdfUrl = url;
+        searchState.pdfSearch = window.BookSearch.pdfSearcher(url);
+      }
+      return searchState.pdfSearch(query, task);
+    }
+    if (book && book.spine) return searchEpub(query, task);
+    const err = new Error('book not open');
+    err.userMessage = 'The book is still opening. Try again in a moment.';
+    throw err;
+  }
+
+  /**
+   * Find query in every spine item, grouped by chapter. Sections are loaded from
+   * the opened book (no refetch) and unloaded again after each one is searched.
+   */
+  async function searchEpub(query, task) {
+    const sections = book.spine.spineItems || [];
+    const groups = [];
+    let total = 0;
+    for (let i = 0; i < sections.length && !task.cancelled && total < window.BookSearch.MAX_RESULTS; i++) {
+      const section = sections[i];
+      let found = [];
+      try {
+        await section.load(book.load.bind(book));
+        found = section.find(query) || [];
+      } catch (err) {
+        tsLog('search: skipped section', section.href, err.message);
+      } finally {
+        section.unload();
+      }
+      task.progress(i + 1, sections.length);
+      if (!found.length) continue;
+
+      const hits = found.slice(0, window.BookSearch.MAX_RESULTS - total).map(function(result) {
+        const hit = window.BookSearch.splitExcerpt(result.excerpt, query);
+        hit.target = result.cfi;
+        return hit;
+      });
+      total += hits.length;
+      // A chapter split over several files stays one group
+      const label = chapterLabelFor(section.href) || 'Section ' + (i + 1);
+      const last = groups[groups.length - 1];
+      if (last && last.label === label) {
+        last.hits = last.hits.concat(hits);
+      } else {
+        groups.push({ label: label, hits: hits });
+      }
+    }
+    return { groups: groups, total: total, truncated: total >= window.BookSearch.MAX_RESULTS };
+  }
+
+  function showSearchHit(cfi) {
+    clearSearchMark();
+    rendition.display(cfi).catch(function(err) {
+      console.warn('[reader] Could not open search result:', err.message);
+    });
+    // A saved highlight on the same range is already drawn; don't replace it
+    if (annotationState.applied[cfi]) return;
+    try {
+      rendition.annotations.highlight(cfi, {}, null, 'bl-search-hit',
+        { fill: '#f97316', 'fill-opacity': '0.4', 'mix-blend-mode': 'multiply' });
+      searchState.mark = cfi;
+    } catch (err) {
+      console.warn('[reader] Could not mark search result:', err.message);
+    }
+  }
+
+  function clearSearchMark() {
+    if (!searchState.mark || !rendition) return;
+    // The range was highlighted for keeps since; that mark replaced ours
+    if (!annotationState.applied[searchState.mark]) {
+      try {
+        rendition.annotations.remove(searchState.mark, 'highlight');
+      } catch (e) { /* mark already gone with its chapter */ }
+    }
+    searchState.mark = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Read aloud (speech engine in public/js/tts.js)
+  // Speaks the book sentence by sentence from the current page, highlighting each
+  // sentence and turning pages and chapters to keep it in view. Page turns go
+  // through the relocated handler, so the saved reading position follows along.
+  // ---------------------------------------------------------------------------
+
+  const ttsState = {
+    playing: false,
+    run: 0,             // bumped on every (re)start; stale section loads give up
+    section: null,      // spine section being read
+    sentences: [],      // [{text, cfi, start, end}] for that section
+    index: 0,
+    mark: null,         // CFI of the highlighted sentence
+    prefs: null         // voice, rate, pitch (per device)
+  };
+
+  function bookLanguage() {
+    const meta = book && book.packaging && book.packaging.metadata;
+    return (meta && meta.language) || '';
+  }
+
+  /**
+   * Sentences of a spine section with their CFIs, from the opened book
+   * (loaded off-screen like search, then unloaded)
+   */
+  async function sentencesForSection(section) {
+    try {
+      await section.load(book.load.bind(book));
+      const doc = section.document;
+      const body = doc && (doc.body || doc.querySelector('body'));
+      if (!body) return [];
+      return window.BL_TTS.sentences(body).map(function(sentence) {
+        const start = sentence.range.cloneRange();
+        start.collapse(true);
+        const end = sentence.range.cloneRange();
+        end.collapse(false);
+        return {
+          text: sentence.text,
+          cfi: section.cfiFromRange(sentence.range),
+          start: section.cfiFromRange(start),
+          end: section.cfiFromRange(end)
+        };
+      });
+    } catch (err) {
+      tsLog('read aloud: skipped section', section.href, err.message);
+      return [];
+    } finally {
+      section.unload();
+    }
+  }
+
+  /** Whether a sentence is (at least partly) on the page(s) shown */
+  function sentenceOnScreen(sentence, location) {
+    if (!location || !location.start || !location.end) return false;
+    return compareCfi(sentence.end, location.start.cfi) >= 0 && compareCfi(sentence.start, location.end.cfi) <= 0;
+  }
+
+  /**
+   * Read from a position: the sentence containing cfi in the section at
+   * spineIndex (its first sentence when cfi is null), moving on to the next
+   * sections when there's nothing left to read in this one
+   */
+  async function readAloudFrom(spineIndex, cfi) {
+    const run = ++ttsState.run;
+    let section = book.spine.get(spineIndex);
+    setReadAloudStatus('Loading…');
+    while (section) {
+      const sentences = await sentencesForSection(section);
+      if (!ttsState.playing || run !== ttsState.run) return;
+      const at = cfi ? sentences.findIndex(function(s) { return compareCfi(s.end, cfi) >= 0; }) : 0;
+      if (sentences.length && at !== -1) {
+        ttsState.section = section;
+        ttsState.sentences = sentences;
+        ttsState.index = at;
+        speakCurrentSentence();
+        return;
+      }
+      section = section.next();
+      cfi = null;
+    }
+    stopReadingAloud('End of book');
+  }
+
+  function speakCurrentSentence() {
+    const sentence = ttsState.sentences[ttsState.index];
+    if (!sentence) {
+      const next = ttsState.section && ttsState.section.next();
+      if (next) readAloudFrom(next.index, null);
+      else stopReadingAloud('End of book');
+      return;
+    }
+    markSpokenSentence(sentence);
+    if (!sentenceOnScreen(sentence, rendition.location)) {
+      rendition.display(sentence.start).catch(function(err) {
+        console.warn('[reader] Read aloud could not turn the page:', err.message);
+      });
+    }
+    const label = chapterLabelFor(ttsState.section.href);
+    setReadAloudStatus(label ? 'Reading “' + label + '”' : 'Reading');
+    window.BL_TTS.speak(sentence.text, Object.assign({ lang: bookLanguage() }, ttsState.prefs, {
+      onend: function() {
+        if (!ttsState.playing) return;
+        ttsState.index++;
+        speakCurrentSentence();
+      },
+      onerror: function(e) {
+        if (e.error === 'interrupted' || e.error === 'canceled') return;
+        console.warn('[reader] Speech failed:', e.error);
+        stopReadingAloud(e.error === 'not-allowed' ? 'Press play to start reading aloud' : 'Speech stopped (' + e.error + ')');
+      }
+    }));
+  }
+
+  function markSpokenSentence(sentence) {
+    clearSpokenMark();
+    // A saved highlight on the same range is already drawn; don't replace it
+    if (annotationState.applied[sentence.cfi]) return;
+    try {
+      rendition.annotations.highlight(sentence.cfi, {}, null, 'bl-tts-sentence',
+        { fill: '#60a5fa', 'fill-opacity': '0.35', 'mix-blend-mode': 'multiply' });
+      ttsState.mark = sentence.cfi;
+    } catch (err) {
+      console.warn('[reader] Could not mark spoken sentence:', err.message);
+    }
+  }
+
+  function clearSpokenMark() {
+    if (!ttsState.mark || !rendition) return;
+    if (!annotationState.applied[ttsState.mark]) {
+      try {
+        rendition.annotations.remove(ttsState.mark, 'highlight');
+      } catch (e) { /* mark already gone with its chapter */ }
+    }
+    ttsState.mark = null;
+  }
+
+  function startReadingAloud() {
+    const location = rendition && rendition.location;
+    if (!location || !location.start) {
+      setReadAloudStatus('The book is still opening. Try again in a moment.');
+      return;
+    }
+    ttsState.playing = true;
+    updateReadAloudControls();
+    // Resume mid-section when the paused sentence is still on screen
+    const sentence = ttsState.sentences[ttsState.index];
+    if (sentence && sentenceOnScreen(sentence, location)) {
+      ttsState.run++;
+      speakCurrentSentence();
+    } else {
+      readAloudFrom(location.start.index, location.start.cfi);
+    }
+  }
+
+  /** Pause (the highlight stays, so play resumes from the same sentence) */
+  function pauseReadingAloud(status) {
+    ttsState.playing = false;
+    ttsState.run++;
+    window.BL_TTS.cancel();
+    const sentence = ttsState.sentences[ttsState.index];
+    if (sentence) saveLocation(sentence.start);
+    updateReadAloudControls();
+    setReadAloudStatus(status || 'Paused');
+  }
+
+  function stopReadingAloud(status) {
+    pauseReadingAloud(status);
+    clearSpokenMark();
+    ttsState.sentences = [];
+    ttsState.section = null;
+  }
+
+  /** Skip forward or back by one sentence (within the chapter) */
+  function stepReadAloud(delta) {
+    if (!ttsState.sentences.length) return;
+    const index = ttsState.index + delta;
+    if (index < 0) return;
+    if (index >= ttsState.sentences.length && !ttsState.playing) return;
+    ttsState.index = index;
+    if (ttsState.playing) {
+      window.BL_TTS.cancel();
+      speakCurrentSentence();
+    } else {
+      const sentence = ttsState.sentences[index];
+      markSpokenSentence(sentence);
+      if (!sentenceOnScreen(sentence, rendition.location)) {
+        rendition.display(sentence.start).catch(function(err) {
+          console.warn('[reader] Read aloud could not turn the page:', err.message);
+        });
+      }
+    }
+  }
+
+  /**
+   * The reader turned the page or jumped elsewhere while listening: carry on
+   * from the new page instead of pulling them back
+   */
+  function onReadAloudRelocated(location) {
+    if (!ttsState.playing) return;
+    const sentence = ttsState.sentences[ttsState.index];
+    if (!sentence || sentenceOnScreen(sentence, location)) return;
+    window.BL_TTS.cancel();
+    clearSpokenMark();
+    readAloudFrom(location.start.index, location.start.cfi);
+  }
+
+  function setReadAloudStatus(text) {
+    const status = document.getElementById('tts-status');
+    if (status) status.textContent = text;
+  }
+
+  function updateReadAloudControls() {
+    const toggle = document.getElementById('tts-toggle');
+    if (toggle) toggle.classList.toggle('speaking', ttsState.playing);
+    const play = document.getElementById('tts-play');
+    if (play) {
+      play.textContent = ttsState.playing ? 'Pause' : 'Play';
+      play.setAttribute('aria-label', ttsState.playing ? 'Pause reading aloud' : 'Read aloud from this page');
+    }
+  }
+
+  function populateVoices() {
+    const select = document.getElementById('tts-voice');
+    if (!select) return;
+    select.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = 'Default for the book’s language';
+    select.appendChild(auto);
+    window.BL_TTS.voices(bookLanguage()).forEach(function(voice) {
+      const option = document.createElement('option');
+      option.value = voice.voiceURI;
+      option.textContent = voice.name + ' (' + voice.lang + ')';
+      select.appendChild(option);
+    });
+    select.value = ttsState.prefs.voice;
+    // The saved voice isn't installed on this device
+    if (select.value !== ttsState.prefs.voice) select.value = '';
+  }
+
+  /**
+   * Change voice, rate or pitch. A new voice restarts the current sentence; rate
+   * and pitch apply from the next one (restarting on every slider step would stutter).
+   */
+  function updateReadAloudPrefs(patch) {
+    Object.assign(ttsState.prefs, patch);
+    window.BL_TTS.savePrefs(ttsState.prefs);
+    ['rate', 'pitch'].forEach(function(key) {
+      const output = document.getElementById('tts-' + key + '-value');
+      if (output) output.textContent = Number(ttsState.prefs[key]).toFixed(1) + '×';
+    });
+    if (ttsState.playing && patch.voice !== undefined) {
+      window.BL_TTS.cancel();
+      speakCurrentSentence();
+    }
+  }
+
+  function setupReadAloud() {
+    const toggle = document.getElementById('tts-toggle');
+    const panel = document.getElementById('tts-panel');
+    if (!toggle || !panel) return;
+    if (!window.BL_TTS || !window.BL_TTS.supported()) {
+      toggle.hidden = true;
+      return;
+    }
+    ttsState.prefs = window.BL_TTS.loadPrefs();
+
+    const voice = document.getElementById('tts-voice');
+    if (voice) {
+      voice.addEventListener('change', function() { updateReadAloudPrefs({ voice: voice.value }); });
+    }
+    ['rate', 'pitch'].forEach(function(key) {
+      const input = document.getElementById('tts-' + key);
+      if (!input) return;
+      input.value = ttsState.prefs[key];
+      input.addEventListener('input', function() {
+        const patch = {};
+        patch[key] = Number(input.value);
+        updateReadAloudPrefs(patch);
+      });
+    });
+    updateReadAloudPrefs({});
+    window.BL_TTS.onVoicesChanged(populateVoices);
+
+    const play = document.getElementById('tts-play');
+    if (play) {
+      play.addEventListener('click', function() {
+        if (ttsState.playing) pauseReadingAloud();
+        else startReadingAloud();
+      });
+    }
+    const prev = document.getElementById('tts-prev');
+    if (prev) prev.addEventListener('click', function() { stepReadAloud(-1); });
+    const next = document.getElementById('tts-next');
+    if (next) next.addEventListener('click', function() { stepReadAloud(1); });
+
+    function setOpen(open) {
+      panel.classList.toggle('open', open);
+      toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (open) populateVoices();
+    }
+    toggle.addEventListener('click', function() {
+      setOpen(!panel.classList.contains('open'));
+    });
+    const close = document.getElementById('tts-close');
+    if (close) close.addEventListener('click', function() { setOpen(false); });
+
+    // Speech outlives the page in some browsers
+    window.addEventListener('pagehide', function() { window.BL_TTS.cancel(); });
+    updateReadAloudControls();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Offline reading (storage in public/js/offline-store.js, served by public/sw.js)
+  // "Download for offline" keeps the file this page loads, under the same URL, so
+  // the service worker answers the reader's own requests from it next time.
+  // ---------------------------------------------------------------------------
+
+  const offlineState = {
+    epubUrl: null,      // proxy URL the EPUB was loaded from
+    record: null,       // BLOffline record when this book is downloaded
+    busy: false
+  };
+
+  /** The file on screen as { url, format }, or null when it isn't a same-origin download */
+  function currentBookFile() {
+    const frame = currentPdfFrame();
+    const src = frame ? String(frame.getAttribute('src') || '').split('#')[0] : offlineState.epubUrl;
+    if (!src) return null;
+    const url = new URL(src, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+    return { url: url.pathname + url.search, format: frame ? 'pdf' : 'epub' };
+  }
+
+  function updateOfflineButton(progressText) {
+    const btn = document.getElementById('offline-toggle');
+    if (!btn) return;
+    const saved = Boolean(offlineState.record);
+    btn.classList.toggle('downloaded', saved);
+    btn.classList.toggle('downloading', offlineState.busy);
+    btn.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    btn.title = progressText || (saved ? 'Available offline (click to remove the download)' : 'Download for offline');
+    btn.setAttribute('aria-label', btn.title);
+  }
+
+  async function refreshOfflineButton() {
+    if (!window.BLOffline || !bookKey) return;
+    try {
+      offlineState.record = await window.BLOffline.getBook(bookKey);
+    } catch (err) {
+      offlineState.record = null;
+    }
+    updateOfflineButton();
+  }
+
+  /** Same-origin scripts and styles of this page, kept with the download */
+  function readerPageAssets() {
+    const urls = [];
+    document.querySelectorAll('script[src], link[rel="stylesheet"][href]').forEach(function(el) {
+      const url = new URL(el.getAttribute('src') || el.getAttribute('href'), window.location.href);
+      if (url.origin === window.location.origin) urls.push(url.pathname + url.search);
+    });
+    return urls;
+  }
+
+  async function downloadForOffline() {
+    const file = currentBookFile();
+    if (!file) {
+      showFallbackToast('This book can’t be downloaded yet. Wait for it to open.');
+      return;
+    }
+    const meta = getBookMetadata();
+    offlineState.busy = true;
+    updateOfflineButton('Downloading…');
+    try {
+      offlineState.record = await window.BLOffline.saveBook({
+        bookKey: bookKey,
+        url: file.url,
+        format: file.format,
+        readerUrl: window.location.pathname + window.location.search,
+        title: meta.title,
+        author: meta.author,
+        cover: meta.cover,
+        source: meta.source,
+        assets: readerPageAssets()
+      }, function(loaded, total) {
+        updateOfflineButton('Downloading… ' + (total ? Math.round(loaded / total * 100) + '%' : Math.round(loaded / 1e6) + ' MB'));
+      });
+      showFallbackToast('Downloaded. This book now opens offline.');
+    } catch (err) {
+      console.warn('[reader] Offline download failed:', err);
+      showFallbackToast(err.userMessage || (err.name === 'QuotaExceededError'
+        ? 'Not enough space on this device to download the book.'
+        : 'The book could not be downloaded right now.'));
+    } finally {
+      offlineState.busy = false;
+      updateOfflineButton();
+    }
+  }
+
+  async function removeOfflineCopy() {
+    if (!window.confirm('Remove the downloaded copy of this book from this device?')) return;
+    try {
+      await window.BLOffline.removeBook(bookKey);
+      offlineState.record = null;
+      showFallbackToast('Download removed.');
+    } catch (err) {
+      console.warn('[reader] Could not remove download:', err);
+    }
+    updateOfflineButton();
+  }
+
+  function setupOfflineDownload() {
+    const btn = document.getElementById('offline-toggle');
+    if (!btn) return;
+    if (!window.BLOffline || !('caches' in window) || !('indexedDB' in window)) {
+      btn.hidden = true;
+      return;
+    }
+    btn.addEventListener('click', function() {
+      if (offlineState.busy || !bookKey) return;
+      if (offlineState.record) removeOfflineCopy();
+      else downloadForOffline();
+    });
+    // bookKey is worked out later in init()
+    setTimeout(refreshOfflineButton, 0);
+  }
+
+  /** Keep a POST that failed for lack of a connection, to send when it's back */
+  function queueOfflineRequest(url, body, id) {
+    if (!window.BLOffline) return;
+    window.BLOffline.queueRequest(url, body, id).catch(function(err) {
+      console.warn('[reader] Could not queue request for later:', err.message);
+    });
+  }
+
   /**
    * Setup keyboard shortcuts for better reading experience (iframe mode)
    */
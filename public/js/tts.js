@@ -1,9 +1,19 @@
 // public/js/tts.js
-// Lightweight browser Text-to-Speech for the injected book content.
-// Phase A: Web Speech API (client-side); sentence highlighting.
+// Lightweight browser Text-to-Speech (Web Speech API, client-side).
+// - BL_TTS.toggle(container): reads injected HTML book content with sentence highlighting
+// - BL_TTS.sentences / speak / voices: the engine the unified EPUB reader drives
+//   through the epub.js rendition (public/js/reader.js, "Read aloud")
+// Voice, rate and pitch are kept per device (localStorage): voices differ between devices.
 
 (function(){
   const synth = window.speechSynthesis;
+  const PREFS_KEY = 'bl-tts';
+  const DEFAULT_PREFS = { voice: '', rate: 1, pitch: 1 };
+  const RANGE = { rate: [0.5, 2], pitch: [0.5, 2] };
+  const SENTENCE_REGEX = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g;
+  // Text grouped per block element, so a sentence split by <em> or a link stays one sentence
+  const BLOCK_TAGS = /^(p|h[1-6]|li|blockquote|pre|dd|dt|td|th|caption|figcaption|div|section|article|aside|header|footer|body)$/;
+  const SKIP_TAGS = /^(script|style|noscript|rt|rp|head|title)$/;
   let playing = false;
   let spans = [];
   let idx = 0;
@@ -11,6 +21,173 @@
 
   function supportsTTS(){ return !!synth && 'SpeechSynthesisUtterance' in window; }
 
+  // -- Preferences ---------------------------------------------------------------
+
+  function clamp(field, value){
+    const n = Number(value);
+    if (!Number.isFinite(n)) return DEFAULT_PREFS[field];
+    return Math.min(RANGE[field][1], Math.max(RANGE[field][0], n));
+  }
+
+  function loadPrefs(){
+    try {
+      const saved = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}') || {};
+      return {
+        voice: typeof saved.voice === 'string' ? saved.voice : '',
+        rate: clamp('rate', saved.rate === undefined ? 1 : saved.rate),
+        pitch: clamp('pitch', saved.pitch === undefined ? 1 : saved.pitch)
+      };
+    } catch (e) {
+      return Object.assign({}, DEFAULT_PREFS);
+    }
+  }
+
+  function savePrefs(prefs){
+    try {
+      localStorage.setItem(PREFS_KEY, JSON.stringify({
+        voice: prefs.voice || '',
+        rate: clamp('rate', prefs.rate),
+        pitch: clamp('pitch', prefs.pitch)
+      }));
+    } catch (e) {
+      console.warn('[tts] Could not save voice settings:', e);
+    }
+  }
+
+  // -- Voices --------------------------------------------------------------------
+
+  /** Available voices, those for lang (e.g. the book's language) first */
+  function voices(lang){
+    if (!supportsTTS()) return [];
+    const base = String(lang || '').toLowerCase().split('-')[0];
+    return synth.getVoices().slice().sort((a, b) => {
+      const am = base && a.lang.toLowerCase().split('-')[0] === base ? 0 : 1;
+      const bm = base && b.lang.toLowerCase().split('-')[0] === base ? 0 : 1;
+      return am - bm || a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name);
+    });
+  }
+
+  /** Call back when the voice list arrives (most browsers load it asynchronously) */
+  function onVoicesChanged(callback){
+    if (!supportsTTS()) return;
+    if (synth.addEventListener) synth.addEventListener('voiceschanged', callback);
+    else synth.onvoiceschanged = callback;
+  }
+
+  // -- Sentences -----------------------------------------------------------------
+
+  function isSkipped(node, root){
+    for (let el = node.parentNode; el && el !== root; el = el.parentNode) {
+      if (SKIP_TAGS.test((el.localName || '').toLowerCase())) return true;
+    }
+    return false;
+  }
+
+  function blockOf(node, root){
+    let el = node.parentNode;
+    while (el && el !== root && !BLOCK_TAGS.test((el.localName || '').toLowerCase())) el = el.parentNode;
+    return el || root;
+  }
+
+  /** DOM position of a character offset within a run of text nodes */
+  function locate(runs, offset, isEnd){
+    for (let i = 0; i < runs.length; i++) {
+      const run = runs[i];
+      if (offset < run.end || (isEnd && offset === run.end)) return { node: run.node, offset: offset - run.start };
+    }
+    const last = runs[runs.length - 1];
+    return { node: last.node, offset: last.node.nodeValue.length };
+  }
+
+  function sentencesInRuns(doc, runs, out){
+    const text = runs.map(r => r.node.nodeValue).join('');
+    let m;
+    SENTENCE_REGEX.lastIndex = 0;
+    while ((m = SENTENCE_REGEX.exec(text)) !== null) {
+      const spoken = m[0].replace(/\s+/g, ' ').trim();
+      if (!/[\p{L}\p{N}]/u.test(spoken)) continue;
+      const startAt = m.index + (m[0].length - m[0].replace(/^\s+/, '').length);
+      const endAt = m.index + m[0].replace(/\s+$/, '').length;
+      const start = locate(runs, startAt, false);
+      const end = locate(runs, endAt, true);
+      const range = doc.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      out.push({ text: spoken, range: range });
+    }
+  }
+
+  /**
+   * Sentences of an element's text in reading order, each with the DOM Range it
+   * covers (works on any document, including an EPUB section loaded off-screen)
+   * @returns {Array<{text: string, range: Range}>}
+   */
+  function sentences(root){
+    const doc = root.ownerDocument || root;
+    const out = [];
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, null);
+    let runs = [];
+    let block = null;
+    let length = 0;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.nodeValue || isSkipped(node, root)) continue;
+      const nodeBlock = blockOf(node, root);
+      if (nodeBlock !== block && runs.length) {
+        sentencesInRuns(doc, runs, out);
+        runs = [];
+        length = 0;
+      }
+      block = nodeBlock;
+      runs.push({ node: node, start: length, end: length + node.nodeValue.length });
+      length += node.nodeValue.length;
+    }
+    if (runs.length) sentencesInRuns(doc, runs, out);
+    return out;
+  }
+
+  // -- Speaking ------------------------------------------------------------------
+
+  function clearUtter(){
+    if (utter) { try { utter.onend = utter.onerror = null; } catch(_){} }
+    utter = null;
+  }
+
+  /**
+   * Speak one piece of text, replacing anything being spoken.
+   * @param {string} text
+   * @param {Object} options - voice (voiceURI), rate, pitch, lang (used when the
+   *   voice isn't available here), onend(), onerror(event)
+   */
+  function speak(text, options){
+    options = options || {};
+    cancel();
+    const u = new SpeechSynthesisUtterance(text);
+    const voice = options.voice && synth.getVoices().find(v => v.voiceURI === options.voice);
+    if (voice) {
+      u.voice = voice;
+      u.lang = voice.lang;
+    } else if (options.lang) {
+      u.lang = options.lang;
+    }
+    u.rate = clamp('rate', options.rate === undefined ? 1 : options.rate);
+    u.pitch = clamp('pitch', options.pitch === undefined ? 1 : options.pitch);
+    u.onend = () => { utter = null; if (options.onend) options.onend(); };
+    u.onerror = (e) => { utter = null; if (options.onerror) options.onerror(e); };
+    // Keep a reference: Chrome drops the events of a garbage-collected utterance
+    utter = u;
+    synth.speak(u);
+    return u;
+  }
+
+  /** Stop speaking without firing the current utterance's callbacks */
+  function cancel(){
+    clearUtter();
+    try { synth.cancel(); } catch(_){}
+  }
+
+  // -- Injected HTML content -----------------------------------------------------
+
   function splitIntoSentenceSpans(container){
     if (container.querySelector('.tts-s')) {
       spans = Array.from(container.querySelectorAll('.tts-s'));
@@ -61,28 +238,26 @@
   function speakCurrent(){
     if (!spans[idx]) { stop(); return; }
     const text = spans[idx].textContent || '';
-    clearUtter();
-    utter = new SpeechSynthesisUtterance(text);
-    utter.rate = 1.0;
-    utter.onend = () => { idx++; if (playing) speakCurrent(); };
-    utter.onerror = () => { idx++; if (playing) speakCurrent(); };
+    const next = () => { idx++; if (playing) speakCurrent(); };
     highlight(idx);
-    synth.speak(utter);
-  }
-
-  function clearUtter(){
-    if (utter) { try { utter.onend = utter.onerror = null; } catch(_){} }
-    utter = null;
+    speak(text, Object.assign(loadPrefs(), { onend: next, onerror: next }));
   }
 
   function stop(){
     playing = false;
-    try { synth.cancel(); } catch(_){}
-    clearUtter();
+    cancel();
     clearHighlight();
   }
 
   window.BL_TTS = {
+    supported: supportsTTS,
+    sentences,
+    speak,
+    cancel,
+    voices,
+    onVoicesChanged,
+    loadPrefs,
+    savePrefs,
     toggle(container){
       if (!supportsTTS()) { alert('Text-to-Speech is not supported on this browser.'); return false; }
       if (!playing) {
@@ -1,5 +1,22 @@
 /* BookLantern Service Worker (FINAL) */
-const SW_VERSION = 'bl-v3-2025-09-29';
+const SW_VERSION = 'bl-v6-2026-10-19';
+
+// Downloaded books and the offline request queue (BLOffline: bookCacheName, flushQueue)
+importScripts('/public/js/offline-store.js');
+const BOOK_CACHE = self.BLOffline.BOOK_CACHE;
+// Reader pages and reader API answers kept for reading offline. They belong to the
+// signed-in user, so the cache is dropped when the page reports another user
+// (including nobody, after logging out) or /logout is visited.
+const RUNTIME_CACHE = self.BLOffline.RUNTIME_CACHE;
+const RUNTIME_USER_KEY = self.BLOffline.RUNTIME_USER_KEY;
+
+// GETs the reader makes that are worth answering offline (network-first)
+const READER_API = [
+  /^\/api\/reading\/progress\/[^/]+$/,
+  /^\/api\/reading\/favorite\/[^/]+$/,
+  /^\/api\/reader\/settings$/,
+  /^\/api\/reader\/(highlights|bookmarks)\/[^/]+$/
+];
 
 const APP_SHELL = [
   '/',               // homepage
@@ -10,16 +27,21 @@ const APP_SHELL = [
   '/public/js/theme.js',
   '/public/logo.svg',
   '/favicon.ico',
-  '/favicon-16x16.png',
-  '/favicon-32x32.png',
-  '/apple-touch-icon.png',
-  '/site.webmanifest',
-  '/public/offline.html'
+  '/public/favicon-16x16.png',
+  '/public/favicon-32x32.png',
+  '/public/apple-touch-icon.png',
+  '/public/site.webmanifest',
+  '/public/offline.html',
+  '/offline',        // downloaded books
+  '/public/js/offline-store.js',
+  '/public/js/offline-library.js'
 ];
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(SW_VERSION).then((cache) => cache.addAll(APP_SHELL))
+    // Fetched signed out, so the shared shell never holds anyone's account
+    caches.open(SW_VERSION).then((cache) =>
+      cache.addAll(APP_SHELL.map((url) => new Request(url, { credentials: 'omit' }))))
   );
   self.skipWaiting();
 });
@@ -27,7 +49,8 @@ self.addEventListener('install', (event) => {
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((keys) =>
-      Promise.all(keys.map((k) => (k !== SW_VERSION ? caches.delete(k) : null)))
+      // Downloaded books (one cache per user) outlive app updates
+      Promise.all(keys.map((k) => (k !== SW_VERSION && !k.startsWith(BOOK_CACHE + ':') ? caches.delete(k) : null)))
     )
   );
   self.clients.claim();
@@ -42,12 +65,93 @@ function isHTMLNavigation(req) {
   );
 }
 
+/** Only same-origin successes the server lets us keep (no private / no-store) */
+function isCacheable(res) {
+  if (!res.ok || res.type !== 'basic') return false;
+  const cc = (res.headers.get('cache-control') || '').toLowerCase();
+  return !cc.includes('no-store') && !cc.includes('private');
+}
+
+async function putRuntime(req, res) {
+  if (!isCacheable(res)) return;
+  const cache = await caches.open(RUNTIME_CACHE);
+  await cache.put(req, res);
+}
+
+/** Drop the runtime cache unless it was filled for this user ('' = signed out) */
+async function setRuntimeUser(userId) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const marker = await cache.match(RUNTIME_USER_KEY);
+  if (marker && (await marker.text()) === userId) return;
+  await caches.delete(RUNTIME_CACHE);
+  await (await caches.open(RUNTIME_CACHE)).put(RUNTIME_USER_KEY, new Response(userId));
+}
+
+// Each page reports who is signed in (views/partials/head.ejs)
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type === 'session') {
+    event.waitUntil(setRuntimeUser(String(data.userId || '')));
+  }
+});
+
+/** The signed-in user's downloaded copy of a request (book file, cover or reader page), if any */
+async function downloadedCopy(req) {
+  const cache = await caches.open(self.BLOffline.bookCacheName(await self.BLOffline.deviceUserId()));
+  return cache.match(req, { ignoreVary: true, ignoreMethod: true });
+}
+
+/** Offline answer for a page: this user's cached or downloaded copy, or the app shell */
+async function offlineCopy(req) {
+  const runtime = await caches.open(RUNTIME_CACHE);
+  const shell = await caches.open(SW_VERSION);
+  return (await runtime.match(req, { ignoreVary: true })) ||
+    (await downloadedCopy(req)) ||
+    (await shell.match(req, { ignoreVary: true }));
+}
+
 self.addEventListener('fetch', (event) => {
   const req = event.request;
   const url = new URL(req.url);
 
+  // Book files: the downloaded copy when there is one (also answers the reader's
+  // HEAD probes), otherwise straight to the network - books are too big to cache
+  // on the side
+  if (url.origin === location.origin && url.pathname.startsWith('/api/proxy/') &&
+      (req.method === 'GET' || req.method === 'HEAD')) {
+    event.respondWith(
+      (async () => {
+        const copy = await downloadedCopy(req);
+        if (copy) {
+          return req.method === 'HEAD' ? new Response(null, { status: 200, headers: copy.headers }) : copy;
+        }
+        return fetch(req);
+      })()
+    );
+    return;
+  }
+
+  // Logging out: forget the user's reader pages and data before the server does
+  if (url.origin === location.origin && url.pathname === '/logout') {
+    event.respondWith(
+      (async () => {
+        await setRuntimeUser('');
+        return fetch(req);
+      })()
+    );
+    return;
+  }
+
   if (req.method !== 'GET') return;
 
+  // Covers of downloaded books
+  if (url.origin === location.origin && url.pathname.startsWith('/offline/cover/')) {
+    event.respondWith(
+      (async () => (await downloadedCopy(req)) || new Response('', { status: 404 }))()
+    );
+    return;
+  }
+
   // Cache-first for our static assets
   if (
     url.origin === location.origin &&
@@ -63,67 +167,65 @@ self.addEventListener('fetch', (event) => {
         if (cached) return cached;
         try {
           const net = await fetch(req);
-          cache.put(req, net.clone());
+          // A failed fetch mustn't stick until the next SW_VERSION
+          if (net.ok) cache.put(req, net.clone());
           return net;
         } catch {
-          return new Response('', { status: 504 });
+          // Offline: any version of the file beats none (the app shell is precached unversioned)
+          return (await cache.match(req, { ignoreSearch: true })) || new Response('', { status: 504 });
         }
       })()
     );
     return;
   }
 
-  // Cache /read/* navigations for offline resume
-  if (isHTMLNavigation(req) || url.pathname.startsWith('/read/')) {
+  // Pages: network first. Only /read/* (reader pages and the HTML they fetch) is
+  // kept for offline resume; offline, the app shell, downloaded reader pages or
+  // the offline page answer
+  const isReadPath = url.origin === location.origin && url.pathname.startsWith('/read/');
+  if (isHTMLNavigation(req) || isReadPath) {
     event.respondWith(
       (async () => {
         try {
           const net = await fetch(req);
-          const cache = await caches.open(SW_VERSION);
-          cache.put(req, net.clone());
+          // A downloaded book's reader page still opens once its link has expired
+          if (!net.ok) {
+            const copy = await downloadedCopy(req);
+            if (copy) return copy;
+          }
+          if (isReadPath) event.waitUntil(putRuntime(req, net.clone()));
           return net;
         } catch {
-          const cache = await caches.open(SW_VERSION);
-          const cached = await cache.match(req);
-          return cached || cache.match('/public/offline.html');
+          return (await offlineCopy(req)) || caches.match('/public/offline.html');
         }
       })()
     );
     return;
   }
 
-  // Stale-while-revalidate for API/proxy
-  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/proxy')) {
+  // Reader API: network first, so signed-in data is fresh; the last answer is
+  // kept for reading offline (saved position, highlights, reader settings)
+  if (url.origin === location.origin && READER_API.some((re) => re.test(url.pathname))) {
     event.respondWith(
       (async () => {
-        const cache = await caches.open(SW_VERSION);
-        const cached = await cache.match(req);
-        const fetchPromise = fetch(req)
-          .then((net) => {
-            cache.put(req, net.clone());
-            return net;
-          })
-          .catch(() => null);
-        return cached || (await fetchPromise) || new Response('', { status: 504 });
+        try {
+          const net = await fetch(req);
+          event.waitUntil(putRuntime(req, net.clone()));
+          return net;
+        } catch {
+          const cache = await caches.open(RUNTIME_CACHE);
+          return (await cache.match(req)) || new Response('', { status: 504 });
+        }
       })()
     );
     return;
   }
 });
 
-// Background Sync: notify clients to flush offline queue if any
+// Background Sync: send the reading progress and events queued while offline
+// (pages without Background Sync send them on their 'online' event instead)
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'bl-sync') {
-    event.waitUntil(
-      (async () => {
-        const clientsArr = await self.clients.matchAll({
-          includeUncontrolled: true,
-          type: 'window'
-        });
-        for (const client of clientsArr) {
-          client.postMessage({ type: 'BL_SYNC' });
-        }
-      })()
-    );
+  if (event.tag === self.BLOffline.SYNC_TAG) {
+    event.waitUntil(self.BLOffline.flushQueue());
   }
 });
@@ -4,6 +4,9 @@ const router = express.Router();
 
 const supabase    = require('../supabaseAdmin');       // service-role client (or null)
 const ensureAdmin = require('../utils/adminGate');     // header/secret/email gate (no jwt)
+const sources     = require('../lib/sources');         // federated-search source registry
+const searchCache = require('../lib/searchCache');     // per-provider search result cache
+const searchAnalytics = require('../lib/searchAnalytics'); // query log + click-through
 
 // Gate all admin routes
 router.use(ensureAdmin);
@@ -54,6 +57,71 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Federated-search source health: latency percentiles, error rates, breaker state
+router.get('/api/sources/health', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    breaker: { failure_threshold: sources.FAILURE_THRESHOLD, cooldown_ms: sources.COOLDOWN_MS },
+    sources: sources.health(),
+  });
+});
+
+// Manually close a provider's breaker (e.g. after an upstream outage is resolved)
+router.post('/api/sources/:name/reset', (req, res) => {
+  if (!sources.resetBreaker(req.params.name)) {
+    return res.status(404).json({ error: 'unknown_source' });
+  }
+  console.log(`[admin] breaker reset for ${req.params.name}`);
+  res.json({ ok: true });
+});
+
+// Search cache hit/miss counters
+router.get('/api/search/cache', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(searchCache.stats());
+});
+
+// Drop in-memory search cache entries
+router.post('/api/search/cache/clear', (req, res) => {
+  searchCache.clear();
+  console.log('[admin] search cache cleared');
+  res.json({ ok: true });
+});
+
+function analyticsDays(req) {
+  return Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+}
+
+// Search analytics dashboard: top queries, zero-result queries, provider timeouts
+router.get('/search', async (req, res) => {
+  const days = analyticsDays(req);
+  let report = null;
+  let error = null;
+  try {
+    report = await searchAnalytics.getReport({ days });
+  } catch (e) {
+    console.error('[admin] search analytics failed:', e.message || e);
+    error = e.message || 'report_failed';
+  }
+  res.render('admin/search-analytics', { report, days, error });
+});
+
+// Same report as JSON
+router.get('/api/search/analytics', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const report = await searchAnalytics.getReport({
+      days: analyticsDays(req),
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 200),
+    });
+    if (!report) return res.status(404).json({ error: 'analytics_disabled' });
+    res.json(report);
+  } catch (e) {
+    console.error('[admin] search analytics failed:', e.message || e);
+    res.status(500).json({ error: 'report_failed' });
+  }
+});
+
 // Sub-sections (keep consistent with server.js mount points)
 router.use('/books',        require('./admin-books'));
 router.use('/genres',       require('./admin-genres'));       // book genres
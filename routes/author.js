@@ -0,0 +1,110 @@
+// routes/author.js
+// Author pages: /author/:slug shows the author's life years, bio and links from the
+// providers' author records (lib/authors). Their works across providers, with
+// editions clustered, load from GET /api/author/:slug/works, which runs the
+// federated search (findAuthorWorks in routes/search.js).
+//
+// Slugs come from authorSlug() ("Twain, Mark, 1835-1910" → "mark-twain"); link with authorUrl().
+const express = require('express');
+const router = express.Router();
+const { ensureSubscriberApi } = require('../utils/gate');
+const { getAuthorInfo, parseAuthorName, splitAuthors, matchesAuthor, isValidSlug, authorSlug } = require('../lib/authors');
+const cache = require('../lib/cache');
+
+const WORKS_CACHE_TTL_MS = 30 * 60 * 1000;
+const MAX_BIO_DESCRIPTION = 200;
+
+// Search lives in another router; loaded lazily so a failing source module
+// doesn't take the author page down
+function searchRoutes() {
+  return require('./search');
+}
+
+/** Lowercased slug from the path, or null when malformed */
+function parseSlug(req) {
+  const slug = String(req.params.slug || '').toLowerCase();
+  return isValidSlug(slug) ? slug : null;
+}
+
+function lifeYears(info) {
+  if (!info.birth_year && !info.death_year) return null;
+  return `${info.birth_year || '?'}–${info.death_year || ''}`;
+}
+
+/**
+ * GET /author/:slug
+ * Public like the book page; the works list needs a subscription.
+ */
+router.get('/author/:slug', async (req, res) => {
+  const slug = parseSlug(req);
+  if (!slug) return res.status(404).render('404', { pageTitle: 'Author not found' });
+  if (slug !== req.params.slug) return res.redirect(301, `/author/${slug}`);
+
+  try {
+    const author = await getAuthorInfo(slug);
+    const years = lifeYears(author);
+    const description = author.bio
+      ? author.bio.replace(/\s+/g, ' ').slice(0, MAX_BIO_DESCRIPTION)
+      : `Free books by ${author.name} on BookLantern.`;
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.render('author', {
+      pageTitle: `${author.name}${years ? ` (${years})` : ''} • BookLantern`,
+      pageDescription: description,
+      canonicalUrl: `${req.protocol}://${req.get('host')}/author/${slug}`,
+      ogType: 'profile',
+      ogImage: author.photo_url,
+      author,
+      years,
+      worksUrl: `/api/author/${slug}/works`,
+    });
+  } catch (err) {
+    console.error('[author] page error:', err);
+    return res.status(500).render('error', { pageTitle: 'Error', statusCode: 500, message: 'Could not load this author.' });
+  }
+});
+
+/**
+ * GET /api/author/:slug/works
+ * The author's works across providers, editions clustered, most editions first.
+ * Response: { ok, name, works: [...], variants: [...], birth_year, death_year }
+ *   variants: other spellings of the name the works are listed under;
+ *   life years parsed from those listings ("Twain, Mark, 1835-1910"), for authors
+ *   no provider has a record of
+ */
+router.get('/api/author/:slug/works', ensureSubscriberApi, async (req, res) => {
+  const slug = parseSlug(req);
+  if (!slug) return res.status(400).json({ ok: false, error: 'invalid_author' });
+
+  try {
+    const key = `author-works:${slug}`;
+    let result = cache.get(key);
+    if (!result) {
+      const author = await getAuthorInfo(slug);
+      const found = await searchRoutes().findAuthorWorks(author.name);
+
+      const variants = [];
+      let birthYear = null;
+      let deathYear = null;
+      // Co-authors share the listing ("Warner, Charles Dudley; Twain, Mark"); keep this author's part
+      const listings = found.authors.flatMap(splitAuthors).filter(one => matchesAuthor(one, author.name));
+      for (const listed of listings) {
+        const parsed = parseAuthorName(listed);
+        if (authorSlug(listed) !== slug && parsed.name && !variants.includes(parsed.name)) variants.push(parsed.name);
+        if (!birthYear && parsed.birth_year) {
+          birthYear = parsed.birth_year;
+          deathYear = parsed.death_year;
+        }
+      }
+      result = { name: author.name, works: found.works, variants: variants.slice(0, 10), birth_year: birthYear, death_year: deathYear };
+      cache.set(key, result, WORKS_CACHE_TTL_MS);
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[author] works error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+module.exports = router;
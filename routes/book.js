@@ -0,0 +1,161 @@
+// routes/book.js
+// Book page: /book/:provider/:providerId describes one book before it is opened —
+// description, subjects, year, language, license, pages and files (lib/bookDetails),
+// the reader's progress / favorite state, schema.org JSON-LD and OpenGraph tags.
+// Editions across providers and related books load from
+// GET /api/book/:provider/:providerId/editions, which runs the federated search.
+//
+// Links come from buildBookUrl (utils/bookHelpers); its query hints fill in what a
+// provider can't be asked for by id, but never make a page on their own: without a
+// catalog or upstream record the page is a 404.
+const express = require('express');
+const router = express.Router();
+const { ensureSubscriberApi } = require('../utils/gate');
+const { bookKeyVariants, ensureRawProviderId } = require('../utils/bookHelpers');
+const { getBookDetails, buildJsonLd, jsonLdScript } = require('../lib/bookDetails');
+const { getStore } = require('../lib/readingStore');
+const { LANG_NAMES } = require('../lib/searchFilters');
+const { splitAuthors, authorUrl } = require('../lib/authors');
+const { LRUCache } = require('../utils/lru');
+
+const HINT_KEYS = ['title', 'author', 'cover', 'year', 'language', 'format', 'direct_url', 'source_url', 'archive_id'];
+const EDITIONS_CACHE_TTL_MS = 10 * 60 * 1000;
+const EDITIONS_CACHE_SIZE = 1000;
+
+// Editions of books that resolved, keyed by the path (plus any title / author
+// the record lacked and the query filled in)
+const editionsCache = new LRUCache(EDITIONS_CACHE_SIZE);
+
+// Search lives in another router; loaded lazily so a failing source module
+// doesn't take the book page down
+function searchRoutes() {
+  return require('./search');
+}
+
+/** provider / providerId from the path, or null when malformed */
+function parseBookParams(req) {
+  const provider = String(req.params.provider || '').toLowerCase();
+  const providerId = ensureRawProviderId(String(req.params.providerId || '').trim(), 'book page');
+  if (!/^[a-z0-9_-]{1,40}$/.test(provider) || !providerId || providerId.length > 500) return null;
+  return { provider, providerId };
+}
+
+function parseHints(query) {
+  const hints = {};
+  for (const key of HINT_KEYS) {
+    const value = query[key];
+    if (typeof value === 'string' && value.trim()) hints[key] = value.trim().slice(0, 2000);
+  }
+  return hints;
+}
+
+function bookPath(provider, providerId) {
+  return `/book/${encodeURIComponent(provider)}/${encodeURIComponent(providerId)}`;
+}
+
+/** The signed-in reader's progress and favorite for this book (null when signed out) */
+async function loadUserState(userId, bookKey) {
+  if (!userId) return null;
+  const variants = bookKeyVariants(bookKey);
+  const store = getStore();
+  const [progress, favorites] = await Promise.all([
+    store.findProgress(userId, variants),
+    store.findFavorites(userId, variants, 1),
+  ]);
+  return {
+    progress: progress ? Math.round(Number(progress.progress) || 0) : null,
+    resume_url: progress && progress.reader_url ? progress.reader_url : null,
+    last_read_at: progress ? progress.updated_at || null : null,
+    favorited: favorites.length > 0,
+  };
+}
+
+/**
+ * GET /book/:provider/:providerId
+ * Public, so shared links and crawlers get the metadata; reading still goes
+ * through /open, which requires a subscription.
+ */
+router.get('/book/:provider/:providerId', async (req, res) => {
+  const params = parseBookParams(req);
+  if (!params) return res.status(404).render('404', { pageTitle: 'Book not found' });
+
+  try {
+    const book = await getBookDetails(params.provider, params.providerId, parseHints(req.query));
+    if (!book.found) return res.status(404).render('404', { pageTitle: 'Book not found' });
+
+    const user = req.session && req.session.user;
+    let userState = null;
+    try {
+      userState = await loadUserState(user && user.id, book.book_key);
+    } catch (err) {
+      console.warn('[book] user state failed:', err.message);
+    }
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const canonicalUrl = origin + bookPath(params.provider, params.providerId);
+    const languageName = LANG_NAMES[book.language]
+      ? LANG_NAMES[book.language].charAt(0).toUpperCase() + LANG_NAMES[book.language].slice(1)
+      : book.language;
+    const description = book.description
+      ? book.description.replace(/\s+/g, ' ').slice(0, 200)
+      : `Read ${book.title}${book.author ? ' by ' + book.author : ''} free on BookLantern.`;
+
+    res.set('Cache-Control', user ? 'private, no-store' : 'public, max-age=300');
+    return res.render('book', {
+      pageTitle: `${book.title}${book.author ? ' — ' + book.author : ''} • BookLantern`,
+      pageDescription: description,
+      canonicalUrl,
+      ogType: 'book',
+      // A hinted cover is shown on the page but not advertised to link previews
+      ogImage: /^https?:\/\//.test(book.cover_url || '') && !book.hinted.includes('cover_url') ? book.cover_url : null,
+      book,
+      languageName,
+      authors: splitAuthors(book.author).map(name => ({ name, url: authorUrl(name) })),
+      userState,
+      jsonLd: jsonLdScript(buildJsonLd(book, { url: canonicalUrl })),
+      editionsUrl: `/api${bookPath(params.provider, params.providerId)}/editions?` +
+        new URLSearchParams({ title: book.title, author: book.author || '' }).toString(),
+    });
+  } catch (err) {
+    console.error('[book] page error:', err);
+    return res.status(500).render('error', { pageTitle: 'Error', statusCode: 500, message: 'Could not load this book.' });
+  }
+});
+
+/**
+ * GET /api/book/:provider/:providerId/editions?title=&author=
+ * Every known edition of the work (readability-checked) and other works by the author.
+ * title / author are hints like the book page's: they only fill gaps in the record.
+ * Response: { ok, editions: [...], related: [...] }
+ */
+router.get('/api/book/:provider/:providerId/editions', ensureSubscriberApi, async (req, res) => {
+  const params = parseBookParams(req);
+  if (!params) return res.status(400).json({ ok: false, error: 'invalid_book' });
+
+  try {
+    // getBookDetails is cached itself, so this is cheap on a hit
+    const book = await getBookDetails(params.provider, params.providerId, parseHints(req.query));
+    if (!book.found) return res.status(404).json({ ok: false, error: 'not_found' });
+    // A title / author the record lacks came from the query: part of the key then
+    const hinted = ['title', 'author'].filter(field => book.hinted.includes(field)).map(field => `${field}=${book[field]}`);
+    const key = [params.provider, params.providerId, ...hinted].join(':');
+    let result = editionsCache.get(key);
+    if (!result) {
+      const found = await searchRoutes().findWork({
+        provider: params.provider,
+        provider_id: params.providerId,
+        title: book.title,
+        author: book.author,
+      });
+      result = { editions: found.work ? found.work.editions : [], related: found.related };
+      editionsCache.set(key, result, EDITIONS_CACHE_TTL_MS);
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[book] editions error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+module.exports = router;
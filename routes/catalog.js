@@ -1,9 +1,22 @@
 // routes/catalog.js
-// Local catalog search API
-// Searches the Supabase catalog_books table with full-text search
+// Local catalog search and browse API
+// Searches the Supabase catalog_books table with full-text search, and lists it
+// by subject / language / year (lib/catalogBrowse)
 
 const express = require('express');
 const router = express.Router();
+const { parseQuery, keywords, toWebsearch } = require('../lib/searchQuery');
+const { normalizeLanguage, languageVariants } = require('../lib/searchFilters');
+const browse = require('../lib/catalogBrowse');
+const { buildOpenUrl } = require('../utils/bookHelpers');
+const cache = require('../lib/cache');
+
+const SUBJECTS_CACHE_TTL_MS = 10 * 60 * 1000;
+// Rows scanned by the subject-count fallback when the catalog_subjects RPC is missing
+const SUBJECT_SCAN_LIMIT = 5000;
+// Everything normalizeItem() needs (skips the search_tsv vector)
+const BROWSE_COLUMNS = 'id, source, source_id, title, authors, language, published_year, subjects, description, ' +
+  'source_url, cover_url, epub_url, pdf_url, epub_size, pdf_size, license, created_at';
 
 // Lazy-load supabase to allow server startup without catalog
 let supabaseServer = null;
@@ -23,6 +36,7 @@ function getSupabase() {
  * GET /api/catalog/search?q=<query>&limit=<n>
  * 
  * Full-text search on local catalog
+ * q accepts the /api/search syntax (lib/searchQuery), translated for websearch_to_tsquery
  * Returns results normalized to match /api/search item shape
  */
 router.get('/search', async (req, res) => {
@@ -44,15 +58,16 @@ router.get('/search', async (req, res) => {
     
     // Use raw SQL for full-text search with ts_rank ordering
     // websearch_to_tsquery handles natural language queries better
+    const query = parseQuery(q);
     const { data, error } = await supabase.rpc('catalog_search', {
-      search_query: q,
+      search_query: toWebsearch(query),
       result_limit: limit
     });
     
     // If RPC doesn't exist, fall back to simple ILIKE search
     if (error && error.message.includes('function') && error.message.includes('does not exist')) {
       console.log('[catalog] RPC not available, using fallback ILIKE search');
-      return await fallbackSearch(supabase, q, limit, res, startTime);
+      return await fallbackSearch(supabase, keywords(query), limit, res, startTime);
     }
     
     if (error) {
@@ -78,6 +93,137 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/catalog/subjects?language=<lang>&q=<filter>&min_count=<n>&limit=<n>
+ *
+ * Normalized subjects of open-access catalog books with book counts, most common first
+ * Returns { subjects: [{ key, label, count }], language, total }
+ */
+router.get('/subjects', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const language = normalizeLanguage(req.query.language || req.query.lang);
+    const nameFilter = String(req.query.q || '').trim().slice(0, 100) || null;
+    const minCount = Math.min(Math.max(parseInt(req.query.min_count) || 1, 1), 1000);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const cacheKey = `catalog:subjects:${language || ''}|${nameFilter || ''}|${minCount}|${limit}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.json({ subjects: [], total: 0, error: 'catalog_unavailable' });
+    }
+
+    const langs = language ? languageVariants(language) : null;
+    let subjects;
+    const { data, error } = await supabase.rpc('catalog_subjects', {
+      langs,
+      name_filter: nameFilter,
+      min_count: minCount,
+      result_limit: limit,
+    });
+
+    if (error && error.message.includes('function') && error.message.includes('does not exist')) {
+      // RPC not installed: count over a sample of rows
+      console.log('[catalog] catalog_subjects RPC not available, counting in process');
+      let query = supabase.from('catalog_books').select('subjects').eq('open_access', true).not('subjects', 'is', null);
+      if (langs) query = query.in('language', langs);
+      const sample = await query.limit(SUBJECT_SCAN_LIMIT);
+      if (sample.error) {
+        console.error('[catalog] Subjects fallback error:', sample.error.message);
+        return res.status(500).json({ subjects: [], error: 'subjects_failed' });
+      }
+      subjects = browse.countSubjects(sample.data || [], { nameFilter, minCount, limit });
+    } else if (error) {
+      console.error('[catalog] Subjects error:', error.message);
+      return res.status(500).json({ subjects: [], error: 'subjects_failed' });
+    } else {
+      subjects = (data || []).map(r => ({ key: r.key, label: r.label, count: Number(r.book_count) }));
+    }
+
+    const body = { subjects, language, total: subjects.length };
+    cache.set(cacheKey, body, SUBJECTS_CACHE_TTL_MS);
+    console.log(`[catalog] subjects=${subjects.length} elapsed=${Date.now() - startTime}ms`);
+    return res.json(body);
+
+  } catch (err) {
+    console.error('[catalog] Unexpected subjects error:', err);
+    return res.status(500).json({ subjects: [], error: 'subjects_failed' });
+  }
+});
+
+/**
+ * GET /api/catalog/browse?subject=&language=&year_from=&year_to=&sort=&cursor=&limit=
+ *
+ * Open-access catalog books filtered by subject / language / year range, keyset-paginated
+ * sort: title (default) | newest | oldest | recent (recently added)
+ * Returns { items, next_cursor } — pass next_cursor back as cursor for the following page;
+ * it is null on the last page
+ */
+router.get('/browse', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const params = browse.parseBrowseParams(req.query);
+    if (params.error) {
+      return res.status(400).json({ items: [], next_cursor: null, error: params.error });
+    }
+
+    const supabase = getSupabase();
+    if (!supabase) {
+      return res.json({ items: [], next_cursor: null, error: 'catalog_unavailable' });
+    }
+
+    const { column, ascending } = browse.SORTS[params.sort];
+    let query = supabase
+      .from('catalog_books')
+      .select(BROWSE_COLUMNS)
+      .eq('open_access', true);
+    if (params.subject) query = query.filter('subject_keys', 'cs', browse.subjectKeysFilter(params.subject.key));
+    if (params.languages) query = query.in('language', params.languages);
+    if (params.yearFrom) query = query.gte('published_year', params.yearFrom);
+    if (params.yearTo) query = query.lte('published_year', params.yearTo);
+    if (params.cursor) query = query.or(browse.keysetFilter(params.sort, params.cursor));
+
+    // One extra row tells us whether there is a next page
+    const { data, error } = await query
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending: true })
+      .limit(params.limit + 1);
+
+    if (error) {
+      console.error('[catalog] Browse error:', error.message);
+      return res.status(500).json({ items: [], next_cursor: null, error: 'browse_failed' });
+    }
+
+    const rows = (data || []).slice(0, params.limit);
+    const hasMore = (data || []).length > params.limit;
+    const items = rows.map(row => withReaderHref(normalizeItem(row)));
+
+    const elapsed = Date.now() - startTime;
+    console.log(`[catalog] browse subject=${params.subject ? params.subject.key : '-'} ` +
+      `language=${params.language || '-'} sort=${params.sort} hits=${items.length} elapsed=${elapsed}ms`);
+
+    return res.json({
+      items,
+      next_cursor: hasMore && rows.length ? browse.encodeCursor(params.sort, rows[rows.length - 1]) : null,
+      sort: params.sort,
+      subject: params.subject ? params.subject.label : null,
+      language: params.language,
+      year_from: params.yearFrom,
+      year_to: params.yearTo,
+      elapsed_ms: elapsed,
+    });
+
+  } catch (err) {
+    console.error('[catalog] Unexpected browse error:', err);
+    return res.status(500).json({ items: [], next_cursor: null, error: 'browse_failed' });
+  }
+});
+
 /**
  * Fallback search using ILIKE when RPC is not available
  */
@@ -111,10 +257,15 @@ async function fallbackSearch(supabase, q, limit, res, startTime) {
 
 /**
  * Normalize a catalog_books row to match /api/search item shape
+ * Rows whose files were resolved (lib/catalogResolver) carry a direct EPUB/PDF URL
+ * and open in the unified reader; the rest link out to their landing page.
  */
 function normalizeItem(row) {
   // Build the best available access URL
   const accessUrl = row.source_url || row.open_access_url || null;
+  // Prefer EPUB (reflowable) over PDF, like the external token resolver
+  const directUrl = row.epub_url || row.pdf_url || null;
+  const format = row.epub_url ? 'epub' : row.pdf_url ? 'pdf' : (row.format || 'unknown');
   
   return {
     // Provider info
@@ -129,20 +280,22 @@ function normalizeItem(row) {
     year: row.published_year || null,
     language: row.language || 'en',
     
-    // Access info - catalog items link to external source
+    // Access info - landing page, plus the direct file once resolved
     source_url: accessUrl,
     open_access_url: accessUrl,
-    direct_url: null, // Catalog items link to source, not direct download
-    format: row.format || 'unknown',
+    direct_url: directUrl,
+    format,
+    file_size: (row.epub_url ? row.epub_size : row.pdf_size) || null,
+    license: row.license || null,
     
     // Book ID for dedup
     book_id: `catalog:${row.source}:${row.source_id}`,
     
-    // Catalog items are external-only but CLICKABLE if they have source_url
-    external_only: true,
+    // Without a resolved file, catalog items are external-only but CLICKABLE if they have source_url
+    external_only: !directUrl,
     has_external_link: Boolean(accessUrl),
-    readable: false,
-    reason: 'external_reference',
+    readable: Boolean(directUrl),
+    reason: directUrl ? null : 'external_reference',
     
     // Additional metadata
     subjects: row.subjects || null,
@@ -150,6 +303,27 @@ function normalizeItem(row) {
   };
 }
 
+/**
+ * Add the /open link for items readable on-site (search results get theirs from
+ * toPublicItem in routes/search.js)
+ */
+function withReaderHref(item) {
+  if (!item.readable) return { ...item, href: null };
+  return {
+    ...item,
+    href: buildOpenUrl({
+      provider: item.provider,
+      provider_id: item.provider_id,
+      title: item.title,
+      author: item.author,
+      cover: item.cover_url,
+      source_url: item.source_url,
+      direct_url: item.direct_url,
+      format: item.format,
+    }),
+  };
+}
+
 /**
  * Direct search function for use by other modules (e.g., /api/search aggregator)
  */
@@ -169,10 +343,11 @@ async function searchCatalog(q, limit = 25) {
     // Try RPC first, fall back to ILIKE
     let data = null;
     let error = null;
+    const query = parseQuery(q);
     
     try {
       const result = await supabase.rpc('catalog_search', {
-        search_query: q.trim(),
+        search_query: toWebsearch(query),
         result_limit: Math.min(limit, 50)
       });
       data = result.data;
@@ -183,7 +358,7 @@ async function searchCatalog(q, limit = 25) {
     
     // Fallback to ILIKE if RPC fails
     if (error) {
-      const searchPattern = `%${q.trim()}%`;
+      const searchPattern = `%${keywords(query)}%`;
       const result = await supabase
         .from('catalog_books')
         .select('*')
@@ -197,7 +372,7 @@ async function searchCatalog(q, limit = 25) {
     
     if (error) {
       console.error('[catalog] searchCatalog error:', error.message);
-      return { items: [], total: 0 };
+      return { items: [], total: 0, error: error.message };
     }
     
     const elapsed = Date.now() - startTime;
@@ -208,9 +383,34 @@ async function searchCatalog(q, limit = 25) {
     
   } catch (err) {
     console.error('[catalog] searchCatalog unexpected error:', err);
-    return { items: [], total: 0 };
+    return { items: [], total: 0, error: err.message };
+  }
+}
+
+/**
+ * Catalog books whose authors field mentions a surname, for author pages
+ * (findAuthorWorks in routes/search.js narrows them to the author)
+ * @param {string} surname - as written, diacritics included
+ * @returns {Promise<Array>} normalized items
+ */
+async function searchCatalogByAuthor(surname, limit = 100) {
+  const supabase = getSupabase();
+  if (!supabase || !surname || !surname.trim()) return [];
+
+  const pattern = `%${surname.trim().replace(/[%_\\]/g, '\\$&')}%`;
+  const { data, error } = await supabase
+    .from('catalog_books')
+    .select('*')
+    .ilike('authors', pattern)
+    .eq('open_access', true)
+    .limit(limit);
+  if (error) {
+    console.error('[catalog] searchCatalogByAuthor error:', error.message);
+    return [];
   }
+  return (data || []).map(normalizeItem);
 }
 
 module.exports = router;
 module.exports.searchCatalog = searchCatalog;
+module.exports.searchCatalogByAuthor = searchCatalogByAuthor;
@@ -5,7 +5,7 @@ const router = express.Router();
 const { ensureAuthenticated } = require('../middleware/auth');
 const { ensureSubscriber } = require('../utils/gate');
 const { buildReaderToken } = require('../utils/buildReaderToken');
-const supabase = require('../lib/supabaseServer');
+const { getStore } = require('../lib/readingStore');
 const { extractArchiveId, buildOpenUrl, normalizeMeta, isNumericOnly, stripPrefixes, isBorrowRequiredArchive, isEncryptedFile, repairFavoriteMeta, ensureRawProviderId, stripBlPrefix, resolveDirectUrl } = require('../utils/bookHelpers');
 
 // Safe fetch: use globalThis.fetch (Node 18+) or dynamic import node-fetch
@@ -146,16 +146,12 @@ router.get('/favorites', ensureSubscriber, async (req, res) => {
       return res.redirect('/login?next=/favorites');
     }
 
-    // Fetch favorites from Supabase
-    const { data: items, error } = await supabase
-      .from('reading_favorites')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(100);
-
-    if (error) {
-      console.error('[favorites] supabase error:', error);
+    // Same store as /api/reading (Supabase, or in-memory/file locally)
+    let items;
+    try {
+      items = await getStore().listFavorites(userId, 100);
+    } catch (error) {
+      console.error('[favorites] store error:', error);
       return res.status(500).render('error', {
         pageTitle: 'Error',
         statusCode: 500,
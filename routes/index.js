@@ -263,6 +263,15 @@ router.get('/read', require('../utils/gate').ensureSubscriber, async (req, res)
   return res.render('read', { staffPicks });
 });
 
+// Browse the local catalog by subject / language / year (data from /api/catalog/browse)
+router.get('/read/browse', require('../utils/gate').ensureSubscriber, (req, res) => {
+  const { LANG_NAMES } = require('../lib/searchFilters');
+  const languages = Object.entries(LANG_NAMES)
+    .map(([code, name]) => ({ code, name: name.charAt(0).toUpperCase() + name.slice(1) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return res.render('browse', { languages });
+});
+
 // -----------------------------
 // Static pages
 // -----------------------------
@@ -270,5 +279,7 @@ router.get('/about', (_req, res) => res.render('about', {}));
 router.get('/contact', (_req, res) => res.render('contact', {}));
 router.get('/privacy', (_req, res) => res.render('privacy', {}));
 router.get('/terms',   (_req, res) => res.render('terms', {}));
+// Books downloaded on this device (listed from the browser's storage by offline-library.js)
+router.get('/offline', (_req, res) => res.render('offline', {}));
 
 module.exports = router;
@@ -0,0 +1,352 @@
+// routes/opds.js
+// OPDS catalog for e-reader apps (lib/opds):
+//   /opds/<key>/...      OPDS 1.2 (Atom XML)
+//   /opds/<key>/v2/...   OPDS 2.0 (JSON)
+// <key> is the user's personal feed key; GET /api/opds hands it out to the
+// logged-in user (account page) and POST /api/opds/reset replaces it. Every feed
+// request re-checks the key version and the user's subscription (lib/opdsFeedKeys).
+//
+// Feeds: curated shelves, trending, the user's favorites and continue-reading
+// lists, and search (OpenSearch description for 1.2, templated link for 2.0)
+// backed by the same pipeline as /api/search.
+const express = require('express');
+const router = express.Router();
+const { ensureSubscriberApi } = require('../utils/gate');
+const { ensureRawProviderId, repairFavoriteMeta } = require('../utils/bookHelpers');
+const { getStore } = require('../lib/readingStore');
+const { parseFilters } = require('../lib/searchFilters');
+const { parseQuery, keywords, withQueryFilters } = require('../lib/searchQuery');
+const opds = require('../lib/opds');
+const { getFeedKeyStore } = require('../lib/opdsFeedKeys');
+const { LRUCache } = require('../utils/lru');
+const supabase = require('../supabaseAdmin'); // service-role, may be null
+
+const SHELF_LIMIT = 100;
+const LIST_LIMIT = 50;
+const TRENDING_DAYS = 7;
+// Key version + subscription per user, so a client paging through a feed doesn't
+// hit the auth API on every request. A reset takes effect at once on this process.
+const ACCESS_TTL_MS = 60 * 1000;
+const accessCache = new LRUCache(1000);
+
+// Search + trending live in other routers; loaded lazily so a failing source
+// module doesn't take the whole catalog down
+function searchRoutes() {
+  return require('./search');
+}
+function readingRoutes() {
+  return require('./reading');
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** reading_progress / reading_favorites / trending row → lib/opds book */
+function fromReadingRow(row) {
+  const repaired = repairFavoriteMeta({ ...row, source: row.source || '' });
+  return {
+    provider: (repaired.source || 'unknown').toLowerCase(),
+    provider_id: ensureRawProviderId(repaired._provider_id || row.book_key || row.bookKey, 'opds'),
+    title: row.title,
+    author: row.author,
+    cover: row.cover,
+    reader_url: row.reader_url || row.readerUrl || '',
+    source_url: repaired._source_url || '',
+    direct_url: repaired._direct_url || '',
+    format: repaired._format || '',
+    updated: row.updated_at || row.created_at || null,
+  };
+}
+
+/** video_and_curated_books_catalog row → lib/opds book */
+function fromCuratedRow(row) {
+  return {
+    provider: row.provider || 'unknown',
+    provider_id: row.provider_id || '',
+    title: row.title,
+    author: row.author,
+    cover: row.cover || row.cover_image || '',
+    summary: row.description || null,
+    direct_url: row.direct_url || '',
+    format: row.format || '',
+    archive_id: row.archive_id || '',
+    source_url: row.source_url || '',
+    updated: row.created_at || null,
+  };
+}
+
+/** Curated rows grouped by genre_slug, in first-seen (newest) order */
+async function loadShelves() {
+  if (!supabase) return [];
+  const { data, error } = await supabase
+    .from('video_and_curated_books_catalog')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(500);
+  if (error) throw new Error(`curated shelves: ${error.message}`);
+  const shelves = new Map();
+  for (const row of data || []) {
+    const slug = row.genre_slug || 'misc';
+    if (!shelves.has(slug)) shelves.set(slug, { slug, title: row.genre_name || slug.charAt(0).toUpperCase() + slug.slice(1), rows: [] });
+    shelves.get(slug).rows.push(row);
+  }
+  return [...shelves.values()];
+}
+
+/** Send a feed model as OPDS 1.2 or 2.0, depending on the mount point */
+function sendFeed(req, res, feed) {
+  const root = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const urls = { origin: `${req.protocol}://${req.get('host')}`, root, self: req.url.replace(/^\//, '') };
+  res.set('Cache-Control', 'private, no-store');
+  if (req.opdsVersion === 2) {
+    return res.type(opds.MIME.opds2).send(JSON.stringify(opds.renderOpds2(feed, urls)));
+  }
+  return res.type(opds.MIME[feed.kind]).send(opds.renderAtom(feed, urls));
+}
+
+function sendError(res, tag, err) {
+  console.error(`[opds] ${tag} error:`, err);
+  res.set('Cache-Control', 'no-store');
+  return res.status(500).type('text/plain').send('Catalog temporarily unavailable');
+}
+
+// ---------------------------------------------------------------------------
+// Feed key auth
+// ---------------------------------------------------------------------------
+
+/** @returns {Promise<{ version: number, subscriber: boolean }>} */
+async function feedAccess(userId) {
+  const cached = accessCache.get(userId);
+  if (cached) return cached;
+  const store = getFeedKeyStore();
+  const [version, subscriber] = await Promise.all([store.getVersion(userId), store.isSubscriber(userId)]);
+  const access = { version, subscriber };
+  accessCache.set(userId, access, ACCESS_TTL_MS);
+  return access;
+}
+
+function authFeed(version) {
+  return async (req, res, next) => {
+    const key = opds.verifyFeedKey(req.params.key);
+    if (!key) return res.status(401).type('text/plain').send('Invalid OPDS feed key');
+    let access;
+    try {
+      access = await feedAccess(key.userId);
+    } catch (err) {
+      return sendError(res, 'feed key', err);
+    }
+    if (access.version !== key.version) {
+      return res.status(401).type('text/plain').send('This feed URL was reset. Copy the new one from your BookLantern account page.');
+    }
+    if (!access.subscriber) return res.status(403).type('text/plain').send('A BookLantern subscription is required');
+    req.opdsUserId = key.userId;
+    req.opdsVersion = version;
+    return next();
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Feeds
+// ---------------------------------------------------------------------------
+
+const feeds = express.Router({ mergeParams: true });
+
+/** Root navigation feed */
+feeds.get('/', (req, res) => {
+  sendFeed(req, res, {
+    id: 'urn:booklantern:opds:root',
+    title: 'BookLantern',
+    kind: 'navigation',
+    navigation: [
+      { title: 'Curated shelves', href: 'shelves', summary: 'Staff picks by subject', kind: 'navigation' },
+      { title: 'Trending', href: 'trending', summary: `Most read on BookLantern in the last ${TRENDING_DAYS} days`, kind: 'acquisition' },
+      { title: 'Continue reading', href: 'continue', summary: 'Books you have started', kind: 'acquisition' },
+      { title: 'Favorites', href: 'favorites', summary: 'Books you saved', kind: 'acquisition' },
+    ],
+  });
+});
+
+/** Curated shelves (navigation) */
+feeds.get('/shelves', async (req, res) => {
+  try {
+    const shelves = await loadShelves();
+    return sendFeed(req, res, {
+      id: 'urn:booklantern:opds:shelves',
+      title: 'Curated shelves',
+      kind: 'navigation',
+      up: '',
+      navigation: shelves.map(shelf => ({
+        title: shelf.title,
+        href: 'shelves/' + encodeURIComponent(shelf.slug),
+        summary: `${shelf.rows.length} ${shelf.rows.length === 1 ? 'book' : 'books'}`,
+        kind: 'acquisition',
+      })),
+    });
+  } catch (err) {
+    return sendError(res, 'shelves', err);
+  }
+});
+
+/** One curated shelf */
+feeds.get('/shelves/:slug', async (req, res) => {
+  try {
+    const shelf = (await loadShelves()).find(s => s.slug === req.params.slug);
+    if (!shelf) return res.status(404).type('text/plain').send('Shelf not found');
+    return sendFeed(req, res, {
+      id: `urn:booklantern:opds:shelf:${shelf.slug}`,
+      title: shelf.title,
+      kind: 'acquisition',
+      up: 'shelves',
+      publications: shelf.rows.slice(0, SHELF_LIMIT).map(row => opds.toPublication(fromCuratedRow(row))),
+    });
+  } catch (err) {
+    return sendError(res, 'shelf', err);
+  }
+});
+
+/** Trending (same ranking as GET /api/reading/trending) */
+feeds.get('/trending', async (req, res) => {
+  try {
+    const since = new Date(Date.now() - TRENDING_DAYS * 24 * 60 * 60 * 1000);
+    const events = await getStore().listEvents({ since, types: ['open', 'read_30s'] });
+    const trending = readingRoutes().rankEvents(events, LIST_LIMIT);
+    return sendFeed(req, res, {
+      id: 'urn:booklantern:opds:trending',
+      title: 'Trending',
+      kind: 'acquisition',
+      up: '',
+      publications: trending.map(item => opds.toPublication(fromReadingRow(item))),
+    });
+  } catch (err) {
+    return sendError(res, 'trending', err);
+  }
+});
+
+/** The user's continue-reading list */
+feeds.get('/continue', async (req, res) => {
+  try {
+    const rows = await getStore().listProgress(req.opdsUserId, LIST_LIMIT);
+    return sendFeed(req, res, {
+      id: 'urn:booklantern:opds:continue',
+      title: 'Continue reading',
+      kind: 'acquisition',
+      up: '',
+      publications: (rows || []).map(row => opds.toPublication(fromReadingRow(row))),
+    });
+  } catch (err) {
+    return sendError(res, 'continue', err);
+  }
+});
+
+/** The user's favorites */
+feeds.get('/favorites', async (req, res) => {
+  try {
+    const rows = await getStore().listFavorites(req.opdsUserId, SHELF_LIMIT);
+    return sendFeed(req, res, {
+      id: 'urn:booklantern:opds:favorites',
+      title: 'Favorites',
+      kind: 'acquisition',
+      up: '',
+      publications: (rows || []).map(row => opds.toPublication(fromReadingRow(row))),
+    });
+  } catch (err) {
+    return sendError(res, 'favorites', err);
+  }
+});
+
+/**
+ * Search: ?q= (OpenSearch) or ?query= (OPDS 2.0 template), &page=, plus the
+ * /api/search filter params. Results come from the /api/search pipeline.
+ */
+feeds.get('/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || req.query.query || '').slice(0, 200);
+    const query = parseQuery(q);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const feed = {
+      id: 'urn:booklantern:opds:search:' + encodeURIComponent(q),
+      title: q ? `Search: ${q}` : 'Search',
+      kind: 'acquisition',
+      up: '',
+      publications: [],
+    };
+    if (keywords(query)) {
+      const filters = withQueryFilters(parseFilters(req.query), query);
+      const result = await searchRoutes().searchPage({ q, query, page, filters }, { mode: 'opds', searcherId: req.opdsUserId });
+      feed.publications = result.items.map(item => opds.toPublication({
+        provider: item.provider,
+        provider_id: item.provider_id,
+        title: item.title,
+        author: item.author,
+        cover: item.cover_url,
+        language: item.language,
+        year: item.year,
+        // Only files the search verified as readable are offered for download
+        direct_url: item.readable ? item.direct_url : '',
+        format: item.format,
+        source_url: item.source_url,
+        open_url: item.href || item.open_access_url,
+      }));
+      const pageHref = n => 'search?' + new URLSearchParams({ q, page: String(n) }).toString();
+      if (result.hasMore) feed.next = pageHref(page + 1);
+      if (page > 1) feed.prev = pageHref(page - 1);
+    }
+    return sendFeed(req, res, feed);
+  } catch (err) {
+    return sendError(res, 'search', err);
+  }
+});
+
+/** OpenSearch description (OPDS 1.2) */
+feeds.get('/opensearch.xml', (req, res) => {
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.type(opds.MIME.opensearch).send(opds.renderOpenSearch({ root: `${req.protocol}://${req.get('host')}${req.baseUrl}` }));
+});
+
+router.use('/opds/:key/v2', authFeed(2), feeds);
+router.use('/opds/:key', authFeed(1), feeds);
+
+/** Personal catalog URLs for a key version */
+function feedUrls(req, userId, version) {
+  const root = `${req.protocol}://${req.get('host')}/opds/${opds.feedKey(userId, version)}`;
+  return { opds1: root, opds2: `${root}/v2` };
+}
+
+/**
+ * GET /api/opds
+ * The logged-in user's personal catalog URLs for e-reader apps.
+ * Response: { ok, opds1, opds2 }
+ */
+router.get('/api/opds', ensureSubscriberApi, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const version = await getFeedKeyStore().getVersion(userId);
+    res.set('Cache-Control', 'private, no-store');
+    return res.json({ ok: true, ...feedUrls(req, userId, version) });
+  } catch (err) {
+    console.error('[opds] feed key error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+/**
+ * POST /api/opds/reset
+ * Replace the user's feed key; URLs handed out before stop working.
+ * Response: { ok, opds1, opds2 }
+ */
+router.post('/api/opds/reset', ensureSubscriberApi, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const version = await getFeedKeyStore().rotate(userId);
+    accessCache.delete(userId);
+    console.log(`[opds] feed key reset for ${userId} (version ${version})`);
+    res.set('Cache-Control', 'private, no-store');
+    return res.json({ ok: true, ...feedUrls(req, userId, version) });
+  } catch (err) {
+    console.error('[opds] feed key reset error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+module.exports = router;
@@ -4,59 +4,15 @@ const { URL } = require('url');
 const { ensureSubscriber, ensureSubscriberApi } = require('../utils/gate');
 const { verifyReaderToken } = require('../utils/buildReaderToken');
 const supabaseAdmin = require('../supabaseAdmin');
+const { getStore } = require('../lib/readingStore');
+const { bookKeyVariants, buildOpenUrl, normalizeMeta } = require('../utils/bookHelpers');
+const annotationExport = require('../lib/annotationExport');
+const readerSettings = require('../lib/readerSettings');
+const { isAllowedProxyDomain, isAllowedExternalDomain } = require('../lib/allowedDomains');
+const { resolveLandingFiles } = require('../lib/landingFiles');
 
 const router = express.Router();
 
-// Allowed domains for EPUB proxying (security whitelist)
-const ALLOWED_PROXY_DOMAINS = [
-  'www.gutenberg.org',
-  'gutenberg.org',
-  'archive.org',
-  'openlibrary.org',
-  'covers.openlibrary.org',
-  'loc.gov',
-  'tile.loc.gov',
-  'download.loc.gov',
-  // OAPEN / DOAB (open access books)
-  'library.oapen.org',
-  'oapen.org',
-  'directory.doabooks.org',
-  'doabooks.org',
-  // OpenStax (open textbooks)
-  'openstax.org',
-  'assets.openstax.org',
-  'cnx.org',
-  'd3bxy9euw4e147.cloudfront.net', // OpenStax CDN
-  // HathiTrust
-  'babel.hathitrust.org',
-  'hathitrust.org',
-];
-
-// Check if URL domain is allowed for proxying
-function isAllowedProxyDomain(urlString) {
-  try {
-    const parsed = new URL(urlString);
-    const hostname = parsed.hostname.toLowerCase();
-    
-    return ALLOWED_PROXY_DOMAINS.some(domain => {
-      if (hostname === domain) return true;
-      // Allow subdomains of certain domains
-      if (hostname.endsWith('.archive.org')) return true;
-      if (hostname.endsWith('.loc.gov')) return true;
-      if (hostname.endsWith('.gutenberg.org')) return true;
-      if (hostname.endsWith('.oapen.org')) return true;
-      if (hostname.endsWith('.doabooks.org')) return true;
-      if (hostname.endsWith('.openstax.org')) return true;
-      if (hostname.endsWith('.cnx.org')) return true;
-      if (hostname.endsWith('.hathitrust.org')) return true;
-      if (hostname.endsWith('.cloudfront.net')) return true; // OpenStax CDN
-      return false;
-    });
-  } catch {
-    return false;
-  }
-}
-
 const PROXY_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0 Safari/537.36 BookLantern/1.0';
 const PROXY_ACCEPT = 'application/epub+zip,application/octet-stream;q=0.9,application/xhtml+xml;q=0.8,*/*;q=0.8';
 const FETCH_TIMEOUT_MS = 45000;
@@ -300,27 +256,6 @@ function setCachedExternalMeta(url, data) {
   });
 }
 
-// Allowlist for external resolution (OAPEN/DOAB/CATALOG)
-const EXTERNAL_RESOLVE_ALLOWLIST = [
-  'library.oapen.org',
-  'oapen.org',
-  'directory.doabooks.org',
-  'doabooks.org',
-  'www.doabooks.org',
-];
-
-function isAllowedExternalDomain(urlString) {
-  try {
-    const parsed = new URL(urlString);
-    const hostname = parsed.hostname.toLowerCase();
-    return EXTERNAL_RESOLVE_ALLOWLIST.some(domain => 
-      hostname === domain || hostname.endsWith('.' + domain)
-    );
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Resolve a landing page URL to a direct PDF link
  * @param {string} landingUrl - The landing page URL to resolve
@@ -612,281 +547,6 @@ router.get('/api/external/meta', async (req, res) => {
   }
 });
 
-// ============================================================================
-// PROVIDER-SPECIFIC EXTRACTORS FOR /api/external/token
-// ============================================================================
-
-/**
- * Helper: Normalize relative URL to absolute
- */
-function toAbsoluteUrl(href, baseUrl) {
-  if (!href) return null;
-  href = href.trim();
-  if (!href) return null;
-  if (href.startsWith('http://') || href.startsWith('https://')) return href;
-  try {
-    return new URL(href, baseUrl).toString();
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Helper: Check if URL is a thumbnail/derivative (not actual content)
- */
-function isThumbnailOrDerivative(href) {
-  if (!href) return true;
-  const lower = href.toLowerCase();
-  // Thumbnail patterns: .pdf.jpg, .pdf.png, etc.
-  if (/\.pdf\.(jpg|jpeg|png|gif|webp|svg)(\?|$)/i.test(lower)) return true;
-  // Image file extensions
-  if (/\.(jpg|jpeg|png|gif|webp|svg)(\?|$)/i.test(lower)) return true;
-  // Explicit thumbnail markers
-  if (lower.includes('_thumb') || lower.includes('thumbnail')) return true;
-  // Preview/cover paths (unless in bitstream)
-  if ((lower.includes('/cover/') || lower.includes('preview')) && !lower.includes('/bitstream/')) return true;
-  return false;
-}
-
-/**
- * Helper: Validate candidate URL via HEAD request
- * Returns { valid: true, contentType } or { valid: false }
- */
-async function validateCandidateUrl(url) {
-  try {
-    const response = await fetchWithTimeout(url, 10000, {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': '*/*',
-      'Accept-Encoding': 'identity',
-    }, 'HEAD');
-    
-    if (!response.ok) {
-      return { valid: false, reason: `HTTP ${response.status}` };
-    }
-    
-    const contentType = (response.headers.get('content-type') || '').toLowerCase();
-    const isPdf = contentType.includes('application/pdf');
-    const isEpub = contentType.includes('application/epub+zip') || contentType.includes('application/epub');
-    const isOctet = contentType.includes('application/octet-stream');
-    
-    if (isPdf) return { valid: true, contentType: 'application/pdf', format: 'pdf' };
-    if (isEpub) return { valid: true, contentType: 'application/epub+zip', format: 'epub' };
-    // Accept octet-stream if URL has .pdf or .epub extension
-    if (isOctet) {
-      const urlLower = url.toLowerCase();
-      if (urlLower.includes('.pdf')) return { valid: true, contentType, format: 'pdf' };
-      if (urlLower.includes('.epub')) return { valid: true, contentType, format: 'epub' };
-    }
-    
-    return { valid: false, reason: `Content-Type: ${contentType}` };
-  } catch (err) {
-    return { valid: false, reason: err.message };
-  }
-}
-
-/**
- * OAPEN Extractor (library.oapen.org)
- * Extracts downloadable files from OAPEN landing pages
- */
-async function extractOapenFiles(landingUrl, html) {
-  const candidates = [];
-  const seenUrls = new Set();
-  
-  // 1. citation_pdf_url meta tag (most reliable)
-  const citationPdfMatch = html.match(/<meta\s+(?:name|property)=["']citation_pdf_url["']\s+content=["']([^"']+)["']/i)
-                        || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_pdf_url["']/i);
-  if (citationPdfMatch?.[1]) {
-    const url = toAbsoluteUrl(citationPdfMatch[1], landingUrl);
-    if (url && !seenUrls.has(url)) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'pdf', source: 'citation_pdf_url' });
-    }
-  }
-  
-  // 2. citation_epub_url meta tag
-  const citationEpubMatch = html.match(/<meta\s+(?:name|property)=["']citation_epub_url["']\s+content=["']([^"']+)["']/i)
-                         || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_epub_url["']/i);
-  if (citationEpubMatch?.[1]) {
-    const url = toAbsoluteUrl(citationEpubMatch[1], landingUrl);
-    if (url && !seenUrls.has(url)) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'epub', source: 'citation_epub_url' });
-    }
-  }
-  
-  // 3. JSON-LD contentUrl / encoding.contentUrl
-  const jsonLdMatches = html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
-  for (const match of jsonLdMatches) {
-    try {
-      const jsonData = JSON.parse(match[1]);
-      const contentUrls = [];
-      if (jsonData.contentUrl) contentUrls.push(jsonData.contentUrl);
-      if (jsonData.encoding?.contentUrl) contentUrls.push(jsonData.encoding.contentUrl);
-      if (Array.isArray(jsonData.encoding)) {
-        jsonData.encoding.forEach(enc => enc.contentUrl && contentUrls.push(enc.contentUrl));
-      }
-      for (const rawUrl of contentUrls) {
-        const url = toAbsoluteUrl(rawUrl, landingUrl);
-        if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
-          seenUrls.add(url);
-          const lower = url.toLowerCase();
-          if (lower.includes('.epub')) {
-            candidates.push({ url, format: 'epub', source: 'json-ld' });
-          } else if (lower.includes('.pdf')) {
-            candidates.push({ url, format: 'pdf', source: 'json-ld' });
-          }
-        }
-      }
-    } catch { /* ignore parse errors */ }
-  }
-  
-  // 4. <a href> containing "/bitstream/" and ending with .pdf or .epub
-  const bitstreamPattern = /href=["']([^"']*\/bitstream\/[^"']*)["']/gi;
-  let match;
-  while ((match = bitstreamPattern.exec(html)) !== null) {
-    const url = toAbsoluteUrl(match[1], landingUrl);
-    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
-    seenUrls.add(url);
-    const lower = url.toLowerCase();
-    const path = lower.split('?')[0].split('#')[0];
-    if (path.endsWith('.epub')) {
-      candidates.push({ url, format: 'epub', source: 'bitstream' });
-    } else if (path.endsWith('.pdf')) {
-      candidates.push({ url, format: 'pdf', source: 'bitstream' });
-    }
-  }
-  
-  // 5. Any href ending with .pdf or .epub (fallback)
-  const hrefPattern = /href=["']([^"']+)["']/gi;
-  while ((match = hrefPattern.exec(html)) !== null) {
-    const url = toAbsoluteUrl(match[1], landingUrl);
-    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
-    const lower = url.toLowerCase();
-    const path = lower.split('?')[0].split('#')[0];
-    if (path.endsWith('.epub')) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'epub', source: 'href' });
-    } else if (path.endsWith('.pdf')) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'pdf', source: 'href' });
-    }
-  }
-  
-  return candidates;
-}
-
-/**
- * DOAB/DSpace Extractor (directory.doabooks.org)
- * Extracts downloadable files from DOAB/DSpace landing pages
- */
-async function extractDoabFiles(landingUrl, html) {
-  const candidates = [];
-  const seenUrls = new Set();
-  
-  // 1. citation_pdf_url meta tag
-  const citationPdfMatch = html.match(/<meta\s+(?:name|property)=["']citation_pdf_url["']\s+content=["']([^"']+)["']/i)
-                        || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_pdf_url["']/i);
-  if (citationPdfMatch?.[1]) {
-    const url = toAbsoluteUrl(citationPdfMatch[1], landingUrl);
-    if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'pdf', source: 'citation_pdf_url' });
-    }
-  }
-  
-  // 2. citation_epub_url meta tag
-  const citationEpubMatch = html.match(/<meta\s+(?:name|property)=["']citation_epub_url["']\s+content=["']([^"']+)["']/i)
-                         || html.match(/<meta\s+content=["']([^"']+)["']\s+(?:name|property)=["']citation_epub_url["']/i);
-  if (citationEpubMatch?.[1]) {
-    const url = toAbsoluteUrl(citationEpubMatch[1], landingUrl);
-    if (url && !seenUrls.has(url) && !isThumbnailOrDerivative(url)) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'epub', source: 'citation_epub_url' });
-    }
-  }
-  
-  // 3. DSpace bitstream links - collect all hrefs/srcs containing "/bitstream/"
-  // Accept candidates without extensions too (verify via HEAD later)
-  const bitstreamPattern = /(?:href|src)=["']([^"']*\/bitstream\/[^"']*)["']/gi;
-  let match;
-  while ((match = bitstreamPattern.exec(html)) !== null) {
-    const url = toAbsoluteUrl(match[1], landingUrl);
-    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
-    seenUrls.add(url);
-    
-    const lower = url.toLowerCase();
-    const path = lower.split('?')[0].split('#')[0];
-    
-    if (path.endsWith('.epub')) {
-      candidates.push({ url, format: 'epub', source: 'bitstream' });
-    } else if (path.endsWith('.pdf')) {
-      candidates.push({ url, format: 'pdf', source: 'bitstream' });
-    } else if (!path.match(/\.(jpg|jpeg|png|gif|webp|svg|html|htm|xml|css|js)$/)) {
-      // No extension or unknown - mark for HEAD validation
-      candidates.push({ url, format: 'unknown', source: 'bitstream', needsValidation: true });
-    }
-  }
-  
-  // 4. Any href ending with .pdf or .epub (broader search)
-  const hrefPattern = /href=["']([^"']+)["']/gi;
-  while ((match = hrefPattern.exec(html)) !== null) {
-    const url = toAbsoluteUrl(match[1], landingUrl);
-    if (!url || seenUrls.has(url) || isThumbnailOrDerivative(url)) continue;
-    const lower = url.toLowerCase();
-    const path = lower.split('?')[0].split('#')[0];
-    if (path.endsWith('.epub')) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'epub', source: 'href' });
-    } else if (path.endsWith('.pdf')) {
-      seenUrls.add(url);
-      candidates.push({ url, format: 'pdf', source: 'href' });
-    }
-  }
-  
-  return candidates;
-}
-
-/**
- * Validate candidates via HEAD requests and return verified files
- */
-async function validateCandidates(candidates, maxCandidates = 10) {
-  const validatedFiles = [];
-  const toValidate = candidates.slice(0, maxCandidates);
-  
-  for (const candidate of toValidate) {
-    // Skip validation for known formats unless marked needsValidation
-    if (!candidate.needsValidation && (candidate.format === 'pdf' || candidate.format === 'epub')) {
-      // Still do a quick HEAD to confirm it's accessible
-      const result = await validateCandidateUrl(candidate.url);
-      if (result.valid) {
-        validatedFiles.push({
-          url: candidate.url,
-          format: result.format || candidate.format,
-          source: candidate.source,
-          validated: true,
-        });
-      } else {
-        console.log(`[externalToken] HEAD failed for ${candidate.url}: ${result.reason}`);
-      }
-    } else if (candidate.needsValidation) {
-      // Unknown format - must validate via HEAD
-      const result = await validateCandidateUrl(candidate.url);
-      if (result.valid && result.format) {
-        validatedFiles.push({
-          url: candidate.url,
-          format: result.format,
-          source: candidate.source,
-          validated: true,
-        });
-      } else {
-        console.log(`[externalToken] HEAD validation failed for ${candidate.url}: ${result.reason}`);
-      }
-    }
-  }
-  
-  return validatedFiles;
-}
-
 // POST /api/external/token
 // Resolves landing page to downloadable files and mints a signed token
 router.post('/api/external/token', async (req, res) => {
@@ -922,70 +582,24 @@ router.post('/api/external/token', async (req, res) => {
   const isDoab = landing_url.includes('directory.doabooks.org');
   const providerName = isOapen ? 'OAPEN' : isDoab ? 'DOAB' : 'unknown';
   
-  let candidates = [];
-  let resolvedCoverUrl = cover_url || null;
-  
-  try {
-    // Fetch the landing page HTML
-    console.log(`[externalToken] Fetching landing page: ${landing_url}`);
-    const response = await fetchWithTimeout(landing_url, 15000, {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9',
-    });
-
-    if (!response.ok) {
-      console.error(`[externalToken] Failed to fetch landing page: HTTP ${response.status}`);
-      return res.json(makeResponse(false, 'fetch_failed'));
-    }
-
-    const html = await response.text();
-    
-    // Use provider-specific extractor
-    if (isOapen) {
-      candidates = await extractOapenFiles(landing_url, html);
-    } else if (isDoab) {
-      candidates = await extractDoabFiles(landing_url, html);
-    } else {
-      // Generic fallback: try both extractors
-      candidates = await extractOapenFiles(landing_url, html);
-      if (candidates.length === 0) {
-        candidates = await extractDoabFiles(landing_url, html);
-      }
-    }
-    
-    console.log(`[externalToken] ${providerName}: Found ${candidates.length} candidates from HTML`);
-    candidates.slice(0, 10).forEach((c, i) => {
-      console.log(`  ${i + 1}. [${c.format}] ${c.url} (via ${c.source})${c.needsValidation ? ' [needs validation]' : ''}`);
-    });
-
-    // Extract cover if not provided
-    if (!resolvedCoverUrl) {
-      const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i)
-                        || html.match(/<meta\s+content=["']([^"']+)["']\s+property=["']og:image["']/i);
-      if (ogImageMatch?.[1]) {
-        const ogUrl = ogImageMatch[1].trim();
-        if (ogUrl && !ogUrl.toLowerCase().endsWith('.pdf')) {
-          resolvedCoverUrl = toAbsoluteUrl(ogUrl, landing_url);
-        }
-      }
-    }
-  } catch (err) {
-    console.error(`[externalToken] fetch error for ${landing_url}:`, err.message);
-    return res.json(makeResponse(false, 'fetch_error'));
+  // Fetch the landing page, run the provider-specific extractor, HEAD-validate candidates
+  console.log(`[externalToken] Fetching landing page: ${landing_url}`);
+  const resolved = await resolveLandingFiles(landing_url, { maxCandidates: 10, logTag: 'externalToken' });
+  if (resolved.error === 'fetch_failed' || resolved.error === 'fetch_error') {
+    return res.json(makeResponse(false, resolved.error));
   }
-
-  // Validate candidates via HEAD requests
-  console.log(`[externalToken] Validating ${Math.min(candidates.length, 10)} candidates via HEAD...`);
-  const validatedFiles = await validateCandidates(candidates, 10);
+  const { candidates, files: validatedFiles } = resolved;
+  const resolvedCoverUrl = cover_url || resolved.cover_url || null;
   
+  console.log(`[externalToken] ${providerName}: Found ${candidates.length} candidates from HTML`);
+  candidates.slice(0, 10).forEach((c, i) => {
+    console.log(`  ${i + 1}. [${c.format}] ${c.url} (via ${c.source})${c.needsValidation ? ' [needs validation]' : ''}`);
+  });
   console.log(`[externalToken] ${providerName}: ${validatedFiles.length} validated files`);
   validatedFiles.forEach(f => console.log(`  - [${f.format}] ${f.url} (via ${f.source})`));
 
   // Choose best file: prefer EPUB > PDF
-  const epubFile = validatedFiles.find(f => f.format === 'epub');
-  const pdfFile = validatedFiles.find(f => f.format === 'pdf');
-  const bestFile = epubFile || pdfFile;
+  const bestFile = resolved.epub || resolved.pdf;
 
   if (!bestFile) {
     // Diagnostics: log what we considered
@@ -1448,16 +1062,31 @@ router.get('/api/reader/progress/:book_id', ensureSubscriber, async (req, res) =
   }
 });
 
+// Highlight colors the reader offers; anything else falls back to yellow
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+const NOTE_MAX_LENGTH = 5000;
+// Annotation ids are uuid columns; anything else would fail the cast in Postgres
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function normalizeHighlightColor(color) {
+  return HIGHLIGHT_COLORS.includes(color) ? color : 'yellow';
+}
+
+/** Chapter title shown when annotations are exported (from the EPUB's TOC) */
+function normalizeChapter(chapter) {
+  return typeof chapter === 'string' && chapter.trim() ? chapter.trim().slice(0, 300) : null;
+}
+
 // POST /api/reader/bookmark
-router.post('/api/reader/bookmark', ensureSubscriber, async (req, res) => {
+router.post('/api/reader/bookmark', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
   try {
     const userId = req.session.user.id;
-    const { book_id, cfi, label } = req.body;
+    const { book_id, cfi, label, chapter } = req.body;
     if (!book_id || !cfi) return res.status(400).json({ error: 'Missing required fields' });
     
     const { data, error } = await supabaseAdmin.from('bookmarks').insert({
-      user_id: userId, book_id, cfi, label: label || 'Bookmark',
+      user_id: userId, book_id, cfi, label: label || 'Bookmark', chapter: normalizeChapter(chapter),
       created_at: new Date().toISOString(),
     }).select().single();
     
@@ -1470,7 +1099,7 @@ router.post('/api/reader/bookmark', ensureSubscriber, async (req, res) => {
 });
 
 // GET /api/reader/bookmarks/:book_id
-router.get('/api/reader/bookmarks/:book_id', ensureSubscriber, async (req, res) => {
+router.get('/api/reader/bookmarks/:book_id', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
   try {
     const userId = req.session.user.id;
@@ -1485,16 +1114,57 @@ router.get('/api/reader/bookmarks/:book_id', ensureSubscriber, async (req, res)
   }
 });
 
+// PATCH /api/reader/bookmark/:id
+router.patch('/api/reader/bookmark/:id', ensureSubscriberApi, async (req, res) => {
+  if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Bookmark not found' });
+  try {
+    const userId = req.session.user.id;
+    const { label } = req.body;
+    if (typeof label !== 'string') return res.status(400).json({ error: 'Missing required fields' });
+
+    const { data, error } = await supabaseAdmin.from('bookmarks').update({
+      label: label.trim().slice(0, 200) || 'Bookmark',
+      updated_at: new Date().toISOString(),
+    }).eq('user_id', userId).eq('id', req.params.id).select().maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Bookmark not found' });
+    return res.json(data);
+  } catch (error) {
+    console.error('[reader/bookmark] error:', error);
+    return res.status(500).json({ error: 'Failed to update bookmark' });
+  }
+});
+
+// DELETE /api/reader/bookmark/:id
+router.delete('/api/reader/bookmark/:id', ensureSubscriberApi, async (req, res) => {
+  if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Bookmark not found' });
+  try {
+    const userId = req.session.user.id;
+    const { data, error } = await supabaseAdmin.from('bookmarks').delete()
+      .eq('user_id', userId).eq('id', req.params.id).select('id');
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ error: 'Bookmark not found' });
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('[reader/bookmark] error:', error);
+    return res.status(500).json({ error: 'Failed to delete bookmark' });
+  }
+});
+
 // POST /api/reader/highlight
-router.post('/api/reader/highlight', ensureSubscriber, async (req, res) => {
+router.post('/api/reader/highlight', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
   try {
     const userId = req.session.user.id;
-    const { book_id, cfi, text, color } = req.body;
+    const { book_id, cfi, text, color, note, chapter } = req.body;
     if (!book_id || !cfi || !text) return res.status(400).json({ error: 'Missing required fields' });
     
     const { data, error } = await supabaseAdmin.from('highlights').insert({
-      user_id: userId, book_id, cfi, text, color: color || 'yellow',
+      user_id: userId, book_id, cfi, text, color: normalizeHighlightColor(color), chapter: normalizeChapter(chapter),
+      note: typeof note === 'string' && note.trim() ? note.trim().slice(0, NOTE_MAX_LENGTH) : null,
       created_at: new Date().toISOString(),
     }).select().single();
     
@@ -1507,7 +1177,7 @@ router.post('/api/reader/highlight', ensureSubscriber, async (req, res) => {
 });
 
 // GET /api/reader/highlights/:book_id
-router.get('/api/reader/highlights/:book_id', ensureSubscriber, async (req, res) => {
+router.get('/api/reader/highlights/:book_id', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
   try {
     const userId = req.session.user.id;
@@ -1522,33 +1192,169 @@ router.get('/api/reader/highlights/:book_id', ensureSubscriber, async (req, res)
   }
 });
 
-// POST /api/reader/settings
-router.post('/api/reader/settings', ensureSubscriber, async (req, res) => {
+// PATCH /api/reader/highlight/:id - change color and/or note
+router.patch('/api/reader/highlight/:id', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Highlight not found' });
   try {
     const userId = req.session.user.id;
-    const { font_size, theme, font_family, line_height } = req.body;
-    const { error } = await supabaseAdmin.from('reader_settings').upsert({
-      user_id: userId, font_size, theme, font_family, line_height,
-      updated_at: new Date().toISOString(),
-    }, { onConflict: 'user_id' });
+    const { color, note } = req.body;
+    const patch = {};
+    if (color !== undefined) patch.color = normalizeHighlightColor(color);
+    if (note !== undefined) {
+      patch.note = typeof note === 'string' && note.trim() ? note.trim().slice(0, NOTE_MAX_LENGTH) : null;
+    }
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nothing to update' });
+    patch.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin.from('highlights').update(patch)
+      .eq('user_id', userId).eq('id', req.params.id).select().maybeSingle();
+
     if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Highlight not found' });
+    return res.json(data);
+  } catch (error) {
+    console.error('[reader/highlight] error:', error);
+    return res.status(500).json({ error: 'Failed to update highlight' });
+  }
+});
+
+// DELETE /api/reader/highlight/:id
+router.delete('/api/reader/highlight/:id', ensureSubscriberApi, async (req, res) => {
+  if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Highlight not found' });
+  try {
+    const userId = req.session.user.id;
+    const { data, error } = await supabaseAdmin.from('highlights').delete()
+      .eq('user_id', userId).eq('id', req.params.id).select('id');
+    if (error) throw error;
+    if (!data || !data.length) return res.status(404).json({ error: 'Highlight not found' });
     return res.json({ success: true });
+  } catch (error) {
+    console.error('[reader/highlight] error:', error);
+    return res.status(500).json({ error: 'Failed to delete highlight' });
+  }
+});
+
+// GET /api/reader/annotations/export?format=md|json|csv[&book_id=...]
+// Highlights, notes and bookmarks of one book (book_id) or the whole account.
+// format=csv is the Readwise import layout.
+router.get('/api/reader/annotations/export', ensureSubscriberApi, async (req, res) => {
+  if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  const format = annotationExport.FORMATS[String(req.query.format || 'md').toLowerCase()];
+  if (!format) return res.status(400).json({ error: 'format must be md, json or csv' });
+  try {
+    const userId = req.session.user.id;
+    const bookId = typeof req.query.book_id === 'string' && req.query.book_id ? req.query.book_id : null;
+
+    const byBook = query => (bookId ? query.eq('book_id', bookId) : query);
+    const [highlightsRes, bookmarksRes] = await Promise.all([
+      byBook(supabaseAdmin.from('highlights').select('*').eq('user_id', userId)),
+      byBook(supabaseAdmin.from('bookmarks').select('*').eq('user_id', userId)),
+    ]);
+    if (highlightsRes.error) throw highlightsRes.error;
+    if (bookmarksRes.error) throw bookmarksRes.error;
+    const highlights = highlightsRes.data || [];
+    const bookmarks = bookmarksRes.data || [];
+
+    const bookIds = [...new Set([...highlights, ...bookmarks].map(a => a.book_id))];
+    const books = await loadAnnotatedBookMeta(userId, bookIds, `${req.protocol}://${req.get('host')}`);
+
+    const exported = annotationExport.buildExport({ highlights, bookmarks, books });
+    const exportedAt = new Date();
+    const slug = bookId && exported[0]
+      ? exported[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'book'
+      : 'all-books';
+    const filename = `booklantern-annotations-${slug}-${exportedAt.toISOString().slice(0, 10)}.${format.ext}`;
+
+    res.setHeader('Content-Type', format.type);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(format.render(exported, { exportedAt }));
+  } catch (error) {
+    console.error('[reader/annotations/export] error:', error);
+    return res.status(500).json({ error: 'Failed to export annotations' });
+  }
+});
+
+/**
+ * Title/author/link for annotated books from the user's favorites and
+ * reading progress (annotations only store the bookKey)
+ * @returns {Promise<Object<string, object>>} book_id → metadata
+ */
+async function loadAnnotatedBookMeta(userId, bookIds, origin) {
+  const meta = {};
+  if (!bookIds.length) return meta;
+  const store = getStore();
+  const variantsOf = new Map(bookIds.map(id => [id, bookKeyVariants(id)]));
+  const allVariants = [...new Set([].concat(...variantsOf.values()))];
+
+  let favorites = [];
+  let progress = [];
+  try {
+    [favorites, progress] = await Promise.all([
+      store.findFavorites(userId, allVariants),
+      store.listProgress(userId, 500),
+    ]);
+  } catch (err) {
+    // Export still works with bare book ids
+    console.warn('[reader/annotations/export] book metadata unavailable:', err.message);
+  }
+
+  for (const [bookId, variants] of variantsOf) {
+    const fav = favorites.find(r => variants.includes(r.book_key));
+    const prog = progress.find(r => variants.includes(r.book_key));
+    const row = fav || prog;
+    if (!row) continue;
+    // Same /open link the shelves build (stored reader_url is the source URL)
+    const openUrl = buildOpenUrl(normalizeMeta({
+      provider: row.source,
+      provider_id: row.book_key,
+      title: row.title,
+      author: row.author,
+      cover: row.cover,
+      source_url: row.reader_url,
+    }));
+    meta[bookId] = {
+      title: row.title,
+      author: row.author || '',
+      source: row.source || '',
+      url: openUrl ? origin + openUrl : '',
+      progress: prog && prog.progress !== null ? Number(prog.progress) : null,
+    };
+  }
+  return meta;
+}
+
+// POST /api/reader/settings - partial update of typography/theme (lib/readerSettings)
+router.post('/api/reader/settings', ensureSubscriberApi, async (req, res) => {
+  if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
+  try {
+    const userId = req.session.user.id;
+    const patch = readerSettings.normalizeSettings(req.body);
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nothing to update' });
+    const { data, error } = await supabaseAdmin.from('reader_settings').upsert({
+      user_id: userId, ...patch,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' }).select().single();
+    if (error) throw error;
+    return res.json({ success: true, settings: readerSettings.settingsFromRow(data) });
   } catch (error) {
     console.error('[reader/settings] error:', error);
     return res.status(500).json({ error: 'Failed to save settings' });
   }
 });
 
-// GET /api/reader/settings
-router.get('/api/reader/settings', ensureSubscriber, async (req, res) => {
+// GET /api/reader/settings - the account's settings, defaults filled in
+// (updated_at is null when the user never saved any)
+router.get('/api/reader/settings', ensureSubscriberApi, async (req, res) => {
   if (!supabaseAdmin) return res.status(500).json({ error: 'Database not available' });
   try {
     const userId = req.session.user.id;
     const { data, error } = await supabaseAdmin.from('reader_settings').select('*')
       .eq('user_id', userId).maybeSingle();
     if (error) throw error;
-    return res.json(data || {});
+    return res.json(readerSettings.settingsFromRow(data));
   } catch (error) {
     console.error('[reader/settings] error:', error);
     return res.status(500).json({ error: 'Failed to get settings' });
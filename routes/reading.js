@@ -1,20 +1,38 @@
 // routes/reading.js
 // API routes for reading progress, favorites, events, trending, and recommendations
-// Uses Supabase PostgreSQL for data storage
+// Storage goes through lib/readingStore (Supabase, or in-memory/file for local runs)
 const express = require('express');
 const router = express.Router();
 const { ensureSubscriberApi } = require('../utils/gate');
 const { canonicalBookKey, buildOpenUrl, extractArchiveId, normalizeMeta, isNumericOnly, stripPrefixes, bookKeyVariants, repairFavoriteMeta, stripBlPrefix, ensureRawProviderId, resolveDirectUrl, isEncryptedFile, isBorrowRequiredArchive } = require('../utils/bookHelpers');
 const { buildReaderToken } = require('../utils/buildReaderToken');
 
-// Supabase client for database operations
-const supabase = require('../lib/supabaseServer');
+const { getStore } = require('../lib/readingStore');
 
 // Helper to get user ID from session
 function getUserId(req) {
   return req.session?.user?.id || null;
 }
 
+/**
+ * Requests replayed from the offline queue (public/js/offline-store.js) name the
+ * user they were made for ('' = signed out); any other session gets 409 and the
+ * client keeps the request for later.
+ */
+function checkQueuedFor(req, res, next) {
+  const queuedFor = req.get('x-bl-queued-for');
+  if (queuedFor === undefined || queuedFor === (getUserId(req) || '')) return next();
+  return res.status(409).json({ ok: false, error: 'user_mismatch' });
+}
+
+// Store failures → 500 database_error, anything else → 500 server_error (always JSON)
+function sendError(res, tag, err) {
+  const isStoreError = err && err.code === 'READING_STORE_ERROR';
+  console.error(`[${tag}] ${isStoreError ? 'store' : 'unhandled'} error:`, err);
+  try { return res.status(500).json({ ok: false, error: isStoreError ? 'database_error' : 'server_error' }); }
+  catch (_) { /* headers already sent */ }
+}
+
 // ============================================================================
 // READING PROGRESS ENDPOINTS
 // ============================================================================
@@ -24,7 +42,7 @@ function getUserId(req) {
  * Save/update reading progress for a book
  * Body: { bookKey, source?, title, author?, cover?, lastLocation, progress?, readerUrl? }
  */
-router.post('/progress', ensureSubscriberApi, async (req, res) => {
+router.post('/progress', ensureSubscriberApi, checkQueuedFor, async (req, res) => {
   try {
     const userId = getUserId(req);
     if (!userId) {
@@ -53,36 +71,20 @@ router.post('/progress', ensureSubscriberApi, async (req, res) => {
 
     const progressValue = typeof progress === 'number' ? Math.min(100, Math.max(0, progress)) : 0;
 
-    // Upsert reading progress using Supabase
-    const { error } = await supabase
-      .from('reading_progress_v2')
-      .upsert({
-        user_id: userId,
-        book_key: canonKey,
-        source: source || 'unknown',
-        title: title,
-        author: author || '',
-        cover: cover || '',
-        last_location: lastLocation || '',
-        progress: progressValue,
-        reader_url: readerUrl || '',
-        updated_at: new Date().toISOString()
-      }, { 
-        onConflict: 'user_id,book_key',
-        ignoreDuplicates: false 
-      });
-
-    if (error) {
-      console.error('[reading/progress] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    await getStore().upsertProgress(userId, {
+      book_key: canonKey,
+      source: source || 'unknown',
+      title: title,
+      author: author || '',
+      cover: cover || '',
+      last_location: lastLocation || '',
+      progress: progressValue,
+      reader_url: readerUrl || ''
+    });
 
     return res.json({ ok: true });
   } catch (err) {
-    console.error('[reading/progress] unhandled error:', err);
-    // Always return JSON, never drop the connection
-    try { return res.status(500).json({ ok: false, error: 'server_error' }); }
-    catch (_) { /* headers already sent */ }
+    return sendError(res, 'reading/progress', err);
   }
 });
 
@@ -100,17 +102,7 @@ router.get('/continue', ensureSubscriberApi, async (req, res) => {
 
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
 
-    const { data: items, error } = await supabase
-      .from('reading_progress_v2')
-      .select('*')
-      .eq('user_id', userId)
-      .order('updated_at', { ascending: false })
-      .limit(limit);
-
-    if (error) {
-      console.error('[reading/continue] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    const items = await getStore().listProgress(userId, limit);
 
     // Deduplicate by provider+provider_id first, then by normalized title
     const seenKeys = new Set();
@@ -166,8 +158,7 @@ router.get('/continue', ensureSubscriberApi, async (req, res) => {
       }) // Bug B: do NOT filter — return all items
     });
   } catch (err) {
-    console.error('[reading/continue] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/continue', err);
   }
 });
 
@@ -197,22 +188,12 @@ router.delete('/continue/:bookKey', ensureSubscriberApi, async (req, res) => {
       variants.add('archive-' + stripped);
     }
 
-    const { error } = await supabase
-      .from('reading_progress_v2')
-      .delete()
-      .eq('user_id', userId)
-      .in('book_key', [...variants]);
-
-    if (error) {
-      console.error('[reading/continue DELETE] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    await getStore().deleteProgress(userId, [...variants]);
 
     console.log(`[reading/continue DELETE] removed bookKey=${bookKey} for user=${userId}`);
     return res.json({ ok: true, removed: true });
   } catch (err) {
-    console.error('[reading/continue DELETE] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/continue DELETE', err);
   }
 });
 
@@ -227,21 +208,12 @@ router.delete('/continue', ensureSubscriberApi, async (req, res) => {
       return res.status(401).json({ ok: false, error: 'auth_required' });
     }
 
-    const { error } = await supabase
-      .from('reading_progress_v2')
-      .delete()
-      .eq('user_id', userId);
-
-    if (error) {
-      console.error('[reading/continue DELETE ALL] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    await getStore().deleteProgress(userId);
 
     console.log(`[reading/continue DELETE ALL] cleared for user=${userId}`);
     return res.json({ ok: true, cleared: true });
   } catch (err) {
-    console.error('[reading/continue DELETE ALL] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/continue DELETE ALL', err);
   }
 });
 
@@ -260,19 +232,7 @@ router.get('/progress/:bookKey', ensureSubscriberApi, async (req, res) => {
     
     // Look up by exact key first, then by all canonical variants
     const variants = bookKeyVariants(bookKey);
-    const { data: rows, error } = await supabase
-      .from('reading_progress_v2')
-      .select('*')
-      .eq('user_id', userId)
-      .in('book_key', variants)
-      .limit(1);
-
-    if (error && error.code !== 'PGRST116') {
-      console.error('[reading/progress/:bookKey] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
-
-    const progress = rows && rows.length > 0 ? rows[0] : null;
+    const progress = await getStore().findProgress(userId, variants);
     if (!progress) {
       return res.json({ ok: true, found: false });
     }
@@ -284,8 +244,7 @@ router.get('/progress/:bookKey', ensureSubscriberApi, async (req, res) => {
       progress: progress.progress
     });
   } catch (err) {
-    console.error('[reading/progress/:bookKey] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/progress/:bookKey', err);
   }
 });
 
@@ -367,19 +326,12 @@ router.post('/favorite', ensureSubscriberApi, async (req, res) => {
     const variantSet = new Set([...rawVariants, ...canonVariants, ...resolvedVariants, canonKey, bookKey, resolvedKey]);
     const variants = [...variantSet];
 
-    const { data: existingRows } = await supabase
-      .from('reading_favorites')
-      .select('id, book_key')
-      .eq('user_id', userId)
-      .in('book_key', variants);
+    const store = getStore();
+    const existingRows = await store.findFavorites(userId, variants);
     
-    if (existingRows && existingRows.length > 0) {
+    if (existingRows.length > 0) {
       // Remove ALL duplicate/variant favorites (toggle off)
-      const ids = existingRows.map(r => r.id);
-      await supabase
-        .from('reading_favorites')
-        .delete()
-        .in('id', ids);
+      await store.deleteFavorites(userId, { ids: existingRows.map(r => r.id) });
       return res.json({ ok: true, favorited: false, canonicalBookKey: canonKey });
     }
 
@@ -402,52 +354,28 @@ router.post('/favorite', ensureSubscriberApi, async (req, res) => {
     }
 
     // Add favorite (toggle on) — upsert with canonical bookKey
-    // First, defensively delete any stale variant rows to prevent unique violations
-    // (handles edge cases where variants didn't catch an old format)
-    const { error } = await supabase
-      .from('reading_favorites')
-      .upsert({
-        user_id: userId,
-        book_key: canonKey,
-        source: source || 'unknown',
-        title: title,
-        author: author || '',
-        cover: cover || '',
-        reader_url: enrichedReaderUrl,
-        category: category || ''
-      }, {
-        onConflict: 'user_id,book_key',
-        ignoreDuplicates: false
-      });
-
-    if (error) {
-      // Handle duplicate key race condition gracefully — re-read instead of failing
-      if (error.code === '23505') {
-        return res.json({ ok: true, favorited: true });
-      }
-      console.error('[reading/favorite] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    // (a duplicate-key race is treated as success by the store)
+    await store.upsertFavorite(userId, {
+      book_key: canonKey,
+      source: source || 'unknown',
+      title: title,
+      author: author || '',
+      cover: cover || '',
+      reader_url: enrichedReaderUrl,
+      category: category || ''
+    });
 
     // Async cleanup: consolidate any old variant-key rows into the canonical key
     // This removes duplicates left over from before the canonical-key fix
     const nonCanonVariants = variants.filter(v => v !== canonKey);
     if (nonCanonVariants.length > 0) {
-      supabase
-        .from('reading_favorites')
-        .delete()
-        .eq('user_id', userId)
-        .in('book_key', nonCanonVariants)
-        .then(({ error: ce }) => {
-          if (ce) console.error('[reading/favorite] variant cleanup err:', ce);
-        })
-        .catch(() => {});
+      store.deleteFavorites(userId, { bookKeys: nonCanonVariants })
+        .catch(ce => console.error('[reading/favorite] variant cleanup err:', ce));
     }
 
     return res.json({ ok: true, favorited: true, canonicalBookKey: canonKey });
   } catch (err) {
-    console.error('[reading/favorite] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/favorite', err);
   }
 });
 
@@ -465,17 +393,7 @@ router.get('/favorites', ensureSubscriberApi, async (req, res) => {
 
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
 
-    const { data: items, error } = await supabase
-      .from('reading_favorites')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) {
-      console.error('[reading/favorites] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    const items = await getStore().listFavorites(userId, limit);
 
     // --- Dedup by canonical bookKey (keep first = most recent) ---
     // Also collect DB-level duplicate IDs for async cleanup
@@ -594,15 +512,9 @@ router.get('/favorites', ensureSubscriberApi, async (req, res) => {
     // Async cleanup: delete DB-level duplicate rows (fire-and-forget)
     if (duplicateIds.length > 0) {
       console.log(`[reading/favorites] cleaning up ${duplicateIds.length} duplicate(s) for user=${userId}`);
-      supabase
-        .from('reading_favorites')
-        .delete()
-        .in('id', duplicateIds)
-        .then(({ error: delErr }) => {
-          if (delErr) console.error('[reading/favorites] dedup cleanup error:', delErr);
-          else console.log(`[reading/favorites] cleaned ${duplicateIds.length} duplicate(s)`);
-        })
-        .catch(() => {});
+      getStore().deleteFavorites(userId, { ids: duplicateIds })
+        .then(() => console.log(`[reading/favorites] cleaned ${duplicateIds.length} duplicate(s)`))
+        .catch(delErr => console.error('[reading/favorites] dedup cleanup error:', delErr));
     }
 
     return res.json({
@@ -610,8 +522,7 @@ router.get('/favorites', ensureSubscriberApi, async (req, res) => {
       items: dedupedItems
     });
   } catch (err) {
-    console.error('[reading/favorites] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/favorites', err);
   }
 });
 
@@ -685,14 +596,9 @@ router.post('/favorites/resolve', ensureSubscriberApi, async (req, res) => {
 
     // Load the favorite (check all variants)
     const variants = bookKeyVariants(bookKey);
-    const { data: rows } = await supabase
-      .from('reading_favorites')
-      .select('*')
-      .eq('user_id', userId)
-      .in('book_key', variants)
-      .limit(1);
-
-    const fav = rows && rows.length > 0 ? rows[0] : null;
+    const rows = await getStore().findFavorites(userId, variants, 1);
+
+    const fav = rows.length > 0 ? rows[0] : null;
     if (!fav) return res.status(404).json({ ok: false, error: 'favorite_not_found' });
 
     // Repair + normalize
@@ -760,10 +666,7 @@ router.post('/favorites/resolve', ensureSubscriberApi, async (req, res) => {
 
       // Update stored source if it changed
       if (rProv !== 'unknown' && rProv !== fav.source) {
-        await supabase
-          .from('reading_favorites')
-          .update({ source: rProv })
-          .eq('id', fav.id);
+        await getStore().updateFavorite(userId, fav.id, { source: rProv });
       }
 
       // Build fresh token
@@ -795,8 +698,7 @@ router.post('/favorites/resolve', ensureSubscriberApi, async (req, res) => {
 
     return res.json({ ok: false, resolved: false, reason: 'cannot_resolve_direct_url' });
   } catch (err) {
-    console.error('[reading/favorites/resolve] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/favorites/resolve', err);
   }
 });
 
@@ -813,18 +715,11 @@ router.get('/favorite/:bookKey', ensureSubscriberApi, async (req, res) => {
 
     const { bookKey } = req.params;
     const variants = bookKeyVariants(bookKey);
-    const { data: existing } = await supabase
-      .from('reading_favorites')
-      .select('id')
-      .eq('user_id', userId)
-      .in('book_key', variants)
-      .limit(1)
-      .maybeSingle();
-
-    return res.json({ ok: true, favorited: !!existing });
+    const existing = await getStore().findFavorites(userId, variants, 1);
+
+    return res.json({ ok: true, favorited: existing.length > 0 });
   } catch (err) {
-    console.error('[reading/favorite/:bookKey] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/favorite/:bookKey', err);
   }
 });
 
@@ -837,7 +732,7 @@ router.get('/favorite/:bookKey', ensureSubscriberApi, async (req, res) => {
  * Log a reading event for trending/recommendations
  * Body: { bookKey, type, title?, author?, cover?, source?, category?, readerUrl? }
  */
-router.post('/event', async (req, res) => {
+router.post('/event', checkQueuedFor, async (req, res) => {
   try {
     // Events can be logged even for non-logged-in users (anonymous tracking)
     const userId = getUserId(req) || 'anonymous';
@@ -851,29 +746,21 @@ router.post('/event', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'invalid event type' });
     }
 
-    const { error } = await supabase
-      .from('reading_events')
-      .insert({
-        user_id: userId,
-        book_key: bookKey,
-        type: type,
-        title: title || '',
-        author: author || '',
-        cover: cover || '',
-        source: source || 'unknown',
-        category: category || '',
-        reader_url: readerUrl || ''
-      });
-
-    if (error) {
-      console.error('[reading/event] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    await getStore().insertEvent({
+      user_id: userId,
+      book_key: bookKey,
+      type: type,
+      title: title || '',
+      author: author || '',
+      cover: cover || '',
+      source: source || 'unknown',
+      category: category || '',
+      reader_url: readerUrl || ''
+    });
 
     return res.json({ ok: true });
   } catch (err) {
-    console.error('[reading/event] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/event', err);
   }
 });
 
@@ -881,6 +768,40 @@ router.post('/event', async (req, res) => {
 // TRENDING ENDPOINT
 // ============================================================================
 
+/**
+ * Aggregate open/read_30s events per bookKey and rank them (read_30s counts double)
+ * @returns {Array} top `limit` books with opens, reads and score
+ */
+function rankEvents(events, limit) {
+  const bookScores = {};
+  for (const event of events) {
+    const key = event.book_key;
+    if (!bookScores[key]) {
+      bookScores[key] = {
+        bookKey: key,
+        title: event.title,
+        author: event.author,
+        cover: event.cover,
+        source: event.source,
+        readerUrl: event.reader_url,
+        category: event.category,
+        opens: 0,
+        reads: 0
+      };
+    }
+    if (event.type === 'open') bookScores[key].opens++;
+    if (event.type === 'read_30s') bookScores[key].reads++;
+  }
+
+  return Object.values(bookScores)
+    .map(item => ({
+      ...item,
+      score: item.opens + (item.reads * 2)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
 /**
  * GET /api/reading/trending
  * Get trending books based on recent events
@@ -895,55 +816,16 @@ router.get('/trending', async (req, res) => {
     cutoff.setDate(cutoff.getDate() - days);
 
     // Query events from last N days and aggregate in JS
-    // (Supabase doesn't support complex aggregations directly)
-    const { data: events, error } = await supabase
-      .from('reading_events')
-      .select('*')
-      .gte('created_at', cutoff.toISOString())
-      .in('type', ['open', 'read_30s']);
-
-    if (error) {
-      console.error('[reading/trending] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
-
-    // Aggregate events by bookKey
-    const bookScores = {};
-    for (const event of (events || [])) {
-      const key = event.book_key;
-      if (!bookScores[key]) {
-        bookScores[key] = {
-          bookKey: key,
-          title: event.title,
-          author: event.author,
-          cover: event.cover,
-          source: event.source,
-          readerUrl: event.reader_url,
-          category: event.category,
-          opens: 0,
-          reads: 0
-        };
-      }
-      if (event.type === 'open') bookScores[key].opens++;
-      if (event.type === 'read_30s') bookScores[key].reads++;
-    }
-
-    // Calculate scores and sort
-    const trending = Object.values(bookScores)
-      .map(item => ({
-        ...item,
-        score: item.opens + (item.reads * 2)
-      }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+    // (the store only filters; scoring is shared with recommendations)
+    const events = await getStore().listEvents({ since: cutoff, types: ['open', 'read_30s'] });
+    const trending = rankEvents(events, limit);
 
     return res.json({
       ok: true,
       items: trending
     });
   } catch (err) {
-    console.error('[reading/trending] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/trending', err);
   }
 });
 
@@ -967,11 +849,7 @@ router.get('/recommendations', async (req, res) => {
     }
 
     // First, get the category of the reference book from events
-    const { data: sourceEvents } = await supabase
-      .from('reading_events')
-      .select('category, source')
-      .eq('book_key', bookKey)
-      .limit(1);
+    const sourceEvents = await getStore().listEvents({ bookKey, limit: 1 });
 
     const sourceCategory = sourceEvents?.[0]?.category || '';
 
@@ -983,47 +861,13 @@ router.get('/recommendations', async (req, res) => {
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - 30); // Look at last 30 days
 
-    const { data: events, error } = await supabase
-      .from('reading_events')
-      .select('*')
-      .eq('category', sourceCategory)
-      .neq('book_key', bookKey)
-      .gte('created_at', cutoff.toISOString())
-      .in('type', ['open', 'read_30s']);
-
-    if (error) {
-      console.error('[reading/recommendations] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
-
-    // Aggregate and score
-    const bookScores = {};
-    for (const event of (events || [])) {
-      const key = event.book_key;
-      if (!bookScores[key]) {
-        bookScores[key] = {
-          bookKey: key,
-          title: event.title,
-          author: event.author,
-          cover: event.cover,
-          source: event.source,
-          readerUrl: event.reader_url,
-          category: event.category,
-          opens: 0,
-          reads: 0
-        };
-      }
-      if (event.type === 'open') bookScores[key].opens++;
-      if (event.type === 'read_30s') bookScores[key].reads++;
-    }
-
-    const recommendations = Object.values(bookScores)
-      .map(item => ({
-        ...item,
-        score: item.opens + (item.reads * 2)
-      }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+    const events = await getStore().listEvents({
+      category: sourceCategory,
+      excludeBookKey: bookKey,
+      since: cutoff,
+      types: ['open', 'read_30s']
+    });
+    const recommendations = rankEvents(events, limit);
 
     return res.json({
       ok: true,
@@ -1031,8 +875,7 @@ router.get('/recommendations', async (req, res) => {
       items: recommendations
     });
   } catch (err) {
-    console.error('[reading/recommendations] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/recommendations', err);
   }
 });
 
@@ -1059,30 +902,23 @@ router.post('/report', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'invalid reason' });
     }
 
-    const { error } = await supabase
-      .from('book_reports')
-      .insert({
-        user_id: userId,
-        book_key: bookKey,
-        failed_url: failedUrl || '',
-        reason: reason,
-        details: (details || '').substring(0, 500),
-        title: title || '',
-        author: author || '',
-        source: source || 'unknown',
-        status: 'pending'
-      });
-
-    if (error) {
-      console.error('[reading/report] supabase error:', error);
-      return res.status(500).json({ ok: false, error: 'database_error' });
-    }
+    await getStore().insertReport({
+      user_id: userId,
+      book_key: bookKey,
+      failed_url: failedUrl || '',
+      reason: reason,
+      details: (details || '').substring(0, 500),
+      title: title || '',
+      author: author || '',
+      source: source || 'unknown',
+      status: 'pending'
+    });
 
     return res.json({ ok: true, message: 'Report submitted. Thank you for helping improve BookLantern!' });
   } catch (err) {
-    console.error('[reading/report] error:', err);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    return sendError(res, 'reading/report', err);
   }
 });
 
 module.exports = router;
+module.exports.rankEvents = rankEvents;
@@ -1,32 +1,32 @@
 // routes/search.js
 const express = require('express');
-const { LRUCache } = require('lru-cache');
 const { ensureSubscriberApi } = require('../utils/gate');
 const { buildReaderToken } = require('../utils/buildReaderToken');
-const { buildOpenUrl, normalizeMeta, scoreRelevance } = require('../utils/bookHelpers');
+const { buildOpenUrl, buildBookUrl, normalizeMeta, scoreRelevance } = require('../utils/bookHelpers');
 const { batchCheckReadability } = require('../lib/archiveMetadata');
-const gutenberg = require('../lib/sources/gutenberg');
-const openlibrary = require('../lib/sources/openlibrary');
-const archive = require('../lib/sources/archive');
-const loc = require('../lib/sources/loc');
-const oapen = require('../lib/sources/oapen');
-const openstax = require('../lib/sources/openstax');
+const { parseFilters, hasFilters, providerAllowed, applyFilters, buildFacets } = require('../lib/searchFilters');
+const sources = require('../lib/sources');
+const searchCache = require('../lib/searchCache');
+const { clusterEditions, pickRepresentative, normalizeAuthor, workKey } = require('../lib/workClusters');
+const { parseQuery, keywords, withQueryFilters, isExcluded } = require('../lib/searchQuery');
+const searchSuggest = require('../lib/searchSuggest');
+const searchAnalytics = require('../lib/searchAnalytics');
+const savedSearches = require('../lib/savedSearches');
+const { matchesAuthor } = require('../lib/authors');
 
 // Local catalog search (Supabase)
 let catalogSearch = null;
+let catalogByAuthor = null;
 try {
-  catalogSearch = require('./catalog').searchCatalog;
+  ({ searchCatalog: catalogSearch, searchCatalogByAuthor: catalogByAuthor } = require('./catalog'));
 } catch (e) {
   console.warn('[search] catalog module not available:', e.message);
 }
 
 const router = express.Router();
 
-// Cache: small TTL to reduce upstream load without serving stale/blocked items for long
-const cache = new LRUCache({
-  max: 500,
-  ttl: 1000 * 60 * 5, // 5 minutes
-});
+// Optional sources are switched on by feature flags in config.js (see lib/sources/index.js)
+console.log(`[search] sources enabled: ${sources.enabledSources().map(s => s.name).join(', ')}`);
 
 /**
  * Normalize any incoming value to a plain string.
@@ -48,58 +48,31 @@ function asText(v) {
 
 /**
  * Provider priority for deduplication (lower = preferred)
- * Gutenberg is most reliable, then OAPEN/OpenStax (always open), then OL/LoC, archive last
- * Catalog items are lowest priority (external links only)
+ * Each source declares its own priority (lib/sources/*); Gutenberg is most reliable,
+ * then always-open sources, then OL/LoC, archive last.
+ * Catalog items are lowest priority: most link out, and readable ones are usually
+ * also found through their own source
  */
 const PROVIDER_PRIORITY = {
-  gutenberg: 1,
-  oapen: 2,
-  openstax: 2,
-  openlibrary: 3,
-  loc: 4,
-  archive: 5,
-  catalog: 6,  // Catalog is external-only, lowest priority
+  ...sources.priorities(),
+  catalog: 6,  // Catalog (harvested OAI records), lowest priority
   unknown: 99,
 };
 
 /**
- * Deduplicate books by title + author
- * Prefer: EPUB > PDF, and by provider priority: gutenberg > openlibrary > loc > archive
+ * Should `book` represent its work over `existing`? (see lib/workClusters)
+ * Priority: EPUB over PDF, then by provider priority
  */
-function deduplicate(books) {
-  const seen = new Map();
-  
-  for (const raw of books) {
-    const book = {
-      ...raw,
-      title: asText(raw.title),
-      author: asText(raw.author),
-    };
-    const key = `${book.title.toLowerCase().trim()}|${book.author.toLowerCase().trim()}`;
-    const existing = seen.get(key);
-    
-    if (!existing) {
-      seen.set(key, book);
-    } else {
-      // Priority: EPUB over PDF, then by provider priority
-      const existingIsEpub = existing.format === 'epub';
-      const bookIsEpub = book.format === 'epub';
-      const existingPriority = PROVIDER_PRIORITY[existing.provider] || 99;
-      const bookPriority = PROVIDER_PRIORITY[book.provider] || 99;
-      
-      // Prefer EPUB format first
-      if (bookIsEpub && !existingIsEpub) {
-        seen.set(key, book);
-      } else if (existingIsEpub && !bookIsEpub) {
-        // Keep existing
-      } else if (bookPriority < existingPriority) {
-        // Same format, prefer by provider priority
-        seen.set(key, book);
-      }
-    }
-  }
-  
-  return Array.from(seen.values());
+function isPreferred(book, existing) {
+  const existingIsEpub = existing.format === 'epub';
+  const bookIsEpub = book.format === 'epub';
+  // Prefer EPUB format first
+  if (bookIsEpub && !existingIsEpub) return true;
+  if (existingIsEpub && !bookIsEpub) return false;
+  // Same format, prefer by provider priority
+  const existingPriority = PROVIDER_PRIORITY[existing.provider] || 99;
+  const bookPriority = PROVIDER_PRIORITY[book.provider] || 99;
+  return bookPriority < existingPriority;
 }
 
 /**
@@ -184,7 +157,7 @@ function normalizeBook(book) {
     direct_url: directUrl,
     archive_id: archiveId,
     year: book.year || null,
-    language: book.language || 'en',
+    language: book.language || null, // unknown stays unknown so a language filter excludes it
     book_id: book.book_id || `${provider}:${book.provider_id}`,
     access: access,
     is_restricted: isRestricted,
@@ -193,9 +166,589 @@ function normalizeBook(book) {
   };
 }
 
+// Global deadline: 18 seconds max for an entire search request (JSON or stream)
+const GLOBAL_DEADLINE_MS = parseInt(process.env.SEARCH_DEADLINE_MS, 10) || 18000;
+// Bug C: Only check top K items for readability, keep the rest as 'maybe' (lazy readability)
+const MAX_READABILITY_PROBES = 30;
+// Streamed batches are small, so probe fewer per batch to keep each one quick
+const MAX_READABILITY_PROBES_PER_BATCH = 10;
+
+/**
+ * Parse q/page/filters from a search request.
+ * `query` is the structured form of q (lib/searchQuery); its lang:/year:/format: terms
+ * fill the filters unless the matching request parameters are set.
+ * Sources receive the raw q and translate it to their upstream's syntax themselves.
+ */
+function parseSearchRequest(req) {
+  const q = String(req.query.q || '');
+  const query = parseQuery(q);
+  return {
+    q,
+    query,
+    page: Math.max(parseInt(req.query.page) || 1, 1),
+    filters: withQueryFilters(parseFilters(req.query), query),
+  };
+}
+
+/**
+ * Search the local catalog (Supabase).
+ * The catalog is not paginated, so it only contributes to the first page.
+ */
+async function searchCatalogPage(q, page, filters, statuses = null) {
+  if (!catalogSearch || page !== 1 || !providerAllowed(filters, 'catalog')) return [];
+  try {
+    const catalogStart = Date.now();
+    const catalogData = await catalogSearch(q, 15);
+    const items = catalogData.items || [];
+    if (statuses) statuses.catalog = catalogData.error ? 'error' : 'ok';
+    console.log(`[catalog] hits=${items.length} elapsed=${Date.now() - catalogStart}ms`);
+    return items;
+  } catch (e) {
+    if (statuses) statuses.catalog = 'error';
+    console.error('[catalog] search failed:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Start the per-provider searches via the registry, which applies each source's timeout
+ * and skips providers whose circuit breaker is open. Each provider's page is cached
+ * separately (stale-while-revalidate, see lib/searchCache).
+ * Providers excluded by a provider filter, or that can't serve the format/language, are not called.
+ * @returns {{ activeSources: Array, connectorNames: string[], searches: Promise[] }}
+ *   searches resolve (never reject) to lib/sourceRegistry results
+ */
+function startSourceSearches(q, page, filters) {
+  const activeSources = sources.enabledSources()
+    .filter(s => providerAllowed(filters, s.name) && sources.supports(s, filters));
+  const connectorNames = activeSources.map(s => s.name);
+  const searches = connectorNames.map(name =>
+    searchCache.wrap(name, q, page, filters, () => sources.runSource(name, q, page, filters))
+  );
+  return { activeSources, connectorNames, searches };
+}
+
+/** More pages exist while any paginated provider still returns results */
+function hasMorePages(activeSources, counts) {
+  return activeSources.some(s => s.capabilities?.paginated !== false && (counts[s.name] || 0) > 0);
+}
+
+/**
+ * Normalize raw provider books to a consistent schema (includes external_only + reason flags)
+ * and apply post-merge filters and query exclusions. Catalog items are already normalized.
+ */
+function normalizeBatch(books, filters, query) {
+  return applyFilters(
+    books.map(book => book.provider === 'catalog' ? book : normalizeBook(book)),
+    filters
+  ).filter(book => !isExcluded(book, query));
+}
+
+/**
+ * Relevance scoring: drop garbage results
+ * Adaptive threshold: lower for short/broad queries (Bug C); the top MIN_PER_PROVIDER
+ * of each provider are always kept.
+ * @returns {Array} kept books, each with `_relevance`
+ */
+function filterByRelevance(books, query) {
+  const text = keywords(query);
+  const queryTokens = text.split(/\s+/).filter(t => t.length >= 1);
+  const isShortQuery = text.length <= 5 || queryTokens.length <= 1;
+  const RELEVANCE_THRESHOLD = isShortQuery ? 3 : 10;
+  const MIN_PER_PROVIDER = 10; // always keep at least N per provider
+  const scored = books.map(book => ({
+    ...book,
+    _relevance: scoreRelevance(book, query),
+  }));
+  // Group by provider to enforce per-provider minimum
+  const byProvider = {};
+  for (const b of scored) {
+    const p = b.provider || 'unknown';
+    if (!byProvider[p]) byProvider[p] = [];
+    byProvider[p].push(b);
+  }
+  // Sort each provider group by relevance descending
+  for (const p of Object.keys(byProvider)) {
+    byProvider[p].sort((a, b) => (b._relevance || 0) - (a._relevance || 0));
+  }
+  const relevant = scored.filter(b => {
+    if (b._relevance >= RELEVANCE_THRESHOLD) return true;
+    // Keep top MIN_PER_PROVIDER per provider even if below threshold
+    const p = b.provider || 'unknown';
+    const rank = byProvider[p].indexOf(b);
+    return rank >= 0 && rank < MIN_PER_PROVIDER;
+  });
+  const droppedCount = scored.length - relevant.length;
+  if (droppedCount > 0) {
+    console.log(`[search] relevance filter: dropped ${droppedCount} items below adaptive threshold ${RELEVANCE_THRESHOLD} (shortQuery=${isShortQuery})`);
+  }
+  return relevant;
+}
+
+/**
+ * Sort by readability: true > maybe > false, then by relevance, then by provider priority
+ * Bug C: Do NOT filter by readability — all items are returned, just sorted
+ */
+function sortForDisplay(books) {
+  return books.sort((a, b) => {
+    const order = { 'true': 0, 'maybe': 1, 'false': 2 };
+    const aOrder = order[a.readable] ?? 1;
+    const bOrder = order[b.readable] ?? 1;
+    if (aOrder !== bOrder) return aOrder - bOrder;
+    // Within same readability, sort by relevance descending
+    const aRel = a._relevance || 0;
+    const bRel = b._relevance || 0;
+    if (aRel !== bRel) return bRel - aRel;
+    // Then by provider priority
+    const aPriority = PROVIDER_PRIORITY[a.provider] || 99;
+    const bPriority = PROVIDER_PRIORITY[b.provider] || 99;
+    return aPriority - bPriority;
+  });
+}
+
+/**
+ * Map a readability-checked book to the public result item (reader href, readable flags)
+ */
+function toPublicItem(book) {
+  const hasDirectUrl = Boolean(book.direct_url || book.directUrl);
+  const actualDirectUrl = book.directUrl || book.direct_url;
+  const isEpub = book.format === 'epub';
+  const isPdf = book.format === 'pdf';
+  const hasArchiveId = Boolean(book.archive_id);
+  
+  // Determine final readability from probing results
+  // readable='true' means we verified open download
+  // readable='false' means borrow-only or no usable file
+  // readable='maybe' means unverified
+  const isReadableTrue = book.readable === 'true';
+  const isReadableFalse = book.readable === 'false';
+  const isReadableMaybe = book.readable === 'maybe';
+  
+  // For non-IA items (gutenberg, oapen, openstax), assume readable if they have direct URL
+  const nonIaReadable = !hasArchiveId && hasDirectUrl && (isEpub || isPdf) && !book.external_only;
+  
+  // Final readable flag: true if verified OR non-IA with direct URL
+  const isReadable = isReadableTrue || nonIaReadable;
+  
+  // External-only (no on-site reading): false readability OR no direct URL
+  const externalOnly = isReadableFalse || (!isReadable && !isReadableMaybe);
+
+  let token = null;
+  let href = null;
+
+  // Only create reader link if we can actually render it
+  // Build /open URL via shared helper for consistent URL construction
+  if (isReadable && !externalOnly) {
+    const tokenFormat = book.preferPdf ? 'pdf' : (book.format || 'epub');
+    href = buildOpenUrl({
+      provider: book.provider || 'unknown',
+      provider_id: book.provider_id || '',
+      title: asText(book.title),
+      author: asText(book.author),
+      cover: book.cover_url,
+      source_url: book.source_url,
+      direct_url: actualDirectUrl,
+      archive_id: book.archive_id,
+      format: tokenFormat
+    });
+    // If buildOpenUrl returned null, treat as external-only
+    if (!href) {
+      console.log(`[search] buildOpenUrl returned null for ${book.provider}:${book.provider_id} "${asText(book.title)}"`);
+    }
+  }
+  
+  // Determine reason for non-readable items
+  let reason = null;
+  if (externalOnly || !isReadable) {
+    if (isReadableFalse) {
+      reason = book.reason || 'borrow_required';
+    } else if (!hasDirectUrl) {
+      reason = 'no_direct_url';
+    } else {
+      reason = 'no_epub';
+    }
+  }
+  
+  // For external-only items (like catalog/DOAB), provide external link if available
+  const hasExternalLink = Boolean(book.has_external_link || book.source_url || book.open_access_url);
+  const externalUrl = book.open_access_url || book.source_url || null;
+  
+  return {
+    provider: book.provider,
+    title: asText(book.title) || 'Untitled',
+    author: asText(book.author) || 'Unknown author',
+    cover_url: book.cover_url,
+    book_url: buildBookUrl({
+      provider: book.provider || 'unknown',
+      provider_id: book.provider_id || '',
+      title: asText(book.title),
+      author: asText(book.author),
+      cover: book.cover_url,
+      year: book.year,
+      language: book.language,
+      source_url: book.source_url,
+      direct_url: actualDirectUrl,
+      archive_id: book.archive_id,
+      format: book.format,
+    }),
+    file_size: book.file_size || null,
+    year: book.year,
+    language: book.language,
+    book_id: book.book_id,
+    provider_id: book.provider_id,
+    has_audio: true, // TTS available for all
+    format: book.format,
+    access: book.access,
+    source_url: book.source_url,
+    open_access_url: externalUrl,
+    direct_url: actualDirectUrl,
+    token,
+    href,
+    readable: isReadable, // Boolean for UI
+    // External-only flag and reason for UI display
+    external_only: externalOnly,
+    has_external_link: hasExternalLink, // Can click to open external source
+    reason: reason,
+    // Pass readable status for sorting/debugging
+    readable_status: book.readable,
+  };
+}
+
+/**
+ * Check readability of every edition in the given works, then re-pick each work's
+ * representative so a readable copy is shown when one exists.
+ * Representatives go first so the probe budget is spent on what is shown.
+ */
+async function checkWorkReadability(works, maxProbes) {
+  const reps = works.map((work, i) => ({ ...work, _work: i }));
+  const alternates = works.flatMap((work, i) =>
+    work._editions.filter(e => e.book_id !== work.book_id).map(e => ({ ...e, _work: i }))
+  );
+  const checked = await batchCheckReadability([...reps, ...alternates], maxProbes);
+
+  const editionsByWork = works.map(() => []);
+  for (const edition of checked) {
+    const { _work, _editions, _key, ...rest } = edition;
+    editionsByWork[_work].push(rest);
+  }
+  return works.map((work, i) => ({
+    ...pickRepresentative(editionsByWork[i], isPreferred),
+    _relevance: work._relevance,
+    _key: work._key,
+    _editions: editionsByWork[i],
+  }));
+}
+
+/**
+ * Map a readability-checked work to its public card: the representative edition
+ * plus `editions[]` (representative first, then readable copies, then by priority)
+ */
+function toPublicWork(work) {
+  const item = toPublicItem(work);
+  const others = sortForDisplay(work._editions.filter(e => e.book_id !== work.book_id));
+  item.editions = [work, ...others].map(edition => {
+    const e = edition.book_id === work.book_id ? item : toPublicItem(edition);
+    return {
+      book_id: e.book_id,
+      provider: e.provider,
+      provider_id: e.provider_id,
+      title: e.title,
+      format: e.format,
+      year: e.year,
+      language: e.language,
+      readable: e.readable,
+      external_only: e.external_only,
+      href: e.href,
+      book_url: e.book_url,
+      open_access_url: e.open_access_url,
+      file_size: e.file_size,
+    };
+  });
+  item.edition_count = item.editions.length;
+  return item;
+}
+
+/**
+ * Page 1 of the catalog and every provider, normalized, clustered and relevance-filtered
+ * as in /api/search, without readability probes. Works kept only by the per-provider
+ * minimum (relevance 0) are dropped: outside a results page they are just filler.
+ * @param {{ extraBooks?: Array, keep?: Function, statuses?: object }} [opts] - more (normalized
+ *   catalog) books to merge in; a predicate applied to editions before clustering; an object
+ *   to fill with each provider's status ('catalog' included, 'deadline' when cut off)
+ */
+async function gatherWorks(q, query, filters, { extraBooks = [], keep = null, statuses = null } = {}) {
+  const { connectorNames, searches } = startSourceSearches(q, 1, filters);
+  const catalogResults = await searchCatalogPage(q, 1, filters, statuses);
+  let timer;
+  const deadline = new Promise(resolve => { timer = setTimeout(resolve, GLOBAL_DEADLINE_MS, { status: 'deadline', items: [] }); });
+  const results = await Promise.all(searches.map(p => Promise.race([p, deadline])));
+  clearTimeout(timer);
+  if (statuses) connectorNames.forEach((name, i) => { statuses[name] = results[i].status; });
+
+  const allBooks = catalogResults.concat(extraBooks, ...results.map(r => r.items || []));
+  const books = normalizeBatch(allBooks, filters, query);
+  return filterByRelevance(clusterEditions(keep ? books.filter(keep) : books, isPreferred), query)
+    .filter(work => work._relevance > 0);
+}
+
+/**
+ * Run a search outside a request, for saved-search alerts (lib/savedSearchAlerts).
+ * readable=1 keeps editions that are not external-only.
+ * @param {string} q
+ * @param {object} params - filter params as on /api/search (lang, format, provider, year_from, year_to, readable)
+ * @returns {Promise<{ matches: Array<{ book_id, provider, title, author, year, url }>, statuses: object }>}
+ *   one match per edition; statuses as /api/search (provider → 'ok' | 'error' | 'timeout' | 'deadline' | ...)
+ */
+async function collectMatches(q, params = {}) {
+  const query = parseQuery(q);
+  if (!keywords(query)) return { matches: [], statuses: {} };
+  const filters = withQueryFilters(parseFilters(params), query);
+
+  const statuses = {};
+  const works = await gatherWorks(q, query, filters, { statuses });
+  const matches = works
+    .flatMap(work => work._editions)
+    .filter(e => !filters.readableOnly || !e.external_only)
+    .map(e => ({
+      book_id: e.book_id,
+      provider: e.provider,
+      title: asText(e.title),
+      author: asText(e.author),
+      year: e.year || null,
+      url: e.open_access_url || e.source_url || null,
+    }));
+  return { matches, statuses };
+}
+
+/** Quote a value for a fielded query term (lib/searchQuery has no escaping) */
+function fieldValue(value) {
+  return '"' + String(value || '').replace(/"/g, ' ').replace(/\s+/g, ' ').trim() + '"';
+}
+
+/**
+ * Editions of one book across providers, and other works by its author, for the
+ * book page (routes/book.js). The editions are readability-checked like a search card.
+ * @param {{ provider: string, provider_id: string, title: string, author?: string }} book
+ * @param {{ relatedLimit?: number }} [opts]
+ * @returns {Promise<{ work: object|null, related: Array }>} work as a /api/search item with
+ *   editions[]; related as /api/search items
+ */
+async function findWork(book, { relatedLimit = 8 } = {}) {
+  const title = asText(book.title).split(/\s[\/:;]\s|:\s/)[0];
+  const author = asText(book.author).split(/\s*;\s*/)[0];
+  if (!title) return { work: null, related: [] };
+
+  const surname = normalizeAuthor(author);
+  const workQ = `title:${fieldValue(title)}` + (surname ? ` author:${fieldValue(surname)}` : '');
+  const relatedQ = author ? `author:${fieldValue(author)}` : '';
+  const [works, authorWorks] = await Promise.all([
+    gatherWorks(workQ, parseQuery(workQ), parseFilters()),
+    relatedQ ? gatherWorks(relatedQ, parseQuery(relatedQ), parseFilters()) : [],
+  ]);
+
+  const isBook = e => e.provider === book.provider && String(e.provider_id) === String(book.provider_id);
+  const key = workKey(book);
+  const target = works.find(w => w._editions.some(isBook)) || works.find(w => w._key === key) || null;
+
+  let work = null;
+  if (target) {
+    const [checked] = await checkWorkReadability([target], MAX_READABILITY_PROBES_PER_BATCH);
+    work = toPublicWork(checked);
+  }
+  const related = authorWorks
+    .filter(w => w._key !== key && (!target || w._key !== target._key) && !w._editions.some(isBook))
+    .slice(0, relatedLimit)
+    .map(toPublicItem);
+  return { work, related };
+}
+
+/**
+ * Works by one author across providers, for author pages (routes/author.js): catalog
+ * books listing the surname plus an author: search of every provider (archive.org
+ * creator:, Open Library author=, Gutendex), narrowed to editions whose author is this
+ * author (lib/authors matchesAuthor) and readability-checked. Most editions first.
+ * @param {string} name - display name ("Mark Twain")
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ works: Array, authors: string[] }>} works as /api/search items with
+ *   editions[]; authors: the distinct author strings the editions are listed under
+ */
+async function findAuthorWorks(name, { limit = 60 } = {}) {
+  const q = `author:${fieldValue(name)}`;
+  const surname = String(name).trim().split(/\s+/).pop();
+  let catalogBooks = [];
+  try {
+    catalogBooks = catalogByAuthor ? await catalogByAuthor(surname) : [];
+  } catch (e) {
+    console.error('[catalog] author search failed:', e.message);
+  }
+
+  const works = await gatherWorks(q, parseQuery(q), parseFilters(), {
+    extraBooks: catalogBooks,
+    keep: book => matchesAuthor(asText(book.author), name),
+  });
+  // Stable sort: equally published works keep their relevance order
+  const top = works.sort((a, b) => b._editions.length - a._editions.length).slice(0, limit);
+  const checked = top.length ? await checkWorkReadability(top, MAX_READABILITY_PROBES_PER_BATCH) : [];
+  const authors = [...new Set(top.flatMap(w => w._editions.map(e => asText(e.author).trim())).filter(Boolean))];
+  return { works: checked.map(toPublicWork), authors };
+}
+
+/**
+ * One page of federated results, as returned by GET /api/search (also serves the
+ * OPDS search feed, routes/opds.js). `query` must have keywords.
+ * Page 1 is recorded for suggestions and search analytics under `mode`.
+ * @param {{ q: string, query: object, page: number, filters: object }} request - see parseSearchRequest()
+ * @param {{ mode?: string, searcherId?: string }} [opts] - searcherId: the user, so a
+ *   query is only suggested to others once several people ran it (lib/searchSuggest)
+ * @returns {Promise<{ items, facets, page, hasMore, nextPage, search_id }>}
+ */
+async function searchPage({ q, query, page, filters }, { mode = 'json', searcherId = null } = {}) {
+  const searchStartTime = Date.now();
+  const searchId = searchAnalytics.newSearchId();
+  
+  console.log('[search] query="' + q + '" page=' + page + (hasFilters(filters) ? ' filters=' + JSON.stringify(filters) : ''));
+  
+  // Search local catalog FIRST (fast, Supabase)
+  const catalogResults = await searchCatalogPage(q, page, filters);
+  
+  // Parallel search across all enabled sources
+  const { activeSources, connectorNames, searches } = startSourceSearches(q, page, filters);
+  
+  // Use Promise.race with global deadline timeout
+  const globalDeadline = new Promise((resolve) => {
+    setTimeout(() => {
+      resolve({ isDeadline: true });
+    }, GLOBAL_DEADLINE_MS);
+  });
+  
+  // Race between allSettled and global deadline
+  const searchPromise = Promise.allSettled(searches);
+  const raceResult = await Promise.race([searchPromise, globalDeadline]);
+  
+  let results;
+  let hitDeadline = false;
+  
+  if (raceResult && raceResult.isDeadline) {
+    // Global deadline hit - collect whatever partial results are available
+    hitDeadline = true;
+    console.log('[search] global deadline hit after', GLOBAL_DEADLINE_MS, 'ms, returning partial results');
+    
+    // Use Promise.allSettled with a very short additional wait to grab any in-flight results
+    const quickWait = new Promise(resolve => setTimeout(resolve, 100));
+    await quickWait;
+    
+    // Get current state of all promises (some may have settled, some pending)
+    results = await Promise.allSettled(searches.map((p, i) =>
+      Promise.race([p, new Promise(resolve => setTimeout(() => resolve({ name: connectorNames[i], status: 'deadline', items: [] }), 50))])
+    ));
+  } else {
+    results = raceResult;
+  }
+  
+  // Collect successful results with logging
+  let allBooks = [];
+  const counts = {};
+  const statuses = { catalog: 'ok' };
+  const cacheCounts = { hit: 0, stale: 0, miss: 0 };
+  
+  // Add catalog results FIRST (already searched above)
+  if (catalogResults.length > 0) {
+    counts.catalog = catalogResults.length;
+    allBooks = allBooks.concat(catalogResults);
+  } else {
+    counts.catalog = 0;
+  }
+  
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    const connectorName = connectorNames[i];
+    
+    if (result.status === 'fulfilled' && Array.isArray(result.value.items)) {
+      counts[connectorName] = result.value.items.length;
+      statuses[connectorName] = result.value.status;
+      allBooks = allBooks.concat(result.value.items);
+      if (result.value.cache) cacheCounts[result.value.cache]++;
+      if (result.value.status !== 'ok' && result.value.status !== 'unsupported') {
+        console.log(`[search] ${connectorName} contributed nothing (status=${result.value.status})`);
+      }
+    } else if (result.status === 'rejected') {
+      console.error(`[search] ${connectorName} error:`, result.reason?.message || result.reason);
+      counts[connectorName] = 0;
+      statuses[connectorName] = 'error';
+    } else {
+      counts[connectorName] = 0;
+    }
+  }
+  
+  const elapsedMs = Date.now() - searchStartTime;
+  const countSummary = ['catalog', ...connectorNames].map(name => `${name}=${counts[name] || 0}`).join(' ');
+  console.log(`[search] results: ${countSummary} total_before_dedup=${allBooks.length} cache=hit:${cacheCounts.hit}/stale:${cacheCounts.stale}/miss:${cacheCounts.miss} elapsed=${elapsedMs}ms${hitDeadline ? ' (deadline)' : ''}`);
+  
+  const normalizedBooks = normalizeBatch(allBooks, filters, query);
+  
+  // NOTE: We no longer filter out restricted items here - instead we mark them as external_only
+  // and show them in results with "Unavailable" label (no "Borrow" action)
+  // This ensures OL/LOC results always appear even if they require borrowing
+  
+  // Cluster editions into works (representative preference: EPUB, then
+  // provider priority gutenberg > oapen/openstax > openlibrary > loc > archive)
+  const works = clusterEditions(normalizedBooks, isPreferred);
+  
+  console.log(`[search] after clustering: ${works.length} works from ${normalizedBooks.length} editions`);
+
+  const relevant = filterByRelevance(works, query);
+  
+  // Check readability for Archive.org items using metadata + probing
+  const withReadability = sortForDisplay(await checkWorkReadability(relevant, MAX_READABILITY_PROBES));
+  
+  console.log(`[search] after readability check: ${withReadability.length} items (all kept)`);
+  
+  // Count readability stats for logging
+  const readableTrue = withReadability.filter(b => b.readable === 'true').length;
+  const readableMaybe = withReadability.filter(b => b.readable === 'maybe').length;
+  const readableFalse = withReadability.filter(b => b.readable === 'false').length;
+  console.log(`[search] readability sort: readable_true=${readableTrue} readable_maybe=${readableMaybe} readable_false=${readableFalse}`);
+  
+  // Create signed tokens and public response
+  const items = withReadability.map(toPublicWork);
+  
+  // Readability is only final once tokens/hrefs are decided above
+  const filteredItems = filters.readableOnly ? items.filter(item => item.readable) : items;
+  
+  const hasMore = hasMorePages(activeSources, counts);
+  if (page === 1) {
+    if (filteredItems.length) searchSuggest.recordQuery(q, searcherId);
+    searchAnalytics.recordSearch({
+      searchId,
+      q,
+      mode,
+      hasFilters: hasFilters(filters),
+      resultCount: filteredItems.length,
+      counts,
+      statuses,
+      deadlineHit: hitDeadline,
+      latencyMs: Date.now() - searchStartTime,
+    });
+  }
+  
+  return {
+    items: filteredItems,
+    facets: buildFacets(filteredItems),
+    page,
+    hasMore,
+    nextPage: hasMore ? page + 1 : null,
+    search_id: searchId,
+  };
+}
+
 /**
- * GET /api/search?q=&page=1
- * Federated search across all sources
+ * GET /api/search?q=&page=1[&lang=&format=&provider=&year_from=&year_to=&readable=1]
+ * Federated search across all sources.
+ * q accepts the advanced syntax from lib/searchQuery:
+ *   author:"Jane Austen" title:emma -abridged lang:fr year:1800..1900
+ * Filters are pushed down to connectors that support them and re-applied post-merge.
+ * Response: { items, facets, page, hasMore, nextPage, search_id }
+ * search_id identifies the search for click logging (POST /api/search/click).
  */
 async function handleSearch(req, res) {
   // Disable caching for search results
@@ -206,291 +759,279 @@ async function handleSearch(req, res) {
     'Surrogate-Control': 'no-store'
   });
   
-  // Global deadline: 18 seconds max for entire search request
-  const GLOBAL_DEADLINE_MS = 18000;
-  const searchStartTime = Date.now();
-  
   try {
-    const q = req.query.q || '';
-    const page = parseInt(req.query.page) || 1;
+    const { q, query, page, filters } = parseSearchRequest(req);
     console.log('[search] hit /api/search', { q, page });
     
-    if (!q.trim()) {
-      return res.json({ items: [] });
+    if (!keywords(query)) {
+      return res.json({ items: [], facets: buildFacets([]), page, hasMore: false, nextPage: null });
     }
     
-    console.log('[search] query="' + q + '" page=' + page);
-    
-    // Search local catalog FIRST (fast, Supabase)
-    let catalogResults = [];
-    let catalogElapsed = 0;
-    if (catalogSearch) {
-      try {
-        const catalogStart = Date.now();
-        const catalogData = await catalogSearch(q, 15);
-        catalogResults = catalogData.items || [];
-        catalogElapsed = Date.now() - catalogStart;
-        console.log(`[catalog] hits=${catalogResults.length} elapsed=${catalogElapsed}ms`);
-      } catch (e) {
-        console.error('[catalog] search failed:', e.message);
+    return res.json(await searchPage({ q, query, page, filters }, { searcherId: req.session?.user?.id }));
+  } catch (error) {
+    console.error('[search] error:', error);
+    // Always return JSON on error
+    return res.status(500).json({ items: [], hasMore: false, nextPage: null, error: 'search_failed' });
+  }
+}
+
+/**
+ * GET /api/search/stream?q=&page=1[&filters as /api/search]
+ * Server-Sent Events variant of /api/search: each provider's results are normalized,
+ * clustered into works and emitted as soon as they arrive, so a slow upstream no
+ * longer holds back the fast ones.
+ *   event: batch  { provider, items, count, ms, status, cache }
+ *                 an item carries `replaces: <book_id>` when it updates a work card sent
+ *                 in an earlier batch (new editions, possibly a new representative)
+ *   event: done   { page, hasMore, nextPage, counts, statuses, timeouts, facets, elapsed_ms, search_id }
+ * Every batch also carries search_id, so clicks made while the stream runs can be logged.
+ */
+async function handleSearchStream(req, res) {
+  const { q, query, page, filters } = parseSearchRequest(req);
+  const searchStartTime = Date.now();
+  const searchId = searchAnalytics.newSearchId();
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // don't let a reverse proxy buffer the stream
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers writes until flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  if (!keywords(query)) {
+    send('done', { page, hasMore: false, nextPage: null, counts: {}, statuses: {}, timeouts: [], facets: buildFacets([]), elapsed_ms: 0 });
+    return res.end();
+  }
+
+  console.log('[search/stream] query="' + q + '" page=' + page + (hasFilters(filters) ? ' filters=' + JSON.stringify(filters) : ''));
+
+  const sent = new Map();    // work key -> checked work already emitted
+  const emitted = new Map(); // book_id -> public item still on screen (for facets)
+  const counts = {};
+  const statuses = {};
+  let finished = false;
+  let queue = Promise.resolve();
+
+  // Batches are processed one at a time so cross-batch dedup sees a consistent `sent` map
+  const emitBatch = async (provider, books, meta) => {
+    if (finished) return;
+    counts[provider] = books.length;
+    statuses[provider] = meta.status;
+    if (closed) return;
+
+    // New works go through the relevance filter; editions of works already on screen
+    // are merged into them (the card is re-sent with `replaces`)
+    const fresh = [];
+    const merged = [];
+    for (const work of clusterEditions(normalizeBatch(books, filters, query), isPreferred)) {
+      const previous = sent.get(work._key);
+      if (!previous) {
+        fresh.push(work);
+        continue;
       }
+      const known = new Set(previous._editions.map(e => e.book_id));
+      const added = work._editions.filter(e => !known.has(e.book_id));
+      if (!added.length) continue;
+      merged.push({ ...previous, _editions: [...previous._editions, ...added], _replaces: previous.book_id });
     }
-    
-    // Parallel search across all sources (including new OAPEN and OpenStax)
-    // Wrap each source with its own timeout to prevent any single source from blocking
-    const connectorNames = ['gutenberg', 'openlibrary', 'archive', 'loc', 'oapen', 'openstax'];
-    
-    // Create individual search promises with per-source handling
-    const searches = [
-      gutenberg.search(q, page),
-      openlibrary.search(q, page),
-      archive.search(q, page),
-      loc.search(q, page),
-      oapen.search(q, page),
-      openstax.search(q, page),
-    ];
-    
-    // Use Promise.race with global deadline timeout
-    const globalDeadline = new Promise((resolve) => {
-      setTimeout(() => {
-        resolve({ isDeadline: true });
-      }, GLOBAL_DEADLINE_MS);
-    });
-    
-    // Race between allSettled and global deadline
-    const searchPromise = Promise.allSettled(searches);
-    const raceResult = await Promise.race([searchPromise, globalDeadline]);
-    
-    let results;
-    let hitDeadline = false;
-    
-    if (raceResult && raceResult.isDeadline) {
-      // Global deadline hit - collect whatever partial results are available
-      hitDeadline = true;
-      console.log('[search] global deadline hit after', GLOBAL_DEADLINE_MS, 'ms, returning partial results');
-      
-      // Use Promise.allSettled with a very short additional wait to grab any in-flight results
-      const quickWait = new Promise(resolve => setTimeout(resolve, 100));
-      await quickWait;
-      
-      // Get current state of all promises (some may have settled, some pending)
-      results = await Promise.allSettled(searches.map(p => 
-        Promise.race([p, new Promise(resolve => setTimeout(() => resolve([]), 50))])
-      ));
-    } else {
-      results = raceResult;
-    }
-    
-    // Collect successful results with logging
-    let allBooks = [];
-    const counts = {};
-    
-    // Add catalog results FIRST (already searched above)
-    if (catalogResults.length > 0) {
-      counts.catalog = catalogResults.length;
-      allBooks = allBooks.concat(catalogResults);
-    } else {
-      counts.catalog = 0;
-    }
-    
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      const connectorName = connectorNames[i];
-      
-      if (result.status === 'fulfilled' && Array.isArray(result.value)) {
-        counts[connectorName] = result.value.length;
-        allBooks = allBooks.concat(result.value);
-      } else if (result.status === 'rejected') {
-        console.error(`[search] ${connectorName} error:`, result.reason?.message || result.reason);
-        counts[connectorName] = 0;
-      } else {
-        counts[connectorName] = 0;
+
+    const candidates = [...filterByRelevance(fresh, query), ...merged];
+    const checked = sortForDisplay(await checkWorkReadability(candidates, MAX_READABILITY_PROBES_PER_BATCH));
+
+    const items = [];
+    for (const work of checked) {
+      const item = toPublicWork(work);
+      if (filters.readableOnly && !item.readable) continue;
+      const replaces = candidates.find(c => c._key === work._key)?._replaces;
+      if (replaces) {
+        item.replaces = replaces;
+        emitted.delete(replaces);
       }
+      sent.set(work._key, work);
+      emitted.set(item.book_id, item);
+      items.push(item);
     }
-    
-    const elapsedMs = Date.now() - searchStartTime;
-    console.log(`[search] results: catalog=${counts.catalog || 0} gutenberg=${counts.gutenberg || 0} openlibrary=${counts.openlibrary || 0} archive=${counts.archive || 0} loc=${counts.loc || 0} oapen=${counts.oapen || 0} openstax=${counts.openstax || 0} total_before_dedup=${allBooks.length} elapsed=${elapsedMs}ms${hitDeadline ? ' (deadline)' : ''}`);
-    
-    // Normalize all books to consistent schema (includes external_only + reason flags)
-    // Skip catalog items as they're already normalized
-    const normalizedBooks = allBooks.map(book => 
-      book.provider === 'catalog' ? book : normalizeBook(book)
+
+    send('batch', { provider, items, count: books.length, ms: meta.ms || 0, status: meta.status, cache: meta.cache || null, search_id: searchId });
+  };
+
+  const enqueue = (provider, books, meta) => {
+    queue = queue
+      .then(() => emitBatch(provider, books, meta))
+      .catch(err => console.error(`[search/stream] ${provider} batch failed:`, err.message));
+    return queue;
+  };
+
+  try {
+    const catalogStart = Date.now();
+    const catalogDone = searchCatalogPage(q, page, filters)
+      .then(items => enqueue('catalog', items, { status: 'ok', ms: Date.now() - catalogStart }));
+
+    const { activeSources, connectorNames, searches } = startSourceSearches(q, page, filters);
+    const sourcesDone = searches.map((p, i) =>
+      p.then(result => enqueue(connectorNames[i], result.items || [], result))
     );
-    
-    // NOTE: We no longer filter out restricted items here - instead we mark them as external_only
-    // and show them in results with "Unavailable" label (no "Borrow" action)
-    // This ensures OL/LOC results always appear even if they require borrowing
-    
-    // Deduplicate (preserves provider priority: gutenberg > oapen/openstax > openlibrary > loc > archive)
-    const uniqueBooks = deduplicate(normalizedBooks);
-    
-    console.log(`[search] after dedup: ${uniqueBooks.length} unique books`);
-
-    // --- Relevance scoring: drop garbage results ---
-    // Adaptive threshold: lower for short/broad queries (Bug C)
-    const queryTokens = q.trim().split(/\s+/).filter(t => t.length >= 1);
-    const isShortQuery = q.trim().length <= 5 || queryTokens.length <= 1;
-    const RELEVANCE_THRESHOLD = isShortQuery ? 3 : 10;
-    const MIN_PER_PROVIDER = 10; // always keep at least N per provider
-    const scored = uniqueBooks.map(book => ({
-      ...book,
-      _relevance: scoreRelevance(book, q),
-    }));
-    // Group by provider to enforce per-provider minimum
-    const byProvider = {};
-    for (const b of scored) {
-      const p = b.provider || 'unknown';
-      if (!byProvider[p]) byProvider[p] = [];
-      byProvider[p].push(b);
-    }
-    // Sort each provider group by relevance descending
-    for (const p of Object.keys(byProvider)) {
-      byProvider[p].sort((a, b) => (b._relevance || 0) - (a._relevance || 0));
-    }
-    const relevant = scored.filter(b => {
-      if (b._relevance >= RELEVANCE_THRESHOLD) return true;
-      // Keep top MIN_PER_PROVIDER per provider even if below threshold
-      const p = b.provider || 'unknown';
-      const rank = byProvider[p].indexOf(b);
-      return rank >= 0 && rank < MIN_PER_PROVIDER;
+
+    let deadlineTimer;
+    const deadline = new Promise(resolve => {
+      deadlineTimer = setTimeout(() => resolve('deadline'), GLOBAL_DEADLINE_MS);
     });
-    const droppedCount = scored.length - relevant.length;
-    if (droppedCount > 0) {
-      console.log(`[search] relevance filter: dropped ${droppedCount} items below adaptive threshold ${RELEVANCE_THRESHOLD} (shortQuery=${isShortQuery})`);
+    const outcome = await Promise.race([Promise.all([catalogDone, ...sourcesDone]), deadline]);
+    clearTimeout(deadlineTimer);
+    if (outcome === 'deadline') {
+      console.log('[search/stream] global deadline hit after', GLOBAL_DEADLINE_MS, 'ms');
     }
-    
-    // Check readability for Archive.org items using metadata + probing
-    // Bug C: Only check top K items, keep the rest as 'maybe' (lazy readability)
-    const MAX_READABILITY_PROBES = 30;
-    const withReadability = await batchCheckReadability(relevant, MAX_READABILITY_PROBES);
-    
-    console.log(`[search] after readability check: ${withReadability.length} items (all kept)`);
-    
-    // Sort by readability: true > maybe > false, then by relevance, then by provider priority
-    // Bug C: Do NOT filter by readability — all items are returned, just sorted
-    withReadability.sort((a, b) => {
-      const order = { 'true': 0, 'maybe': 1, 'false': 2 };
-      const aOrder = order[a.readable] ?? 1;
-      const bOrder = order[b.readable] ?? 1;
-      if (aOrder !== bOrder) return aOrder - bOrder;
-      // Within same readability, sort by relevance descending
-      const aRel = a._relevance || 0;
-      const bRel = b._relevance || 0;
-      if (aRel !== bRel) return bRel - aRel;
-      // Then by provider priority
-      const aPriority = PROVIDER_PRIORITY[a.provider] || 99;
-      const bPriority = PROVIDER_PRIORITY[b.provider] || 99;
-      return aPriority - bPriority;
-    });
-    
-    // Count readability stats for logging
-    const readableTrue = withReadability.filter(b => b.readable === 'true').length;
-    const readableMaybe = withReadability.filter(b => b.readable === 'maybe').length;
-    const readableFalse = withReadability.filter(b => b.readable === 'false').length;
-    console.log(`[search] readability sort: readable_true=${readableTrue} readable_maybe=${readableMaybe} readable_false=${readableFalse}`);
-    
-    // Create signed tokens and public response
-    const items = withReadability.map(book => {
-      const hasDirectUrl = Boolean(book.direct_url || book.directUrl);
-      const actualDirectUrl = book.directUrl || book.direct_url;
-      const isEpub = book.format === 'epub';
-      const isPdf = book.format === 'pdf';
-      const hasArchiveId = Boolean(book.archive_id);
-      
-      // Determine final readability from probing results
-      // readable='true' means we verified open download
-      // readable='false' means borrow-only or no usable file
-      // readable='maybe' means unverified
-      const isReadableTrue = book.readable === 'true';
-      const isReadableFalse = book.readable === 'false';
-      const isReadableMaybe = book.readable === 'maybe';
-      
-      // For non-IA items (gutenberg, oapen, openstax), assume readable if they have direct URL
-      const nonIaReadable = !hasArchiveId && hasDirectUrl && (isEpub || isPdf) && !book.external_only;
-      
-      // Final readable flag: true if verified OR non-IA with direct URL
-      const isReadable = isReadableTrue || nonIaReadable;
-      
-      // External-only (no on-site reading): false readability OR no direct URL
-      const externalOnly = isReadableFalse || (!isReadable && !isReadableMaybe);
-
-      let token = null;
-      let href = null;
-
-      // Only create reader link if we can actually render it
-      // Build /open URL via shared helper for consistent URL construction
-      if (isReadable && !externalOnly) {
-        const tokenFormat = book.preferPdf ? 'pdf' : (book.format || 'epub');
-        href = buildOpenUrl({
-          provider: book.provider || 'unknown',
-          provider_id: book.provider_id || '',
-          title: asText(book.title),
-          author: asText(book.author),
-          cover: book.cover_url,
-          source_url: book.source_url,
-          direct_url: actualDirectUrl,
-          archive_id: book.archive_id,
-          format: tokenFormat
-        });
-        // If buildOpenUrl returned null, treat as external-only
-        if (!href) {
-          console.log(`[search] buildOpenUrl returned null for ${book.provider}:${book.provider_id} "${asText(book.title)}"`);
-        }
-      }
-      
-      // Determine reason for non-readable items
-      let reason = null;
-      if (externalOnly || !isReadable) {
-        if (isReadableFalse) {
-          reason = book.reason || 'borrow_required';
-        } else if (!hasDirectUrl) {
-          reason = 'no_direct_url';
-        } else {
-          reason = 'no_epub';
-        }
+    await queue;
+    finished = true;
+
+    // Providers that never answered before the deadline
+    for (const name of connectorNames) {
+      if (!(name in statuses)) {
+        statuses[name] = 'deadline';
+        counts[name] = 0;
       }
-      
-      // For external-only items (like catalog/DOAB), provide external link if available
-      const hasExternalLink = Boolean(book.has_external_link || book.source_url || book.open_access_url);
-      const externalUrl = book.open_access_url || book.source_url || null;
-      
-      return {
-        provider: book.provider,
-        title: asText(book.title) || 'Untitled',
-        author: asText(book.author) || 'Unknown author',
-        cover_url: book.cover_url,
-        year: book.year,
-        language: book.language,
-        book_id: book.book_id,
-        has_audio: true, // TTS available for all
-        format: book.format,
-        access: book.access,
-        source_url: book.source_url,
-        open_access_url: externalUrl,
-        direct_url: actualDirectUrl,
-        token,
-        href,
-        readable: isReadable, // Boolean for UI
-        // External-only flag and reason for UI display
-        external_only: externalOnly,
-        has_external_link: hasExternalLink, // Can click to open external source
-        reason: reason,
-        // Pass readable status for sorting/debugging
-        readable_status: book.readable,
-      };
+    }
+    const timeouts = connectorNames.filter(name => statuses[name] === 'timeout' || statuses[name] === 'deadline');
+    const hasMore = hasMorePages(activeSources, counts);
+    const elapsedMs = Date.now() - searchStartTime;
+
+    const countSummary = ['catalog', ...connectorNames].map(name => `${name}=${counts[name] || 0}`).join(' ');
+    console.log(`[search/stream] results: ${countSummary} sent=${emitted.size} elapsed=${elapsedMs}ms${timeouts.length ? ' timeouts=' + timeouts.join(',') : ''}`);
+    if (page === 1) {
+      if (emitted.size) searchSuggest.recordQuery(q, req.session?.user?.id);
+      searchAnalytics.recordSearch({
+        searchId,
+        q,
+        mode: 'stream',
+        hasFilters: hasFilters(filters),
+        resultCount: emitted.size,
+        counts,
+        statuses,
+        deadlineHit: outcome === 'deadline',
+        latencyMs: elapsedMs,
+      });
+    }
+
+    send('done', {
+      page,
+      hasMore,
+      nextPage: hasMore ? page + 1 : null,
+      counts,
+      statuses,
+      timeouts,
+      facets: buildFacets([...emitted.values()]),
+      elapsed_ms: elapsedMs,
+      search_id: searchId,
     });
-    
-    const response = { items };
-    return res.json(response);
   } catch (error) {
-    console.error('[search] error:', error);
-    // Always return JSON on error
-    return res.status(500).json({ items: [], error: 'search_failed' });
+    console.error('[search/stream] error:', error);
+    finished = true;
+    send('error', { error: 'search_failed' });
+  }
+  res.end();
+}
+
+/**
+ * GET /api/search/suggest?q=<typed text>[&limit=8]
+ * Search-as-you-type completions from local sources only (lib/searchSuggest):
+ * popular queries, curated and recently read titles/authors, catalog subjects.
+ * Response: { q, suggestions: [{ type: 'query'|'title'|'author'|'subject', text, subtitle? }], elapsed_ms }
+ */
+async function handleSuggest(req, res) {
+  const startTime = Date.now();
+  const q = String(req.query.q || '').slice(0, 200);
+  res.set('Cache-Control', 'private, max-age=60');
+  try {
+    const suggestions = await searchSuggest.suggest(q, { limit: req.query.limit });
+    return res.json({ q, suggestions, elapsed_ms: Date.now() - startTime });
+  } catch (error) {
+    console.error('[search/suggest] error:', error);
+    return res.status(500).json({ q, suggestions: [], error: 'suggest_failed' });
+  }
+}
+
+/**
+ * POST /api/search/click { search_id, position, provider, book_id }
+ * Click-through beacon from the /read result cards (navigator.sendBeacon).
+ * Only the search id, the card position and the opened book are stored.
+ */
+function handleClick(req, res) {
+  const { row, error } = searchAnalytics.parseClick(req.body || {});
+  if (error) return res.status(400).json({ error });
+  searchAnalytics.recordClick(row);
+  return res.status(204).end();
+}
+
+/**
+ * GET /api/search/saved
+ * The session user's saved searches (lib/savedSearches), newest first.
+ * Response: { ok, items: [{ id, query, filters, frequency, active, url, created_at, last_run_at, last_notified_at }] }
+ */
+async function handleListSaved(req, res) {
+  try {
+    const items = await savedSearches.listSavedSearches(req.session.user.id);
+    return res.json({ ok: true, items });
+  } catch (error) {
+    console.error('[search/saved] list error:', error);
+    return res.status(500).json({ ok: false, error: 'database_error' });
+  }
+}
+
+/**
+ * POST /api/search/saved { q, filters?: { lang, format, provider, year_from, year_to, readable }, frequency?: 'daily'|'weekly' }
+ * Save a search for new-result e-mail alerts (lib/savedSearchAlerts), sent to the
+ * session e-mail. Saving the same query + filters again updates it.
+ * Response: 201 (or 200 when it already existed) { ok, item }
+ */
+async function handleSaveSearch(req, res) {
+  try {
+    const { saved, created, error } = await savedSearches.saveSearch(req.session.user, req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    return res.status(created ? 201 : 200).json({ ok: true, item: saved });
+  } catch (error) {
+    console.error('[search/saved] save error:', error);
+    return res.status(500).json({ ok: false, error: 'database_error' });
+  }
+}
+
+/**
+ * DELETE /api/search/saved/:id
+ * Response: { ok } or 404 not_found
+ */
+async function handleDeleteSaved(req, res) {
+  try {
+    const removed = await savedSearches.deleteSavedSearch(req.session.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'not_found' });
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('[search/saved] delete error:', error);
+    return res.status(500).json({ ok: false, error: 'database_error' });
   }
 }
 
 // Gate each route explicitly to guarantee auth check
 router.get('/', ensureSubscriberApi, handleSearch);
 router.get('/search', ensureSubscriberApi, handleSearch);
+router.get('/stream', ensureSubscriberApi, handleSearchStream);
+router.get('/suggest', ensureSubscriberApi, handleSuggest);
+router.post('/click', ensureSubscriberApi, handleClick);
+router.get('/saved', ensureSubscriberApi, handleListSaved);
+router.post('/saved', ensureSubscriberApi, handleSaveSearch);
+router.delete('/saved/:id', ensureSubscriberApi, handleDeleteSaved);
 
 module.exports = router;
+module.exports.searchPage = searchPage;
+module.exports.collectMatches = collectMatches;
+module.exports.findWork = findWork;
+module.exports.findAuthorWorks = findAuthorWorks;
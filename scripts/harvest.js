@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// scripts/harvest.js
+// Harvests OAI-PMH repositories (config/harvestSources.js) into catalog_books
+//
+// Usage:
+//   node scripts/harvest.js doab oapen      incremental harvest of the named sources
+//   node scripts/harvest.js --all           every configured source
+//   node scripts/harvest.js doab --full     ignore the watermark, re-harvest everything
+//   node scripts/harvest.js doab --from=2026-01-01
+//   node scripts/harvest.js doab --dry-run  harvest into memory only (no database writes)
+//   node scripts/harvest.js --list          configured sources and their watermarks
+//
+// Set HARVEST_MAX_PAGES=N to stop after N pages per source; the next run resumes there.
+
+require('dotenv').config();
+
+const sources = require('../config/harvestSources');
+const { harvestSource } = require('../lib/oaiHarvester');
+const { createSupabaseHarvestStore, createMemoryHarvestStore } = require('../lib/harvestStore');
+
+const MAX_PAGES = parseInt(process.env.HARVEST_MAX_PAGES || '0', 10);
+
+function parseArgs(argv) {
+  const args = { names: [], all: false, full: false, from: null, dryRun: false, list: false };
+  for (const arg of argv) {
+    if (arg === '--all') args.all = true;
+    else if (arg === '--full') args.full = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--list') args.list = true;
+    else if (arg.startsWith('--from=')) args.from = arg.slice(7);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.names.push(arg);
+  }
+  if (args.from && Number.isNaN(Date.parse(args.from))) throw new Error(`Invalid --from date: ${args.from}`);
+  return args;
+}
+
+function createStore(dryRun) {
+  if (dryRun) return createMemoryHarvestStore();
+  // Lazy-load so --dry-run works without Supabase env vars
+  return createSupabaseHarvestStore(require('../lib/supabaseServer'));
+}
+
+async function list(store) {
+  for (const [key, source] of Object.entries(sources)) {
+    const state = await store.getState(key);
+    const status = !state ? 'never harvested'
+      : state.resumption_token ? `interrupted run pending (watermark ${state.watermark || 'none'})`
+      : `watermark ${state.watermark || 'none'}, last run ${state.last_run_at || '?'}`;
+    console.log(`  ${key.padEnd(14)} ${source.name || source.baseUrl}  —  ${status}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = createStore(args.dryRun);
+
+  if (args.list) return list(store);
+
+  const names = args.all ? Object.keys(sources) : args.names;
+  if (!names.length) throw new Error('Name one or more sources or pass --all (see --list)');
+  const unknown = names.filter(name => !sources[name]);
+  if (unknown.length) throw new Error(`Unknown source(s): ${unknown.join(', ')} (configured: ${Object.keys(sources).join(', ')})`);
+
+  if (args.dryRun) console.log('[harvest] dry run: nothing is written to the database');
+  if (MAX_PAGES > 0) console.log(`[harvest] max pages per source: ${MAX_PAGES}`);
+
+  const summaries = [];
+  let failedSources = 0;
+  for (const name of names) {
+    try {
+      summaries.push(await harvestSource(name, sources[name], {
+        store,
+        full: args.full,
+        from: args.from,
+        maxPages: MAX_PAGES,
+      }));
+    } catch (err) {
+      // Keep going with the other sources; a crashed run resumes next time
+      failedSources++;
+      console.error(`[harvest:${name}] failed: ${err.message}`);
+      summaries.push({ source: name, error: err.message });
+    }
+  }
+
+  console.log('[harvest] ========================================');
+  for (const s of summaries) {
+    if (s.error) {
+      console.log(`[harvest] ${s.source}: FAILED (${s.error})`);
+      continue;
+    }
+    const state = s.complete ? 'complete' : 'partial, will resume';
+    console.log(`[harvest] ${s.source}: added ${s.added}, updated ${s.updated}, deleted ${s.deleted}, ` +
+      `failed ${s.failed} — ${s.pages} pages in ${(s.elapsedMs / 1000).toFixed(1)}s (${state})`);
+  }
+  console.log('[harvest] ========================================');
+  if (failedSources) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(process.exitCode || 0),
+    err => {
+      console.error('[harvest] Fatal error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// scripts/resolve-catalog.js
+// Resolves direct EPUB/PDF files, covers and licenses for pending catalog_books rows
+// (lib/catalogResolver.js), so they open in the unified reader.
+//
+// Usage:
+//   node scripts/resolve-catalog.js              one batch (25 rows)
+//   node scripts/resolve-catalog.js --limit=100  one batch of 100 rows
+//   node scripts/resolve-catalog.js --all        batches until the queue is empty
+//
+// The web process can do the same in the background: set CATALOG_RESOLVER_INTERVAL_MIN.
+
+require('dotenv').config();
+
+const { runCatalogResolver, BATCH_SIZE } = require('../lib/catalogResolver');
+const { createSupabaseHarvestStore } = require('../lib/harvestStore');
+
+function parseArgs(argv) {
+  const args = { limit: BATCH_SIZE, all: false };
+  for (const arg of argv) {
+    if (arg === '--all') args.all = true;
+    else if (arg.startsWith('--limit=')) args.limit = parseInt(arg.slice(8), 10);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!(args.limit > 0)) throw new Error('--limit must be a positive number');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = createSupabaseHarvestStore(require('../lib/supabaseServer'));
+
+  const total = { checked: 0, resolved: 0, none: 0, unsupported: 0, errors: 0, elapsedMs: 0 };
+  for (;;) {
+    const s = await runCatalogResolver({ store, limit: args.limit });
+    for (const k of Object.keys(total)) total[k] += s[k];
+    // A short batch means the queue is drained; a batch of only errors means we are probably offline
+    if (!args.all || s.checked < args.limit || s.errors === s.checked) break;
+  }
+
+  console.log('[catalogResolver] ========================================');
+  console.log(`[catalogResolver] checked ${total.checked}: resolved ${total.resolved}, none ${total.none}, ` +
+    `unsupported ${total.unsupported}, errors ${total.errors} — ${(total.elapsedMs / 1000).toFixed(1)}s`);
+  console.log('[catalogResolver] ========================================');
+}
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    err => {
+      console.error('[catalogResolver] Fatal error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// scripts/saved-search-alerts.js
+// Re-runs due saved searches against the providers and catalog_books and e-mails
+// each user a digest of new matches (lib/savedSearchAlerts.js). Meant for a
+// scheduled job (cron / Render cron job).
+//
+// Usage:
+//   node scripts/saved-search-alerts.js              one batch (50 due searches)
+//   node scripts/saved-search-alerts.js --limit=200  one batch of 200
+//   node scripts/saved-search-alerts.js --dry-run    print the digests instead of sending them
+//
+// The web process can do the same in the background: set SAVED_SEARCH_ALERTS_INTERVAL_MIN.
+
+require('dotenv').config();
+
+const { runSavedSearchAlerts, BATCH_SIZE } = require('../lib/savedSearchAlerts');
+
+function parseArgs(argv) {
+  const args = { limit: BATCH_SIZE, dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg.startsWith('--limit=')) args.limit = parseInt(arg.slice(8), 10);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!(args.limit > 0)) throw new Error('--limit must be a positive number');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { createSupabaseSavedSearchStore } = require('../lib/savedSearches');
+  const store = createSupabaseSavedSearchStore(require('../lib/supabaseServer'));
+  const { collectMatches } = require('../routes/search');
+
+  let sendMail;
+  if (args.dryRun) {
+    // Write nothing, so the same searches stay due for the real run
+    store.update = async () => {};
+    sendMail = async ({ to, subject, text }) => console.log(`\n--- To: ${to}\n--- Subject: ${subject}\n${text}`);
+  } else {
+    sendMail = require('../mailer').send;
+  }
+
+  const s = await runSavedSearchAlerts({ store, runSearch: collectMatches, sendMail, limit: args.limit });
+
+  console.log('[savedSearchAlerts] ========================================');
+  console.log(`[savedSearchAlerts] checked ${s.checked}: baseline ${s.seeded}, with new ${s.withNew}, ` +
+    `emailed ${s.emailed}, mail errors ${s.mailErrors}, errors ${s.errors} — ${(s.elapsedMs / 1000).toFixed(1)}s`);
+  console.log('[savedSearchAlerts] ========================================');
+}
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    err => {
+      console.error('[savedSearchAlerts] Fatal error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// scripts/test-annotationExport.js
+// Tests for lib/annotationExport.js (CFI ordering, Markdown / JSON / Readwise CSV)
+
+const {
+  parseCfiLocation,
+  compareCfi,
+  buildExport,
+  toMarkdown,
+  toJson,
+  toReadwiseCsv,
+} = require('../lib/annotationExport');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// =========================================================================
+console.log('\n=== parseCfiLocation / compareCfi ===');
+
+const range = parseCfiLocation('epubcfi(/6/14!/4/2/10,/1:0,/1:25)');
+assert('range CFI → spine section 7', range && range.section === 7);
+assert('range CFI → content steps include range start', range && range.steps.join('/') === '4/2/10/1' && range.offset === 0);
+assert('point CFI parsed', parseCfiLocation('epubcfi(/6/4!/4/2/1:5)').offset === 5);
+assert('garbage → null', parseCfiLocation('chapter-3.xhtml') === null);
+
+assert('earlier section sorts first', compareCfi('epubcfi(/6/4!/4/20)', 'epubcfi(/6/6!/4/2)') < 0);
+assert('same section: paragraph order', compareCfi('epubcfi(/6/6!/4/10/1:0)', 'epubcfi(/6/6!/4/2/1:0)') > 0);
+assert('same node: character offset order', compareCfi('epubcfi(/6/6!/4/2/1:30)', 'epubcfi(/6/6!/4/2/1:4)') > 0);
+assert('unparseable CFIs sort last', compareCfi('nope', 'epubcfi(/6/2!/4)') > 0);
+
+// =========================================================================
+console.log('\n=== buildExport ===');
+
+const highlights = [
+  { id: 'h2', book_id: 'bl:gutenberg:1342', cfi: 'epubcfi(/6/8!/4/6,/1:0,/1:12)', text: 'It is a truth', color: 'green',
+    note: 'Opening line, "famous"', chapter: 'Chapter 1', created_at: '2026-10-01T10:00:00Z' },
+  { id: 'h1', book_id: 'bl:gutenberg:1342', cfi: 'epubcfi(/6/8!/4/2,/1:0,/1:5)', text: 'Mr. Bennet', color: 'yellow',
+    note: null, chapter: 'Chapter 1', created_at: '2026-10-02T10:00:00Z' },
+  { id: 'h3', book_id: 'bl:gutenberg:84', cfi: 'epubcfi(/6/10!/4/2,/1:0,/1:9)', text: 'You will rejoice', color: 'blue',
+    note: '', chapter: null, created_at: '2026-10-03T10:00:00Z' },
+];
+const bookmarks = [
+  { id: 'b1', book_id: 'bl:gutenberg:1342', cfi: 'epubcfi(/6/12!/4/2/1:0)', label: 'Chapter 2', chapter: 'Chapter 2',
+    created_at: '2026-10-04T10:00:00Z' },
+];
+const books = {
+  'bl:gutenberg:1342': { title: 'Pride and Prejudice', author: 'Jane Austen', source: 'gutenberg',
+    url: 'https://example.org/open?provider=gutenberg&provider_id=1342', progress: 42.4 },
+};
+
+const exported = buildExport({ highlights, bookmarks, books });
+assert('one entry per book', exported.length === 2);
+assert('known books first; unknown book titled by its id',
+  exported[0].title === 'Pride and Prejudice' && exported[1].title === 'bl:gutenberg:84');
+const pride = exported[0];
+assert('annotations in reading order', pride.annotations.map(a => a.id).join(',') === 'h1,h2,b1');
+assert('ordinal positions assigned', pride.annotations.map(a => a.position).join(',') === '1,2,3');
+assert('missing chapter falls back to CFI section', exported[1].annotations[0].chapter === 'Section 5');
+
+// =========================================================================
+console.log('\n=== toMarkdown ===');
+
+const exportedAt = new Date('2026-10-19T12:00:00Z');
+const single = toMarkdown([pride], { exportedAt });
+assert('single book: title is the H1', single.startsWith('# Pride and Prejudice\n'));
+assert('metadata block (author, link, progress)', single.includes('**Author:** Jane Austen') &&
+  single.includes('**Link:** https://example.org/open') && single.includes('**Progress:** 42%'));
+assert('grouped by chapter', single.indexOf('## Chapter 1') < single.indexOf('> Mr. Bennet') &&
+  single.indexOf('## Chapter 2') > single.indexOf('> It is a truth'));
+assert('chapter heading not repeated', single.split('## Chapter 1').length === 2);
+assert('note rendered', single.includes('**Note:** Opening line, "famous"'));
+assert('CFI-derived location + CFI', single.includes('*Section 4 · yellow · 2026-10-02* `epubcfi(/6/8!/4/2,/1:0,/1:5)`'));
+assert('bookmark line', single.includes('- 🔖 **Chapter 2** — Section 6, 2026-10-04'));
+
+const all = toMarkdown(exported, { exportedAt });
+assert('account export: H1 + H2 per book + H3 chapters', all.startsWith('# BookLantern annotations') &&
+  all.includes('\n## Pride and Prejudice\n') && all.includes('\n### Chapter 1\n'));
+
+// =========================================================================
+console.log('\n=== toJson ===');
+
+const json = JSON.parse(toJson(exported, { exportedAt }));
+assert('JSON has exported_at and books', json.exported_at === '2026-10-19T12:00:00.000Z' && json.books.length === 2);
+assert('JSON annotations carry cfi/location/note', json.books[0].annotations[1].cfi.startsWith('epubcfi(') &&
+  json.books[0].annotations[1].location === 'Section 4' && json.books[0].annotations[1].note.startsWith('Opening'));
+
+// =========================================================================
+console.log('\n=== toReadwiseCsv ===');
+
+const csv = toReadwiseCsv(exported);
+const lines = csv.trim().split('\r\n');
+assert('Readwise header', lines[0] === 'Highlight,Title,Author,URL,Note,Location,Date');
+assert('one row per highlight (bookmarks skipped)', lines.length === 4);
+assert('plain row', lines[1] === 'Mr. Bennet,Pride and Prejudice,Jane Austen,https://example.org/open?provider=gutenberg&provider_id=1342,,1,2026-10-02 10:00:00');
+assert('quotes and commas escaped', lines[2].includes('"Opening line, ""famous"""'));
+assert('multi-line text stays in one quoted cell',
+  toReadwiseCsv(buildExport({ highlights: [{ ...highlights[1], text: 'a\nb' }] })).includes('"a\nb"'));
+const injected = toReadwiseCsv(buildExport({
+  highlights: [{ ...highlights[1], text: '=HYPERLINK("http://evil")', note: '@SUM(1)' }],
+})).split('\r\n')[1];
+assert('formula-like cells are prefixed and quoted',
+  injected.startsWith('"\'=HYPERLINK(""http://evil"")",') && injected.includes(',"\'@SUM(1)",'));
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
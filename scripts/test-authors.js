@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// scripts/test-authors.js
+// Tests for lib/authors.js (name parsing, slugs, variant matching, merged author records)
+
+const authors = require('../lib/authors');
+const sources = require('../lib/sources');
+
+const {
+  splitAuthors,
+  parseAuthorName,
+  authorSlug,
+  authorUrl,
+  isValidSlug,
+  nameFromSlug,
+  matchesAuthor,
+  mergeAuthorInfo,
+  getAuthorInfo,
+} = authors;
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+(async () => {
+  // =========================================================================
+  console.log('\n=== parseAuthorName ===');
+
+  const twain = parseAuthorName('Twain, Mark, 1835-1910');
+  assert('inverted name with life years', twain.name === 'Mark Twain' && twain.birth_year === 1835 && twain.death_year === 1910);
+  assert('roles and titles dropped', parseAuthorName('Tolstoy, Leo, graf').name === 'Leo Tolstoy' &&
+    parseAuthorName('Smith, John, editor').name === 'John Smith');
+  const austen = parseAuthorName('Austen, Jane, b. 1775');
+  assert('"b." year', austen.name === 'Jane Austen' && austen.birth_year === 1775 && austen.death_year === null);
+  assert('initials kept, notes and trailing dots dropped', parseAuthorName('Wells, H. G. (Herbert George)').name === 'H. G. Wells' &&
+    parseAuthorName('Austen, Jane.').name === 'Jane Austen');
+  assert('direct order unchanged', parseAuthorName('Susan B. Anthony').name === 'Susan B. Anthony');
+  assert('first of several authors', parseAuthorName('Austen, Jane; Brontë, Charlotte').name === 'Jane Austen' &&
+    splitAuthors('A | B; C').length === 3);
+  assert('unknown authors have no name', parseAuthorName('Unknown').name === '' && parseAuthorName('').name === '');
+
+  // =========================================================================
+  console.log('\n=== slugs ===');
+
+  assert('slug from any spelling', authorSlug('Twain, Mark, 1835-1910') === 'mark-twain' && authorSlug('Mark Twain') === 'mark-twain');
+  assert('diacritics folded', authorSlug('Balzac, Honoré de') === 'honore-de-balzac');
+  assert('Cyrillic transliterated', isValidSlug(authorSlug('Толстой, Лев')) && authorSlug('Толстой, Лев').endsWith('-tolstoi'));
+  assert('author URL, none for unknown', authorUrl('Twain, Mark') === '/author/mark-twain' && authorUrl('Anonymous') === null);
+  assert('slug validation', isValidSlug('mark-twain') && !isValidSlug('Mark-Twain') && !isValidSlug('mark--twain') &&
+    !isValidSlug('../x') && !isValidSlug('a'.repeat(101)));
+  assert('name from slug', nameFromSlug('h-g-wells') === 'H G Wells');
+
+  // =========================================================================
+  console.log('\n=== matchesAuthor ===');
+
+  assert('inverted and direct forms', matchesAuthor('Twain, Mark', 'Mark Twain') && matchesAuthor('Twain, Mark, 1835-1910', 'Mark Twain'));
+  assert('initial matches the first name', matchesAuthor('M. Twain', 'Mark Twain') && matchesAuthor('Wells, H. G.', 'Herbert George Wells'));
+  assert('different first name rejected', !matchesAuthor('Twain, John', 'Mark Twain') && !matchesAuthor('Jane Austen', 'Mark Twain'));
+  assert('co-authors searched', matchesAuthor('Warner, Charles Dudley; Twain, Mark', 'Mark Twain'));
+  assert('transliterations meet', matchesAuthor('Dostoevsky, Fyodor', 'Fyodor Dostoyevsky') &&
+    matchesAuthor('Достоевский, Фёдор', 'Fyodor Dostoevsky'));
+  assert('compound surnames', matchesAuthor('Cervantes Saavedra, Miguel de', 'Miguel de Cervantes'));
+  assert('slug-derived names', matchesAuthor('Balzac, Honoré de', nameFromSlug('honore-de-balzac')));
+  assert('unknown never matches', !matchesAuthor('Unknown', 'Mark Twain') && !matchesAuthor('Twain, Mark', ''));
+
+  // =========================================================================
+  console.log('\n=== mergeAuthorInfo ===');
+
+  const merged = mergeAuthorInfo([
+    { name: 'Mark Twain', birth_year: 1835, death_year: null, alternate_names: ['Samuel Clemens'] },
+    null,
+    { name: 'Twain', death_year: 1910, bio: 'Humorist.', alternate_names: ['Samuel Clemens', 'S. L. Clemens'],
+      links: [{ title: 'Wikipedia', url: 'https://en.wikipedia.org/wiki/Mark_Twain' }, { title: 'Dup', url: 'https://en.wikipedia.org/wiki/Mark_Twain' }] },
+  ]);
+  assert('first non-empty value wins', merged.name === 'Mark Twain' && merged.birth_year === 1835 && merged.death_year === 1910 && merged.bio === 'Humorist.');
+  assert('alternate names and links combined', merged.alternate_names.length === 2 && merged.links.length === 1);
+
+  // =========================================================================
+  console.log('\n=== getAuthorInfo ===');
+
+  const calls = [];
+  sources.runAuthorLookup = async (name, authorName) => {
+    calls.push(name);
+    const records = {
+      gutenberg: { name: 'Twain, Mark', birth_year: 1835, death_year: 1910 },
+      openlibrary: { name: 'Mark Twain', bio: 'American writer.', birth_year: 1835, death_year: 1910, links: [] },
+    };
+    if (authorName !== 'Mark Twain') return { name, status: 'ok', item: { name: 'Somebody Else' }, ms: 1 };
+    return { name, status: 'ok', item: records[name] || null, ms: 1 };
+  };
+  const info = await getAuthorInfo('mark-twain');
+  assert('records merged from every source with lookupAuthor', calls.includes('gutenberg') && calls.includes('openlibrary') &&
+    !calls.includes('archive'));
+  assert('display name parsed, bio and years kept', info.name === 'Mark Twain' && info.bio === 'American writer.' &&
+    info.birth_year === 1835 && info.death_year === 1910 && info.found && info.slug === 'mark-twain');
+  const before = calls.length;
+  await getAuthorInfo('mark-twain');
+  assert('cached', calls.length === before);
+  const other = await getAuthorInfo('jane-doe');
+  assert('records for another author dropped', !other.found && other.name === 'Jane Doe' && other.bio === undefined);
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
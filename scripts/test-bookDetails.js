@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// scripts/test-bookDetails.js
+// Tests for lib/bookDetails.js (per-source mapping, merging, query hints, schema.org JSON-LD)
+
+const {
+  licenseLabel,
+  plainText,
+  fromArchiveMetadata,
+  fromCatalogRow,
+  mergeDetails,
+  getBookDetails,
+  buildJsonLd,
+  jsonLdScript,
+} = require('../lib/bookDetails');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// =========================================================================
+console.log('\n=== licenseLabel / plainText ===');
+
+assert('CC license URL', licenseLabel('https://creativecommons.org/licenses/by-nc/4.0/') === 'CC BY-NC 4.0');
+assert('CC0', licenseLabel('http://creativecommons.org/publicdomain/zero/1.0/') === 'CC0 (public domain)');
+assert('public domain mark', licenseLabel('https://creativecommons.org/publicdomain/mark/1.0/') === 'Public domain');
+assert('plain statement kept, unknown URL dropped', licenseLabel('Public domain in the USA') === 'Public domain in the USA' &&
+  licenseLabel('https://example.com/terms') === null && licenseLabel('') === null);
+
+assert('HTML stripped, breaks kept', plainText('<p>First &amp; <b>best</b></p><p>Second</p>') === 'First & best\nSecond');
+assert('arrays joined', plainText(['One', 'Two']) === 'One\nTwo');
+const long = plainText('word '.repeat(2000));
+assert('long text capped on a word boundary', long.length <= 5001 && long.endsWith('word…'));
+assert('empty is null', plainText('<p> </p>') === null && plainText(null) === null);
+
+// =========================================================================
+console.log('\n=== fromArchiveMetadata ===');
+
+const archive = fromArchiveMetadata({
+  metadata: {
+    title: 'The Time Machine',
+    creator: ['Wells, H. G.'],
+    description: '<p>A novella.</p>',
+    subject: ['Science fiction; Time travel', 'Classics'],
+    date: '1895-05-07',
+    language: 'eng',
+    licenseurl: 'https://creativecommons.org/publicdomain/mark/1.0/',
+    imagecount: '118',
+  },
+  files: [
+    { name: 'timemachine.pdf', format: 'Text PDF', size: '2048000' },
+    { name: 'timemachine.epub', format: 'EPUB', size: '350000' },
+    { name: 'timemachine_lcp.epub', format: 'LCP EPUB', size: '1' },
+  ],
+});
+assert('metadata mapped', archive.title === 'The Time Machine' && archive.author === 'Wells, H. G.' &&
+  archive.description === 'A novella.' && archive.year === 1895 && archive.language === 'en');
+assert('subjects split on semicolons', archive.subjects.length === 3 && archive.subjects.includes('Time travel'));
+assert('license and page count', archive.license === 'Public domain' && archive.page_count === 118);
+assert('files with sizes, protected ones skipped', archive.files.length === 2 &&
+  archive.files[0].format === 'epub' && archive.files[0].size === 350000 && archive.files[1].format === 'pdf');
+assert('readability left to the probe', archive.readable === null);
+
+const borrowOnly = fromArchiveMetadata({ metadata: { title: 'Lending' }, files: [{ name: 'x_encrypted.pdf', format: 'PDF' }] });
+assert('borrow-only item not readable', borrowOnly.readable === false && borrowOnly.files.length === 0);
+assert('no metadata is null', fromArchiveMetadata(null) === null && fromArchiveMetadata({}) === null);
+
+// =========================================================================
+console.log('\n=== fromCatalogRow ===');
+
+const catalog = fromCatalogRow({
+  title: 'Open Book', authors: 'A. Author', language: 'de', published_year: 2019,
+  subjects: 'History; Europe', description: 'About it.', source_url: 'https://library.oapen.org/handle/1',
+  pdf_url: 'https://library.oapen.org/bitstream/1.pdf', pdf_size: 1500000,
+  license: 'https://creativecommons.org/licenses/by/4.0/',
+});
+assert('row mapped', catalog.title === 'Open Book' && catalog.author === 'A. Author' && catalog.year === 2019 &&
+  catalog.language === 'de' && catalog.license === 'CC BY 4.0');
+assert('file and direct url', catalog.format === 'pdf' && catalog.direct_url.endsWith('1.pdf') &&
+  catalog.files.length === 1 && catalog.files[0].size === 1500000);
+assert('subjects split', catalog.subjects.length === 2 && catalog.subjects[1] === 'Europe');
+
+// =========================================================================
+console.log('\n=== mergeDetails ===');
+
+const merged = mergeDetails([
+  null,
+  { title: 'Specific', description: '', subjects: ['History', 'Europe.'], files: [] },
+  { title: 'Generic', description: 'From lookup', year: 1900, subjects: ['history', 'Politics'], files: [{ format: 'epub', size: 1 }] },
+  { title: 'Hint', author: 'Hinted Author', year: 1950 },
+]);
+assert('first non-empty value wins', merged.title === 'Specific' && merged.description === 'From lookup' && merged.year === 1900);
+assert('later parts fill gaps', merged.author === 'Hinted Author');
+assert('subjects deduped case-insensitively', merged.subjects.join('|') === 'History|Europe|Politics');
+assert('files from the first part that has any', merged.files.length === 1 && merged.files[0].format === 'epub');
+
+// =========================================================================
+console.log('\n=== JSON-LD ===');
+
+const ld = buildJsonLd({
+  title: 'The Time Machine', author: 'H. G. Wells; Someone Else', description: 'A novella.',
+  cover_url: 'https://archive.org/services/img/tm', year: 1895, language: 'en', subjects: ['Science fiction'],
+  page_count: 118, license: 'Public domain', source_url: 'https://archive.org/details/tm', files: [{ format: 'epub' }],
+}, { url: 'https://bl.test/book/archive/tm' });
+assert('schema.org Book', ld['@context'] === 'https://schema.org' && ld['@type'] === 'Book' && ld.url === 'https://bl.test/book/archive/tm');
+assert('authors as Person', ld.author.length === 2 && ld.author[1].name === 'Someone Else' && ld.author[0]['@type'] === 'Person');
+assert('metadata fields', ld.datePublished === '1895' && ld.inLanguage === 'en' && ld.numberOfPages === 118 &&
+  ld.keywords === 'Science fiction' && ld.sameAs === 'https://archive.org/details/tm');
+assert('ebook example from the files', ld.workExample.length === 1 && ld.workExample[0].encodingFormat === 'application/epub+zip');
+
+const withEditions = buildJsonLd({ title: 'X' }, {
+  url: 'https://bl.test/book/x/1',
+  editions: [{ provider: 'gutenberg', format: 'epub', year: 1900 }, { provider: 'loc', format: 'pdf' }],
+});
+assert('one example per edition', withEditions.workExample.length === 2 &&
+  withEditions.workExample[1].encodingFormat === 'application/pdf' && withEditions.workExample[0].provider.name === 'gutenberg');
+assert('relative cover not used as image', buildJsonLd({ title: 'X', cover_url: '/public/img/c.svg' }, { url: 'u' }).image === undefined);
+
+const hintedLd = buildJsonLd({
+  title: 'X', cover_url: 'https://evil.test/c.jpg', source_url: 'https://evil.test/', hinted: ['cover_url', 'source_url'],
+}, { url: 'u' });
+assert('hinted cover and source left out', hintedLd.image === undefined && hintedLd.sameAs === undefined);
+
+const script = jsonLdScript({ name: '</script><script>alert(1)</script>' });
+assert('script-safe JSON', !script.includes('</') && JSON.parse(script).name.startsWith('</script>'));
+
+// =========================================================================
+console.log('\n=== getBookDetails: query hints ===');
+
+(async () => {
+  // Provider lookups answered locally (no network)
+  const sources = require('../lib/sources');
+  const realGet = sources.get;
+  const realLookup = sources.runLookup;
+  sources.get = name => (name === 'gutenberg' ? { name } : null);
+  sources.runLookup = async (name, id) => (id === '1342'
+    ? { status: 'ok', item: { title: 'Pride and Prejudice', cover_url: null } }
+    : { status: 'ok', item: null });
+
+  try {
+    const spoofed = await getBookDetails('gutenberg', '999999', { title: 'Fake Book', cover: 'https://evil.test/c.jpg' });
+    assert('hints alone are not a book', spoofed.found === false);
+    const noLookup = await getBookDetails('oapen', '42', { title: 'Fake Book', source_url: 'https://evil.test/' });
+    assert('no record for a provider without lookup → not found', noLookup.found === false);
+
+    const real = await getBookDetails('gutenberg', '1342', {
+      title: 'Hinted Title', author: 'Jane Austen', cover: 'https://evil.test/c.jpg', source_url: 'https://evil.test/',
+    });
+    assert('record found', real.found === true);
+    assert('record wins over hints', real.title === 'Pride and Prejudice');
+    assert('hints fill gaps', real.author === 'Jane Austen' && real.cover_url === 'https://evil.test/c.jpg');
+    assert('hinted fields listed', ['author', 'cover_url', 'source_url'].every(f => real.hinted.includes(f)) &&
+      !real.hinted.includes('title'));
+
+    let lookups = 0;
+    const countingLookup = sources.runLookup;
+    sources.runLookup = async (name, id) => { lookups++; return countingLookup(name, id); };
+    await getBookDetails('gutenberg', '424242');
+    await getBookDetails('gutenberg', '424242');
+    assert('unresolved ids are not cached', lookups === 2);
+    sources.runLookup = countingLookup;
+
+    // =========================================================================
+    console.log('\n=== editions endpoint ===');
+    const express = require('express');
+    const searchRoutes = require('../routes/search');
+    const realFindWork = searchRoutes.findWork;
+    const asked = [];
+    searchRoutes.findWork = async work => {
+      asked.push(`${work.title}|${work.author}`);
+      return { work: { editions: [{ provider: work.provider, title: work.title }] }, related: [] };
+    };
+    const app = express();
+    app.use((req, res, next) => { req.session = { user: { id: 'u1' } }; next(); });
+    app.use(require('../routes/book'));
+    const server = app.listen(0);
+    const editions = async (id, qs) => {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/api/book/gutenberg/${id}/editions?${qs}`);
+      return { status: res.status, body: await res.json() };
+    };
+    try {
+      let r = await editions('1342', 'title=Made+Up&author=Nobody');
+      assert('work looked up by the record title, hints only fill gaps',
+        r.status === 200 && asked[0] === 'Pride and Prejudice|Nobody');
+      r = await editions('1342', 'title=Other+Title&author=Nobody');
+      assert('a made-up title shares the entry', asked.length === 1 && r.body.editions[0].title === 'Pride and Prejudice');
+      r = await editions('1342', 'author=Somebody+Else');
+      assert('an author the record lacks gets its own entry', asked.length === 2 && asked[1] === 'Pride and Prejudice|Somebody Else');
+      r = await editions('999999', 'title=Fake+Book&author=Someone');
+      assert('no record → 404 without a search', r.status === 404 && asked.length === 2);
+    } finally {
+      server.close();
+      searchRoutes.findWork = realFindWork;
+    }
+  } finally {
+    sources.get = realGet;
+    sources.runLookup = realLookup;
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
-// Quick smoke test for normalizeMeta / buildOpenUrl / extractArchiveId
-const { normalizeMeta, buildOpenUrl, extractArchiveId, isNumericOnly, stripPrefixes } = require('../utils/bookHelpers');
+// Quick smoke test for normalizeMeta / buildOpenUrl / buildBookUrl / extractArchiveId
+const { normalizeMeta, buildOpenUrl, buildBookUrl, extractArchiveId, isNumericOnly, stripPrefixes } = require('../utils/bookHelpers');
 
 let passed = 0;
 let failed = 0;
@@ -140,6 +140,28 @@ assert('buildOpenUrl for openlibrary+archive produces archive /open URL',
   url6 && url6.includes('provider=archive') && url6.includes('frankenstein1818')
 );
 
+console.log('\n=== buildBookUrl ===');
+
+const book1 = buildBookUrl({ provider: 'gutenberg', provider_id: 'bl:gutenberg:1342', title: 'Pride and Prejudice', year: 1813 });
+assert('buildBookUrl for gutenberg uses the raw id and keeps hints',
+  book1 === '/book/gutenberg/1342?title=Pride+and+Prejudice&year=1813'
+);
+assert('buildBookUrl encodes ids with slashes',
+  buildBookUrl({ provider: 'oapen', provider_id: '20.500.12657/47301' }) === '/book/oapen/20.500.12657%2F47301'
+);
+assert('buildBookUrl for openlibrary keeps the work id, archive id as hint',
+  buildBookUrl({ provider: 'openlibrary', provider_id: 'OL45804W', archive_id: 'prideprejudice00aust' }) ===
+    '/book/openlibrary/OL45804W?archive_id=prideprejudice00aust'
+);
+assert('buildBookUrl for unknown provider with archive source_url → archive page',
+  (buildBookUrl({ provider: 'unknown', source_url: 'https://archive.org/details/aliceinwonderlan00carr' }) || '')
+    .startsWith('/book/archive/aliceinwonderlan00carr?')
+);
+assert('buildBookUrl unresolvable → null',
+  buildBookUrl({ provider: 'unknown', provider_id: '' }) === null &&
+  buildBookUrl({ provider: 'archive', provider_id: '12345' }) === null
+);
+
 console.log('\n=== isNumericOnly ===');
 assert('isNumericOnly("123456") = true', isNumericOnly('123456') === true);
 assert('isNumericOnly("abc123") = false', isNumericOnly('abc123') === false);
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// scripts/test-catalogBrowse.js
+// Tests for lib/catalogBrowse.js: subject normalization, counting, keyset cursors
+
+const {
+  normalizeSubject,
+  countSubjects,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  subjectKeysFilter,
+  parseBrowseParams,
+} = require('../lib/catalogBrowse');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// =========================================================================
+console.log('\n=== normalizeSubject ===');
+
+assert('classification path → last segment without code',
+  normalizeSubject('bic Book Industry Communication::H Humanities::HB History').label === 'History');
+assert('thema code with digits stripped',
+  normalizeSubject('thema EDItEUR::J Society and Social Sciences::JP Politics and government::JPA Political science and theory').label ===
+  'Political science and theory');
+assert('whitespace collapsed, trailing period dropped', normalizeSubject('  Social   history. ').label === 'Social history');
+assert('key is lowercased label', normalizeSubject('Political Science').key === 'political science');
+assert('leading uppercase word kept without a path', normalizeSubject('EU law').label === 'EU law');
+assert('empty → null', normalizeSubject(' . ') === null && normalizeSubject(null) === null);
+
+// =========================================================================
+console.log('\n=== countSubjects ===');
+
+const rows = [
+  { subjects: 'History; Europe; history' },
+  { subjects: 'bic Book Industry Communication::H Humanities::HB History; Philosophy' },
+  { subjects: 'history; Europe' },
+  { subjects: null },
+];
+const counted = countSubjects(rows);
+assert('counts books, not mentions', counted[0].key === 'history' && counted[0].count === 3);
+assert('label = most common spelling', counted[0].label === 'History');
+assert('ties ordered by key', counted[1].key === 'europe' && counted[2].key === 'philosophy');
+assert('min count', countSubjects(rows, { minCount: 2 }).length === 2);
+assert('name filter', countSubjects(rows, { nameFilter: 'PHIL' }).map(s => s.key).join() === 'philosophy');
+
+// =========================================================================
+console.log('\n=== cursors ===');
+
+const row = { id: '6f1c7a2e-0000-4000-8000-000000000001', title: 'Cities, (Re)built: a.b', published_year: null };
+const titleCursor = decodeCursor('title', encodeCursor('title', row));
+assert('cursor round trip', titleCursor.value === row.title && titleCursor.id === row.id);
+assert('cursor from another sort rejected', decodeCursor('newest', encodeCursor('title', row)) === null);
+assert('garbage cursor rejected', decodeCursor('title', 'not-a-cursor') === null);
+
+assert('ascending keyset quotes PostgREST syntax characters', keysetFilter('title', titleCursor) ===
+  'title.gt."Cities, (Re)built: a.b",and(title.eq."Cities, (Re)built: a.b",id.gt."6f1c7a2e-0000-4000-8000-000000000001"),title.is.null');
+assert('descending keyset uses lt', keysetFilter('newest', { value: 1999, id: 'x' }).startsWith('published_year.lt."1999",'));
+assert('null sort value: only later NULL rows', keysetFilter('newest', decodeCursor('newest', encodeCursor('newest', row))) ===
+  `and(published_year.is.null,id.gt."${row.id}")`);
+assert('quotes escaped', keysetFilter('title', { value: 'say "hi"', id: 'x' }).startsWith('title.gt."say \\"hi\\""'));
+assert('subject contains filter is an array literal', subjectKeysFilter('history, modern') === '{"history, modern"}');
+
+// =========================================================================
+console.log('\n=== parseBrowseParams ===');
+
+let params = parseBrowseParams({ subject: 'Social History.', language: 'French', year_from: '2000', year_to: '1990', sort: 'newest' });
+assert('subject normalized to key', params.subject.key === 'social history');
+assert('language variants for unnormalized rows', params.language === 'fr' && params.languages.includes('fre') &&
+  params.languages.includes('french'));
+assert('year range swapped when reversed', params.yearFrom === 1990 && params.yearTo === 2000);
+assert('sort kept', params.sort === 'newest');
+params = parseBrowseParams({ sort: 'constructor', limit: '1000' });
+assert('unknown sort → title, limit clamped', params.sort === 'title' && params.limit === 60 && !params.error);
+params = parseBrowseParams({ sort: 'newest', cursor: encodeCursor('title', row) });
+assert('cursor for a different sort → invalid_cursor', params.error === 'invalid_cursor');
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
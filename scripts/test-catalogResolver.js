@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// scripts/test-catalogResolver.js
+// Tests for lib/catalogResolver.js and the landing-page helpers it uses (no network)
+
+const { resolveRowFiles, runCatalogResolver } = require('../lib/catalogResolver');
+const { extractCoverUrl, extractLicense, extractOapenFiles } = require('../lib/landingFiles');
+const { createMemoryHarvestStore } = require('../lib/harvestStore');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const LANDING = 'https://library.oapen.org/handle/20.500.12657/1';
+const EPUB = 'https://library.oapen.org/bitstream/handle/20.500.12657/1/book.epub';
+const PDF = 'https://library.oapen.org/bitstream/handle/20.500.12657/1/book.pdf';
+
+const HTML = `<html><head>
+  <meta name="citation_pdf_url" content="/bitstream/handle/20.500.12657/1/book.pdf">
+  <meta property="og:image" content="/bitstream/handle/20.500.12657/1/book.pdf.jpg">
+  <meta name="DC.rights" content="Open Access">
+</head><body>
+  <a href="/bitstream/handle/20.500.12657/1/book.epub">EPUB</a>
+  <a rel="license" href="https://creativecommons.org/licenses/by-nc/4.0/">CC BY-NC</a>
+</body></html>`;
+
+/** Fake landing resolver: returns the given result, records the URLs asked for */
+function fakeLanding(result) {
+  const urls = [];
+  const resolveLanding = async url => {
+    urls.push(url);
+    return { ok: Boolean(result.epub || result.pdf), error: null, cover_url: null, license: null, epub: null, pdf: null, ...result };
+  };
+  return { urls, resolveLanding };
+}
+
+const headOk = sizes => async url => {
+  const format = url.endsWith('.epub') ? 'epub' : 'pdf';
+  return { valid: true, format, size: sizes[url] || null };
+};
+const headFail = async () => ({ valid: false, reason: 'HTTP 404' });
+
+(async () => {
+  // =========================================================================
+  console.log('\n=== landing page helpers ===');
+
+  const candidates = await extractOapenFiles(LANDING, HTML);
+  assert('citation_pdf_url and bitstream EPUB found', candidates.some(c => c.url === PDF && c.format === 'pdf') &&
+    candidates.some(c => c.url === EPUB && c.format === 'epub'));
+  assert('og:image cover made absolute', extractCoverUrl(LANDING, HTML) ===
+    'https://library.oapen.org/bitstream/handle/20.500.12657/1/book.pdf.jpg');
+  assert('rel=license link preferred over DC.rights', extractLicense(LANDING, HTML) ===
+    'https://creativecommons.org/licenses/by-nc/4.0/');
+  assert('DC.rights used without a license link', extractLicense(LANDING, '<meta name="DC.rights" content="CC BY 4.0">') === 'CC BY 4.0');
+  assert('no cover when og:image is the PDF', extractCoverUrl(LANDING, `<meta property="og:image" content="${PDF}">`) === null);
+
+  // =========================================================================
+  console.log('\n=== resolveRowFiles ===');
+
+  let landing = fakeLanding({
+    epub: { url: EPUB, format: 'epub', size: 1200 },
+    pdf: { url: PDF, format: 'pdf', size: 3400 },
+    cover_url: 'https://library.oapen.org/cover.jpg',
+    license: 'https://creativecommons.org/licenses/by/4.0/',
+  });
+  let patch = await resolveRowFiles({ source_url: LANDING }, { resolveLanding: landing.resolveLanding, checkFile: headFail });
+  assert('landing page files stored with sizes', patch.files_status === 'resolved' && patch.epub_url === EPUB &&
+    patch.epub_size === 1200 && patch.pdf_url === PDF && patch.pdf_size === 3400);
+  assert('cover and license from the landing page', patch.cover_url === 'https://library.oapen.org/cover.jpg' &&
+    /by\/4\.0/.test(patch.license));
+  assert('attempt counted', patch.resolve_attempts === 1 && patch.files_checked_at);
+
+  landing = fakeLanding({});
+  patch = await resolveRowFiles({ source_url: LANDING, epub_url: EPUB, license: 'CC0' },
+    { resolveLanding: landing.resolveLanding, checkFile: headOk({ [EPUB]: 999 }) });
+  assert('harvested EPUB is HEAD-checked, landing page skipped', patch.epub_url === EPUB && patch.epub_size === 999 &&
+    landing.urls.length === 0);
+  assert('harvested license kept', patch.license === 'CC0');
+
+  landing = fakeLanding({ pdf: { url: PDF, format: 'pdf', size: 10 } });
+  patch = await resolveRowFiles({ source_url: LANDING, epub_url: EPUB }, { resolveLanding: landing.resolveLanding, checkFile: headFail });
+  assert('broken harvested link → falls back to the landing page', patch.epub_url === null && patch.pdf_url === PDF &&
+    patch.files_status === 'resolved' && landing.urls[0] === LANDING);
+
+  landing = fakeLanding({ pdf: { url: 'https://press.example.com/book.pdf', format: 'pdf' } });
+  patch = await resolveRowFiles({ source_url: LANDING }, { resolveLanding: landing.resolveLanding, checkFile: headFail });
+  assert('files the reader proxy cannot fetch are dropped', patch.files_status === 'none' && patch.pdf_url === null &&
+    patch.files_error === 'domain_not_allowed');
+
+  landing = fakeLanding({ error: 'fetch_failed' });
+  patch = await resolveRowFiles({ source_url: LANDING }, { resolveLanding: landing.resolveLanding, checkFile: headFail });
+  assert('landing fetch failure → error (retried later)', patch.files_status === 'error' && patch.files_error === 'fetch_failed');
+
+  landing = fakeLanding({});
+  patch = await resolveRowFiles({ source_url: 'https://babel.hathitrust.org/cgi/pt?id=x' },
+    { resolveLanding: landing.resolveLanding, checkFile: headFail });
+  assert('non-allowlisted landing page → unsupported, not fetched', patch.files_status === 'unsupported' && landing.urls.length === 0);
+
+  // =========================================================================
+  console.log('\n=== runCatalogResolver ===');
+
+  const store = createMemoryHarvestStore();
+  await store.upsertBooks([
+    { source: 'oapen', source_id: 'a', title: 'A', source_url: LANDING },
+    { source: 'oapen', source_id: 'b', title: 'B', source_url: LANDING },
+    { source: 'hathitrust', source_id: 'c', title: 'C', source_url: 'https://babel.hathitrust.org/cgi/pt?id=c' },
+  ]);
+  store.books.get('oapen\u0000b').files_status = 'resolved';
+
+  const resolveRow = async row => {
+    if (row.source === 'hathitrust') throw new Error('boom');
+    return resolveRowFiles(row, { resolveLanding: fakeLanding({ epub: { url: EPUB, format: 'epub' } }).resolveLanding, checkFile: headFail });
+  };
+  const summary = await runCatalogResolver({ store, delayMs: 0, resolveRow, log: () => {} });
+  assert('only pending rows checked', summary.checked === 2 && summary.resolved === 1 && summary.errors === 1);
+  assert('resolved row updated', store.books.get('oapen\u0000a').epub_url === EPUB);
+  const crashed = store.books.get('hathitrust\u0000c');
+  assert('thrown error recorded on the row', crashed.files_status === 'error' && crashed.files_error === 'boom' &&
+    crashed.resolve_attempts === 1);
+
+  const again = await runCatalogResolver({ store, delayMs: 0, resolveRow, log: () => {} });
+  assert('failed rows wait for their retry window', again.checked === 0);
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
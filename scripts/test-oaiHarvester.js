@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// scripts/test-oaiHarvester.js
+// Tests for lib/oaiHarvester.js against canned OAI-PMH responses (no network)
+
+const { harvestSource, parseOaiResponse, formatDatestamp, mapDublinCore } = require('../lib/oaiHarvester');
+const { createMemoryHarvestStore } = require('../lib/harvestStore');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const BASE = 'https://repo.example.org/oai';
+const SOURCE = { baseUrl: BASE, delayMs: 0 };
+
+function record(id, title, { deleted = false, extra = '' } = {}) {
+  if (deleted) {
+    return `<record><header status="deleted"><identifier>${id}</identifier><datestamp>2026-10-02</datestamp></header></record>`;
+  }
+  return `<record>
+    <header><identifier>${id}</identifier><datestamp>2026-10-01</datestamp><setSpec>books</setSpec></header>
+    <metadata><oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      ${title ? `<dc:title>${title}</dc:title>` : ''}
+      <dc:creator>Doe, Jane</dc:creator><dc:creator>Roe, Richard</dc:creator>
+      <dc:subject>History</dc:subject><dc:subject>History</dc:subject><dc:subject>Europe</dc:subject>
+      <dc:language>ENG</dc:language>
+      <dc:date>c. 2019-05-01</dc:date>
+      <dc:identifier>urn:isbn:9780000000000</dc:identifier>
+      <dc:identifier>http://repo.example.org/handle/${id}</dc:identifier>
+      <dc:identifier>https://repo.example.org/handle/${id}</dc:identifier>
+      ${extra}
+    </oai_dc:dc></metadata>
+  </record>`;
+}
+
+function listRecords(records, token, { responseDate = '2026-10-19T08:00:00Z', size = null } = {}) {
+  const tokenXml = token === undefined ? ''
+    : token ? `<resumptionToken${size ? ` completeListSize="${size}"` : ''}>${token}</resumptionToken>`
+    : '<resumptionToken completeListSize="3"/>';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+  <responseDate>${responseDate}</responseDate>
+  <request verb="ListRecords">${BASE}</request>
+  <ListRecords>${records.join('\n')}${tokenXml}</ListRecords>
+</OAI-PMH>`;
+}
+
+function oaiError(code, message) {
+  return `<?xml version="1.0"?><OAI-PMH><responseDate>2026-10-19T09:00:00Z</responseDate>
+    <error code="${code}">${message}</error></OAI-PMH>`;
+}
+
+const IDENTIFY = `<OAI-PMH><responseDate>2026-10-19T09:00:00Z</responseDate><Identify>
+  <repositoryName>Example</repositoryName><deletedRecord>persistent</deletedRecord>
+  <granularity>YYYY-MM-DD</granularity></Identify></OAI-PMH>`;
+
+/** Fake fetchText: routes by query parameters, records every URL requested */
+function fakeRepo(handler) {
+  const urls = [];
+  const fetchText = async url => {
+    urls.push(url);
+    const params = new URL(url).searchParams;
+    if (params.get('verb') === 'Identify') return IDENTIFY;
+    return handler(params);
+  };
+  return { urls, fetchText };
+}
+
+const quiet = () => {};
+
+(async () => {
+  // =========================================================================
+  console.log('\n=== parseOaiResponse ===');
+
+  const parsed = parseOaiResponse(listRecords([
+    record('oai:x:1', 'Caf&#233; &amp; <![CDATA[Society <1900>]]>'),
+    record('oai:x:2', null, { deleted: true }),
+  ], 'tok-2', { size: 250 }));
+  assert('records parsed', parsed.records.length === 2);
+  assert('entities and CDATA decoded', parsed.records[0].metadata.title[0] === 'Café & Society <1900>');
+  assert('header identifier (not dc:identifier)', parsed.records[0].identifier === 'oai:x:1');
+  assert('deleted status detected', parsed.records[1].deleted === true && parsed.records[0].deleted === false);
+  assert('resumption token + completeListSize', parsed.resumptionToken === 'tok-2' && parsed.completeListSize === 250);
+  assert('responseDate', parsed.responseDate === '2026-10-19T08:00:00Z');
+  assert('empty self-closing token = last page', parseOaiResponse(listRecords([], '')).resumptionToken === null);
+  const err = parseOaiResponse(oaiError('badArgument', 'Illegal date'));
+  assert('OAI error parsed', err.error && err.error.code === 'badArgument' && err.error.message === 'Illegal date');
+  assert('day granularity', formatDatestamp('2026-10-19T08:30:00Z', 'YYYY-MM-DD') === '2026-10-19');
+  assert('seconds granularity', formatDatestamp('2026-10-19T08:30:00.123Z', 'YYYY-MM-DDThh:mm:ssZ') === '2026-10-19T08:30:00Z');
+
+  // =========================================================================
+  console.log('\n=== full harvest with resumption tokens ===');
+
+  const store = createMemoryHarvestStore();
+  let repo = fakeRepo(params => {
+    const token = params.get('resumptionToken');
+    if (!token) return listRecords([record('oai:x:1', 'Alpha'), record('oai:x:2', 'Beta')], 'p2');
+    if (token === 'p2') return listRecords([record('oai:x:3', 'Gamma'), record('oai:x:4', null)], '');
+    throw new Error('unexpected token ' + token);
+  });
+  let summary = await harvestSource('example', SOURCE, { store, fetchText: repo.fetchText, log: quiet });
+  assert('first request has metadataPrefix, no from', /metadataPrefix=oai_dc/.test(repo.urls[0]) && !/from=/.test(repo.urls[0]));
+  assert('second request uses only the token', /verb=ListRecords&resumptionToken=p2$/.test(repo.urls[1]));
+  assert('summary: 3 added, 1 failed (no title), complete', summary.added === 3 && summary.updated === 0 &&
+    summary.failed === 1 && summary.pages === 2 && summary.complete);
+  const row = store.books.get('example\u0000oai:x:1');
+  assert('row mapped from Dublin Core', row && row.title === 'Alpha' && row.authors === 'Doe, Jane; Roe, Richard' &&
+    row.subjects === 'History; Europe' && row.language === 'eng' && row.published_year === 2019);
+  assert('https landing page preferred', row.source_url === 'https://repo.example.org/handle/oai:x:1');
+  let state = await store.getState('example');
+  assert('watermark = responseDate of first page', state.watermark === '2026-10-19T08:00:00Z' && !state.resumption_token);
+  assert('last summary stored', state.last_summary && state.last_summary.added === 3);
+
+  // =========================================================================
+  console.log('\n=== incremental harvest: updates and deletions ===');
+
+  repo = fakeRepo(() => listRecords([
+    record('oai:x:1', 'Alpha (2nd edition)'),
+    record('oai:x:2', null, { deleted: true }),
+    record('oai:x:9', null, { deleted: true }),
+    record('oai:x:5', 'Delta'),
+  ], undefined, { responseDate: '2026-10-20T08:00:00Z' }));
+  summary = await harvestSource('example', SOURCE, { store, fetchText: repo.fetchText, log: quiet });
+  assert('from= uses watermark at repository granularity', repo.urls.some(u => /from=2026-10-19(&|$)/.test(u)));
+  assert('summary: 1 added, 1 updated, 1 deleted', summary.added === 1 && summary.updated === 1 && summary.deleted === 1);
+  assert('deleted record removed from catalog', !store.books.has('example\u0000oai:x:2'));
+  assert('updated title stored', store.books.get('example\u0000oai:x:1').title === 'Alpha (2nd edition)');
+  assert('watermark advanced', (await store.getState('example')).watermark === '2026-10-20T08:00:00Z');
+
+  repo = fakeRepo(() => oaiError('noRecordsMatch', 'Nothing new'));
+  summary = await harvestSource('example', SOURCE, { store, fetchText: repo.fetchText, log: quiet });
+  assert('noRecordsMatch → complete, nothing changed', summary.complete && summary.added === 0 && summary.pages === 0);
+
+  // =========================================================================
+  console.log('\n=== direct files, cover and license ===');
+
+  const withFiles = parseOaiResponse(listRecords([record('oai:f:1', 'Files', { extra: `
+      <dc:identifier>https://library.oapen.org/bitstream/20.500/1/book.pdf</dc:identifier>
+      <dc:relation>http://repo.example.org/files/book.epub</dc:relation>
+      <dc:relation>https://repo.example.org/covers/book.jpg</dc:relation>
+      <dc:rights>All rights reserved</dc:rights>
+      <dc:rights>https://creativecommons.org/licenses/by/4.0/</dc:rights>` })])).records[0];
+  const fileRow = mapDublinCore(withFiles, { key: 'example' });
+  assert('direct PDF/EPUB links captured', fileRow.pdf_url === 'https://library.oapen.org/bitstream/20.500/1/book.pdf' &&
+    fileRow.epub_url === 'http://repo.example.org/files/book.epub');
+  assert('file links are not the landing page', fileRow.source_url === 'https://repo.example.org/handle/oai:f:1');
+  assert('cover and Creative Commons license captured', fileRow.cover_url === 'https://repo.example.org/covers/book.jpg' &&
+    fileRow.license === 'https://creativecommons.org/licenses/by/4.0/');
+  assert('harvested links queued for the resolver', fileRow.files_status === 'pending');
+  const plainRow = mapDublinCore(parsed.records[0], { key: 'example' });
+  assert('no file columns when the record has none', !('epub_url' in plainRow) && !('pdf_url' in plainRow) &&
+    !('license' in plainRow) && !('files_status' in plainRow));
+
+  const keepStore = createMemoryHarvestStore();
+  await keepStore.upsertBooks([mapDublinCore(parsed.records[0], { key: 'example' })]);
+  await keepStore.updateBookFiles('example\u0000oai:x:1', { epub_url: 'https://library.oapen.org/x.epub', files_status: 'resolved' });
+  await keepStore.upsertBooks([{ ...mapDublinCore(parsed.records[0], { key: 'example' }), title: 'Renamed' }]);
+  const kept = keepStore.books.get('example\u0000oai:x:1');
+  assert('re-harvest keeps resolved files', kept.title === 'Renamed' && kept.epub_url === 'https://library.oapen.org/x.epub' &&
+    kept.files_status === 'resolved');
+
+  // =========================================================================
+  console.log('\n=== restart after crash ===');
+
+  const crashStore = createMemoryHarvestStore();
+  let crash = true;
+  repo = fakeRepo(params => {
+    const token = params.get('resumptionToken');
+    if (!token) return listRecords([record('oai:y:1', 'One')], 'p2', { responseDate: '2026-10-19T10:00:00Z' });
+    if (token === 'p2') {
+      if (crash) throw new Error('socket hang up');
+      return listRecords([record('oai:y:2', 'Two')], '', { responseDate: '2026-10-19T11:00:00Z' });
+    }
+    throw new Error('unexpected token ' + token);
+  });
+  let threw = null;
+  try {
+    await harvestSource('crashy', SOURCE, { store: crashStore, fetchText: repo.fetchText, log: quiet });
+  } catch (e) {
+    threw = e;
+  }
+  state = await crashStore.getState('crashy');
+  assert('crash propagates', threw && threw.message === 'socket hang up');
+  assert('token of the unfinished run persisted, no watermark yet', state.resumption_token === 'p2' && !state.watermark);
+
+  crash = false;
+  repo.urls.length = 0;
+  summary = await harvestSource('crashy', SOURCE, { store: crashStore, fetchText: repo.fetchText, log: quiet });
+  assert('next run resumes with the saved token', summary.resumed && /resumptionToken=p2/.test(repo.urls[0]));
+  assert('resumed run completes', summary.complete && summary.added === 1 && crashStore.books.size === 2);
+  assert('watermark = start of the interrupted run', (await crashStore.getState('crashy')).watermark === '2026-10-19T10:00:00Z');
+
+  // =========================================================================
+  console.log('\n=== expired token / max pages / errors ===');
+
+  const expiredStore = createMemoryHarvestStore();
+  await expiredStore.saveState('exp', { watermark: '2026-10-01T00:00:00Z', resumption_token: 'stale', run_from: '2026-10-01', run_started_at: '2026-10-05T00:00:00Z' });
+  repo = fakeRepo(params => (params.get('resumptionToken') === 'stale'
+    ? oaiError('badResumptionToken', 'expired')
+    : listRecords([record('oai:z:1', 'Zed')], '', { responseDate: '2026-10-19T12:00:00Z' })));
+  summary = await harvestSource('exp', SOURCE, { store: expiredStore, fetchText: repo.fetchText, log: quiet });
+  assert('expired token → restart the run window from run_from', /from=2026-10-01/.test(repo.urls[1]) && summary.complete);
+  assert('restarted run takes a fresh start time', (await expiredStore.getState('exp')).watermark === '2026-10-19T12:00:00Z');
+
+  const pagedStore = createMemoryHarvestStore();
+  repo = fakeRepo(params => listRecords([record('oai:p:' + (params.get('resumptionToken') || '0'), 'Page')],
+    'next' + (params.get('resumptionToken') || '')));
+  summary = await harvestSource('paged', SOURCE, { store: pagedStore, fetchText: repo.fetchText, maxPages: 2, log: quiet });
+  state = await pagedStore.getState('paged');
+  assert('maxPages stops early and leaves the run resumable', summary.pages === 2 && !summary.complete &&
+    state.resumption_token === 'nextnext' && !state.watermark);
+
+  repo = fakeRepo(() => oaiError('cannotDisseminateFormat', 'no oai_dc'));
+  threw = null;
+  try {
+    await harvestSource('bad', SOURCE, { store: createMemoryHarvestStore(), fetchText: repo.fetchText, log: quiet });
+  } catch (e) {
+    threw = e;
+  }
+  assert('other OAI errors throw HarvestError', threw && threw.name === 'HarvestError' && /cannotDisseminateFormat/.test(threw.message));
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
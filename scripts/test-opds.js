@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// scripts/test-opds.js
+// Tests for lib/opds.js (feed keys, publication mapping, OPDS 1.2 / 2.0 / OpenSearch rendering)
+// and the feed key checks of routes/opds.js (reset, subscription)
+
+process.env.APP_SIGNING_SECRET = process.env.APP_SIGNING_SECRET || 'test-opds-secret';
+
+const {
+  feedKey,
+  verifyFeedKey,
+  toPublication,
+  resolveHref,
+  renderAtom,
+  renderOpds2,
+  renderOpenSearch,
+  MIME,
+} = require('../lib/opds');
+const { buildReaderToken, verifyReaderToken } = require('../utils/buildReaderToken');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const tokenOf = href => verifyReaderToken(decodeURIComponent(href.split('token=')[1]));
+
+// =========================================================================
+console.log('\n=== feed keys ===');
+
+const key = feedKey('6f1c2b9e-user', 1);
+const parsed = verifyFeedKey(key);
+assert('key round-trips to the user id and version', parsed && parsed.userId === '6f1c2b9e-user' && parsed.version === 1);
+assert('key is URL-safe', /^[A-Za-z0-9_-]+\.\d+\.[A-Za-z0-9_-]+$/.test(key));
+assert('stable per user and version', feedKey('6f1c2b9e-user', 1) === key && feedKey('someone-else', 1) !== key &&
+  feedKey('6f1c2b9e-user', 2) !== key);
+const [id, ver, sig] = key.split('.');
+const forged = Buffer.from('someone-else').toString('base64url') + `.${ver}.${sig}`;
+assert('forged id rejected', verifyFeedKey(forged) === null);
+assert('forged version rejected', verifyFeedKey(`${id}.2.${sig}`) === null);
+assert('tampered signature rejected', verifyFeedKey(`${id}.${ver}.${sig.slice(0, -1)}x`) === null);
+assert('garbage rejected', verifyFeedKey('') === null && verifyFeedKey('abc') === null && verifyFeedKey(undefined) === null &&
+  verifyFeedKey(`${id}.${sig}`) === null);
+
+// =========================================================================
+console.log('\n=== toPublication ===');
+
+const gutenberg = toPublication({
+  provider: 'gutenberg', provider_id: '1342', title: 'Pride and Prejudice', author: 'Jane Austen',
+  cover: 'https://www.gutenberg.org/cache/epub/1342/pg1342.cover.medium.jpg', year: '1813-01-28', language: 'en',
+});
+assert('gutenberg resolved to an EPUB acquisition link', gutenberg.acquisition &&
+  gutenberg.acquisition.type === 'application/epub+zip' && gutenberg.acquisition.href.startsWith('/api/proxy/file?token='));
+const payload = tokenOf(gutenberg.acquisition.href);
+assert('acquisition token carries the file', payload && /gutenberg\.org/.test(payload.direct_url) && payload.provider_id === '1342');
+assert('metadata mapped', gutenberg.id === 'urn:booklantern:book:gutenberg:1342' && gutenberg.year === '1813' &&
+  gutenberg.author === 'Jane Austen' && gutenberg.cover.endsWith('.jpg'));
+assert('alternate link to the BookLantern page', /^\/open\?/.test(gutenberg.alternate));
+
+const pdf = toPublication({ provider: 'oapen', provider_id: '20.500/1', title: 'OA', direct_url: 'https://library.oapen.org/bitstream/1.pdf', format: 'pdf' });
+assert('PDF from an allowed host', pdf.acquisition && pdf.acquisition.type === 'application/pdf');
+
+const offsite = toPublication({ provider: 'freeweb', provider_id: 'x', title: 'Elsewhere', direct_url: 'https://evil.example.com/book.epub', format: 'epub' });
+assert('no acquisition for hosts the proxy refuses', offsite.acquisition === null);
+const html = toPublication({ provider: 'oapen', provider_id: 'y', title: 'Web', direct_url: 'https://library.oapen.org/y.html', format: 'html' });
+assert('no acquisition for non EPUB/PDF formats', html.acquisition === null);
+
+const readerUrl = '/unified-reader?token=' + encodeURIComponent(buildReaderToken({
+  provider: 'loc', provider_id: 'abc', title: 'LoC', format: 'pdf', direct_url: 'https://tile.loc.gov/storage-services/abc.pdf',
+}));
+const fromProgress = toPublication({ provider: 'loc', provider_id: 'abc', title: 'LoC', reader_url: readerUrl });
+assert('file recovered from a stored reader URL', fromProgress.acquisition && fromProgress.acquisition.type === 'application/pdf' &&
+  tokenOf(fromProgress.acquisition.href).direct_url === 'https://tile.loc.gov/storage-services/abc.pdf');
+assert('relative covers dropped', toPublication({ provider: 'x', provider_id: '1', cover: '/public/img/c.png' }).cover === null);
+
+// =========================================================================
+console.log('\n=== rendering ===');
+
+const urls = { origin: 'https://bl.test', root: `https://bl.test/opds/${key}`, self: 'search?q=a%20%26%20b&page=2' };
+assert('hrefs resolve against root and origin', resolveHref('shelves', urls) === `${urls.root}/shelves` &&
+  resolveHref('', urls) === urls.root && resolveHref('/api/proxy/file?token=t', urls) === 'https://bl.test/api/proxy/file?token=t' &&
+  resolveHref('https://archive.org/x', urls) === 'https://archive.org/x');
+
+const navFeed = {
+  id: 'urn:booklantern:opds:root', title: 'BookLantern', kind: 'navigation',
+  navigation: [{ title: 'Tom & Jerry <shelf>', href: 'shelves/tom', kind: 'acquisition' }],
+};
+const navXml = renderAtom(navFeed, { ...urls, self: '' });
+assert('navigation feed is Atom with start/search links', navXml.startsWith('<?xml') && navXml.includes('xmlns:opds=') &&
+  navXml.includes(`rel="search" href="${urls.root}/opensearch.xml"`) && navXml.includes(`rel="start" href="${urls.root}"`));
+assert('subsection links typed by target kind', navXml.includes(`rel="subsection" href="${urls.root}/shelves/tom" type="${MIME.acquisition}"`));
+assert('text escaped', navXml.includes('Tom &amp; Jerry &lt;shelf&gt;') && !navXml.includes('<shelf>'));
+assert('no up link on the root', !navXml.includes('rel="up"'));
+
+const acqFeed = {
+  id: 'urn:booklantern:opds:search:a', title: 'Search: a & b', kind: 'acquisition', up: '',
+  next: 'search?q=a&page=3', prev: 'search?q=a&page=1', publications: [gutenberg, offsite],
+};
+const acqXml = renderAtom(acqFeed, urls);
+assert('self link keeps the query, escaped', acqXml.includes(`rel="self" href="${urls.root}/search?q=a%20%26%20b&amp;page=2"`));
+assert('paging links', acqXml.includes('rel="next"') && acqXml.includes('rel="previous"') && acqXml.includes('rel="up"'));
+assert('acquisition link absolute', acqXml.includes('rel="http://opds-spec.org/acquisition/open-access" href="https://bl.test/api/proxy/file?token='));
+assert('cover image links', acqXml.includes('rel="http://opds-spec.org/image"') && acqXml.includes('rel="http://opds-spec.org/image/thumbnail"'));
+assert('one acquisition per downloadable book', acqXml.split('opds-spec.org/acquisition/open-access').length === 2);
+assert('Dublin Core metadata', acqXml.includes('<dc:language>en</dc:language>') && acqXml.includes('<dc:issued>1813</dc:issued>'));
+
+const doc = renderOpds2(acqFeed, { ...urls, root: urls.root + '/v2' });
+assert('OPDS 2.0 metadata + templated search', doc.metadata.title === 'Search: a & b' &&
+  doc.links.some(l => l.rel === 'search' && l.templated && l.href === `${urls.root}/v2/search{?query}`));
+assert('OPDS 2.0 publications', doc.publications.length === 2 &&
+  doc.publications[0].metadata.author[0].name === 'Jane Austen' &&
+  doc.publications[0].links[0].type === 'application/epub+zip' && doc.publications[0].images.length === 1);
+assert('OPDS 2.0 no acquisition link when not downloadable', !doc.publications[1].links.some(l => l.rel.includes('acquisition')));
+const navDoc = renderOpds2(navFeed, urls);
+assert('OPDS 2.0 navigation', navDoc.navigation[0].href === `${urls.root}/shelves/tom` && !('publications' in navDoc));
+
+const os = renderOpenSearch({ root: urls.root });
+assert('OpenSearch template', os.includes(`template="${urls.root}/search?q={searchTerms}&amp;page={startPage?}"`) &&
+  os.includes(`type="${MIME.acquisition}"`));
+
+// =========================================================================
+console.log('\n=== routes: feed key reset and subscription ===');
+
+(async () => {
+  const express = require('express');
+  const { createMemoryFeedKeyStore, setFeedKeyStore } = require('../lib/opdsFeedKeys');
+  const keyStore = createMemoryFeedKeyStore();
+  setFeedKeyStore(keyStore);
+
+  const app = express();
+  // Fake session: x-user header stands in for the logged-in user
+  app.use((req, res, next) => {
+    const user = req.get('x-user');
+    req.session = user ? { user: { id: user } } : {};
+    next();
+  });
+  app.use(require('../routes/opds'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (url, user) => fetch(url.startsWith('http') ? url : base + url, { headers: user ? { 'x-user': user } : {} });
+
+  try {
+    let res = await get('/api/opds', 'reader-1');
+    const first = await res.json();
+    assert('GET /api/opds hands out the current key', first.ok && first.opds1.includes(feedKey('reader-1', 1)));
+    res = await get(first.opds1);
+    assert('feed served for a valid key', res.status === 200 && (await res.text()).includes('Curated shelves'));
+    assert('invalid key → 401', (await get('/opds/nope/')).status === 401);
+
+    res = await fetch(`${base}/api/opds/reset`, { method: 'POST', headers: { 'x-user': 'reader-1' } });
+    const second = await res.json();
+    assert('reset returns a new URL', second.ok && second.opds1 !== first.opds1 && second.opds1.includes(feedKey('reader-1', 2)));
+    assert('old URL stops working after a reset', (await get(first.opds1)).status === 401);
+    assert('old v2 URL too', (await get(first.opds2)).status === 401);
+    assert('new URL works', (await get(second.opds2)).status === 200);
+    assert('reset needs a session', (await fetch(`${base}/api/opds/reset`, { method: 'POST' })).status === 401);
+
+    keyStore.setSubscriber('reader-2', false);
+    const lapsed = (await (await get('/api/opds', 'reader-2')).json()).opds1;
+    assert('lapsed subscription → 403', (await get(lapsed)).status === 403);
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// scripts/test-readerAnnotations.js
+// Runs the bookmark / highlight edit and delete endpoints of routes/reader.js against
+// an in-memory stand-in for the Supabase admin client (no Supabase needed)
+
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The slice of the supabase-js query builder the annotation routes use. Filtering an
+ * id column by a non-uuid fails the way Postgres does ("invalid input syntax for type uuid").
+ */
+function createFakeSupabase(tables) {
+  const calls = [];
+  return {
+    calls,
+    from(table) {
+      const rows = tables[table];
+      const filters = [];
+      let action = null;
+      let single = false;
+      const query = {
+        update(patch) { action = { type: 'update', patch }; return query; },
+        delete() { action = { type: 'delete' }; return query; },
+        eq(column, value) { filters.push([column, value]); return query; },
+        select() { return query; },
+        maybeSingle() { single = true; return query; },
+        then(resolve, reject) {
+          return Promise.resolve().then(() => {
+            calls.push({ table, action: action && action.type, filters: filters.slice() });
+            const badId = filters.find(([column, value]) => column === 'id' && !UUID_RE.test(value));
+            if (badId) return { data: null, error: { message: `invalid input syntax for type uuid: "${badId[1]}"` } };
+            const hits = rows.filter(row => filters.every(([column, value]) => row[column] === value));
+            if (action && action.type === 'update') hits.forEach(row => Object.assign(row, action.patch));
+            if (action && action.type === 'delete') hits.forEach(row => rows.splice(rows.indexOf(row), 1));
+            return { data: single ? (hits[0] ? { ...hits[0] } : null) : hits.map(row => ({ ...row })), error: null };
+          }).then(resolve, reject);
+        },
+      };
+      return query;
+    },
+  };
+}
+
+const bookmarkId = crypto.randomUUID();
+const otherBookmarkId = crypto.randomUUID();
+const highlightId = crypto.randomUUID();
+const otherHighlightId = crypto.randomUUID();
+const tables = {
+  bookmarks: [
+    { id: bookmarkId, user_id: 'u1', book_id: 'gutenberg:1342', cfi: 'epubcfi(/6/4)', label: 'Bookmark' },
+    { id: otherBookmarkId, user_id: 'u2', book_id: 'gutenberg:1342', cfi: 'epubcfi(/6/8)', label: 'Theirs' },
+  ],
+  highlights: [
+    { id: highlightId, user_id: 'u1', book_id: 'gutenberg:1342', cfi: 'epubcfi(/6/4)', text: 'It is a truth', color: 'yellow', note: null },
+    { id: otherHighlightId, user_id: 'u2', book_id: 'gutenberg:1342', cfi: 'epubcfi(/6/8)', text: 'universally', color: 'blue', note: null },
+  ],
+};
+const supabase = createFakeSupabase(tables);
+
+// routes/reader.js takes the admin client at require time
+const adminPath = path.join(__dirname, '..', 'supabaseAdmin.js');
+require.cache[adminPath] = { id: adminPath, filename: adminPath, loaded: true, exports: supabase };
+
+const app = express();
+app.use(express.json());
+// Fake session: x-user header stands in for the logged-in user
+app.use((req, res, next) => {
+  const id = req.get('x-user');
+  req.session = id ? { user: { id } } : {};
+  next();
+});
+app.use(require('../routes/reader'));
+
+(async () => {
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/reader`;
+  const call = async (method, path, body, user = 'u1') => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...(user ? { 'x-user': user } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    // =========================================================================
+    console.log('\n=== PATCH /api/reader/bookmark/:id ===');
+    let r = await call('PATCH', '/bookmark/' + bookmarkId, { label: '  Chapter 3 opening  ' });
+    assert('label updated and trimmed', r.status === 200 && r.body.id === bookmarkId && r.body.label === 'Chapter 3 opening');
+    r = await call('PATCH', '/bookmark/' + bookmarkId, { label: '   ' });
+    assert('blank label falls back to "Bookmark"', r.status === 200 && r.body.label === 'Bookmark');
+    r = await call('PATCH', '/bookmark/' + bookmarkId, { label: 42 });
+    assert('non-string label → 400', r.status === 400);
+    r = await call('PATCH', '/bookmark/' + bookmarkId, {});
+    assert('missing label → 400', r.status === 400);
+    r = await call('PATCH', '/bookmark/' + otherBookmarkId, { label: 'Mine now' });
+    assert("another user's bookmark → 404", r.status === 404 && r.body.error === 'Bookmark not found');
+    assert("another user's bookmark left unchanged", tables.bookmarks.find(b => b.id === otherBookmarkId).label === 'Theirs');
+    let before = supabase.calls.length;
+    r = await call('PATCH', '/bookmark/not-a-uuid', { label: 'x' });
+    assert('malformed id → 404, not 500', r.status === 404 && r.body.error === 'Bookmark not found');
+    assert('malformed id never reaches the database', supabase.calls.length === before);
+    r = await call('PATCH', '/bookmark/' + bookmarkId, { label: 'x' }, null);
+    assert('anonymous → 401', r.status === 401);
+
+    // =========================================================================
+    console.log('\n=== DELETE /api/reader/bookmark/:id ===');
+    before = supabase.calls.length;
+    r = await call('DELETE', '/bookmark/1;drop');
+    assert('malformed id → 404, not 500', r.status === 404 && supabase.calls.length === before);
+    r = await call('DELETE', '/bookmark/' + otherBookmarkId);
+    assert("another user's bookmark → 404", r.status === 404);
+    assert("another user's bookmark kept", tables.bookmarks.some(b => b.id === otherBookmarkId));
+    r = await call('DELETE', '/bookmark/' + bookmarkId);
+    assert('own bookmark deleted', r.status === 200 && r.body.success === true && !tables.bookmarks.some(b => b.id === bookmarkId));
+    r = await call('DELETE', '/bookmark/' + bookmarkId);
+    assert('deleting again → 404', r.status === 404);
+
+    // =========================================================================
+    console.log('\n=== PATCH /api/reader/highlight/:id ===');
+    r = await call('PATCH', '/highlight/' + highlightId, { color: 'green', note: '  Famous line  ' });
+    assert('color and note updated', r.status === 200 && r.body.color === 'green' && r.body.note === 'Famous line');
+    r = await call('PATCH', '/highlight/' + highlightId, { color: 'chartreuse' });
+    assert('unknown color falls back to yellow', r.status === 200 && r.body.color === 'yellow' && r.body.note === 'Famous line');
+    r = await call('PATCH', '/highlight/' + highlightId, { note: '' });
+    assert('empty note clears it', r.status === 200 && r.body.note === null);
+    r = await call('PATCH', '/highlight/' + highlightId, { text: 'rewritten' });
+    assert('nothing to update → 400', r.status === 400 && r.body.error === 'Nothing to update');
+    r = await call('PATCH', '/highlight/' + otherHighlightId, { color: 'pink' });
+    assert("another user's highlight → 404", r.status === 404 && r.body.error === 'Highlight not found');
+    assert("another user's highlight left unchanged", tables.highlights.find(h => h.id === otherHighlightId).color === 'blue');
+    before = supabase.calls.length;
+    r = await call('PATCH', '/highlight/12345', { color: 'pink' });
+    assert('malformed id → 404, not 500', r.status === 404 && supabase.calls.length === before);
+
+    // =========================================================================
+    console.log('\n=== DELETE /api/reader/highlight/:id ===');
+    before = supabase.calls.length;
+    r = await call('DELETE', '/highlight/' + highlightId.slice(0, -1));
+    assert('malformed id → 404, not 500', r.status === 404 && supabase.calls.length === before);
+    r = await call('DELETE', '/highlight/' + otherHighlightId);
+    assert("another user's highlight → 404", r.status === 404 && tables.highlights.some(h => h.id === otherHighlightId));
+    r = await call('DELETE', '/highlight/' + highlightId);
+    assert('own highlight deleted', r.status === 200 && r.body.success === true && !tables.highlights.some(h => h.id === highlightId));
+    r = await call('DELETE', '/highlight/' + highlightId, null, null);
+    assert('anonymous → 401', r.status === 401);
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed ? 1 : 0);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
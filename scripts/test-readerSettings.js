@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// scripts/test-readerSettings.js
+// Tests for lib/readerSettings.js (validation of synced reader typography/theme settings)
+
+const { normalizeSettings, settingsFromRow, DEFAULT_SETTINGS } = require('../lib/readerSettings');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// =========================================================================
+console.log('\n=== normalizeSettings ===');
+
+const full = normalizeSettings({
+  font_size: 120, theme: 'sepia', font_family: 'dyslexic', line_height: 1.8, margin: 32,
+  text_align: 'left', hyphenation: false, custom_background: '#FFEEDD', custom_text: '#112233', flow: 'spread',
+});
+assert('valid values kept', full.font_size === 120 && full.theme === 'sepia' && full.font_family === 'dyslexic' &&
+  full.line_height === 1.8 && full.margin === 32 && full.text_align === 'left' && full.hyphenation === false &&
+  full.flow === 'spread');
+assert('colors lowercased', full.custom_background === '#ffeedd' && full.custom_text === '#112233');
+
+const partial = normalizeSettings({ theme: 'dark', user_id: 'someone-else', updated_at: '2020-01-01' });
+assert('partial update, unknown fields dropped', Object.keys(partial).length === 1 && partial.theme === 'dark');
+
+const invalid = normalizeSettings({
+  theme: 'neon', font_family: 'comic', text_align: 'center', hyphenation: 'yes',
+  custom_background: 'red', custom_text: '#12345', font_size: 'big', margin: null, line_height: '', flow: 'scrolled-doc',
+});
+assert('invalid values dropped', Object.keys(invalid).length === 0);
+
+const clamped = normalizeSettings({ font_size: 999, line_height: 0.2, margin: -5 });
+assert('numbers clamped to range', clamped.font_size === 200 && clamped.line_height === 1 && clamped.margin === 0);
+assert('numeric strings accepted', normalizeSettings({ line_height: '1.55', font_size: '110.4' }).line_height === 1.55 &&
+  normalizeSettings({ font_size: '110.4' }).font_size === 110);
+assert('non-objects give nothing', Object.keys(normalizeSettings(null)).length === 0 &&
+  Object.keys(normalizeSettings('theme=dark')).length === 0);
+
+// =========================================================================
+console.log('\n=== settingsFromRow ===');
+
+const defaults = settingsFromRow(null);
+assert('defaults when never saved', defaults.theme === DEFAULT_SETTINGS.theme && defaults.font_size === 100 &&
+  defaults.updated_at === null);
+
+const stored = settingsFromRow({ id: 'x', user_id: 'u', theme: 'dark', font_family: 'sans', line_height: '1.5',
+  margin: null, text_align: null, hyphenation: null, updated_at: '2026-10-19T10:00:00Z' });
+assert('stored values over defaults', stored.theme === 'dark' && stored.font_family === 'sans' && stored.line_height === 1.5);
+assert('columns added later fall back to defaults', stored.margin === DEFAULT_SETTINGS.margin &&
+  stored.text_align === DEFAULT_SETTINGS.text_align && stored.hyphenation === DEFAULT_SETTINGS.hyphenation &&
+  stored.flow === 'scrolled');
+assert('row ids not exposed, updated_at kept', stored.id === undefined && stored.user_id === undefined &&
+  stored.updated_at === '2026-10-19T10:00:00Z');
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
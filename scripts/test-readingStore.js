@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// scripts/test-readingStore.js
+// Runs /api/reading against the in-memory and SQLite stores (no Supabase needed)
+process.env.READING_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const readingStore = require('../lib/readingStore');
+const { createSqliteStore } = require('../lib/readingStore/sqlite');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const app = express();
+app.use(express.json());
+// Fake session: x-user header stands in for the logged-in user
+app.use((req, res, next) => {
+  const id = req.get('x-user');
+  req.session = id ? { user: { id } } : {};
+  next();
+});
+app.use('/api/reading', require('../routes/reading'));
+
+/** The /api/reading checks, run once per backend */
+async function routeSuite(call) {
+  // =========================================================================
+  console.log('\n=== progress / continue ===');
+  const book = { bookKey: '1342', source: 'gutenberg', title: 'Pride and Prejudice', author: 'Jane Austen' };
+  let r = await call('POST', '/progress', { ...book, lastLocation: 'epubcfi(/6/4)', progress: 12 });
+  assert('progress saved', r.status === 200 && r.body.ok);
+  r = await call('POST', '/progress', { ...book, lastLocation: 'epubcfi(/6/8)', progress: 30 });
+  r = await call('GET', '/progress/' + encodeURIComponent('bl:gutenberg:1342'));
+  assert('progress upserted, latest location returned', r.body.found && r.body.lastLocation === 'epubcfi(/6/8)' && r.body.progress === 30);
+  r = await call('GET', '/progress/bl%3Agutenberg%3A1342', null, 'u2');
+  assert('progress is per user', r.body.ok && r.body.found === false);
+  r = await call('POST', '/progress', { bookKey: 'x' }, 'u1');
+  assert('missing title → 400', r.status === 400);
+  r = await call('GET', '/continue', null, null);
+  assert('anonymous → 401', r.status === 401);
+
+  await call('POST', '/progress', { bookKey: '84', source: 'gutenberg', title: 'Frankenstein', author: 'Mary Shelley' });
+  r = await call('GET', '/continue');
+  assert('continue lists both books, newest first', r.body.items.length === 2 && r.body.items[0].title === 'Frankenstein');
+  assert('continue builds an open URL', typeof r.body.items[0].openUrl === 'string' && r.body.items[0].openUrl.length > 0);
+
+  r = await call('DELETE', '/continue/' + encodeURIComponent(r.body.items[0].bookKey));
+  r = await call('GET', '/continue');
+  assert('single continue item removed', r.body.items.length === 1);
+  await call('DELETE', '/continue');
+  r = await call('GET', '/continue');
+  assert('continue cleared', r.body.items.length === 0);
+
+  // =========================================================================
+  console.log('\n=== favorites ===');
+  r = await call('POST', '/favorite', { bookKey: 'bl:gutenberg:1342', title: 'Pride and Prejudice', author: 'Jane Austen' });
+  assert('favorite toggled on', r.body.ok && r.body.favorited === true);
+  const key = r.body.canonicalBookKey;
+  r = await call('GET', '/favorite/' + encodeURIComponent(key));
+  assert('favorite check → true', r.body.favorited === true);
+  r = await call('GET', '/favorites');
+  assert('favorites list has the book', r.body.items.length === 1 && r.body.items[0].title === 'Pride and Prejudice');
+  r = await call('POST', '/favorite', { bookKey: 'bl:gutenberg:1342', title: 'Pride and Prejudice' });
+  assert('favorite toggled off', r.body.favorited === false);
+  r = await call('GET', '/favorites');
+  assert('favorites list empty again', r.body.items.length === 0);
+
+  // =========================================================================
+  console.log('\n=== events / trending / recommendations / report ===');
+  const ev = (bookKey, type, category) => call('POST', '/event', { bookKey, type, title: bookKey, category }, null);
+  await ev('a', 'open', 'fiction');
+  await ev('a', 'read_30s', 'fiction');
+  await ev('b', 'open', 'fiction');
+  await ev('b', 'open', 'fiction');
+  await ev('b', 'open', 'fiction');
+  await ev('b', 'open', 'fiction');
+  await ev('c', 'open', 'history');
+  r = await call('POST', '/event', { bookKey: 'a', type: 'bogus' });
+  assert('invalid event type → 400', r.status === 400);
+  r = await call('GET', '/trending?days=7&limit=2');
+  assert('trending ranks by opens + 2×reads', r.body.items.length === 2 && r.body.items[0].bookKey === 'b' && r.body.items[1].score === 3);
+  r = await call('GET', '/recommendations?bookKey=a');
+  assert('recommendations come from the same category', r.body.category === 'fiction' &&
+    r.body.items.length === 1 && r.body.items[0].bookKey === 'b');
+  r = await call('POST', '/report', { bookKey: 'a', reason: 'broken_link' }, null);
+  assert('report accepted', r.body.ok === true);
+  r = await call('POST', '/report', { bookKey: 'a', reason: 'nope' }, null);
+  assert('invalid report reason → 400', r.status === 400);
+}
+
+(async () => {
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/reading`;
+  const call = async (method, path, body, user = 'u1') => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...(user ? { 'x-user': user } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    for (const [label, store] of [['memory', readingStore.createMemoryStore()], ['sqlite', createSqliteStore()]]) {
+      console.log(`\n##### ${label} store #####`);
+      readingStore.setStore(store);
+      await routeSuite(call);
+    }
+
+    // =========================================================================
+    console.log('\n=== sqlite file shared by two connections ===');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bl-reading-'));
+    const file = path.join(dir, 'reading.sqlite');
+    const first = createSqliteStore({ file });
+    const second = createSqliteStore({ file });
+    await Promise.all([
+      first.upsertProgress('u1', { book_key: 'k', title: 'T', progress: 10 }),
+      second.upsertProgress('u1', { book_key: 'k', title: 'T', progress: 20 }),
+      ...Array.from({ length: 50 }, (_, i) => (i % 2 ? first : second).insertEvent({ user_id: 'anonymous', book_key: 'k', type: 'open' })),
+    ]);
+    const rows = await first.listProgress('u1', 10);
+    assert('concurrent upserts keep one row per book', rows.length === 1 && rows[0].progress === 20);
+    assert('events from both connections are kept', (await second.listEvents({ bookKey: 'k' })).length === 50);
+    first.close();
+    second.close();
+    const reopened = createSqliteStore({ file });
+    assert('data survives a restart', (await reopened.findProgress('u1', ['k'])).progress === 20);
+    reopened.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // =========================================================================
+    console.log('\n=== requests replayed from the offline queue ===');
+    const replay = (path, body, user, queuedFor) => fetch(base + path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-bl-queued-for': queuedFor, ...(user ? { 'x-user': user } : {}) },
+      body: JSON.stringify(body),
+    });
+    const queuedProgress = { bookKey: '1342', source: 'gutenberg', title: 'Pride and Prejudice', progress: 50 };
+    assert('progress replayed for its own user', (await replay('/progress', queuedProgress, 'u1', 'u1')).status === 200);
+    assert('progress queued for another user → 409', (await replay('/progress', queuedProgress, 'u2', 'u1')).status === 409);
+    assert('signed out → 401', (await replay('/progress', queuedProgress, null, 'u1')).status === 401);
+    const queuedEvent = { bookKey: 'a', type: 'open' };
+    assert('anonymous event replayed signed out', (await replay('/event', queuedEvent, null, '')).status === 200);
+    assert('event queued signed out, replayed signed in → 409', (await replay('/event', queuedEvent, 'u1', '')).status === 409);
+
+    // =========================================================================
+    console.log('\n=== store errors ===');
+    const failing = readingStore.createMemoryStore();
+    failing.listFavorites = async () => {
+      const err = new Error('boom');
+      err.code = 'READING_STORE_ERROR';
+      throw err;
+    };
+    readingStore.setStore(failing);
+    const r = await call('GET', '/favorites');
+    assert('store error → 500 database_error', r.status === 500 && r.body.error === 'database_error');
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// scripts/test-savedSearches.js
+// Tests for lib/savedSearches.js (validation, memory store) and lib/savedSearchAlerts.js (diff, digest, run)
+
+const {
+  MAX_PER_USER,
+  createMemorySavedSearchStore,
+  setSavedSearchStore,
+  filterParams,
+  searchUrl,
+  parseSavedSearch,
+  listSavedSearches,
+  saveSearch,
+  deleteSavedSearch,
+} = require('../lib/savedSearches');
+const { MAX_DIGEST_ITEMS, diffNew, mergeSeen, buildDigest, runSavedSearchAlerts } = require('../lib/savedSearchAlerts');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const book = (id, title, provider = 'oapen') => ({ book_id: id, title, author: 'Anon', year: 2024, provider, url: `https://library.oapen.org/${id}` });
+
+async function main() {
+  // =========================================================================
+  console.log('\n=== validation ===');
+
+  assert('filters canonicalized', JSON.stringify(filterParams({ lang: 'French', provider: 'oapen, catalog', year_from: '1990', readable: 'true', junk: 'x' })) ===
+    '{"lang":"fr","provider":"catalog,oapen","year_from":"1990","readable":"1"}');
+  assert('search url', searchUrl('open access', { lang: 'fr' }) === '/read?q=open+access&lang=fr');
+  assert('query required', parseSavedSearch({ q: '  ' }).error === 'query_required' &&
+    parseSavedSearch({ q: '-abridged' }).error === 'query_required');
+  assert('bad frequency rejected', parseSavedSearch({ q: 'emma', frequency: 'hourly' }).error === 'invalid_frequency');
+  const parsed = parseSavedSearch({ q: ' climate   policy ', filters: { provider: 'oapen' } });
+  assert('defaults to weekly, whitespace collapsed', parsed.search.query === 'climate policy' &&
+    parsed.search.frequency === 'weekly' && parsed.search.filters.provider === 'oapen');
+
+  // =========================================================================
+  console.log('\n=== save / list / delete (memory store) ===');
+
+  const store = createMemorySavedSearchStore();
+  setSavedSearchStore(store);
+  const user = { id: 'u1', email: 'reader@example.org' };
+
+  let r = await saveSearch(user, { q: 'climate policy', filters: { provider: 'oapen' } });
+  assert('created', r.created === true && r.saved.query === 'climate policy' && r.saved.url === '/read?q=climate+policy&provider=oapen');
+  assert('seen list not exposed', !('seen_book_ids' in r.saved));
+  r = await saveSearch(user, { q: 'climate  policy', filters: { provider: 'oapen' }, frequency: 'daily' });
+  assert('same search saved again updates it', r.created === false && r.saved.frequency === 'daily' &&
+    (await listSavedSearches('u1')).length === 1);
+  assert('no e-mail → rejected', (await saveSearch({ id: 'u2' }, { q: 'emma' })).error === 'email_required');
+
+  for (let i = 1; i < MAX_PER_USER; i++) await saveSearch(user, { q: `topic ${i}` });
+  assert('per-user limit', (await saveSearch(user, { q: 'one too many' })).error === 'limit_reached');
+  assert('re-saving an existing one is still allowed at the limit',
+    (await saveSearch(user, { q: 'topic 1', frequency: 'daily' })).created === false);
+
+  const other = await saveSearch({ id: 'u2', email: 'other@example.org' }, { q: 'emma' });
+  assert('cannot delete another user\'s search', (await deleteSavedSearch('u1', other.saved.id)) === false);
+  assert('bad id', (await deleteSavedSearch('u2', 'nope')) === false);
+  assert('delete own', (await deleteSavedSearch('u2', other.saved.id)) === true && (await listSavedSearches('u2')).length === 0);
+
+  // =========================================================================
+  console.log('\n=== diff / digest ===');
+
+  const fresh = diffNew([book('a'), book('b'), book('b'), { title: 'no id' }], ['a']);
+  assert('only unseen ids, once', fresh.map(m => m.book_id).join() === 'b');
+  assert('seen list: new first, deduped', mergeSeen(['a', 'b'], ['c', 'a']).join() === 'c,a,b');
+
+  const many = Array.from({ length: MAX_DIGEST_ITEMS + 3 }, (_, i) => book(`x${i}`, `Title ${i}`));
+  const digest = buildDigest([
+    { search: { query: 'climate <policy>', filters: { provider: 'oapen', year_from: '2020' } }, items: many },
+    { search: { query: 'emma', filters: {} }, items: [book('e1', 'Emma & Co', 'catalog')] },
+  ]);
+  assert('subject counts titles and searches', digest.subject === `${many.length + 1} new titles for 2 of your saved searches`);
+  assert('html escaped', digest.html.includes('climate &lt;policy&gt;') && digest.html.includes('Emma &amp; Co') && !digest.html.includes('<policy>'));
+  assert('long lists truncated', digest.text.includes('… and 3 more') && !digest.text.includes(`Title ${MAX_DIGEST_ITEMS}`));
+  assert('links back to the search and the account page', digest.text.includes('/read?q=climate+%3Cpolicy%3E&provider=oapen&year_from=2020') &&
+    digest.html.includes('/account'));
+  assert('filters described', digest.text.includes('sources oapen') && digest.text.includes('years 2020–…'));
+  assert('single search subject', buildDigest([{ search: { query: 'emma' }, items: [book('e1')] }]).subject === '1 new title for “emma”');
+
+  // =========================================================================
+  console.log('\n=== runSavedSearchAlerts ===');
+
+  const alertStore = createMemorySavedSearchStore();
+  setSavedSearchStore(alertStore);
+  const reader = { id: 'r1', email: 'researcher@example.org' };
+  await saveSearch(reader, { q: 'open science', filters: { provider: 'oapen' } });
+  await saveSearch(reader, { q: 'digital humanities', frequency: 'daily' });
+
+  // Rows become due when saved; the clock starts just after that
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = Date.now() + 60 * 1000;
+  let clock = new Date(start);
+  const now = () => clock;
+  const results = {
+    'open science': [book('oapen:1'), book('oapen:2')],
+    'digital humanities': [book('catalog:9', 'DH', 'catalog')],
+  };
+  const calls = [];
+  // Every provider with results answered, unless a test says otherwise
+  const statuses = {};
+  const runSearch = async (q, filters) => {
+    calls.push({ q, filters });
+    const answered = Object.fromEntries(results[q].map(m => [m.provider, 'ok']));
+    return { matches: results[q], statuses: { ...answered, ...statuses[q] } };
+  };
+  const sent = [];
+  let mailFails = false;
+  const sendMail = async (msg) => {
+    if (mailFails) throw new Error('Mailer not configured');
+    sent.push(msg);
+  };
+  const run = () => runSavedSearchAlerts({ store: alertStore, runSearch, sendMail, delayMs: 0, now, log: () => {} });
+
+  let s = await run();
+  assert('first run records a baseline, no mail', s.checked === 2 && s.seeded === 2 && sent.length === 0);
+  assert('filters passed to the search', calls.find(c => c.q === 'open science').filters.provider === 'oapen');
+  s = await run();
+  assert('nothing due right after', s.checked === 0);
+
+  clock = new Date(start + DAY + 3600 * 1000);
+  results['digital humanities'] = [book('catalog:9', 'DH', 'catalog'), book('catalog:10', 'New DH', 'catalog')];
+  s = await run();
+  assert('daily search due after a day, weekly not yet', s.checked === 1 && s.withNew === 1 && s.emailed === 1);
+  assert('digest lists the new title only', sent[0].to === 'researcher@example.org' && sent[0].text.includes('New DH') &&
+    !sent[0].text.includes('  - DH'));
+
+  clock = new Date(start + 7 * DAY + 7200 * 1000);
+  results['open science'] = [book('oapen:3', 'Fresh OA'), book('oapen:1')];
+  results['digital humanities'] = [book('catalog:11', 'Newer DH', 'catalog')];
+  mailFails = true;
+  s = await run();
+  assert('mail failure counted', s.checked === 2 && s.withNew === 2 && s.mailErrors === 1 && s.emailed === 0);
+  const [os] = (await alertStore.listForUser('r1')).filter(row => row.query === 'open science');
+  assert('seen list untouched when mail fails', !os.seen_book_ids.includes('oapen:3') && !os.last_notified_at);
+
+  clock = new Date(start + 15 * DAY);
+  mailFails = false;
+  s = await run();
+  assert('one digest per recipient with both searches', s.emailed === 1 && sent.length === 2 &&
+    sent[1].text.includes('Fresh OA') && sent[1].text.includes('Newer DH') && sent[1].subject.includes('2 of your saved searches'));
+  const rows = await alertStore.listForUser('r1');
+  assert('seen lists updated after sending', rows.every(row => row.last_notified_at) &&
+    rows.find(row => row.query === 'open science').seen_book_ids[0] === 'oapen:3');
+
+  // A provider that was down on the previous run: its results are remembered, not mailed
+  const alertStore2 = createMemorySavedSearchStore();
+  setSavedSearchStore(alertStore2);
+  await saveSearch(reader, { q: 'medieval history', frequency: 'daily' });
+  results['medieval history'] = [book('catalog:1', 'Old catalog title', 'catalog')];
+  statuses['medieval history'] = { gutenberg: 'timeout' };
+  const run2 = () => runSavedSearchAlerts({ store: alertStore2, runSearch, sendMail, delayMs: 0, now, log: () => {} });
+  clock = new Date(start + 16 * DAY);
+  s = await run2();
+  assert('baseline records which providers answered', s.seeded === 1 &&
+    (await alertStore2.listForUser('r1'))[0].ok_providers.join() === 'catalog');
+  clock = new Date(start + 17 * DAY + 3600 * 1000);
+  statuses['medieval history'] = {};
+  results['medieval history'] = [book('catalog:1', 'Old catalog title', 'catalog'), book('gutenberg:5', 'Old Gutenberg title', 'gutenberg')];
+  s = await run2();
+  const [mh] = await alertStore2.listForUser('r1');
+  assert('provider back after an outage: nothing mailed', s.withNew === 0 && sent.length === 2 &&
+    mh.seen_book_ids.includes('gutenberg:5') && mh.ok_providers.join() === 'catalog,gutenberg');
+  clock = new Date(start + 18 * DAY + 7200 * 1000);
+  results['medieval history'].push(book('gutenberg:6', 'Really new title', 'gutenberg'));
+  s = await run2();
+  assert('later new titles from that provider are mailed', s.emailed === 1 && sent[2].text.includes('Really new title') &&
+    !sent[2].text.includes('Old Gutenberg title'));
+  setSavedSearchStore(alertStore);
+
+  clock = new Date(start + 23 * DAY);
+  const failing = async () => { throw new Error('provider down'); };
+  s = await runSavedSearchAlerts({ store: alertStore, runSearch: failing, sendMail, delayMs: 0, now, log: () => {} });
+  assert('search errors are counted and rescheduled', s.errors === 2 &&
+    (await runSavedSearchAlerts({ store: alertStore, runSearch: failing, sendMail, delayMs: 0, now, log: () => {} })).checked === 0);
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
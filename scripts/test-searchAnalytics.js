@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// scripts/test-searchAnalytics.js
+// Tests for lib/searchAnalytics.js: query normalization, click validation, recording, report
+
+const {
+  createMemoryAnalyticsStore,
+  setAnalyticsStore,
+  normalizeQuery,
+  timedOutProviders,
+  newSearchId,
+  recordSearch,
+  parseClick,
+  recordClick,
+  summarize,
+  getReport,
+} = require('../lib/searchAnalytics');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+async function main() {
+  // =========================================================================
+  console.log('\n=== normalization / validation ===');
+
+  assert('lowercased, whitespace collapsed', normalizeQuery('  Jane   AUSTEN ') === 'jane austen');
+  assert('e-mail addresses masked', normalizeQuery('books for jane.doe@example.org') === 'books for [email]');
+  assert('field syntax kept', normalizeQuery('author:"Jane Austen"') === 'author:"jane austen"');
+  assert('timeouts and deadline misses count as timed out',
+    timedOutProviders({ loc: 'timeout', archive: 'ok', hathitrust: 'deadline', oapen: 'error' }).join() === 'hathitrust,loc');
+
+  const id = newSearchId();
+  let click = parseClick({ search_id: id, position: 3, provider: 'Gutenberg', book_id: 'gutenberg:1342' });
+  assert('valid click accepted', !click.error && click.row.position === 3 && click.row.provider === 'gutenberg');
+  assert('bad search id rejected', parseClick({ search_id: 'x', position: 1 }).error === 'invalid_search_id');
+  assert('bad position rejected', parseClick({ search_id: id, position: -1 }).error === 'invalid_position' &&
+    parseClick({ search_id: id, position: '2.5' }).error === 'invalid_position');
+  click = parseClick({ search_id: id, position: 0, provider: '<script>' });
+  assert('odd provider dropped, click kept', !click.error && click.row.provider === null);
+
+  // =========================================================================
+  console.log('\n=== summarize ===');
+
+  const at = '2026-10-18T10:00:00.000Z';
+  const searches = [
+    { id: 'a', query: 'emma', result_count: 12, provider_counts: { gutenberg: 5, loc: 0 }, timeouts: ['loc'], latency_ms: 800, created_at: at },
+    { id: 'b', query: 'emma', result_count: 10, provider_counts: { gutenberg: 5, loc: 3 }, timeouts: [], latency_ms: 600, created_at: at },
+    { id: 'c', query: 'zzqx', result_count: 0, provider_counts: { gutenberg: 0 }, timeouts: [], latency_ms: 300, created_at: at },
+    { id: 'd', query: 'zzqx', result_count: 0, provider_counts: { gutenberg: 0, hathitrust: 0 }, timeouts: ['hathitrust'], deadline_hit: true, latency_ms: 18000, created_at: '2026-10-18T12:00:00.000Z' },
+  ];
+  const clicks = [
+    { search_id: 'a', position: 0, provider: 'gutenberg' },
+    { search_id: 'a', position: 4, provider: 'loc' },
+    { search_id: 'b', position: 1, provider: 'gutenberg' },
+  ];
+  const report = summarize(searches, clicks);
+  assert('totals', report.totals.searches === 4 && report.totals.unique_queries === 2 && report.totals.clicks === 3);
+  assert('zero-result rate', report.totals.zero_result_rate === 0.5);
+  assert('click-through counts searches with a click', report.totals.click_through_rate === 0.5);
+  assert('mean click position', report.totals.mean_click_position === 1.7);
+  assert('deadline hits', report.totals.deadline_hits === 1);
+  assert('latency percentiles', report.totals.latency_p50_ms === 800 && report.totals.latency_p95_ms === 18000);
+  const emma = report.top_queries.find(q => q.query === 'emma');
+  assert('top query stats', emma.searches === 2 && emma.avg_results === 11 && emma.clicks === 3 && emma.click_through_rate === 1);
+  assert('zero-result queries', report.zero_result_queries.length === 1 && report.zero_result_queries[0].query === 'zzqx' &&
+    report.zero_result_queries[0].searches === 2 && report.zero_result_queries[0].last_at === '2026-10-18T12:00:00.000Z');
+  const loc = report.provider_timeouts.find(p => p.provider === 'loc');
+  assert('provider timeout rate', loc.searches === 2 && loc.timeouts === 1 && loc.timeout_rate === 0.5);
+  assert('most timeouts first, never-timed-out providers listed', report.provider_timeouts[0].timeouts === 1 &&
+    report.provider_timeouts.some(p => p.provider === 'gutenberg' && p.timeouts === 0));
+  assert('clicks by provider', report.clicked_providers[0].provider === 'gutenberg' && report.clicked_providers[0].clicks === 2);
+  assert('empty input', summarize([], []).totals.latency_p50_ms === null && summarize([], []).totals.mean_click_position === null);
+
+  // =========================================================================
+  console.log('\n=== recording (memory store) ===');
+
+  const store = createMemoryAnalyticsStore({ maxRows: 3 });
+  setAnalyticsStore(store);
+  const searchId = newSearchId();
+  await recordSearch({
+    searchId, q: 'Les Misérables', mode: 'stream', resultCount: 7,
+    counts: { catalog: 2, gutenberg: 5, loc: 0 }, statuses: { catalog: 'ok', gutenberg: 'ok', loc: 'timeout' },
+    latencyMs: 1234.6,
+  });
+  await recordSearch({ searchId: newSearchId(), q: '   ', resultCount: 0 });
+  await recordSearch({ searchId: 'not-a-uuid', q: 'emma', resultCount: 1 });
+  await recordClick(parseClick({ search_id: searchId, position: 2, provider: 'gutenberg' }).row);
+
+  const since = new Date(Date.now() - 60000);
+  const rows = await store.listSearches({ since });
+  assert('only valid searches stored', rows.length === 1);
+  assert('row shape', rows[0].id === searchId && rows[0].query === 'les misérables' && rows[0].mode === 'stream' &&
+    rows[0].timeouts.join() === 'loc' && rows[0].latency_ms === 1235 && !('user_id' in rows[0]));
+  const full = await getReport({ days: 1 });
+  assert('report over the store', full.backend === 'memory' && full.totals.searches === 1 && full.totals.click_through_rate === 1);
+
+  for (let i = 0; i < 5; i++) await recordSearch({ searchId: newSearchId(), q: 'q' + i, resultCount: 1 });
+  assert('memory store is bounded', (await store.listSearches({ since })).length === 3);
+  await store.purgeBefore(new Date(Date.now() + 1000));
+  assert('purge drops old rows', (await store.listSearches({ since })).length === 0);
+
+  setAnalyticsStore(null);
+  assert('off → no report', (await getReport()) === null);
+  assert('off → recording resolves without a store', (await recordSearch({ searchId: newSearchId(), q: 'emma', resultCount: 1 })) === undefined);
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// scripts/test-searchCache.js
+// Tests for lib/searchCache.js (fresh/stale hits, revalidation, errors, per-provider LRU, Redis tier)
+process.env.SEARCH_CACHE_MAX_PER_PROVIDER = '3';
+
+const searchCache = require('../lib/searchCache');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const FRESH_MS = 5 * 60 * 1000;
+
+// Entry ages come from Date.now(); move the clock by hand instead of sleeping
+const realNow = Date.now;
+let clock = realNow();
+Date.now = () => clock;
+
+/** Fetcher that resolves to a registry result and counts its calls */
+function source(name, items, status = 'ok') {
+  const fetcher = () => {
+    fetcher.calls++;
+    return Promise.resolve({ name, status, items, ms: 5 });
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+(async () => {
+  try {
+    // =========================================================================
+    console.log('\n=== keys ===');
+    assert('queries normalized', searchCache.normalizeQuery('  Pride   AND  Prejudice ') === 'pride and prejudice');
+    assert('equivalent queries share a key', searchCache.cacheKey('gutenberg', 'Moby  Dick', 1, {}) === searchCache.cacheKey('gutenberg', 'moby dick', 1, {}));
+    assert('key is per provider and page', searchCache.cacheKey('gutenberg', 'x', 1, {}) !== searchCache.cacheKey('archive', 'x', 1, {}) &&
+      searchCache.cacheKey('gutenberg', 'x', 1, {}) !== searchCache.cacheKey('gutenberg', 'x', 2, {}));
+    assert('key starts with the provider', searchCache.cacheKey('gutenberg', 'x', 1, {}).startsWith('gutenberg:'));
+
+    // =========================================================================
+    console.log('\n=== miss / fresh hit ===');
+    const first = source('gutenberg', [{ title: 'Moby Dick' }]);
+    let r = await searchCache.wrap('gutenberg', 'moby dick', 1, {}, first);
+    assert('first lookup is a miss', r.cache === 'miss' && r.status === 'ok' && r.items[0].title === 'Moby Dick' && first.calls === 1);
+    clock += FRESH_MS - 1000;
+    r = await searchCache.wrap('gutenberg', 'Moby Dick ', 1, {}, first);
+    assert('fresh hit served without fetching', r.cache === 'hit' && r.items[0].title === 'Moby Dick' && first.calls === 1);
+    r = await searchCache.wrap('gutenberg', 'moby dick', 2, {}, first);
+    assert('another page is a separate miss', r.cache === 'miss' && first.calls === 2);
+
+    // =========================================================================
+    console.log('\n=== stale hit revalidates once ===');
+    clock += 2000;
+    let release;
+    const refreshed = () => {
+      refreshed.calls++;
+      return new Promise(resolve => { release = () => resolve({ name: 'gutenberg', status: 'ok', items: [{ title: 'Moby-Dick; or, The Whale' }], ms: 5 }); });
+    };
+    refreshed.calls = 0;
+    const revalidationsBefore = searchCache.stats().revalidations;
+    const stale = await Promise.all([
+      searchCache.wrap('gutenberg', 'moby dick', 1, {}, refreshed),
+      searchCache.wrap('gutenberg', 'moby dick', 1, {}, refreshed),
+    ]);
+    r = await searchCache.wrap('gutenberg', 'moby dick', 1, {}, refreshed);
+    assert('stale entries served immediately', stale.every(s => s.cache === 'stale' && s.items[0].title === 'Moby Dick') && r.cache === 'stale');
+    assert('exactly one revalidation started', refreshed.calls === 1 && searchCache.stats().revalidations === revalidationsBefore + 1);
+    assert('revalidation shows as inflight', searchCache.stats().inflight === 1);
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    r = await searchCache.wrap('gutenberg', 'moby dick', 1, {}, refreshed);
+    assert('revalidated items are fresh', r.cache === 'hit' && r.items[0].title === 'Moby-Dick; or, The Whale' && refreshed.calls === 1);
+    assert('nothing left inflight', searchCache.stats().inflight === 0);
+
+    // =========================================================================
+    console.log('\n=== errors are not cached ===');
+    const broken = source('archive', [], 'error');
+    r = await searchCache.wrap('archive', 'dracula', 1, {}, broken);
+    assert('error result passed through', r.cache === 'miss' && r.status === 'error');
+    r = await searchCache.wrap('archive', 'dracula', 1, {}, broken);
+    assert('error not cached, next lookup fetches again', r.cache === 'miss' && broken.calls === 2);
+    const throwing = () => Promise.reject(new Error('socket hang up'));
+    let threw = false;
+    try { await searchCache.wrap('archive', 'carmilla', 1, {}, throwing); } catch (_) { threw = true; }
+    assert('thrown fetcher error propagates', threw);
+    const recovered = source('archive', [{ title: 'Carmilla' }]);
+    r = await searchCache.wrap('archive', 'carmilla', 1, {}, recovered);
+    assert('thrown error not cached', r.cache === 'miss' && recovered.calls === 1 && r.items[0].title === 'Carmilla');
+
+    clock += FRESH_MS + 1;
+    const errorsBefore = searchCache.stats().revalidation_errors;
+    r = await searchCache.wrap('archive', 'carmilla', 1, {}, source('archive', [], 'timeout'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert('failed revalidation counted', r.cache === 'stale' && searchCache.stats().revalidation_errors === errorsBefore + 1);
+    r = await searchCache.wrap('archive', 'carmilla', 1, {}, source('archive', [], 'timeout'));
+    assert('failed revalidation keeps the stale entry', r.cache === 'stale' && r.items[0].title === 'Carmilla');
+
+    // =========================================================================
+    console.log('\n=== per-provider LRU ===');
+    searchCache.clear();
+    assert('clear empties memory', searchCache.stats().memory_entries === 0);
+    assert('size is per provider', searchCache.stats().memory_max_per_provider === 3);
+    const other = source('wikisource', [{ title: 'Beowulf' }]);
+    await searchCache.wrap('wikisource', 'beowulf', 1, {}, other);
+    const filler = source('gutenberg', [{ title: 'x' }]);
+    for (const q of ['a', 'b', 'c']) await searchCache.wrap('gutenberg', q, 1, {}, filler);
+    r = await searchCache.wrap('gutenberg', 'a', 1, {}, filler);
+    assert('full provider LRU still hits', r.cache === 'hit' && filler.calls === 3);
+    await searchCache.wrap('gutenberg', 'd', 1, {}, filler);
+    r = await searchCache.wrap('gutenberg', 'b', 1, {}, filler);
+    assert('least recently used entry evicted', r.cache === 'miss' && filler.calls === 5);
+    r = await searchCache.wrap('gutenberg', 'a', 1, {}, filler);
+    assert('recently read entry kept', r.cache === 'hit');
+    r = await searchCache.wrap('wikisource', 'beowulf', 1, {}, other);
+    assert("one provider's churn does not evict another's", r.cache === 'hit' && other.calls === 1);
+    assert('memory_entries sums the providers', searchCache.stats().memory_entries === 4);
+
+    // =========================================================================
+    console.log('\n=== Redis tier ===');
+    const stored = new Map();
+    const redis = {
+      isReady: true,
+      sets: [],
+      async get(key) { return stored.has(key) ? stored.get(key) : null; },
+      async set(key, value, opts) { this.sets.push({ key, opts }); stored.set(key, value); },
+    };
+    searchCache.useRedis(redis);
+    searchCache.clear();
+    const redisSource = source('gutenberg', [{ title: 'Frankenstein' }]);
+    r = await searchCache.wrap('gutenberg', 'frankenstein', 1, { lang: ['en'] }, redisSource);
+    const key = searchCache.cacheKey('gutenberg', 'frankenstein', 1, { lang: ['en'] });
+    assert('written under the bl:search:v1: prefix', redis.sets.length === 1 && redis.sets[0].key === 'bl:search:v1:' + key);
+    assert('Redis entry expires with the stale window', redis.sets[0].opts.PX === 60 * 60 * 1000);
+    assert('nothing written without the prefix', [...stored.keys()].every(k => k.startsWith('bl:search:v1:gutenberg:')));
+    searchCache.clear();
+    const redisHitsBefore = searchCache.stats().redis_hits;
+    r = await searchCache.wrap('gutenberg', 'frankenstein', 1, { lang: ['en'] }, redisSource);
+    assert('memory miss read back from Redis', r.cache === 'hit' && r.items[0].title === 'Frankenstein' && redisSource.calls === 1 &&
+      searchCache.stats().redis_hits === redisHitsBefore + 1);
+    assert('Redis reported ready', searchCache.stats().redis === 'ready');
+    redis.get = async () => { throw new Error('connection reset'); };
+    searchCache.clear();
+    r = await searchCache.wrap('gutenberg', 'frankenstein', 1, { lang: ['en'] }, redisSource);
+    assert('Redis read failure falls back to the source', r.cache === 'miss' && redisSource.calls === 2 && searchCache.stats().redis_errors === 1);
+    searchCache.useRedis(null);
+    assert('Redis disabled again', searchCache.stats().redis === 'disabled');
+  } finally {
+    Date.now = realNow;
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed ? 1 : 0);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// scripts/test-searchFilters.js
+// Tests for lib/searchFilters.js (query parsing, post-merge filtering, facets, cache key)
+
+const {
+  normalizeLanguage,
+  languageVariants,
+  parseYear,
+  parseFilters,
+  hasFilters,
+  filterKey,
+  providerAllowed,
+  applyFilters,
+  buildFacets,
+} = require('../lib/searchFilters');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// =========================================================================
+console.log('\n=== normalizeLanguage / languageVariants / parseYear ===');
+
+assert('ISO 639-1 kept', normalizeLanguage('FR') === 'fr');
+assert('ISO 639-2/B and /T mapped', normalizeLanguage('fre') === 'fr' && normalizeLanguage('fra') === 'fr' && normalizeLanguage('ger') === 'de');
+assert('English names mapped', normalizeLanguage('German') === 'de' && normalizeLanguage(' latin ') === 'la');
+assert('locale and arrays reduced', normalizeLanguage('en_US') === 'en' && normalizeLanguage(['spa', 'eng']) === 'es');
+assert('unknown language kept lowercased', normalizeLanguage('Klingon') === 'klingon');
+assert('empty language is null', normalizeLanguage('') === null && normalizeLanguage(null) === null && normalizeLanguage([]) === null);
+const fr = languageVariants('french');
+assert('all spellings of a language', ['fr', 'fre', 'fra', 'french'].every(v => fr.includes(v)) && new Set(fr).size === fr.length);
+assert('no variants for empty', languageVariants('').length === 0);
+
+assert('year from string forms', parseYear('1853') === 1853 && parseYear('c1890') === 1890 && parseYear('1900-01-01') === 1900);
+assert('year from number', parseYear(1922.7) === 1922);
+assert('no year', parseYear('n.d.') === null && parseYear('') === null && parseYear(NaN) === null && parseYear(null) === null);
+
+// =========================================================================
+console.log('\n=== parseFilters ===');
+
+const none = parseFilters({});
+assert('empty query → no filters', none.language === null && none.format === null && none.providers.length === 0 &&
+  none.yearFrom === null && none.yearTo === null && none.readableOnly === false && !hasFilters(none));
+assert('no argument → no filters', !hasFilters(parseFilters()));
+assert('null filters → hasFilters false', hasFilters(null) === false);
+
+let f = parseFilters({ format: 'mobi' });
+assert('unknown format dropped', f.format === null && !hasFilters(f));
+f = parseFilters({ format: ' EPUB ' });
+assert('format normalized', f.format === 'epub');
+f = parseFilters({ year_from: 'soon', year_to: 'later' });
+assert('invalid years dropped', f.yearFrom === null && f.yearTo === null && !hasFilters(f));
+f = parseFilters({ readable: 'yes' });
+assert('readable only accepts 1/true', f.readableOnly === false && parseFilters({ readable: 'TRUE' }).readableOnly === true &&
+  parseFilters({ readable: '1' }).readableOnly === true);
+f = parseFilters({ provider: ' Gutenberg, ,archive ' });
+assert('provider list split, trimmed, lowercased', f.providers.length === 2 && f.providers[0] === 'gutenberg' && f.providers[1] === 'archive');
+assert('provider array accepted', parseFilters({ provider: ['loc', 'hathitrust'] }).providers.join() === 'loc,hathitrust');
+assert('language alias param', parseFilters({ language: 'dutch' }).language === 'nl');
+
+f = parseFilters({ year_from: '1800', year_to: '1850' });
+assert('year range parsed', f.yearFrom === 1800 && f.yearTo === 1850 && hasFilters(f));
+f = parseFilters({ year_from: '1900', year_to: 'c1850' });
+assert('inverted year range swapped', f.yearFrom === 1850 && f.yearTo === 1900);
+f = parseFilters({ year_to: '1700' });
+assert('open-ended range', f.yearFrom === null && f.yearTo === 1700 && hasFilters(f));
+
+assert('providerAllowed with no provider filter', providerAllowed(parseFilters({}), 'loc') && providerAllowed(null, 'loc'));
+assert('providerAllowed with a provider filter', providerAllowed(parseFilters({ provider: 'loc' }), 'loc') &&
+  !providerAllowed(parseFilters({ provider: 'loc' }), 'gutenberg'));
+
+// =========================================================================
+console.log('\n=== applyFilters ===');
+
+const items = [
+  { id: 1, provider: 'gutenberg', language: 'en', format: 'epub', year: 1851 },
+  { id: 2, provider: 'gutenberg', language: 'fr', format: 'epub', year: '1862' },
+  { id: 3, provider: 'archive', language: 'eng', format: 'pdf', year: 'c1890' },
+  { id: 4, provider: 'archive', language: ['french'], format: 'epub', year: null },
+  { id: 5, provider: 'loc', language: null, format: 'pdf', year: 1776 },
+  { id: 6, provider: 'hathitrust', language: 'ger', format: 'unknown', year: '1900-01-01' },
+];
+const ids = list => list.map(item => item.id).join(',');
+
+assert('no filters → same array', applyFilters(items, parseFilters({})) === items);
+assert('language matched across spellings', ids(applyFilters(items, parseFilters({ lang: 'english' }))) === '1,3');
+assert('unknown language excluded by a language filter', !applyFilters(items, parseFilters({ lang: 'en' })).some(item => item.id === 5));
+assert('unmatched language → nothing', applyFilters(items, parseFilters({ lang: 'klingon' })).length === 0);
+assert('format filter', ids(applyFilters(items, parseFilters({ format: 'pdf' }))) === '3,5');
+assert('provider filter', ids(applyFilters(items, parseFilters({ provider: 'archive,loc' }))) === '3,4,5');
+assert('year range inclusive, unknown years dropped', ids(applyFilters(items, parseFilters({ year_from: 1851, year_to: '1890' }))) === '1,2,3');
+assert('year_from only', ids(applyFilters(items, parseFilters({ year_from: '1862' }))) === '2,3,6');
+assert('year_to only', ids(applyFilters(items, parseFilters({ year_to: '1851' }))) === '1,5');
+assert('language + format + provider combined', ids(applyFilters(items, parseFilters({ lang: 'fr', format: 'epub', provider: 'archive' }))) === '4');
+assert('combined filters narrow, never widen', ids(applyFilters(items, parseFilters({ lang: 'fr', format: 'epub', provider: 'gutenberg', year_to: 1870 }))) === '2' &&
+  applyFilters(items, parseFilters({ lang: 'fr', format: 'pdf', provider: 'gutenberg' })).length === 0);
+assert('readable-only left to the caller', applyFilters(items, parseFilters({ readable: '1' })).length === items.length);
+
+// =========================================================================
+console.log('\n=== buildFacets ===');
+
+const facets = buildFacets(items);
+assert('provider counts', JSON.stringify(facets.provider) === JSON.stringify({ gutenberg: 2, archive: 2, loc: 1, hathitrust: 1 }));
+assert('language counts normalized, unknown left out', facets.language.en === 2 && facets.language.fr === 2 && facets.language.de === 1 &&
+  Object.keys(facets.language).length === 3);
+assert('format counts skip unknown', facets.format.epub === 3 && facets.format.pdf === 2 && !('unknown' in facets.format));
+assert('missing provider counted as unknown', buildFacets([{ language: 'en' }]).provider.unknown === 1);
+const filteredFacets = buildFacets(applyFilters(items, parseFilters({ format: 'epub' })));
+assert('facets follow the filtered list', filteredFacets.format.epub === 3 && !filteredFacets.format.pdf && filteredFacets.provider.gutenberg === 2);
+const empty = buildFacets([]);
+assert('empty list → empty buckets', !Object.keys(empty.provider).length && !Object.keys(empty.language).length && !Object.keys(empty.format).length);
+
+// =========================================================================
+console.log('\n=== filterKey ===');
+
+assert('no filters → empty key', filterKey(null) === '' && filterKey(parseFilters({})) === '|||');
+const a = filterKey(parseFilters({ lang: 'fre', format: 'EPUB', year_from: '1800', year_to: '1900' }));
+const b = filterKey(parseFilters({ year_to: 1900, format: 'epub', language: 'French', year_from: 'c1800' }));
+assert('same filters in any spelling/order → same key', a === b && a === 'fr|epub|1800|1900');
+assert('inverted year range shares the key', filterKey(parseFilters({ year_from: 1900, year_to: 1800 })) === filterKey(parseFilters({ year_from: 1800, year_to: 1900 })));
+assert('provider and readable filters left out', filterKey(parseFilters({ lang: 'fr', provider: 'loc', readable: '1' })) === filterKey(parseFilters({ lang: 'fr' })));
+assert('positions are fixed', filterKey(parseFilters({ year_from: 1800 })) === '||1800|' && filterKey(parseFilters({ year_to: 1800 })) === '|||1800' &&
+  filterKey(parseFilters({ format: 'pdf' })) === '|pdf||');
+assert('invalid values do not change the key', filterKey(parseFilters({ format: 'mobi', year_from: 'soon' })) === filterKey(parseFilters({})));
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// scripts/test-searchQuery.js
+// Tests for the advanced search query parser, its upstream translations and fielded scoring
+const {
+  parseQuery, isAdvanced, keywords, toWebsearch, withQueryFilters, isExcluded,
+} = require('../lib/searchQuery');
+const { parseFilters } = require('../lib/searchFilters');
+const { scoreRelevance } = require('../utils/bookHelpers');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// =============================================================================
+console.log('\n=== parseQuery ===');
+const q = parseQuery('author:"Jane Austen" title:emma -abridged lang:fr year:1800..1900');
+assert('quoted author value', same(q.author, ['Jane Austen']));
+assert('bare title value', same(q.title, ['emma']));
+assert('exclusion', same(q.exclude, ['abridged']));
+assert('language normalized', q.language === 'fr');
+assert('year range', q.yearFrom === 1800 && q.yearTo === 1900);
+assert('no free terms left over', q.terms.length === 0 && q.phrases.length === 0);
+assert('advanced query detected', isAdvanced(q));
+
+const plain = parseQuery('plato republic');
+assert('plain words are terms', same(plain.terms, ['plato', 'republic']));
+assert('plain query is not advanced', !isAdvanced(plain));
+
+assert('quoted phrase', same(parseQuery('"pride and prejudice" austen').phrases, ['pride and prejudice']));
+assert('excluded phrase', same(parseQuery('emma -"study guide"').exclude, ['study guide']));
+assert('single year', parseQuery('year:1851').yearFrom === 1851 && parseQuery('year:1851').yearTo === 1851);
+assert('open-ended year range', parseQuery('year:..1850').yearFrom === null && parseQuery('year:..1850').yearTo === 1850);
+assert('reversed year range is swapped', parseQuery('year:1900..1800').yearFrom === 1800);
+assert('language by name', parseQuery('lang:french').language === 'fr');
+assert('format field', parseQuery('format:pdf euclid').format === 'pdf');
+assert('unknown prefix kept as a word', same(parseQuery('isbn:12345').terms, ['isbn:12345']));
+assert('aliases (by:, subject:)', same(parseQuery('by:tolstoy subject:war').author, ['tolstoy']) &&
+  same(parseQuery('by:tolstoy subject:war').subject, ['war']));
+assert('unterminated quote runs to the end', same(parseQuery('title:"war and peace').title, ['war and peace']));
+
+// =============================================================================
+console.log('\n=== translations ===');
+assert('keywords drops operators and filters', keywords(q) === 'emma Jane Austen');
+assert('websearch_to_tsquery input', toWebsearch(q) === '"emma" "Jane Austen" -abridged');
+assert('websearch keeps plain words', toWebsearch(plain) === 'plato republic');
+
+const filters = withQueryFilters(parseFilters({}), q);
+assert('query fills language/year filters', filters.language === 'fr' && filters.yearFrom === 1800 && filters.yearTo === 1900);
+const explicit = withQueryFilters(parseFilters({ lang: 'de', year_from: '1700' }), q);
+assert('request params win over query fields', explicit.language === 'de' && explicit.yearFrom === 1700 && explicit.yearTo === null);
+
+// =============================================================================
+console.log('\n=== isExcluded ===');
+assert('excluded word in title', isExcluded({ title: 'Emma (Abridged)' }, q));
+assert('word boundary respected', !isExcluded({ title: 'Emma, unabridged' }, q));
+assert('excluded phrase in subjects', isExcluded({ title: 'Emma', subjects: ['Study guide'] }, parseQuery('emma -"study guide"')));
+
+// =============================================================================
+console.log('\n=== scoreRelevance (structured) ===');
+const austenQuery = parseQuery('author:"Jane Austen" title:emma');
+assert('fielded match scores high', scoreRelevance({ title: 'Emma', author: 'Austen, Jane' }, austenQuery) >= 50);
+assert('wrong author is capped below threshold', scoreRelevance({ title: 'Emma', author: 'Emma Smith' }, austenQuery) <= 5);
+assert('title term in author field does not count', scoreRelevance({ title: 'Letters', author: 'Emma Austen' }, parseQuery('title:emma')) <= 5);
+assert('excluded book scores 0', scoreRelevance({ title: 'Emma (abridged)', author: 'Jane Austen' }, q) === 0);
+assert('plain structured query matches string scoring',
+  scoreRelevance({ title: 'The Republic', author: 'Plato' }, plain) === scoreRelevance({ title: 'The Republic', author: 'Plato' }, 'plato republic'));
+
+// =============================================================================
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
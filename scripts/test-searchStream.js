@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// scripts/test-searchStream.js
+// Drives GET /api/search/stream (routes/search.js handleSearchStream) with stub sources:
+// batch order, cross-batch `replaces` events, the global deadline and the final `done`
+process.env.SEARCH_DEADLINE_MS = '800';
+
+const express = require('express');
+const sources = require('../lib/sources');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+/** Raw provider book (what a lib/sources adapter returns) */
+function book(provider, id, title, author, extra = {}) {
+  return {
+    book_id: `${provider}:${id}`,
+    provider,
+    provider_id: id,
+    title,
+    author,
+    language: 'en',
+    year: 1813,
+    format: 'epub',
+    direct_url: `https://example.org/${provider}/${id}.epub`,
+    source_url: `https://example.org/${provider}/${id}`,
+    ...extra,
+  };
+}
+
+// name -> [delay ms, registry result]; beta and gamma answer in the same tick
+const STUBS = {
+  alpha: [20, { status: 'ok', items: [book('alpha', '1', 'Pride and Prejudice', 'Jane Austen')] }],
+  broken: [60, { status: 'error', items: [] }],
+  beta: [150, { status: 'ok', items: [
+    book('beta', '1', 'Pride and Prejudice', 'Austen, Jane', { year: 1894 }),
+    book('beta', '2', 'Emma', 'Jane Austen', { year: 1815, language: 'fr' }),
+  ] }],
+  gamma: [150, { status: 'ok', items: [book('gamma', '7', 'Pride & Prejudice', 'Jane Austen', { format: 'pdf', year: 1932 })] }],
+  slow: [3000, { status: 'ok', items: [book('slow', '1', 'Persuasion', 'Jane Austen')] }],
+};
+
+const realEnabled = sources.enabledSources;
+const realRun = sources.runSource;
+const calls = [];
+sources.enabledSources = () => Object.keys(STUBS).map(name => ({ name, capabilities: { formats: ['epub', 'pdf'], paginated: true } }));
+sources.runSource = (name, q, page) => {
+  calls.push({ name, q, page });
+  const [delay, result] = STUBS[name];
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, delay, { name, ms: delay, ...result });
+    timer.unref();
+  });
+};
+
+const app = express();
+// Fake session: x-user header stands in for the logged-in user
+app.use((req, res, next) => {
+  const id = req.get('x-user');
+  req.session = id ? { user: { id } } : {};
+  next();
+});
+app.use('/api/search', require('../routes/search'));
+
+/** Parse a finished SSE body into [{ event, data }] */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = (block.match(/^event: (.*)$/m) || [])[1];
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+(async () => {
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/search/stream`;
+  const stream = async (query, user = 'u1') => {
+    const started = Date.now();
+    const res = await fetch(base + query, { headers: user ? { 'x-user': user } : {} });
+    const text = await res.text();
+    return { status: res.status, type: res.headers.get('content-type'), events: res.status === 200 ? parseEvents(text) : [], ms: Date.now() - started };
+  };
+
+  try {
+    // =========================================================================
+    console.log('\n=== event sequence ===');
+    const r = await stream('?q=' + encodeURIComponent('austen'));
+    assert('served as text/event-stream', r.status === 200 && /^text\/event-stream/.test(r.type));
+    const batches = r.events.filter(e => e.event === 'batch').map(e => e.data);
+    const last = r.events[r.events.length - 1];
+    assert('every source called once with the query', calls.length === 5 && calls.every(c => c.q === 'austen' && c.page === 1));
+    assert('batches in arrival order, one per answered source', batches.map(b => b.provider).join() === 'catalog,alpha,broken,beta,gamma');
+    assert('done is the last event and comes once', last.event === 'done' && r.events.filter(e => e.event === 'done').length === 1);
+    assert('no error event', !r.events.some(e => e.event === 'error'));
+    const searchId = last.data.search_id;
+    assert('every event carries the same search_id', typeof searchId === 'string' && batches.every(b => b.search_id === searchId));
+
+    // =========================================================================
+    console.log('\n=== batches ===');
+    const [catalog, alpha, broken, beta, gamma] = batches;
+    assert('empty catalog batch', catalog.items.length === 0 && catalog.count === 0 && catalog.status === 'ok');
+    assert('first source: new work, no replaces', alpha.items.length === 1 && alpha.items[0].book_id === 'alpha:1' && !('replaces' in alpha.items[0]));
+    assert('batch metadata from the registry result', alpha.count === 1 && alpha.ms === 20 && alpha.status === 'ok' && alpha.cache === 'miss');
+    assert('failed source still reports its status', broken.items.length === 0 && broken.status === 'error');
+
+    const emma = beta.items.find(item => item.title === 'Emma');
+    const pride = beta.items.find(item => item.title !== 'Emma');
+    assert('new work in a later batch is sent plain', emma && !('replaces' in emma) && emma.edition_count === 1);
+    assert('edition of a shown work re-sends the card with replaces', pride && pride.replaces === 'alpha:1' && beta.items.length === 2);
+    assert('re-sent card lists both editions', pride.edition_count === 2 &&
+      ['alpha:1', 'beta:1'].every(id => pride.editions.some(e => e.book_id === id)));
+
+    // gamma answered in the same tick as beta; the queue makes it see beta's card
+    assert('same-tick batch merges into the previous card', gamma.items.length === 1 && gamma.items[0].replaces === pride.book_id);
+    assert('merged card carries all three editions', gamma.items[0].edition_count === 3 &&
+      ['alpha:1', 'beta:1', 'gamma:7'].every(id => gamma.items[0].editions.some(e => e.book_id === id)));
+    const plainPride = batches.flatMap(b => b.items).filter(item => /pride/i.test(item.title) && !item.replaces);
+    assert('the work is sent plain exactly once', plainPride.length === 1);
+
+    // =========================================================================
+    console.log('\n=== deadline / done ===');
+    const done = last.data;
+    assert('stream ends at the deadline, not the slow source', r.ms >= 800 && r.ms < 3000 && done.elapsed_ms >= 800);
+    assert('slow source marked deadline with no results', done.statuses.slow === 'deadline' && done.counts.slow === 0);
+    assert('slow source never sent a batch', !batches.some(b => b.provider === 'slow'));
+    assert('timeouts lists only the slow source', done.timeouts.join() === 'slow');
+    assert('statuses of answered sources', done.statuses.alpha === 'ok' && done.statuses.broken === 'error' &&
+      done.statuses.beta === 'ok' && done.statuses.gamma === 'ok' && done.statuses.catalog === 'ok');
+    assert('counts are raw per-source counts', done.counts.alpha === 1 && done.counts.beta === 2 && done.counts.gamma === 1 && done.counts.broken === 0);
+    assert('facets count the cards on screen (replaced cards dropped)', Object.values(done.facets.provider).reduce((a, b) => a + b, 0) === 2);
+    assert('facet languages of the cards on screen', done.facets.language.en === 1 && done.facets.language.fr === 1);
+    assert('more pages while a paginated source returned results', done.page === 1 && done.hasMore === true && done.nextPage === 2);
+
+    // =========================================================================
+    console.log('\n=== edge cases ===');
+    calls.length = 0;
+    const empty = await stream('?q=' + encodeURIComponent('-abridged'));
+    assert('query without keywords → done only', empty.events.length === 1 && empty.events[0].event === 'done' &&
+      empty.events[0].data.hasMore === false && calls.length === 0);
+    const anonymous = await stream('?q=austen', null);
+    assert('anonymous → 401', anonymous.status === 401);
+  } finally {
+    sources.enabledSources = realEnabled;
+    sources.runSource = realRun;
+    server.close();
+  }
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  process.exit(failed ? 1 : 0);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// scripts/test-searchSuggest.js
+// Tests for lib/searchSuggest.js: prefix matching, query popularity, ranking, catalog timeout
+
+const {
+  normalizeText,
+  matchScore,
+  prefixTsquery,
+  createQueryLog,
+  buildLocalIndex,
+  rankSuggestions,
+  createSuggester,
+} = require('../lib/searchSuggest');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+async function main() {
+  // =========================================================================
+  console.log('\n=== matching ===');
+
+  assert('normalize strips accents and punctuation', normalizeText('  Les Misérables: Tome I ') === 'les miserables tome i');
+  assert('whole-string prefix', matchScore('pride and prejudice', 'pride an') === 3);
+  assert('word prefixes in order', matchScore('the history of rome', 'history ro') === 2);
+  assert('word prefixes out of order', matchScore('the history of rome', 'rome hist') === 1);
+  assert('earlier words must be complete', matchScore('the history of rome', 'hist rome') === 0);
+  assert('no match', matchScore('moby dick', 'whale') === 0);
+  assert('prefix tsquery', prefixTsquery('Jane  aus') === 'jane & aus:*');
+  assert('tsquery syntax dropped', prefixTsquery("o'brien & !x:") === 'o & brien & x:*');
+  assert('nothing searchable → null', prefixTsquery(' &! ') === null);
+
+  // =========================================================================
+  console.log('\n=== query log ===');
+
+  let clock = 0;
+  const log = createQueryLog({ max: 10, halfLifeMs: 1000, minSearchers: 1, now: () => clock });
+  log.record('Jane Austen', 'u1');
+  log.record('jane   austen', 'u1');
+  log.record('Dickens', 'u1');
+  assert('same query counted once per spelling', log.size === 2 && log.list()[0].weight === 2);
+  assert('latest spelling shown', log.list()[0].text === 'jane austen');
+  clock = 2000;
+  log.record('Dickens', 'u1');
+  assert('old searches decay', log.list()[0].text === 'Dickens');
+  for (let i = 0; i < 20; i++) log.record('query ' + i, 'u1');
+  assert('bounded size', log.size <= 10);
+  log.record('   ', 'u1');
+  assert('blank queries ignored', !log.list().some(e => !e.key));
+
+  const shared = createQueryLog({ minSearchers: 3 });
+  for (let i = 0; i < 5; i++) shared.record('my private diary', 'u1');
+  shared.record('my private diary', 'u2');
+  shared.record('my private diary');
+  assert('query of fewer than 3 searchers not suggested', shared.list().length === 0);
+  shared.record('My private diary', 'u3');
+  assert('suggested once 3 different searchers ran it', shared.list().length === 1);
+  for (const u of ['u1', 'u2', 'u3']) shared.record('mail jane@example.org', u);
+  assert('e-mail addresses masked', shared.list().every(e => !e.text.includes('@')) &&
+    shared.list().some(e => e.text === 'mail [email]'));
+
+  // =========================================================================
+  console.log('\n=== ranking ===');
+
+  const index = buildLocalIndex([
+    { type: 'title', text: 'Pride and Prejudice', subtitle: 'Jane Austen' },
+    { type: 'title', text: 'Pride and Prejudice' },
+    { type: 'author', text: 'Jane Austen' },
+    { type: 'title', text: 'The Pride of Lions' },
+  ]);
+  assert('duplicates merged into weight', index.find(e => e.type === 'title' && e.key === 'pride and prejudice').weight === 2);
+  let ranked = rankSuggestions(index, 'pride', 8);
+  assert('whole-string prefix ranks first', ranked[0].text === 'Pride and Prejudice' && ranked[0].subtitle === 'Jane Austen');
+  assert('word prefix still suggested', ranked.some(s => s.text === 'The Pride of Lions'));
+  assert('non-matching entries dropped', !ranked.some(s => s.type === 'author'));
+
+  const many = [];
+  for (let i = 0; i < 10; i++) many.push({ type: 'title', text: 'History ' + i, key: 'history ' + i, weight: 1 });
+  many.push({ type: 'subject', text: 'History', key: 'history', weight: 0 });
+  ranked = rankSuggestions(many, 'hist', 6);
+  assert('per-type cap leaves room for other types', ranked.filter(s => s.type === 'title').length === 3 &&
+    ranked.some(s => s.type === 'subject'));
+  ranked = rankSuggestions([
+    { type: 'query', text: 'emma', key: 'emma', weight: 5 },
+    { type: 'title', text: 'Emma', key: 'emma', weight: 1 },
+  ], 'em', 8);
+  assert('query and title with the same text shown once', ranked.length === 1);
+  ranked = rankSuggestions([{ type: 'query', text: 'emma', key: 'emma', weight: 5 }], 'emma', 8);
+  assert('query identical to the typed text not suggested', ranked.length === 0);
+
+  // =========================================================================
+  console.log('\n=== suggester ===');
+
+  let catalogCalls = 0;
+  const suggester = createSuggester({
+    loadLocal: async () => [{ type: 'title', text: 'Middlemarch', subtitle: 'George Eliot' }],
+    searchCatalog: async () => {
+      catalogCalls++;
+      return [{ type: 'subject', text: 'Middle Ages' }, { type: 'title', text: 'Unrelated book' }];
+    },
+    queries: createQueryLog(),
+  });
+  for (const u of ['u1', 'u2', 'u3']) suggester.recordQuery('middle east history', u);
+  let out = await suggester.suggest('Midd');
+  assert('all local sources merged', ['query', 'title', 'subject'].every(t => out.some(s => s.type === t)));
+  assert('catalog rows filtered by the prefix', !out.some(s => s.text.startsWith('Unrelated')));
+  await suggester.suggest('midd');
+  assert('catalog lookups cached per prefix', catalogCalls === 1);
+  await suggester.suggest('m');
+  assert('single letter skips the catalog', catalogCalls === 1);
+  out = await suggester.suggest('');
+  assert('empty box → popular queries', out.length === 1 && out[0].type === 'query');
+
+  const slow = createSuggester({
+    loadLocal: async () => [{ type: 'author', text: 'Homer' }],
+    searchCatalog: () => new Promise(resolve => setTimeout(() => resolve([{ type: 'subject', text: 'Homeric poetry' }]), 200)),
+    catalogTimeoutMs: 20,
+  });
+  const started = Date.now();
+  out = await slow.suggest('home');
+  assert('slow catalog abandoned', Date.now() - started < 150 && out.length === 1 && out[0].text === 'Homer');
+  await new Promise(resolve => setTimeout(resolve, 250));
+  out = await slow.suggest('home');
+  assert('late catalog answer cached for the next keystroke', out.some(s => s.text === 'Homeric poetry'));
+
+  const broken = createSuggester({
+    loadLocal: async () => { throw new Error('db down'); },
+    searchCatalog: async () => { throw new Error('db down'); },
+  });
+  out = await broken.suggest('anything');
+  assert('source failures → empty list, no throw', Array.isArray(out) && out.length === 0);
+
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// scripts/test-sourceRegistry.js
+// Tests for source registry timeouts, circuit breaking and health metrics
+process.env.SOURCE_BREAKER_THRESHOLD = '3';
+process.env.SOURCE_BREAKER_COOLDOWN_MS = '200';
+
+const registry = require('../lib/sourceRegistry');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let flakyCalls = 0;
+let flakyHealthy = false;
+
+registry.register({
+  name: 'fast',
+  priority: 1,
+  capabilities: { formats: ['epub'], paginated: true },
+  search: async q => [{ book_id: `fast:${q}`, provider: 'fast' }],
+  lookup: async id => (id === '42' ? { title: 'The Answer' } : null),
+  lookupAuthor: async name => ({ name, birth_year: 1952 }),
+});
+registry.register({
+  name: 'slow',
+  timeoutMs: 50,
+  retries: 1,
+  search: () => sleep(500).then(() => []),
+});
+registry.register({
+  name: 'flaky',
+  search: async () => {
+    flakyCalls++;
+    if (!flakyHealthy) throw new Error('upstream 503');
+    return [{ book_id: 'flaky:1', provider: 'flaky' }];
+  },
+});
+registry.register({
+  name: 'flagged',
+  flag: 'CONNECTOR_DOES_NOT_EXIST',
+  search: async () => [],
+});
+
+(async () => {
+  // ===========================================================================
+  console.log('\n=== registration ===');
+  let threw = false;
+  try { registry.register({ name: 'fast', search: async () => [] }); } catch (e) { threw = true; }
+  assert('duplicate name is rejected', threw);
+  assert('flagged source is not enabled', !registry.enabledSources().some(s => s.name === 'flagged'));
+  assert('priorities() includes declared priority', registry.priorities().fast === 1);
+
+  // ===========================================================================
+  console.log('\n=== runSource ===');
+  const ok = await registry.runSource('fast', 'plato', 1, {});
+  assert('ok status with items', ok.status === 'ok' && ok.items.length === 1);
+
+  const unsupported = await registry.runSource('fast', 'plato', 1, { format: 'pdf' });
+  assert('format outside capabilities → unsupported, no call', unsupported.status === 'unsupported');
+
+  const slow = await registry.runSource('slow', 'plato', 1, {});
+  assert('slow source times out', slow.status === 'timeout' && slow.items.length === 0);
+  assert('timeout is retried once (≈2 × timeout)', slow.ms >= 90 && slow.ms < 400);
+
+  const err = await registry.runSource('flaky', 'plato', 1, {});
+  assert('thrown error → error status, never rejects', err.status === 'error' && err.error === 'upstream 503');
+
+  // ===========================================================================
+  console.log('\n=== circuit breaker ===');
+  await registry.runSource('flaky', 'plato', 1, {});
+  await registry.runSource('flaky', 'plato', 1, {});
+  const callsWhenOpened = flakyCalls;
+  const skipped = await registry.runSource('flaky', 'plato', 1, {});
+  assert('breaker opens after threshold failures', skipped.status === 'open');
+  assert('open breaker skips the upstream call', flakyCalls === callsWhenOpened);
+
+  let flakyHealth = registry.health().find(h => h.name === 'flaky');
+  assert('health reports open state', flakyHealth.breaker.state === 'open');
+  assert('health error_rate is 1 for all-failed window', flakyHealth.error_rate === 1);
+
+  await sleep(250);
+  flakyHealthy = true;
+  const trial = await registry.runSource('flaky', 'plato', 1, {});
+  assert('half-open trial goes through after cooldown', trial.status === 'ok');
+  flakyHealth = registry.health().find(h => h.name === 'flaky');
+  assert('successful trial closes the breaker', flakyHealth.breaker.state === 'closed');
+
+  // Re-open and reset manually
+  flakyHealthy = false;
+  for (let i = 0; i < 3; i++) await registry.runSource('flaky', 'plato', 1, {});
+  assert('breaker re-opens', registry.health().find(h => h.name === 'flaky').breaker.state === 'open');
+  assert('resetBreaker closes it', registry.resetBreaker('flaky') &&
+    registry.health().find(h => h.name === 'flaky').breaker.state === 'closed');
+  assert('resetBreaker on unknown source → false', registry.resetBreaker('nope') === false);
+
+  // ===========================================================================
+  console.log('\n=== health metrics ===');
+  for (let i = 0; i < 5; i++) await registry.runSource('fast', 'q' + i, 1, {});
+  const fastHealth = registry.health().find(h => h.name === 'fast');
+  assert('calls counted', fastHealth.calls === 6);
+  assert('latency percentiles present', fastHealth.latency_ms.p50 !== null && fastHealth.latency_ms.p99 >= fastHealth.latency_ms.p50);
+  assert('error_rate 0 for healthy source', fastHealth.error_rate === 0);
+
+  // ===========================================================================
+  console.log('\n=== runLookup ===');
+  const found = await registry.runLookup('fast', '42');
+  assert('lookup returns the item', found.status === 'ok' && found.item.title === 'The Answer');
+  assert('lookup miss → ok with null item', (await registry.runLookup('fast', '7')).item === null);
+  assert('lookup counted with the source calls', registry.health().find(h => h.name === 'fast').calls === 8);
+  assert('source without lookup → unsupported', (await registry.runLookup('slow', '42')).status === 'unsupported');
+  assert('unknown source → error', (await registry.runLookup('nope', '42')).status === 'error');
+  const author = await registry.runAuthorLookup('fast', 'Douglas Adams');
+  assert('author lookup returns the record', author.status === 'ok' && author.item.birth_year === 1952);
+  assert('source without lookupAuthor → unsupported', (await registry.runAuthorLookup('slow', 'Douglas Adams')).status === 'unsupported');
+
+  // ===========================================================================
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// scripts/test-textMatch.js
+// Tests for lib/textMatch.js and multilingual relevance scoring (utils/bookHelpers, utils/relevance)
+
+const { foldText, detectLanguage, tokenize, phoneticKey, fieldMatcher } = require('../lib/textMatch');
+const { scoreRelevance } = require('../utils/bookHelpers');
+const relevance = require('../utils/relevance');
+const { parseQuery } = require('../lib/searchQuery');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// Threshold routes/search.js filterByRelevance applies to multi-word queries
+const RELEVANCE_THRESHOLD = 10;
+
+// Non-English fixtures: what the connectors return for these books
+const BOOKS = {
+  miserables: { title: 'Les Misérables, tome I : Fantine', author: 'Hugo, Victor', subjects: ['Romans français'] },
+  proust: { title: 'À la recherche du temps perdu', author: 'Marcel Proust', language: 'fr' },
+  verwandlung: { title: 'Die Verwandlung', author: 'Kafka, Franz', subjects: ['Erzählung'] },
+  faust: { title: 'Faust: Der Tragödie erster Teil', author: 'Johann Wolfgang von Goethe' },
+  odyssey: { title: 'Ὀδύσσεια', author: 'Ὅμηρος', subjects: ['Επική ποίηση'] },
+  warAndPeace: { title: 'Война и мир', author: 'Толстой, Лев Николаевич' },
+  karamazovRu: { title: 'Братья Карамазовы', author: 'Достоевский, Фёдор Михайлович' },
+  karamazovFr: { title: 'Les Frères Karamazov', author: 'Dostoïevski, Fiodor' },
+  karamazovDe: { title: 'Die Brüder Karamasow', author: 'Dostojewski, Fjodor' },
+  quijote: { title: 'El ingenioso hidalgo don Quijote de la Mancha', author: 'Miguel de Cervantes Saavedra' },
+  genji: { title: '源氏物語', author: '紫式部' },
+  unrelated: { title: 'The Wealth of Nations', author: 'Adam Smith', subjects: ['Economics'] },
+};
+
+// =========================================================================
+console.log('\n=== foldText ===');
+
+assert('latin diacritics and ligatures', foldText('Œuvres complètes de Molière') === 'oeuvres completes de moliere');
+assert('german ß and umlauts', foldText('Straße über Größe') === 'strasse uber grosse');
+assert('greek accents and final sigma', foldText('Ὀδύσσεια Ὁμήρους') === 'οδυσσεια ομηρουσ');
+assert('cyrillic kept, lowercased', foldText('Война и МИР') === 'воина и мир');
+assert('CJK untouched', foldText('源氏物語') === '源氏物語');
+
+// =========================================================================
+console.log('\n=== detectLanguage / tokenize ===');
+
+assert('french by stopwords', detectLanguage('le rouge et le noir') === 'fr');
+assert('german by stopwords', detectLanguage('Krieg und Frieden') === 'de');
+assert('spanish by ñ on a fr/es tie', detectLanguage('el señor de los anillos') === 'es');
+assert('cyrillic → ru', detectLanguage('Преступление и наказание') === 'ru');
+assert('greek → el', detectLanguage('Οδύσσεια του Ομήρου') === 'el');
+assert('a name → no language', detectLanguage('dostoevsky') === null);
+
+assert('french stopwords dropped, accents folded',
+  tokenize('À la recherche du temps perdu').tokens.join() === 'recherche,temps,perdu');
+assert('german stopwords dropped', tokenize('Die Verwandlung').tokens.join() === 'verwandlung');
+assert('russian stopwords dropped', tokenize('Война и мир').tokens.join() === 'воина,мир');
+assert('greek stopwords dropped', tokenize('Οδύσσεια του Ομήρου').tokens.join() === 'οδυσσεια,ομηρου');
+assert('english "die" kept when the hint says en', tokenize('die hard', { lang: 'en' }).tokens.join() === 'die,hard');
+assert('all-stopword query kept', tokenize('this and that').tokens.join() === 'this,and,that');
+assert('CJK token kept despite length', tokenize('論語').tokens.join() === '論語');
+
+// =========================================================================
+console.log('\n=== transliteration ===');
+
+const dostoevsky = phoneticKey('Dostoevsky');
+assert('Dostoïevski matches Dostoevsky', phoneticKey('Dostoïevski') === dostoevsky);
+assert('Dostojewski matches Dostoevsky', phoneticKey('Dostojewski') === dostoevsky);
+assert('Достоевский matches Dostoevsky', phoneticKey('Достоевский') === dostoevsky);
+assert('Tolstoy / Tolstoï / Толстой', phoneticKey('Tolstoy') === phoneticKey('Tolstoï') && phoneticKey('Tolstoï') === phoneticKey('Толстой'));
+assert('Tchaikovsky / Tschaikowsky / Čajkovskij',
+  phoneticKey('Tchaikovsky') === phoneticKey('Tschaikowsky') && phoneticKey('Tschaikowsky') === phoneticKey('Čajkovskij'));
+assert('short words get no key', phoneticKey('Hugo') === null);
+assert('different names differ', phoneticKey('Dickens') !== phoneticKey('Dostoevsky'));
+assert('field matcher falls back to the key', fieldMatcher('Dostoïevski, Fiodor').has('dostoevsky'));
+assert('field matcher substring match', fieldMatcher(['Romans français']).has('francais'));
+
+// =========================================================================
+console.log('\n=== scoreRelevance (non-English) ===');
+
+const above = (book, q) => scoreRelevance(book, q) >= RELEVANCE_THRESHOLD;
+
+assert('accent-free query finds Les Misérables', above(BOOKS.miserables, 'les miserables'));
+assert('accented query finds Les Misérables', above(BOOKS.miserables, 'Les Misérables Hugo'));
+assert('french title with stopwords', scoreRelevance(BOOKS.proust, 'à la recherche du temps perdu') >= 80);
+assert('german title, folded umlaut', above(BOOKS.faust, 'Faust Tragodie'));
+assert('german query', above(BOOKS.verwandlung, 'Die Verwandlung Kafka'));
+assert('greek query without accents', above(BOOKS.odyssey, 'Οδυσσεια Ομηρος'));
+assert('cyrillic title (all words in title)', scoreRelevance(BOOKS.warAndPeace, 'Война и мир') >= 70);
+assert('cyrillic author by latin name', above(BOOKS.warAndPeace, 'tolstoy'));
+assert('Dostoevsky finds the Russian edition', above(BOOKS.karamazovRu, 'dostoevsky'));
+assert('Dostoevsky finds the French edition', above(BOOKS.karamazovFr, 'Dostoevsky Karamazov'));
+assert('Dostoevsky finds the German edition', above(BOOKS.karamazovDe, 'Dostoevsky'));
+assert('spanish query', above(BOOKS.quijote, 'don quijote de la mancha'));
+assert('japanese query', above(BOOKS.genji, '源氏物語'));
+assert('unrelated book still 0', scoreRelevance(BOOKS.unrelated, 'Война и мир') === 0 &&
+  scoreRelevance(BOOKS.unrelated, 'dostoevsky') === 0);
+assert('stopwords no longer match everything', scoreRelevance(BOOKS.unrelated, 'the state of the art') === 0);
+assert('structured author query folds accents',
+  scoreRelevance(BOOKS.karamazovFr, parseQuery('author:dostoievski karamazov')) >= 40);
+assert('lang: hint picks the stopword set', scoreRelevance({ title: 'Die Hard' }, parseQuery('die hard lang:en')) >= 50);
+
+// =========================================================================
+console.log('\n=== utils/relevance ===');
+
+const tokens = relevance.tokenize('Les Frères Karamazov');
+assert('tokenize keeps accented words (folded)', tokens.join() === 'freres,karamazov');
+assert('score matches folded title', relevance.score(BOOKS.karamazovFr, tokens) >= 4);
+assert('score matches transliterated author', relevance.score(BOOKS.karamazovDe, relevance.tokenize('Dostoevsky')) > 0);
+
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
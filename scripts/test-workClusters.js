@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// scripts/test-workClusters.js
+// Tests for edition clustering used by /api/search
+const {
+  normalizeTitle, normalizeAuthor, workKey, pickRepresentative, clusterEditions,
+} = require('../lib/workClusters');
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) {
+    console.log(`  ✓ ${label}`);
+    passed++;
+  } else {
+    console.error(`  ✗ FAIL: ${label}`);
+    failed++;
+  }
+}
+
+// EPUB first, then lower provider priority (mirrors routes/search.js isPreferred)
+const PRIORITY = { gutenberg: 1, oapen: 2, openlibrary: 3, loc: 4, archive: 5 };
+function isPreferred(a, b) {
+  if (a.format === 'epub' && b.format !== 'epub') return true;
+  if (b.format === 'epub' && a.format !== 'epub') return false;
+  return (PRIORITY[a.provider] || 99) < (PRIORITY[b.provider] || 99);
+}
+
+// =============================================================================
+console.log('\n=== normalizeTitle ===');
+assert('leading article dropped', normalizeTitle('The Republic') === 'republic');
+assert('inverted article dropped', normalizeTitle('Republic, The') === 'republic');
+assert('statement of responsibility and [electronic resource] dropped',
+  normalizeTitle('The republic / Plato [electronic resource]') === 'republic');
+assert('subtitle dropped', normalizeTitle('Walden: or, Life in the Woods') === 'walden');
+assert('diacritics and French elision folded', normalizeTitle("L'Étranger") === 'etranger');
+assert('single-word title keeps its article', normalizeTitle('The') === 'the');
+
+// =============================================================================
+console.log('\n=== normalizeAuthor ===');
+assert('inverted name with dates', normalizeAuthor('Tolstoy, Leo, graf, 1828-1910') === 'tolstoy');
+assert('direct order with initials', normalizeAuthor('L. N. Tolstoy') === 'tolstoy');
+assert('first of several authors', normalizeAuthor('Austen, Jane; Smith, John') === 'austen');
+assert('hyphenated particle surname', normalizeAuthor('Saint-Exupéry, Antoine de') === 'exupery');
+assert('unknown author → empty', normalizeAuthor('Unknown') === '');
+
+// =============================================================================
+console.log('\n=== clusterEditions ===');
+const books = [
+  { book_id: 'archive:rep1', provider: 'archive', provider_id: 'rep1', title: 'The republic / Plato', author: 'Plato', format: 'pdf' },
+  { book_id: 'gutenberg:1497', provider: 'gutenberg', provider_id: '1497', title: 'The Republic', author: 'Plato', format: 'epub' },
+  { book_id: 'loc:9', provider: 'loc', provider_id: '9', title: 'Republic, The', author: 'Plato, 427?-347? B.C.', format: 'pdf' },
+  { book_id: 'gutenberg:1497', provider: 'gutenberg', provider_id: '1497', title: 'The Republic', author: 'Plato', format: 'epub' },
+  { book_id: 'gutenberg:1656', provider: 'gutenberg', provider_id: '1656', title: 'Apology', author: 'Plato', format: 'epub' },
+  { book_id: 'archive:x', provider: 'archive', provider_id: 'x', title: '', author: 'Plato', format: 'pdf' },
+];
+const works = clusterEditions(books, isPreferred);
+assert('three editions of the Republic form one work', works.length === 3);
+assert('work order follows first appearance', works[0]._key === 'republic|plato' && works[1]._key === 'apology|plato');
+assert('representative is the EPUB edition', works[0].book_id === 'gutenberg:1497');
+assert('repeated edition kept once', works[0]._editions.length === 3);
+assert('untitled book is never clustered', works[2]._key === 'id:archive:x');
+assert('workKey matches the cluster key', workKey(books[2]) === works[0]._key);
+
+// =============================================================================
+console.log('\n=== pickRepresentative ===');
+const checked = [
+  { book_id: 'gutenberg:1497', provider: 'gutenberg', format: 'epub', readable: 'false' },
+  { book_id: 'loc:9', provider: 'loc', format: 'pdf', readable: 'true' },
+  { book_id: 'archive:rep1', provider: 'archive', format: 'pdf', readable: 'true' },
+];
+assert('readable edition beats a preferred unreadable one', pickRepresentative(checked, isPreferred).book_id === 'loc:9');
+
+// =============================================================================
+console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
+process.exit(failed > 0 ? 1 : 0);
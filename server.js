@@ -168,6 +168,9 @@ if (process.env.REDIS_URL) {
   
   sessionStore = new RedisStore({ client: redisClient, prefix: 'bl:sess:' });
   console.log('[session] Using RedisStore');
+
+  // Search result cache shares the session client as its second tier
+  require('./lib/searchCache').useRedis(redisClient);
 } else {
   console.log('[session] REDIS_URL not set, using MemoryStore (dev only)');
 }
@@ -405,6 +408,42 @@ try {
   console.error('[routes] failed to mount ./routes/catalog:', e);
 }
 
+// Background resolution of catalog download files (lib/catalogResolver)
+// Off unless CATALOG_RESOLVER_INTERVAL_MIN is set; scripts/resolve-catalog.js does the same on demand
+const CATALOG_RESOLVER_INTERVAL_MIN = Number(process.env.CATALOG_RESOLVER_INTERVAL_MIN || 0);
+if (CATALOG_RESOLVER_INTERVAL_MIN > 0) {
+  try {
+    const { startCatalogResolver } = require('./lib/catalogResolver');
+    const { createSupabaseHarvestStore } = require('./lib/harvestStore');
+    startCatalogResolver({
+      store: createSupabaseHarvestStore(require('./lib/supabaseServer')),
+      intervalMs: CATALOG_RESOLVER_INTERVAL_MIN * 60 * 1000,
+    });
+    console.log(`[catalogResolver] running every ${CATALOG_RESOLVER_INTERVAL_MIN} min`);
+  } catch (e) {
+    console.error('[catalogResolver] not started:', e.message);
+  }
+}
+
+// New-result e-mail alerts for saved searches (lib/savedSearchAlerts)
+// Off unless SAVED_SEARCH_ALERTS_INTERVAL_MIN is set; scripts/saved-search-alerts.js does the same on demand
+const SAVED_SEARCH_ALERTS_INTERVAL_MIN = Number(process.env.SAVED_SEARCH_ALERTS_INTERVAL_MIN || 0);
+if (SAVED_SEARCH_ALERTS_INTERVAL_MIN > 0) {
+  try {
+    const { startSavedSearchAlerts } = require('./lib/savedSearchAlerts');
+    const { getSavedSearchStore } = require('./lib/savedSearches');
+    startSavedSearchAlerts({
+      store: getSavedSearchStore(),
+      runSearch: require('./routes/search').collectMatches,
+      sendMail: require('./mailer').send,
+      intervalMs: SAVED_SEARCH_ALERTS_INTERVAL_MIN * 60 * 1000,
+    });
+    console.log(`[savedSearchAlerts] running every ${SAVED_SEARCH_ALERTS_INTERVAL_MIN} min`);
+  } catch (e) {
+    console.error('[savedSearchAlerts] not started:', e.message);
+  }
+}
+
 // Mount reading routes (progress, favorites, events, trending, recommendations)
 try {
   const readingRoutes = require('./routes/reading');
@@ -414,6 +453,33 @@ try {
   console.error('[routes] failed to mount ./routes/reading:', e);
 }
 
+// Mount OPDS catalog feeds for e-reader apps (/opds/<feed key>, /api/opds)
+try {
+  const opdsRoutes = require('./routes/opds');
+  app.use('/', opdsRoutes);
+  console.log('[routes] mounted opds router at /opds');
+} catch (e) {
+  console.error('[routes] failed to mount ./routes/opds:', e);
+}
+
+// Mount book detail pages (/book/:provider/:providerId) and their editions API
+try {
+  const bookRoutes = require('./routes/book');
+  app.use('/', bookRoutes);
+  console.log('[routes] mounted book router at /book');
+} catch (e) {
+  console.error('[routes] failed to mount ./routes/book:', e);
+}
+
+// Mount author pages (/author/:slug) and their works API
+try {
+  const authorRoutes = require('./routes/author');
+  app.use('/', authorRoutes);
+  console.log('[routes] mounted author router at /author');
+} catch (e) {
+  console.error('[routes] failed to mount ./routes/author:', e);
+}
+
 // Mount favorites page and /open token-safe opener
 try {
   const favoritesRoutes = require('./routes/favorites');
@@ -458,6 +524,7 @@ try {
 
 // ---------- Session cookie endpoint ----------
 const supabaseAdmin = require('./supabaseAdmin');
+const { isSubscriberUser } = require('./utils/gate');
 
 app.post('/api/auth/session-cookie', async (req, res) => {
   try {
@@ -468,10 +535,7 @@ app.post('/api/auth/session-cookie', async (req, res) => {
     if (error || !data?.user) return res.status(401).json({ ok:false });
     
     const user = data.user;
-    const isSub =
-      process.env.AUTO_SUBSCRIBE_NEW_USERS === '1'
-        ? true
-        : (user.user_metadata && user.user_metadata.is_subscriber === true);
+    const isSub = isSubscriberUser(user);
     
     // optional auto-subscribe write-through when flag is on
     if (process.env.AUTO_SUBSCRIBE_NEW_USERS === '1' && user.user_metadata?.is_subscriber !== true) {
@@ -0,0 +1,5 @@
+-- Supabase Annotation Chapters Migration
+-- Chapter titles captured by the reader, used to group exported highlights/bookmarks
+
+ALTER TABLE highlights ADD COLUMN IF NOT EXISTS chapter TEXT;
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS chapter TEXT;
@@ -0,0 +1,83 @@
+-- Supabase Catalog Browse Migration
+-- Run this in your Supabase SQL Editor after catalog.sql
+--
+-- Backs GET /api/catalog/subjects and GET /api/catalog/browse:
+--   catalog_subject_label(text)   one raw subject → display label (same rules as
+--                                 normalizeSubject() in lib/catalogBrowse.js)
+--   subject_keys                  lowercased labels of a row, for subject filtering
+--   catalog_subjects(...)         subject list with book counts
+--   sort indexes                  keyset pagination on (sort column, id)
+
+-- "bic Book Industry Communication::H Humanities::HB History" → "History":
+-- last segment of a classification path without its code, whitespace collapsed,
+-- trailing periods removed
+CREATE OR REPLACE FUNCTION catalog_subject_label(raw text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(
+    btrim(regexp_replace(
+      CASE WHEN raw LIKE '%::%'
+        THEN regexp_replace(regexp_replace(raw, '^.*::\s*', ''), '^[A-Z0-9]{1,8}\s+', '')
+        ELSE raw
+      END,
+      '\s+', ' ', 'g')),
+    '\.+$', '');
+$$;
+
+CREATE OR REPLACE FUNCTION catalog_subject_keys(subjects text)
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT coalesce(array_agg(DISTINCT k), '{}')
+  FROM (
+    SELECT lower(catalog_subject_label(part)) AS k
+    FROM regexp_split_to_table(coalesce(subjects, ''), '\s*;\s*') AS part
+  ) s
+  WHERE k <> '';
+$$;
+
+ALTER TABLE catalog_books
+  ADD COLUMN IF NOT EXISTS subject_keys text[]
+  GENERATED ALWAYS AS (catalog_subject_keys(subjects)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_catalog_books_subject_keys
+  ON catalog_books USING gin(subject_keys);
+
+-- Keyset pagination: one index per browse sort
+CREATE INDEX IF NOT EXISTS idx_catalog_books_browse_title
+  ON catalog_books(title, id);
+CREATE INDEX IF NOT EXISTS idx_catalog_books_browse_year
+  ON catalog_books(published_year, id);
+CREATE INDEX IF NOT EXISTS idx_catalog_books_browse_created
+  ON catalog_books(created_at, id);
+
+-- Subjects with the number of open-access books, most common first
+-- langs: every spelling of the language stored in catalog_books.language ('en', 'eng', 'english')
+CREATE OR REPLACE FUNCTION catalog_subjects(
+  langs text[] DEFAULT NULL,
+  name_filter text DEFAULT NULL,
+  min_count int DEFAULT 1,
+  result_limit int DEFAULT 200
+)
+RETURNS TABLE(key text, label text, book_count bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT lower(l.label) AS key,
+         mode() WITHIN GROUP (ORDER BY l.label) AS label,
+         count(DISTINCT b.id) AS book_count
+  FROM catalog_books b,
+       LATERAL regexp_split_to_table(coalesce(b.subjects, ''), '\s*;\s*') AS part,
+       LATERAL (SELECT catalog_subject_label(part) AS label) l
+  WHERE b.open_access = true
+    AND l.label <> ''
+    AND (langs IS NULL OR b.language = ANY(langs))
+    AND (name_filter IS NULL OR lower(l.label) LIKE '%' || lower(name_filter) || '%')
+  GROUP BY lower(l.label)
+  HAVING count(DISTINCT b.id) >= min_count
+  ORDER BY book_count DESC, key
+  LIMIT result_limit;
+$$;
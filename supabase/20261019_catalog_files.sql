@@ -0,0 +1,29 @@
+-- Supabase Catalog Files Migration
+-- Run this in your Supabase SQL Editor after catalog.sql
+--
+-- Lets catalog_books rows open in the unified reader instead of linking out:
+--   epub_url / pdf_url      direct downloads (from the OAI record or the landing page)
+--   epub_size / pdf_size    Content-Length in bytes, when the server reports it
+--   cover_url, license      cover image and license (URL or rights statement)
+--   files_status            pending | resolved | none | unsupported | error
+--   files_checked_at, files_error, resolve_attempts  bookkeeping for the resolver
+--
+-- New rows start as 'pending'; lib/catalogResolver.js (scripts/resolve-catalog.js or
+-- the in-process job, CATALOG_RESOLVER_INTERVAL_MIN) works through them.
+
+ALTER TABLE catalog_books
+  ADD COLUMN IF NOT EXISTS epub_url TEXT,
+  ADD COLUMN IF NOT EXISTS pdf_url TEXT,
+  ADD COLUMN IF NOT EXISTS epub_size BIGINT,
+  ADD COLUMN IF NOT EXISTS pdf_size BIGINT,
+  ADD COLUMN IF NOT EXISTS cover_url TEXT,
+  ADD COLUMN IF NOT EXISTS license TEXT,
+  ADD COLUMN IF NOT EXISTS files_status TEXT NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS files_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS files_error TEXT,
+  ADD COLUMN IF NOT EXISTS resolve_attempts INT NOT NULL DEFAULT 0;
+
+-- Resolver queue: pending rows, and failed rows due for a retry
+CREATE INDEX IF NOT EXISTS idx_catalog_books_files_queue
+  ON catalog_books(files_status, files_checked_at)
+  WHERE files_status IN ('pending', 'error');
@@ -0,0 +1,21 @@
+-- Supabase Catalog Harvest State Migration
+-- Run this in your Supabase SQL Editor before using scripts/harvest.js
+--
+-- One row per OAI-PMH source (config/harvestSources.js):
+--   watermark          responseDate of the last completed run; next run asks from= this
+--   resumption_token   set while a run is in progress, so a crashed run resumes
+--   run_from / run_started_at  window of the in-progress run
+
+CREATE TABLE IF NOT EXISTS catalog_harvest_state (
+  source TEXT PRIMARY KEY,
+  watermark TEXT,
+  resumption_token TEXT,
+  run_from TEXT,
+  run_started_at TEXT,
+  last_run_at TIMESTAMPTZ,
+  last_summary JSONB,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Service role only (harvester runs server-side)
+ALTER TABLE catalog_harvest_state ENABLE ROW LEVEL SECURITY;
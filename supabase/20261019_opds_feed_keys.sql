@@ -0,0 +1,16 @@
+-- Supabase OPDS Feed Keys Migration
+-- Run this in your Supabase SQL Editor
+--
+-- Backs lib/opdsFeedKeys.js: the OPDS feed key (lib/opds feedKey) is signed over
+-- the user id and key_version, and "Reset feed URL" on the account page bumps the
+-- version so every URL handed out before stops working. Users who never reset
+-- have no row (version 1).
+
+CREATE TABLE IF NOT EXISTS opds_feed_keys (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  key_version INTEGER NOT NULL DEFAULT 1,
+  rotated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only the server (service role) reads and writes feed keys
+ALTER TABLE opds_feed_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,6 @@
+-- Supabase Reader Annotations Migration
+-- Run this in your Supabase SQL Editor to add notes and edit timestamps to highlights/bookmarks
+
+ALTER TABLE highlights ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE highlights ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE bookmarks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
@@ -0,0 +1,4 @@
+-- Supabase Reader Flow Migration
+-- Page layout chosen in the reader: paginated, spread (two pages) or scrolled
+
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS flow TEXT DEFAULT 'scrolled';
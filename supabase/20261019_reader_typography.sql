@@ -0,0 +1,13 @@
+-- Supabase Reader Typography Migration
+-- Margins, justification, hyphenation and custom theme colors for reader_settings
+-- (synced by /api/reader/settings; valid values in lib/readerSettings.js)
+
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS margin INTEGER DEFAULT 20;
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS text_align TEXT DEFAULT 'justify';
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS hyphenation BOOLEAN DEFAULT TRUE;
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS custom_background TEXT;
+ALTER TABLE reader_settings ADD COLUMN IF NOT EXISTS custom_text TEXT;
+
+-- Match the reader's defaults (the original table defaulted to a dark theme)
+ALTER TABLE reader_settings ALTER COLUMN theme SET DEFAULT 'light';
+ALTER TABLE reader_settings ALTER COLUMN line_height SET DEFAULT 1.7;
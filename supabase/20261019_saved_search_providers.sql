@@ -0,0 +1,6 @@
+-- Supabase Saved Search Providers Migration
+-- Providers that answered on a saved search's last run (lib/savedSearchAlerts.js):
+-- only their results are compared on the next run, so a provider coming back
+-- after an outage doesn't get its whole result list mailed as new.
+
+ALTER TABLE saved_searches ADD COLUMN IF NOT EXISTS ok_providers TEXT[];
@@ -0,0 +1,30 @@
+-- Supabase Saved Searches Migration
+-- Run this in your Supabase SQL Editor
+--
+-- Backs lib/savedSearches.js (save a /read query with its filters) and
+-- lib/savedSearchAlerts.js, which re-runs due searches, diffs the results
+-- against seen_book_ids and e-mails a digest of new matches.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,                        -- digest recipient (session e-mail when saved)
+  query TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb, -- /read filter params: lang, format, provider, year_from, year_to, readable
+  frequency TEXT NOT NULL DEFAULT 'weekly',   -- daily | weekly
+  active BOOLEAN NOT NULL DEFAULT true,
+  seen_book_ids TEXT[] NOT NULL DEFAULT '{}', -- book_ids already reported (newest first, capped)
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_run_at TIMESTAMPTZ,                    -- NULL until the first run records the baseline
+  last_notified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(user_id, query, filters)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches(next_run_at) WHERE active;
+
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY saved_searches_policy ON saved_searches
+  FOR ALL USING (auth.uid() = user_id);
@@ -0,0 +1,39 @@
+-- Supabase Search Analytics Migration
+-- Run this in your Supabase SQL Editor
+--
+-- Backs lib/searchAnalytics.js (query log + click-through for /admin/search).
+-- No user id, IP or session is stored: a search row is the normalized query with
+-- per-provider result counts, timeouts and latency; a click row points back to
+-- its search by id. Rows older than SEARCH_ANALYTICS_RETENTION_DAYS are purged
+-- by the server.
+
+CREATE TABLE IF NOT EXISTS search_queries (
+  id UUID PRIMARY KEY,
+  query TEXT NOT NULL,
+  mode TEXT NOT NULL DEFAULT 'json',        -- json | stream
+  has_filters BOOLEAN NOT NULL DEFAULT false,
+  result_count INT NOT NULL DEFAULT 0,      -- results shown after merge/relevance
+  provider_counts JSONB NOT NULL DEFAULT '{}'::jsonb,
+  timeouts TEXT[] NOT NULL DEFAULT '{}',    -- providers that timed out or missed the deadline
+  deadline_hit BOOLEAN NOT NULL DEFAULT false,
+  latency_ms INT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_created ON search_queries(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS search_clicks (
+  id BIGSERIAL PRIMARY KEY,
+  search_id UUID NOT NULL,                  -- search_queries.id (clicks can arrive first)
+  position INT NOT NULL,                    -- 0-based index of the card in the results
+  provider TEXT,
+  book_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_clicks_created ON search_clicks(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_clicks_search ON search_clicks(search_id);
+
+-- Service role only (written and read server-side)
+ALTER TABLE search_queries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_clicks ENABLE ROW LEVEL SECURITY;
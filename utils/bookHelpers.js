@@ -1,6 +1,9 @@
 // utils/bookHelpers.js
 // Shared helpers for canonical book identity and URL building
 
+const { isExcluded } = require('../lib/searchQuery');
+const { foldText, tokenize, fieldMatcher } = require('../lib/textMatch');
+
 /**
  * Strip a bl:<provider>:<rawId> prefix from a value.
  * Returns { provider, rawId } if stripped, or null if no prefix found.
@@ -390,6 +393,42 @@ function buildOpenUrl(meta, ref) {
   return '/open?' + params.toString();
 }
 
+/**
+ * Build the /book/<provider>/<provider_id> detail page URL for a book.
+ * Archive scans without a provider of their own use their archive id, as in
+ * buildOpenUrl. Title, author, cover and file fields ride along as query hints
+ * for providers the page can't look up by id.
+ *
+ * @param {object} meta - same fields as buildOpenUrl, plus year, language
+ * @returns {string|null} e.g. "/book/gutenberg/1342?title=..."; null when unresolvable
+ */
+function buildBookUrl(meta) {
+  const n = normalizeMeta(meta) || meta;
+  let provider = (n.provider || n.source || 'unknown').toLowerCase();
+  let pid = ensureRawProviderId(n.provider_id || n.bookKey || n.book_key || '', 'buildBookUrl');
+  const archiveId = extractArchiveId(n);
+  if (archiveId && (provider === 'archive' || provider === 'unknown' || !pid)) {
+    provider = 'archive';
+    pid = archiveId;
+  }
+  if (provider === 'unknown' || !pid) return null;
+  if (provider === 'archive' && isNumericOnly(stripPrefixes(pid) || pid)) return null;
+
+  const params = new URLSearchParams();
+  if (n.title)      params.set('title', n.title);
+  if (n.author)     params.set('author', n.author);
+  if (n.cover || n.cover_url) params.set('cover', n.cover || n.cover_url);
+  if (n.year)       params.set('year', String(n.year));
+  if (n.language)   params.set('language', n.language);
+  if (n.format)     params.set('format', n.format);
+  if (n.direct_url) params.set('direct_url', n.direct_url);
+  if (n.source_url || n.sourceUrl) params.set('source_url', n.source_url || n.sourceUrl);
+  if (archiveId && provider !== 'archive') params.set('archive_id', archiveId);
+
+  const qs = params.toString();
+  return `/book/${encodeURIComponent(provider)}/${encodeURIComponent(pid)}` + (qs ? '?' + qs : '');
+}
+
 /**
  * Check if an Archive.org file entry is encrypted / DRM-protected.
  * Catches: _encrypted, _lcp, drm, protected, acsm patterns.
@@ -479,19 +518,23 @@ function isBorrowRequiredArchive(meta, files, fullMeta) {
 /**
  * Score relevance of a book result against a search query.
  * Returns 0-100: higher = more relevant. Items scoring below threshold should be demoted/dropped.
+ * Matching is diacritic-insensitive in any script, drops the query language's stopwords
+ * and accepts other romanizations of a name (lib/textMatch).
  * @param {object} book - { title, author, subjects, description }
- * @param {string} query - original search query
+ * @param {string|object} query - original search query, or a structured query from lib/searchQuery
+ * @param {{ lang?: string|null }} [opts] - query language hint (otherwise detected)
  * @returns {number}
  */
-function scoreRelevance(book, query) {
+function scoreRelevance(book, query, { lang = null } = {}) {
+  if (query && typeof query === 'object') return scoreStructuredRelevance(book, query);
   if (!query) return 50;
-  const tokens = query.toLowerCase().split(/\s+/).filter(t => t.length >= 3);
+  const { tokens } = tokenize(query, { lang });
   if (!tokens.length) return 50;
 
-  const title = (typeof book.title === 'string' ? book.title : '').toLowerCase();
-  const author = (typeof book.author === 'string' ? book.author : '').toLowerCase();
-  const subjects = (Array.isArray(book.subjects) ? book.subjects.join(' ') : (typeof book.subjects === 'string' ? book.subjects : '')).toLowerCase();
-  const description = (typeof book.description === 'string' ? book.description : '').toLowerCase();
+  const title = fieldMatcher(book.title);
+  const author = fieldMatcher(book.author);
+  const subjects = fieldMatcher(book.subjects);
+  const description = fieldMatcher(book.description);
 
   let score = 0;
   let titleHits = 0;
@@ -500,10 +543,10 @@ function scoreRelevance(book, query) {
   let descHits = 0;
 
   for (const tok of tokens) {
-    if (title.includes(tok)) { titleHits++; score += 25; }
-    if (author.includes(tok)) { authorHits++; score += 15; }
-    if (subjects.includes(tok)) { subjectHits++; score += 15; }
-    if (description.includes(tok)) { descHits++; score += 5; }
+    if (title.has(tok)) { titleHits++; score += 25; }
+    if (author.has(tok)) { authorHits++; score += 15; }
+    if (subjects.has(tok)) { subjectHits++; score += 15; }
+    if (description.text.includes(tok)) { descHits++; score += 5; }
   }
 
   // Bonus: all tokens in title
@@ -515,6 +558,52 @@ function scoreRelevance(book, query) {
   return Math.min(100, score);
 }
 
+/**
+ * Relevance for a structured query (title:/author:/subject: terms, "phrases", exclusions).
+ * Fielded terms only count in their field and are required: a book missing one is capped
+ * below the relevance threshold. Excluded words zero the score.
+ */
+function scoreStructuredRelevance(book, query) {
+  if (isExcluded(book, query)) return 0;
+
+  const fielded = [
+    ...query.title.map(value => ['title', value]),
+    ...query.author.map(value => ['author', value]),
+    ...query.subject.map(value => ['subjects', value]),
+  ];
+  const freeText = [...query.phrases, ...query.terms].join(' ');
+  const lang = query.language || null;
+  if (!fielded.length) return scoreRelevance(book, freeText, { lang });
+
+  const fields = {
+    title: fieldMatcher(book.title),
+    author: fieldMatcher(book.author),
+    subjects: fieldMatcher(book.subjects),
+  };
+  const weights = { title: 35, author: 30, subjects: 20 };
+
+  let score = 0;
+  let missed = 0;
+  for (const [field, value] of fielded) {
+    const v = foldText(value);
+    if (v && fields[field].text.includes(v)) {
+      score += weights[field];
+    } else {
+      // Multi-word values ("Jane Austen") get partial credit per word; "Austen, Jane" still matches
+      const words = v.split(' ').filter(w => w.length >= 2);
+      const hits = words.filter(w => fields[field].has(w)).length;
+      if (words.length && hits === words.length) score += weights[field];
+      else {
+        missed++;
+        score += words.length ? Math.round(weights[field] * hits / words.length / 2) : 0;
+      }
+    }
+  }
+  if (freeText) score += Math.round(scoreRelevance(book, freeText, { lang }) / 3);
+
+  return missed ? Math.min(score, 5) : Math.min(100, score);
+}
+
 /**
  * Synchronously resolve direct_url for a book from stored metadata.
  * Does NOT make HTTP calls — only uses deterministic URL patterns and
@@ -590,7 +679,7 @@ function resolveDirectUrl(provider, providerId, opts = {}) {
 }
 
 module.exports = {
-  canonicalBookKey, extractArchiveId, stripPrefixes, buildOpenUrl,
+  canonicalBookKey, extractArchiveId, stripPrefixes, buildOpenUrl, buildBookUrl,
   normalizeMeta, isNumericOnly, isEncryptedFile, isBorrowRequiredArchive,
   scoreRelevance, bookKeyVariants, repairFavoriteMeta,
   stripBlPrefix, ensureRawProviderId, resolveDirectUrl,
@@ -8,6 +8,14 @@ function isLoggedIn(req) {
 
 module.exports.isLoggedIn = isLoggedIn;
 
+/** Subscriber status of a Supabase auth user (user_metadata, or everyone with AUTO_SUBSCRIBE_NEW_USERS=1) */
+function isSubscriberUser(user) {
+  if (process.env.AUTO_SUBSCRIBE_NEW_USERS === '1') return true;
+  return Boolean(user && user.user_metadata && user.user_metadata.is_subscriber === true);
+}
+
+module.exports.isSubscriberUser = isSubscriberUser;
+
 module.exports.ensureSubscriber = function ensureSubscriber(req, res, next) {
   const loggedIn = isLoggedIn(req);
   const userId = req.session?.user?.id || 'none';
@@ -48,6 +48,10 @@ class LRUCache {
     return this.cache.has(key) && Date.now() <= this.cache.get(key).expiresAt;
   }
 
+  delete(key) {
+    this.cache.delete(key);
+  }
+
   clear() {
     this.cache.clear();
   }
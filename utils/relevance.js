@@ -1,77 +1,44 @@
 // utils/relevance.js
 // Search relevance scoring and filtering
 
-// Simple English stopwords
-const STOPWORDS = new Set([
-  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he',
-  'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the', 'to', 'was', 'will', 'with',
-  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'were',
-  'she', 'been', 'one', 'do', 'no', 'had', 'by', 'word', 'if', 'look', 'now', 'my',
-  'up', 'over', 'them', 'then', 'so', 'some', 'her', 'would', 'make', 'like', 'into',
-  'him', 'time', 'two', 'more', 'go', 'no', 'way', 'could', 'my', 'than', 'first',
-  'been', 'call', 'who', 'oil', 'sit', 'now', 'find', 'down', 'day', 'did', 'get',
-  'come', 'made', 'may', 'part', 'also', 'new', 'work', 'first', 'well', 'should',
-  'because', 'through', 'each', 'just', 'those', 'people', 'take', 'into', 'years',
-  'your', 'good', 'some', 'could', 'them', 'see', 'other', 'than', 'then', 'now',
-  'look', 'only', 'come', 'its', 'over', 'think', 'also', 'back', 'after', 'use',
-  'two', 'how', 'our', 'work', 'first', 'well', 'way', 'even', 'new', 'want',
-  'because', 'any', 'these', 'give', 'day', 'most', 'us', 'time', 'very', 'say',
-  'after', 'right', 'think', 'also', 'around', 'another', 'came', 'come', 'work',
-  'three', 'word', 'while', 'place', 'year', 'here', 'thing', 'take', 'once',
-  'upon', 'always', 'show', 'together', 'got', 'group', 'often', 'run', 'important',
-  'until', 'children', 'side', 'feet', 'car', 'mile', 'night', 'walk', 'white',
-  'sea', 'began', 'grow', 'took', 'river', 'four', 'carry', 'state', 'once',
-  'book', 'hear', 'stop', 'without', 'second', 'later', 'miss', 'idea', 'enough',
-  'eat', 'face', 'watch', 'far', 'Indian', 'real', 'almost', 'let', 'above',
-  'girl', 'sometimes', 'mountain', 'cut', 'young', 'talk', 'soon', 'list',
-  'song', 'being', 'leave', 'family', 'it\'s'
-]);
+const textMatch = require('../lib/textMatch');
 
+/** Query → folded tokens without the query language's stopwords (lib/textMatch) */
 function tokenize(query) {
   if (!query || typeof query !== 'string') return [];
-  
-  return query
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-    .split(/\s+/)
-    .filter(token => 
-      token.length >= 3 && 
-      !STOPWORDS.has(token) &&
-      !/^\d+$/.test(token) // Filter out pure numbers
-    );
+  return textMatch.tokenize(query).tokens;
 }
 
 function score(item, tokens) {
   if (!tokens || tokens.length === 0) return 0;
   
   let score = 0;
-  const title = (item.title || '').toLowerCase();
-  const author = (item.author || item.creator || '').toLowerCase();
-  const subject = (item.subject || item.description || '').toLowerCase();
+  const title = textMatch.fieldMatcher(item.title);
+  const author = textMatch.fieldMatcher(item.author || item.creator);
+  const subject = textMatch.fieldMatcher(item.subject || item.description);
   
   // Exact title phrase match (highest priority)
-  const queryLower = tokens.join(' ').toLowerCase();
-  if (title.includes(queryLower)) {
+  if (title.text.includes(tokens.join(' '))) {
     score += 2;
   }
   
   // Token matches in title
   for (const token of tokens) {
-    if (title.includes(token)) {
+    if (title.has(token)) {
       score += 1;
     }
   }
   
   // Token matches in author
   for (const token of tokens) {
-    if (author.includes(token)) {
+    if (author.has(token)) {
       score += 0.5;
     }
   }
   
   // Token matches in subject/description (optional bonus)
   for (const token of tokens) {
-    if (subject.includes(token)) {
+    if (subject.text.includes(token)) {
       score += 0.25;
     }
   }